@@ -0,0 +1,36 @@
+/**
+ * Booking Manage Tokens
+ * Opaque tokens emailed to clients so they can view, cancel and reschedule
+ * their consultation booking without an account (see signed-token.js).
+ */
+const signedToken = require('./signed-token');
+
+const PURPOSE = 'consultation-booking';
+
+/**
+ * Issue a manage token for a booking
+ * @param {String|ObjectId} bookingId
+ * @returns {Object} { token: raw value to email, tokenHash: value to store }
+ */
+const issueManageToken = (bookingId) => signedToken.issueSignedToken(PURPOSE, bookingId);
+
+/**
+ * Check that a token was signed for this booking
+ * @param {String|ObjectId} bookingId
+ * @param {String} token
+ */
+const hasValidSignature = (bookingId, token) => signedToken.hasValidSignature(PURPOSE, bookingId, token);
+
+/**
+ * Full check of a token against a booking loaded with `+manageTokenHash`
+ * @param {Object} booking - Booking document
+ * @param {String} token
+ */
+const verifyManageToken = (booking, token) =>
+    Boolean(booking) && signedToken.verifySignedToken(PURPOSE, booking._id, token, booking.manageTokenHash);
+
+module.exports = {
+    issueManageToken,
+    hasValidSignature,
+    verifyManageToken
+};
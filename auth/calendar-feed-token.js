@@ -0,0 +1,59 @@
+/**
+ * Calendar Feed Tokens
+ * Long-lived tokens in the URL of an admin's consultation ICS feed, as calendar
+ * apps cannot send an Authorization header. Only the hash is stored; rotating
+ * the token replaces it, which breaks existing subscriptions.
+ */
+const crypto = require('crypto');
+const User = require('../models/User');
+const { hashToken } = require('./refresh-token');
+
+const TOKEN_BYTES = 32;
+
+/**
+ * Issue a new feed token for a user, replacing any previous one
+ * @param {String|ObjectId} userId
+ * @param {String} scope - 'mine' or 'all'
+ * @returns {Promise<String|null>} Raw token to put in the feed URL, or null when the user does not exist
+ */
+const issueFeedToken = async (userId, scope) => {
+    const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+    const user = await User.findOneAndUpdate(
+        { _id: userId, isDeleted: { $ne: true } },
+        { $set: { calendarFeed: { tokenHash: hashToken(token), scope, createdAt: new Date() } } }
+    ).select('_id').lean();
+    return user ? token : null;
+};
+
+/**
+ * Remove a user's feed token
+ * @param {String|ObjectId} userId
+ * @returns {Promise<boolean>} Whether there was a token
+ */
+const revokeFeedToken = async (userId) => {
+    const result = await User.updateOne(
+        { _id: userId, 'calendarFeed.createdAt': { $ne: null } },
+        { $unset: { calendarFeed: 1 } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Find the active user a feed token belongs to
+ * @param {String} token
+ * @returns {Promise<Object|null>} Lean user with `calendarFeed`
+ */
+const findFeedUser = (token) => {
+    if (typeof token !== 'string' || !token) {
+        return Promise.resolve(null);
+    }
+    return User.findOne({ 'calendarFeed.tokenHash': hashToken(token), isDeleted: { $ne: true } })
+        .select('name email calendarFeed')
+        .lean();
+};
+
+module.exports = {
+    issueFeedToken,
+    revokeFeedToken,
+    findFeedUser
+};
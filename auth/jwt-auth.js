@@ -76,6 +76,12 @@ class JwtAuth {
         return cb(errObj);
       }
 
+      // Tokens issued before the last logout / logout-all are no longer valid
+      if ((tokenUser.logoutNum || 0) !== (data.logoutNum || 0)) {
+        const errObj = { message: 'TOKEN_REVOKED', code: 1005, status: 401 };
+        return cb(errObj);
+      }
+
       return cb(null, data);
     } catch (err) {
       logger.error('Unable to decrypt/verify token', err);
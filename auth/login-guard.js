@@ -0,0 +1,227 @@
+/**
+ * Login Guard
+ * Failed-login counters per account (on the user record) and per client IP
+ * (LoginThrottle collection), with progressive delays and temporary account locks
+ */
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const { createUserLockHistory } = require('../middleware/history');
+
+const minutes = (value) => value * 60 * 1000;
+
+/**
+ * Seconds to wait after a number of failures: nothing for the free attempts,
+ * then baseDelaySeconds doubling with every further failure, capped
+ */
+const delaySeconds = (failures, freeAttempts) => {
+    const { baseDelaySeconds, maxDelaySeconds } = config.loginProtection;
+    if (failures < freeAttempts) {
+        return 0;
+    }
+    return Math.min(baseDelaySeconds * 2 ** (failures - freeAttempts), maxDelaySeconds);
+};
+
+const secondsUntil = (time, now) => Math.max(1, Math.ceil((time - now) / 1000));
+
+const tooSoon = (readyAt, now) => ({
+    message: 'Too many failed login attempts. Please wait before trying again.',
+    statusCode: 429,
+    retryAfter: secondsUntil(readyAt, now)
+});
+
+/**
+ * Refusal of a locked account, with the seconds until the lock ends
+ * @param {Date} lockUntil
+ * @returns {Object} { message, statusCode, retryAfter }
+ */
+const accountLocked = (lockUntil, now = Date.now()) => ({
+    message: 'Account temporarily locked due to too many failed login attempts. Please try again later.',
+    statusCode: 423,
+    retryAfter: secondsUntil(lockUntil.getTime(), now)
+});
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {Object|null} user - User document, or null when the email is unknown
+ * @param {String} ip - Client IP
+ * @returns {Object|null} null when allowed, otherwise { message, statusCode, retryAfter }
+ */
+const checkLoginAllowed = async (user, ip) => {
+    const now = Date.now();
+    const {
+        attemptWindowMinutes,
+        delayAfterAttempts,
+        ipDelayAfterAttempts,
+        ipMaxFailedAttempts
+    } = config.loginProtection;
+
+    if (user?.lockUntil && user.lockUntil.getTime() > now) {
+        return accountLocked(user.lockUntil, now);
+    }
+
+    const throttle = ip
+        ? await LoginThrottle.findOne({ ip, expiresAt: { $gt: new Date(now) } }).lean()
+        : null;
+    if (throttle) {
+        if (throttle.failedAttempts >= ipMaxFailedAttempts) {
+            return tooSoon(throttle.expiresAt.getTime(), now);
+        }
+        const ipReadyAt = throttle.lastFailedAt.getTime()
+            + delaySeconds(throttle.failedAttempts, ipDelayAfterAttempts) * 1000;
+        if (ipReadyAt > now) {
+            return tooSoon(ipReadyAt, now);
+        }
+    }
+
+    const lastFailedAt = user?.lastFailedLoginAt?.getTime();
+    if (lastFailedAt && lastFailedAt > now - minutes(attemptWindowMinutes)) {
+        const readyAt = lastFailedAt + delaySeconds(user.failedLoginAttempts || 0, delayAfterAttempts) * 1000;
+        if (readyAt > now) {
+            return tooSoon(readyAt, now);
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Count a failure against the client IP, starting a new window when the last one ended
+ */
+const recordIpFailure = async (ip, now) => {
+    const windowEnd = new Date(now.getTime() + minutes(config.loginProtection.attemptWindowMinutes));
+    const windowOpen = { $gt: ['$expiresAt', now] };
+    const update = [
+        {
+            $set: {
+                failedAttempts: {
+                    $cond: [windowOpen, { $add: [{ $ifNull: ['$failedAttempts', 0] }, 1] }, 1]
+                },
+                expiresAt: { $cond: [windowOpen, '$expiresAt', windowEnd] },
+                lastFailedAt: now
+            }
+        }
+    ];
+
+    try {
+        await LoginThrottle.updateOne({ ip }, update, { upsert: true });
+    } catch (err) {
+        // Two first failures from the same IP raced on the unique index
+        if (err.code !== 11000) throw err;
+        await LoginThrottle.updateOne({ ip }, update);
+    }
+};
+
+/**
+ * Record a failed login (wrong password, unknown email or wrong 2FA code)
+ * @param {Object|null} user - User document, or null when the email is unknown
+ * @param {String} ip - Client IP
+ * @returns {Object} { locked, lockUntil }
+ */
+const recordLoginFailure = async (user, ip) => {
+    const now = new Date();
+    const { attemptWindowMinutes, maxFailedAttempts, lockMinutes } = config.loginProtection;
+
+    if (ip) {
+        await recordIpFailure(ip, now);
+    }
+    if (!user) {
+        return { locked: false, lockUntil: null };
+    }
+
+    const windowStart = new Date(now.getTime() - minutes(attemptWindowMinutes));
+    const updated = await User.findOneAndUpdate(
+        { _id: user._id },
+        [
+            {
+                $set: {
+                    failedLoginAttempts: {
+                        $cond: [
+                            { $gt: ['$lastFailedLoginAt', windowStart] },
+                            { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] },
+                            1
+                        ]
+                    },
+                    lastFailedLoginAt: now
+                }
+            }
+        ],
+        { new: true, projection: { failedLoginAttempts: 1 } }
+    ).lean();
+
+    if (!updated || updated.failedLoginAttempts < maxFailedAttempts) {
+        return { locked: false, lockUntil: null };
+    }
+
+    // Conditional so concurrent failures lock (and record history) only once
+    const lockUntil = new Date(now.getTime() + minutes(lockMinutes));
+    const locked = await User.findOneAndUpdate(
+        { _id: user._id, failedLoginAttempts: { $gte: maxFailedAttempts } },
+        { $set: { lockUntil, failedLoginAttempts: 0, lastFailedLoginAt: null } },
+        { new: true }
+    ).lean();
+    if (!locked) {
+        return { locked: false, lockUntil: null };
+    }
+
+    logger.warn(`Account locked - ID: ${user._id}, Email: ${user.email}, IP: ${ip}, Until: ${lockUntil.toISOString()}`);
+    try {
+        await createUserLockHistory('LOCK', user._id, null, {
+            attempts: updated.failedLoginAttempts,
+            ip,
+            lockUntil
+        });
+    } catch (err) {
+        logger.error('Failed to record account lock history:', { error: err.message, userId: user._id });
+    }
+
+    return { locked: true, lockUntil };
+};
+
+/**
+ * Reset the account counters after a successful login.
+ * The IP counter is left alone so one valid account cannot clear it.
+ * @param {Object} user - User document
+ */
+const recordLoginSuccess = async (user) => {
+    if (!user.failedLoginAttempts && !user.lastFailedLoginAt && !user.lockUntil) {
+        return;
+    }
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { failedLoginAttempts: 0, lastFailedLoginAt: null, lockUntil: null } }
+    );
+};
+
+/**
+ * Clear a lock and the failure counters of an account
+ * @param {String} userId - Target user ID
+ * @param {Object} admin - User performing the unlock (req.user)
+ * @returns {Object|null} Updated user, or null when not found
+ */
+const unlockAccount = async (userId, admin) => {
+    const user = await User.findByIdAndUpdate(
+        userId,
+        { $set: { failedLoginAttempts: 0, lastFailedLoginAt: null, lockUntil: null } },
+        { new: true }
+    );
+    if (!user) {
+        return null;
+    }
+
+    try {
+        await createUserLockHistory('UNLOCK', user._id, admin);
+    } catch (err) {
+        logger.error('Failed to record account unlock history:', { error: err.message, userId });
+    }
+    return user;
+};
+
+module.exports = {
+    accountLocked,
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    unlockAccount
+};
@@ -0,0 +1,37 @@
+/**
+ * Quote Review Tokens
+ * Opaque tokens emailed to clients with a quote so they can view, approve it or
+ * request changes without an account (see signed-token.js). The stored hash ties
+ * the token to the quote last sent, so sending a new version voids it.
+ */
+const signedToken = require('./signed-token');
+
+const PURPOSE = 'project-quote-review';
+
+/**
+ * Issue a review token for the quote of a project
+ * @param {String|ObjectId} projectId
+ * @returns {Object} { token: raw value to email, tokenHash: value to store }
+ */
+const issueReviewToken = (projectId) => signedToken.issueSignedToken(PURPOSE, projectId);
+
+/**
+ * Check that a token was signed for this project
+ * @param {String|ObjectId} projectId
+ * @param {String} token
+ */
+const hasValidSignature = (projectId, token) => signedToken.hasValidSignature(PURPOSE, projectId, token);
+
+/**
+ * Full check of a token against a project loaded with `+quote.reviewTokenHash`
+ * @param {Object} project - Project document
+ * @param {String} token
+ */
+const verifyReviewToken = (project, token) =>
+    Boolean(project) && signedToken.verifySignedToken(PURPOSE, project._id, token, project.quote?.reviewTokenHash);
+
+module.exports = {
+    issueReviewToken,
+    hasValidSignature,
+    verifyReviewToken
+};
@@ -0,0 +1,106 @@
+/**
+ * Refresh Tokens
+ * Rotating, revocable refresh tokens stored per user device
+ */
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const RefreshToken = require('../models/RefreshToken');
+
+const TOKEN_BYTES = 48;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Issues a new refresh token for a user device, revoking any previous token of that device
+ * @param {Object} user - User document
+ * @param {Object} meta - { deviceId, userAgent, ip }
+ * @returns {Object} { refreshToken, deviceId, expiresAt }
+ */
+const issueRefreshToken = async (user, meta = {}) => {
+    const deviceId = meta.deviceId || uuidv4();
+    const now = new Date();
+
+    await RefreshToken.updateMany(
+        { userId: user._id, deviceId, revokedAt: null },
+        { $set: { revokedAt: now, revokedReason: 'logout' } }
+    );
+
+    const refreshToken = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+    const expiresAt = new Date(now.getTime() + config.jwt.refreshExpireDays * 24 * 60 * 60 * 1000);
+
+    await RefreshToken.create({
+        userId: user._id,
+        tokenHash: hashToken(refreshToken),
+        deviceId,
+        userAgent: meta.userAgent ? String(meta.userAgent).slice(0, 500) : undefined,
+        ip: meta.ip,
+        expiresAt
+    });
+
+    return { refreshToken, deviceId, expiresAt };
+};
+
+/**
+ * Consumes a refresh token and returns the owning token record.
+ * Presenting an already-rotated token revokes every token of that device,
+ * since it means the token was copied.
+ * @param {String} refreshToken - Raw refresh token from the client
+ * @returns {Object|null} Consumed token record, or null if invalid
+ */
+const consumeRefreshToken = async (refreshToken) => {
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+
+    const record = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        { $set: { revokedAt: now, revokedReason: 'rotated', lastUsedAt: now } },
+        { new: true }
+    ).lean();
+
+    if (record) {
+        return record;
+    }
+
+    const reused = await RefreshToken.findOne({ tokenHash, revokedReason: 'rotated' }).lean();
+    if (reused) {
+        logger.warn(`Refresh token reuse detected - User: ${reused.userId}, Device: ${reused.deviceId}`);
+        await RefreshToken.updateMany(
+            { userId: reused.userId, deviceId: reused.deviceId, revokedAt: null },
+            { $set: { revokedAt: now, revokedReason: 'reuse-detected' } }
+        );
+    }
+
+    return null;
+};
+
+/**
+ * Revokes the active tokens of one device
+ * @param {ObjectId} userId
+ * @param {String} deviceId
+ */
+const revokeDeviceTokens = (userId, deviceId) =>
+    RefreshToken.updateMany(
+        { userId, deviceId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+
+/**
+ * Revokes every active token of a user
+ * @param {ObjectId} userId
+ * @param {String} reason - Stored as revokedReason
+ */
+const revokeAllTokens = (userId, reason = 'logout-all') =>
+    RefreshToken.updateMany(
+        { userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+module.exports = {
+    hashToken,
+    issueRefreshToken,
+    consumeRefreshToken,
+    revokeDeviceTokens,
+    revokeAllTokens
+};
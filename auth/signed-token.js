@@ -0,0 +1,67 @@
+/**
+ * Signed Tokens
+ * Opaque tokens tied to one record, emailed so a client can act on it without an
+ * account (see booking-token.js and quote-token.js).
+ *
+ * A token is `<nonce>.<signature>`, the signature being an HMAC of the record ID and
+ * nonce under a secret derived per purpose, so a token issued for one purpose never
+ * verifies for another, nor as a JWT. Forged tokens are rejected without a database
+ * lookup; the hash stored on the record ties the token to it and lets it be replaced.
+ */
+const crypto = require('crypto');
+const config = require('../utils/config');
+const { hashToken } = require('./refresh-token');
+
+const NONCE_BYTES = 24;
+
+const sign = (purpose, id, nonce) =>
+    crypto.createHmac('sha256', `${config.jwt.secret}:${purpose}`).update(`${id}:${nonce}`).digest('base64url');
+
+/**
+ * Issue a token for a record
+ * @param {String} purpose - e.g. 'consultation-booking'
+ * @param {String|ObjectId} id - Record ID
+ * @returns {Object} { token: raw value to email, tokenHash: value to store }
+ */
+const issueSignedToken = (purpose, id) => {
+    const nonce = crypto.randomBytes(NONCE_BYTES).toString('base64url');
+    const token = `${nonce}.${sign(purpose, String(id), nonce)}`;
+    return { token, tokenHash: hashToken(token) };
+};
+
+/**
+ * Check that a token was signed for this purpose and record
+ * @param {String} purpose
+ * @param {String|ObjectId} id
+ * @param {String} token
+ */
+const hasValidSignature = (purpose, id, token) => {
+    if (typeof token !== 'string') {
+        return false;
+    }
+    const [nonce, signature, extra] = token.split('.');
+    if (!nonce || !signature || extra !== undefined) {
+        return false;
+    }
+    const expected = Buffer.from(sign(purpose, String(id), nonce));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Full check of a token: its signature, then the hash stored on the record
+ * @param {String} purpose
+ * @param {String|ObjectId} id
+ * @param {String} token
+ * @param {String} storedHash - Hash saved when the token was issued
+ */
+const verifySignedToken = (purpose, id, token, storedHash) =>
+    Boolean(storedHash)
+    && hasValidSignature(purpose, id, token)
+    && hashToken(token) === storedHash;
+
+module.exports = {
+    issueSignedToken,
+    hasValidSignature,
+    verifySignedToken
+};
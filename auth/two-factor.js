@@ -0,0 +1,78 @@
+/**
+ * Two-Factor Authentication
+ * Login challenges, secret encryption at rest and recovery codes
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../utils/config');
+const JwtAuth = require('./jwt-auth');
+const { hashToken } = require('./refresh-token');
+
+const CHALLENGE_PURPOSE = 'two-factor-login';
+const RECOVERY_CODE_COUNT = 10;
+
+// Reuses the JWT payload key so TOTP secrets are encrypted like token payloads
+const cipher = new JwtAuth({
+    JWT_SECRET: config.jwt.secret,
+    JWT_PL_SECRET: config.jwt.plSecret,
+    JWT_SALT: config.jwt.salt
+});
+
+// Separate signing secret so a challenge can never be used as a bearer token
+const challengeSecret = () => `${config.jwt.secret}:${CHALLENGE_PURPOSE}`;
+
+const encryptSecret = (secret) => cipher.encrypt(secret, cipher.key);
+
+const decryptSecret = (encrypted) => cipher.decrypt(encrypted, cipher.key);
+
+/**
+ * Short-lived token proving the password step of a login succeeded
+ * @param {Object} user - User document
+ */
+const issueChallenge = (user) =>
+    jwt.sign(
+        { sub: String(user._id), purpose: CHALLENGE_PURPOSE, logoutNum: user.logoutNum || 0 },
+        challengeSecret(),
+        { expiresIn: `${config.twoFactor.challengeTtlMinutes}m` }
+    );
+
+/**
+ * Verify a login challenge
+ * @param {String} token - Challenge token from the first login step
+ * @returns {Object|null} { userId, logoutNum } or null when invalid/expired
+ */
+const verifyChallenge = (token) => {
+    try {
+        const payload = jwt.verify(token, challengeSecret());
+        if (payload.purpose !== CHALLENGE_PURPOSE) {
+            return null;
+        }
+        return { userId: payload.sub, logoutNum: payload.logoutNum };
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Generate recovery codes
+ * @returns {Object} { codes: plain codes shown once, hashes: values to store }
+ */
+const generateRecoveryCodes = () => {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+const hashRecoveryCode = (code) => hashToken(String(code).trim().toLowerCase());
+
+module.exports = {
+    encryptSecret,
+    decryptSecret,
+    issueChallenge,
+    verifyChallenge,
+    generateRecoveryCodes,
+    hashRecoveryCode
+};
@@ -0,0 +1,54 @@
+/**
+ * User Tokens
+ * Single-use, expiring tokens sent by email (password reset, email verification)
+ */
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+const { hashToken } = require('./refresh-token');
+
+const TOKEN_BYTES = 32;
+
+/**
+ * Issues a token of the given type, invalidating earlier unused tokens of that type
+ * @param {ObjectId} userId
+ * @param {String} type - 'password-reset' | 'email-verification'
+ * @param {Number} ttlMs - Lifetime in milliseconds
+ * @returns {String} Raw token to be emailed
+ */
+const issueUserToken = async (userId, type, ttlMs) => {
+    const now = new Date();
+
+    await UserToken.updateMany(
+        { userId, type, usedAt: null },
+        { $set: { usedAt: now } }
+    );
+
+    const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+    await UserToken.create({
+        userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(now.getTime() + ttlMs)
+    });
+
+    return token;
+};
+
+/**
+ * Marks a token as used and returns it, or null when unknown, used or expired
+ * @param {String} token - Raw token from the client
+ * @param {String} type - Expected token type
+ */
+const consumeUserToken = (token, type) => {
+    const now = new Date();
+    return UserToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: now } },
+        { $set: { usedAt: now } },
+        { new: true }
+    ).lean();
+};
+
+module.exports = {
+    issueUserToken,
+    consumeUserToken
+};
@@ -0,0 +1,37 @@
+/**
+ * Waitlist Claim Tokens
+ * Single-offer tokens emailed to a waitlisted client so they can claim a freed seat
+ * without an account. Only the hash is stored; every new offer gets a new token.
+ */
+const crypto = require('crypto');
+const { hashToken } = require('./refresh-token');
+
+const TOKEN_BYTES = 32;
+
+/**
+ * Issue a claim token
+ * @returns {Object} { token: raw value to email, tokenHash: value to store }
+ */
+const issueClaimToken = () => {
+    const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+    return { token, tokenHash: hashToken(token) };
+};
+
+/**
+ * Check a token against a waitlist entry loaded with `+claimTokenHash`
+ * @param {Object} entry - ConsultationWaitlistEntry document
+ * @param {String} token
+ */
+const verifyClaimToken = (entry, token) => {
+    if (!entry?.claimTokenHash || typeof token !== 'string' || !token) {
+        return false;
+    }
+    const expected = Buffer.from(entry.claimTokenHash);
+    const actual = Buffer.from(hashToken(token));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+    issueClaimToken,
+    verifyClaimToken
+};
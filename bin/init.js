@@ -52,10 +52,16 @@ const connect = async () => {
     logger.info(`✅ MongoDB Connected: ${mongoose.connection.host}/${mongoose.connection.name}`);
 };
 
-const upsertRole = async (rolename) => {
+const upsertRole = async (rolename, requireTwoFactor = false) => {
     const existing = await Role.findOne({ rolename });
-    if (existing) return existing;
-    return await Role.create({ rolename });
+    if (existing) {
+        if (requireTwoFactor && !existing.requireTwoFactor) {
+            existing.requireTwoFactor = true;
+            await existing.save();
+        }
+        return existing;
+    }
+    return await Role.create({ rolename, requireTwoFactor });
 };
 
 const upsertPermission = async (roleId, type, action) => {
@@ -117,7 +123,7 @@ const init = async () => {
         const roleMap = {};
         if (Array.isArray(seedData.roles)) {
             for (const role of seedData.roles) {
-                const r = await upsertRole(role.rolename);
+                const r = await upsertRole(role.rolename, role.requireTwoFactor === true);
                 roleMap[role.rolename] = r;
             }
             logger.info('🧩 Roles ensured');
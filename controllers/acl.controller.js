@@ -9,6 +9,7 @@ const AclPermission = require('../models/AclPermission');
 const UserRole = require('../models/UserRole');
 const RoleHistory = require('../models/RoleHistory');
 const User = require('../models/User');
+const aclCache = require('../utils/aclCache');
 
 try {
 	({ createRoleHistory, createPermissionHistory, createUserRoleHistory } = require('../middleware/history'));
@@ -28,7 +29,7 @@ module.exports.createRole = async (req, res, next) => {
 	}
 	logger.info('create role, rolename = ' + req.body.rolename + ' by user = ' + (req.user?.name || 'unknown'));
 	try {
-		const role = await Role.create({ rolename: req.body.rolename });
+		const role = await Role.create({ rolename: req.body.rolename, requireTwoFactor: req.body.requireTwoFactor === true });
 		createRoleHistory(role, 'CREATE', req.user);
 		logger.debug('Role created by user ' + (req.user?.name || 'unknown') + ' role name = ' + req.body.rolename);
 		return res.json(role);
@@ -86,6 +87,7 @@ module.exports.deleteRoleById = async (req, res, next) => {
 	try {
 		await UserRole.deleteMany({ roleId: query._id });
 		const roleDeleted = await Role.deleteOne({ _id: query._id });
+		aclCache.invalidateAll();
 		createRoleHistory(role, 'DELETE', req.user);
 		logger.debug('Role deleted by user ' + (req.user?.name || 'unknown') + ' roleId = ' + req.query.roleId);
 		return res.json(roleDeleted);
@@ -151,6 +153,7 @@ module.exports.createPermission = async (req, res, next) => {
 			return res.json([]);
 		}
 		const result = await AclPermission.insertMany(insertPermissions, { ordered: false });
+		aclCache.invalidateAll();
 		const ids = result.map((doc) => doc._id);
 		const permissions = await AclPermission.find({ _id: { $in: ids } }).lean();
 		createPermissionHistory(permissions, 'CREATE', req.user);
@@ -221,6 +224,7 @@ module.exports.setUserRole = async (req, res, next) => {
 		}
 		const roleNames = roles.map((r) => r.rolename);
 		const userRoleData = await UserRole.insertMany(userRoles, { ordered: false });
+		aclCache.invalidateUser(userId);
 		createUserRoleHistory(roleNames, userId, req.user);
 		logger.debug('User was set to a role, by = ' + (req.user?.name || 'unknown') + ' roleId = ' + req.body.roleIds + ' userId = ' + req.body.userId);
 		return res.json(userRoleData);
@@ -287,6 +291,7 @@ module.exports.deleteUserFromRoleById = async (req, res, next) => {
 		}
 		const roleNames = roles.map((r) => r.rolename);
 		const role = await UserRole.deleteMany(query);
+		aclCache.invalidateUser(query.userId);
 		createUserRoleHistory(roleNames, query.userId, req.user);
 		logger.debug('User deleted from role by user ' + (req.user?.name || 'unknown') + ' deleted userId = ' + req.query.userId + ' roleId = ' + req.query.roleId);
 		return res.json(role);
@@ -296,12 +301,9 @@ module.exports.deleteUserFromRoleById = async (req, res, next) => {
 };
 
 module.exports.getUserPermissions = async (req, res, next) => {
-	const query = { userId: new ObjectId(req.user._id) };
 	logger.info('Get User Permission by user = ' + (req.user?.name || 'unknown'));
 	try {
-		const uroles = await UserRole.find(query).lean();
-		const roleIds = uroles.map((ur) => new ObjectId(ur.roleId));
-		const data = await AclPermission.find({ roleId: { $in: roleIds } }).lean();
+		const { permissions: data } = await aclCache.getRequestPermissionSet(req);
 		logger.debug('Got User Permisions, By User = ' + (req.user?.name || 'unknown') + ' of user = ' + req.user._id);
 		return res.json(data);
 	} catch (err) {
@@ -333,6 +335,7 @@ module.exports.deletePermissionByRoleId = async (req, res, next) => {
 	try {
 		await createPermissionHistory(requestBody, 'DELETE', req.user);
 		const data = await AclPermission.deleteMany({ _id: { $in: requestBody } });
+		aclCache.invalidateAll();
 		logger.debug('Delete permission by roleId, by user ' + (req.user?.name || 'unknown'));
 		return res.json(data);
 	} catch (err) {
@@ -353,7 +356,12 @@ module.exports.updateRole = async (req, res, next) => {
 	logger.info('Update role = ' + req.body.roleId + ' by user = ' + (req.user?.name || 'unknown'));
 	const query = { _id: new ObjectId(req.body.roleId), rolename: req.body.rolename };
 	try {
-		const data = await Role.findByIdAndUpdate(query._id, { $set: { rolename: query.rolename } }, { new: true });
+		const update = { rolename: query.rolename };
+		if (typeof req.body.requireTwoFactor === 'boolean') {
+			update.requireTwoFactor = req.body.requireTwoFactor;
+		}
+		const data = await Role.findByIdAndUpdate(query._id, { $set: update }, { new: true });
+		aclCache.invalidateAll();
 		createRoleHistory(query, 'UPDATE', req.user);
 		logger.debug('Role updated by user ' + (req.user?.name || 'unknown') + ' roleId = ' + req.body.roleId);
 		return res.json(data);
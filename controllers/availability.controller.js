@@ -0,0 +1,569 @@
+const ConsultationAvailabilityRule = require('../models/ConsultationAvailabilityRule');
+const ConsultationBlackout = require('../models/ConsultationBlackout');
+const ConsultationSlot = require('../models/ConsultationSlot');
+const ConsultationBooking = require('../models/ConsultationBooking');
+const User = require('../models/User');
+const ConsultationIntakeForm = require('../models/ConsultationIntakeForm');
+const ConsultationType = require('../models/ConsultationType');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { getZonedParts, zonedTimeToUtc, addDays } = require('../utils/timezone');
+const {
+  expandRule,
+  findBlackouts,
+  isBlackedOut,
+  materialiseOccurrence,
+  pruneMaterialisedSlots,
+  toVirtualSlotId
+} = require('../utils/availabilityRules');
+
+const RULE_FIELDS = ['name', 'consultantId', 'timezone', 'daysOfWeek', 'windows', 'interval', 'duration', 'maxBookings', 'validFrom', 'validUntil', 'exceptions', 'typeId', 'intakeFormId', 'notes', 'isActive'];
+
+const timeToMinutes = (time) => {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+};
+
+/**
+ * Normalize date to start of day (UTC), like slot dates
+ */
+const normalizeDate = (date) => {
+  const d = new Date(date);
+  d.setUTCHours(0, 0, 0, 0);
+  return d;
+};
+
+const toDateKey = (date) => normalizeDate(date).toISOString().split('T')[0];
+
+const getBusinessTimeZone = () => config.googleCalendar.timezone || 'Asia/Kolkata';
+
+/**
+ * Validate the time windows of a rule: each must end after it starts and
+ * must not overlap another one
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateWindows = (windows) => {
+  for (let i = 0; i < windows.length; i++) {
+    if (timeToMinutes(windows[i].startTime) >= timeToMinutes(windows[i].endTime)) {
+      return `Window ${i + 1}: start time must be before end time`;
+    }
+    for (let j = i + 1; j < windows.length; j++) {
+      if (timeToMinutes(windows[i].startTime) < timeToMinutes(windows[j].endTime)
+        && timeToMinutes(windows[i].endTime) > timeToMinutes(windows[j].startTime)) {
+        return `Window ${i + 1} overlaps window ${j + 1}`;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Validate a consultant ID sent by an admin
+ * @returns {Promise<ObjectId|null>}
+ */
+const resolveConsultantId = async (consultantId) => {
+  if (!consultantId) {
+    return null;
+  }
+  const consultant = await User.findOne({ _id: consultantId, isDeleted: { $ne: true } }).select('_id').lean();
+  if (!consultant) {
+    throw new AppError('Consultant not found', 400);
+  }
+  return consultant._id;
+};
+
+/**
+ * Validate an intake form ID sent by an admin
+ * @returns {Promise<ObjectId|null>}
+ */
+const resolveIntakeFormId = async (intakeFormId) => {
+  if (!intakeFormId) {
+    return null;
+  }
+  const form = await ConsultationIntakeForm.findById(intakeFormId).select('_id').lean();
+  if (!form) {
+    throw new AppError('Intake form not found', 400);
+  }
+  return form._id;
+};
+
+/**
+ * Validate a consultation type ID sent by an admin
+ * @returns {Promise<Object|null>} Type with its duration
+ */
+const resolveType = async (typeId) => {
+  if (!typeId) {
+    return null;
+  }
+  const type = await ConsultationType.findById(typeId).select('_id duration').lean();
+  if (!type) {
+    throw new AppError('Consultation type not found', 400);
+  }
+  return type;
+};
+
+/**
+ * Copy the rule fields present in a request body onto a rule document
+ */
+const applyRuleFields = async (rule, body) => {
+  for (const field of RULE_FIELDS) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    switch (field) {
+      case 'consultantId':
+        rule.consultantId = await resolveConsultantId(body.consultantId);
+        break;
+      case 'windows':
+        rule.windows = body.windows.map(window => ({
+          startTime: window.startTime.trim(),
+          endTime: window.endTime.trim()
+        }));
+        break;
+      case 'daysOfWeek':
+        rule.daysOfWeek = [...new Set(body.daysOfWeek.map(Number))].sort();
+        break;
+      case 'validFrom':
+        rule.validFrom = normalizeDate(body.validFrom);
+        break;
+      case 'validUntil':
+        rule.validUntil = body.validUntil ? normalizeDate(body.validUntil) : null;
+        break;
+      case 'exceptions':
+        rule.exceptions = [...new Set(body.exceptions.map(toDateKey))].sort().map(normalizeDate);
+        break;
+      case 'typeId': {
+        const type = await resolveType(body.typeId);
+        rule.typeId = type?._id || null;
+        // A new rule's slots last as long as its type unless told otherwise
+        if (type && rule.isNew && body.duration === undefined) {
+          rule.duration = type.duration;
+          rule.interval = body.interval ?? type.duration;
+        }
+        break;
+      }
+      case 'intakeFormId':
+        rule.intakeFormId = await resolveIntakeFormId(body.intakeFormId);
+        break;
+      case 'notes':
+        rule.notes = body.notes?.trim() || null;
+        break;
+      default:
+        rule[field] = body[field];
+    }
+  }
+};
+
+/**
+ * Check the rule's values that depend on each other
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateRule = (rule) => {
+  if (!rule.windows || rule.windows.length === 0) {
+    return 'At least one time window is required';
+  }
+  const invalidWindows = validateWindows(rule.windows);
+  if (invalidWindows) {
+    return invalidWindows;
+  }
+  if (rule.validUntil && rule.validUntil < rule.validFrom) {
+    return 'validUntil must be on or after validFrom';
+  }
+  if (rule.windows.every(window => timeToMinutes(window.endTime) - timeToMinutes(window.startTime) < rule.duration)) {
+    return 'The time windows are shorter than the slot duration';
+  }
+  return null;
+};
+
+/**
+ * Admin: List availability rules
+ */
+const listRules = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const { consultantId, isActive } = req.query;
+    const filter = {};
+    if (consultantId) filter.consultantId = consultantId === 'team' ? null : consultantId;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const rules = await ConsultationAvailabilityRule.find(filter)
+      .populate('consultantId', 'name email')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      message: 'Availability rules fetched successfully',
+      data: rules
+    });
+  } catch (error) {
+    logger.error('List availability rules error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to fetch availability rules', 500));
+  }
+};
+
+/**
+ * Admin: Get an availability rule
+ */
+const getRule = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const rule = await ConsultationAvailabilityRule.findById(req.params.ruleId)
+      .populate('consultantId', 'name email')
+      .populate('createdBy', 'name email')
+      .lean();
+
+    if (!rule) {
+      return next(new AppError('Availability rule not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Availability rule fetched successfully',
+      data: rule
+    });
+  } catch (error) {
+    logger.error('Get availability rule error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to fetch availability rule', 500));
+  }
+};
+
+/**
+ * Admin: Create an availability rule
+ */
+const createRule = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const timezone = req.body.timezone || getBusinessTimeZone();
+    const rule = new ConsultationAvailabilityRule({
+      timezone,
+      interval: req.body.interval ?? req.body.duration ?? 30,
+      validFrom: normalizeDate(getZonedParts(new Date(), timezone).date),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+    await applyRuleFields(rule, req.body);
+
+    const invalid = validateRule(rule);
+    if (invalid) {
+      return next(new AppError(invalid, 400));
+    }
+
+    await rule.save();
+    await rule.populate('consultantId', 'name email');
+
+    logger.info(`Availability rule created: ${rule._id} by user: ${req.user._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Availability rule created successfully',
+      data: rule
+    });
+  } catch (error) {
+    logger.error('Create availability rule error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to create availability rule', 500));
+  }
+};
+
+/**
+ * Admin: Update an availability rule.
+ * Booked slots keep their time; unbooked stored slots the rule no longer generates are removed.
+ */
+const updateRule = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const rule = await ConsultationAvailabilityRule.findById(req.params.ruleId);
+    if (!rule) {
+      return next(new AppError('Availability rule not found', 404));
+    }
+
+    await applyRuleFields(rule, req.body);
+    rule.updatedBy = req.user._id;
+
+    const invalid = validateRule(rule);
+    if (invalid) {
+      return next(new AppError(invalid, 400));
+    }
+
+    await rule.save();
+    const removedSlots = await pruneMaterialisedSlots(rule._id, rule.toObject());
+    // Stored occurrences ask the rule's new form; bookings keep the answers they gave
+    if (req.body.intakeFormId !== undefined) {
+      await ConsultationSlot.updateMany(
+        { ruleId: rule._id, startAt: { $gte: new Date() } },
+        { $set: { intakeFormId: rule.intakeFormId } }
+      );
+    }
+    // Booked occurrences keep the type their bookings were made for
+    if (req.body.typeId !== undefined) {
+      await ConsultationSlot.updateMany(
+        { ruleId: rule._id, startAt: { $gte: new Date() }, bookedCount: { $in: [0, null] } },
+        { $set: { typeId: rule.typeId } }
+      );
+    }
+    await rule.populate('consultantId', 'name email');
+
+    logger.info(`Availability rule updated: ${rule._id} by user: ${req.user._id} (${removedSlots} stale slots removed)`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Availability rule updated successfully',
+      data: rule
+    });
+  } catch (error) {
+    logger.error('Update availability rule error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to update availability rule', 500));
+  }
+};
+
+/**
+ * Admin: Delete an availability rule. Booked slots and their bookings are kept.
+ */
+const deleteRule = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const rule = await ConsultationAvailabilityRule.findByIdAndDelete(req.params.ruleId);
+    if (!rule) {
+      return next(new AppError('Availability rule not found', 404));
+    }
+
+    const removedSlots = await pruneMaterialisedSlots(rule._id);
+
+    logger.info(`Availability rule deleted: ${rule._id} by user: ${req.user._id} (${removedSlots} unbooked slots removed)`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Availability rule deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete availability rule error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to delete availability rule', 500));
+  }
+};
+
+/**
+ * Admin: Occurrences of a rule between two dates (two weeks from today by default),
+ * with the stored slot of each occurrence and whether a blackout covers it
+ */
+const listOccurrences = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const rule = await ConsultationAvailabilityRule.findById(req.params.ruleId).lean();
+    if (!rule) {
+      return next(new AppError('Availability rule not found', 404));
+    }
+
+    const firstDay = req.query.startDate ? toDateKey(req.query.startDate) : getZonedParts(new Date(), rule.timezone).date;
+    const lastDay = req.query.endDate ? toDateKey(req.query.endDate) : addDays(firstDay, 13);
+    if (lastDay < firstDay) {
+      return next(new AppError('Start date must be before or equal to end date', 400));
+    }
+    if (lastDay > addDays(firstDay, config.consultation.ruleHorizonDays)) {
+      return next(new AppError(`The range cannot exceed ${config.consultation.ruleHorizonDays} days`, 400));
+    }
+
+    const from = zonedTimeToUtc(firstDay, '00:00', rule.timezone);
+    const to = zonedTimeToUtc(addDays(lastDay, 1), '00:00', rule.timezone);
+    const [storedSlots, blackouts] = await Promise.all([
+      ConsultationSlot.find({ ruleId: rule._id, startAt: { $gte: from, $lt: to } })
+        .select('status isAvailable bookedCount maxBookings startAt')
+        .lean(),
+      findBlackouts(from, to)
+    ]);
+    const storedById = new Map(storedSlots.map(slot => [toVirtualSlotId(rule._id, slot.startAt), slot]));
+
+    const occurrences = expandRule(rule, from, to).map(occurrence => ({
+      ...occurrence,
+      slot: storedById.get(occurrence._id) || null,
+      blackedOut: isBlackedOut(blackouts, occurrence.startAt, occurrence.endAt, occurrence.consultantId)
+    }));
+
+    res.status(200).json({
+      success: true,
+      message: 'Occurrences fetched successfully',
+      data: occurrences
+    });
+  } catch (error) {
+    logger.error('List rule occurrences error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to fetch occurrences', 500));
+  }
+};
+
+/**
+ * Admin: Store an occurrence as a slot so it can be edited like any other slot
+ * (e.g. given more capacity or cancelled to close it)
+ */
+const overrideOccurrence = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const slot = await materialiseOccurrence(toVirtualSlotId(req.params.ruleId, req.body.startAt));
+    if (!slot) {
+      return next(new AppError('No open future occurrence of this rule starts at this time', 404));
+    }
+
+    await slot.populate('consultantId', 'name email');
+
+    logger.info(`Rule occurrence stored as slot: ${slot._id} by user: ${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Occurrence stored as a slot. Update it through the slot endpoints.',
+      data: slot
+    });
+  } catch (error) {
+    logger.error('Override rule occurrence error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to override occurrence', 500));
+  }
+};
+
+/**
+ * Admin: List blackouts, upcoming ones by default
+ */
+const listBlackouts = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const { startDate, endDate, consultantId } = req.query;
+    const filter = {
+      endAt: { $gt: startDate ? normalizeDate(startDate) : new Date() }
+    };
+    if (endDate) {
+      filter.startAt = { $lt: new Date(normalizeDate(endDate).getTime() + 24 * 60 * 60 * 1000) };
+    }
+    if (consultantId) filter.consultantId = consultantId === 'team' ? null : consultantId;
+
+    const blackouts = await ConsultationBlackout.find(filter)
+      .populate('consultantId', 'name email')
+      .sort({ startAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      message: 'Blackouts fetched successfully',
+      data: blackouts
+    });
+  } catch (error) {
+    logger.error('List blackouts error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to fetch blackouts', 500));
+  }
+};
+
+/**
+ * Admin: Create a blackout from startDate to endDate (inclusive, whole days by default).
+ * Existing bookings are kept; the response counts those that overlap so they can be rescheduled.
+ */
+const createBlackout = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const { startDate, startTime, endTime, reason } = req.body;
+    const endDate = req.body.endDate || startDate;
+    const timezone = req.body.timezone || getBusinessTimeZone();
+    const consultantId = await resolveConsultantId(req.body.consultantId);
+
+    const startAt = zonedTimeToUtc(toDateKey(startDate), startTime || '00:00', timezone);
+    const endAt = endTime
+      ? zonedTimeToUtc(toDateKey(endDate), endTime, timezone)
+      : zonedTimeToUtc(addDays(toDateKey(endDate), 1), '00:00', timezone);
+    if (endAt <= startAt) {
+      return next(new AppError('The blackout must end after it starts', 400));
+    }
+
+    const blackout = await ConsultationBlackout.create({
+      startAt,
+      endAt,
+      timezone,
+      reason: reason?.trim() || null,
+      consultantId,
+      createdBy: req.user._id
+    });
+
+    const slotFilter = { startAt: { $lt: endAt }, endAt: { $gt: startAt } };
+    if (consultantId) slotFilter.consultantId = consultantId;
+    const overlappingSlotIds = await ConsultationSlot.find(slotFilter).distinct('_id');
+    const bookingFilter = { slotId: { $in: overlappingSlotIds }, status: { $in: ['pending', 'confirmed'] } };
+    if (consultantId) bookingFilter.consultantId = consultantId;
+    const affectedBookings = await ConsultationBooking.countDocuments(bookingFilter);
+
+    logger.info(`Blackout created: ${blackout._id} by user: ${req.user._id} (${affectedBookings} bookings affected)`);
+
+    res.status(201).json({
+      success: true,
+      message: affectedBookings > 0
+        ? `Blackout created. ${affectedBookings} existing booking(s) overlap it and should be rescheduled.`
+        : 'Blackout created successfully',
+      data: {
+        ...blackout.toJSON(),
+        affectedBookings
+      }
+    });
+  } catch (error) {
+    logger.error('Create blackout error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to create blackout', 500));
+  }
+};
+
+/**
+ * Admin: Delete a blackout
+ */
+const deleteBlackout = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const blackout = await ConsultationBlackout.findByIdAndDelete(req.params.blackoutId);
+    if (!blackout) {
+      return next(new AppError('Blackout not found', 404));
+    }
+
+    logger.info(`Blackout deleted: ${blackout._id} by user: ${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Blackout deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete blackout error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to delete blackout', 500));
+  }
+};
+
+module.exports = {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  listOccurrences,
+  overrideOccurrence,
+  listBlackouts,
+  createBlackout,
+  deleteBlackout
+};
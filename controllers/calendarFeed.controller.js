@@ -0,0 +1,163 @@
+const ConsultationSlot = require('../models/ConsultationSlot');
+const ConsultationBooking = require('../models/ConsultationBooking');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { buildCalendar, buildBookingEvent } = require('../utils/ics');
+const { getUserPermissionSet, hasAnyPermission } = require('../utils/aclCache');
+const { issueFeedToken, revokeFeedToken, findFeedUser } = require('../auth/calendar-feed-token');
+
+// Past consultations stay in the feed for a while, so subscribers keep their history
+const FEED_PAST_DAYS = 30;
+
+const getBaseUrl = (req) => {
+  const forwardedProto = req.headers['x-forwarded-proto'];
+  const protocol = forwardedProto ? forwardedProto.split(',')[0].trim() : req.protocol;
+  const forwardedHost = req.headers['x-forwarded-host'];
+  const host = forwardedHost ? forwardedHost.split(',')[0].trim() : req.get('host');
+  return `${protocol}://${host}`;
+};
+
+/**
+ * Admin: Status of the current user's consultation feed.
+ * The URL is only shown when the feed is created, as the token is stored hashed.
+ */
+const getConsultationFeed = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const user = await User.findById(req.user._id).select('calendarFeed').lean();
+    const feed = user?.calendarFeed?.createdAt ? user.calendarFeed : null;
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed fetched successfully',
+      data: {
+        enabled: Boolean(feed),
+        scope: feed ? feed.scope : null,
+        createdAt: feed ? feed.createdAt : null
+      }
+    });
+  } catch (error) {
+    logger.error('Get calendar feed error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to fetch calendar feed', 500));
+  }
+};
+
+/**
+ * Admin: Create the current user's consultation feed, or replace its URL
+ */
+const createConsultationFeed = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const scope = req.body.scope || 'mine';
+    const token = await issueFeedToken(req.user._id, scope);
+    if (!token) {
+      return next(new AppError('User not found', 404));
+    }
+
+    logger.info(`Calendar feed created for user: ${req.user._id} (scope: ${scope})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created. Copy the URL now, it is not shown again.',
+      data: {
+        scope,
+        url: `${getBaseUrl(req)}/api/v1/consultation/calendar/${token}.ics`
+      }
+    });
+  } catch (error) {
+    logger.error('Create calendar feed error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to create calendar feed', 500));
+  }
+};
+
+/**
+ * Admin: Turn off the current user's consultation feed
+ */
+const deleteConsultationFeed = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const revoked = await revokeFeedToken(req.user._id);
+    if (!revoked) {
+      return next(new AppError('No calendar feed to delete', 404));
+    }
+
+    logger.info(`Calendar feed deleted for user: ${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete calendar feed error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to delete calendar feed', 500));
+  }
+};
+
+/**
+ * Public: ICS feed of confirmed consultations, authorised by the token in the URL.
+ * Scope 'mine' lists the bookings assigned to the feed's owner, 'all' every booking.
+ */
+const consultationFeed = async (req, res, next) => {
+  try {
+    const user = await findFeedUser(req.params.token);
+    // Owners who lost access to consultations lose their feed as well
+    const permissions = user ? await getUserPermissionSet(user._id) : null;
+    if (!user || !hasAnyPermission(permissions, [{ type: 'CONSULTATION', action: 'READ' }])) {
+      return next(new AppError('Calendar feed not found', 404));
+    }
+
+    const slots = await ConsultationSlot.find({
+      startAt: { $gte: new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000) }
+    })
+      .select('startAt endAt')
+      .lean();
+    const slotsById = new Map(slots.map((slot) => [String(slot._id), slot]));
+
+    const filter = {
+      slotId: { $in: slots.map((slot) => slot._id) },
+      status: 'confirmed'
+    };
+    if (user.calendarFeed.scope !== 'all') {
+      filter.consultantId = user._id;
+    }
+    const bookings = await ConsultationBooking.find(filter).lean();
+
+    const calendar = buildCalendar({
+      name: user.calendarFeed.scope === 'all' ? 'EuProximaX Consultations' : `EuProximaX Consultations - ${user.name}`,
+      events: bookings.map((booking) => {
+        const slot = slotsById.get(String(booking.slotId));
+        return buildBookingEvent(
+          booking,
+          { start: slot.startAt, end: slot.endAt },
+          { forAdmin: true, url: `${config.adminPortal.url}/admin/consultation-bookings/${booking._id}` }
+        );
+      })
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="consultations.ics"');
+    res.set('Cache-Control', 'private, no-store');
+    res.status(200).send(calendar);
+  } catch (error) {
+    logger.error('Consultation calendar feed error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to load the consultations calendar', 500));
+  }
+};
+
+module.exports = {
+  getConsultationFeed,
+  createConsultationFeed,
+  deleteConsultationFeed,
+  consultationFeed
+};
@@ -0,0 +1,193 @@
+const ConsultantAvailability = require('../models/ConsultantAvailability');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { countUpcomingBookings } = require('../utils/consultantAssignment');
+
+const timeToMinutes = (time) => {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+};
+
+/**
+ * Validate weekly hours: each window must end after it starts and
+ * must not overlap another window on the same day
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateWeeklyHours = (weeklyHours) => {
+  for (let i = 0; i < weeklyHours.length; i++) {
+    const window = weeklyHours[i];
+    if (timeToMinutes(window.startTime) >= timeToMinutes(window.endTime)) {
+      return `Window ${i + 1}: start time must be before end time`;
+    }
+    for (let j = i + 1; j < weeklyHours.length; j++) {
+      const other = weeklyHours[j];
+      if (other.dayOfWeek === window.dayOfWeek
+        && timeToMinutes(window.startTime) < timeToMinutes(other.endTime)
+        && timeToMinutes(window.endTime) > timeToMinutes(other.startTime)) {
+        return `Window ${i + 1} overlaps window ${j + 1}`;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Admin: List consultants with their weekly availability and upcoming load
+ */
+const listConsultants = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const availabilities = await ConsultantAvailability.find({})
+      .populate('consultantId', 'name email')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const load = await countUpcomingBookings(
+      availabilities.map(availability => availability.consultantId?._id).filter(Boolean)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Consultants fetched successfully',
+      data: {
+        assignmentStrategy: config.consultation.assignmentStrategy,
+        items: availabilities.map(availability => ({
+          ...availability,
+          upcomingBookings: load.get(String(availability.consultantId?._id)) || 0
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('List consultants error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to fetch consultants', 500));
+  }
+};
+
+/**
+ * Admin: Get a consultant's weekly availability template
+ */
+const getAvailability = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const availability = await ConsultantAvailability.findOne({ consultantId: req.params.consultantId })
+      .populate('consultantId', 'name email')
+      .lean();
+
+    if (!availability) {
+      return next(new AppError('No availability template for this consultant', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Availability fetched successfully',
+      data: availability
+    });
+  } catch (error) {
+    logger.error('Get consultant availability error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to fetch availability', 500));
+  }
+};
+
+/**
+ * Admin: Create or replace a consultant's weekly availability template
+ */
+const saveAvailability = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const { consultantId } = req.params;
+    const { timezone, weeklyHours = [], calendarId, meetingUrl, isActive } = req.body;
+
+    const consultant = await User.findOne({ _id: consultantId, isDeleted: { $ne: true } }).select('_id').lean();
+    if (!consultant) {
+      return next(new AppError('Consultant not found', 404));
+    }
+
+    const hours = weeklyHours.map(window => ({
+      dayOfWeek: Number(window.dayOfWeek),
+      startTime: window.startTime.trim(),
+      endTime: window.endTime.trim()
+    }));
+
+    const invalid = validateWeeklyHours(hours);
+    if (invalid) {
+      return next(new AppError(invalid, 400));
+    }
+
+    const updates = {
+      timezone: timezone || config.googleCalendar.timezone || 'Asia/Kolkata',
+      weeklyHours: hours,
+      updatedBy: req.user._id
+    };
+    if (calendarId !== undefined) {
+      updates.calendarId = calendarId?.trim() || null;
+    }
+    if (meetingUrl !== undefined) {
+      updates.meetingUrl = meetingUrl?.trim() || null;
+    }
+    if (isActive !== undefined) {
+      updates.isActive = isActive;
+    }
+
+    const availability = await ConsultantAvailability.findOneAndUpdate(
+      { consultantId: consultant._id },
+      { $set: updates },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).populate('consultantId', 'name email');
+
+    logger.info(`Consultant availability saved: ${consultantId} by user: ${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Availability saved successfully',
+      data: availability
+    });
+  } catch (error) {
+    logger.error('Save consultant availability error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to save availability', 500));
+  }
+};
+
+/**
+ * Admin: Remove a consultant's template, taking them out of automatic assignment.
+ * Their slots and existing bookings are kept.
+ */
+const deleteAvailability = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const deleted = await ConsultantAvailability.findOneAndDelete({ consultantId: req.params.consultantId });
+    if (!deleted) {
+      return next(new AppError('No availability template for this consultant', 404));
+    }
+
+    logger.info(`Consultant availability deleted: ${req.params.consultantId} by user: ${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Availability deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete consultant availability error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to delete availability', 500));
+  }
+};
+
+module.exports = {
+  listConsultants,
+  getAvailability,
+  saveAvailability,
+  deleteAvailability
+};
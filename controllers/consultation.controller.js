@@ -7,46 +7,46 @@ const config = require('../utils/config');
 const User = require('../models/User');
 const Role = require('../models/Role');
 const UserRole = require('../models/UserRole');
-const { createCalendarEventWithMeet } = require('../utils/googleCalendar');
-
-/**
- * Calculate end time from start time and duration
- * @param {string} startTime - Start time in HH:MM format
- * @param {number} duration - Duration in minutes
- * @returns {string} End time in HH:MM format
- */
-const calculateEndTime = (startTime, duration) => {
-  const [hours, minutes] = startTime.split(':').map(Number);
-  const startDate = new Date();
-  startDate.setHours(hours, minutes, 0, 0);
-  
-  const endDate = new Date(startDate.getTime() + duration * 60000);
-  const endHours = String(endDate.getHours()).padStart(2, '0');
-  const endMinutes = String(endDate.getMinutes()).padStart(2, '0');
-  
-  return `${endHours}:${endMinutes}`;
-};
+const ConsultantAvailability = require('../models/ConsultantAvailability');
+const ConsultationIntakeForm = require('../models/ConsultationIntakeForm');
+const ConsultationType = require('../models/ConsultationType');
+const { createMeeting, moveMeeting } = require('../utils/meetingProviders');
+const { createPayment, parseWebhook } = require('../utils/paymentProviders');
+const { formatAmount, sendPaymentRequestEmail, cancelUnpaidBooking } = require('../utils/consultationPayments');
+const { assignConsultant, findFreeConsultants } = require('../utils/consultantAssignment');
+const {
+  parseVirtualSlotId,
+  expandRules,
+  materialiseOccurrence,
+  findBlackouts,
+  isBlackedOut,
+  hasBlackout
+} = require('../utils/availabilityRules');
+const bookingToken = require('../auth/booking-token');
+const { verifyClaimToken } = require('../auth/waitlist-token');
+const ConsultationWaitlistEntry = require('../models/ConsultationWaitlistEntry');
+const { offerFreedSeats, returnToWaitlist } = require('../utils/consultationWaitlist');
+const { resolveIntakeForm, findIntakeFormForSlot, validateIntakeAnswers } = require('../utils/intakeForms');
+const { buildCalendar, buildBookingEvent, toAttachment } = require('../utils/ics');
+const {
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays,
+  formatZonedDate,
+  formatZonedTimeRange,
+  formatZonedRange
+} = require('../utils/timezone');
 
 /**
  * Check if two time ranges overlap
- * @param {string} start1 - Start time 1
- * @param {string} end1 - End time 1
- * @param {string} start2 - Start time 2
- * @param {string} end2 - End time 2
+ * @param {Date} start1 - Start of range 1
+ * @param {Date} end1 - End of range 1
+ * @param {Date} start2 - Start of range 2
+ * @param {Date} end2 - End of range 2
  * @returns {boolean} True if they overlap
  */
 const timeRangesOverlap = (start1, end1, start2, end2) => {
-  const timeToMinutes = (time) => {
-    const [h, m] = time.split(':').map(Number);
-    return h * 60 + m;
-  };
-  
-  const s1 = timeToMinutes(start1);
-  const e1 = timeToMinutes(end1);
-  const s2 = timeToMinutes(start2);
-  const e2 = timeToMinutes(end2);
-  
-  return (s1 < e2 && e1 > s2);
+  return (new Date(start1) < new Date(end2) && new Date(end1) > new Date(start2));
 };
 
 /**
@@ -59,182 +59,425 @@ const normalizeDate = (date) => {
 };
 
 /**
- * Generate a unique Google Meet link (Legacy fallback)
- * Note: This generates a link format that follows Google Meet's pattern (abc-defg-hij)
- * This is used as a fallback if Google Calendar API is not configured or fails
+ * Timezone the consultations are run in (IST by default).
+ * Slots created without a timezone, including all slots from before
+ * timezone support, belong to it.
  */
-const generateGoogleMeetLink = () => {
-  const { baseUrl, codeFormat, characterSet } = config.googleMeet;
-  
-  // Generate a random string for each part of the meeting code
-  const generatePart = (length) => {
-    let result = '';
-    for (let i = 0; i < length; i++) {
-      result += characterSet.charAt(Math.floor(Math.random() * characterSet.length));
-    }
-    return result;
+const getBusinessTimeZone = () => config.googleCalendar.timezone || 'Asia/Kolkata';
+
+const getSlotTimeZone = (slot) => slot.timezone || getBusinessTimeZone();
+
+/**
+ * Today's date in a timezone, normalized like slot dates
+ */
+const getZonedToday = (timezone) => normalizeDate(getZonedParts(new Date(), timezone).date);
+
+/**
+ * Slot fields for a wall-clock date and start time in the slot's timezone
+ * @param {Date|string} date - Slot date
+ * @param {string} startTime - Start time in HH:MM format
+ * @param {number} duration - Duration in minutes
+ * @param {string} timezone - IANA timezone owning the slot
+ * @returns {Object} { date, startTime, endTime, timezone, startAt, endAt }
+ */
+const resolveSlotTimes = (date, startTime, duration, timezone) => {
+  const dateString = normalizeDate(date).toISOString().split('T')[0];
+  const startAt = zonedTimeToUtc(dateString, startTime.trim(), timezone);
+  const endAt = new Date(startAt.getTime() + Number(duration) * 60000);
+
+  return {
+    date: normalizeDate(dateString),
+    startTime: startTime.trim(),
+    endTime: getZonedParts(endAt, timezone).time,
+    timezone,
+    startAt,
+    endAt
   };
-  
-  const part1 = generatePart(codeFormat.part1Length);
-  const part2 = generatePart(codeFormat.part2Length);
-  const part3 = generatePart(codeFormat.part3Length);
-  
-  return `${baseUrl}/${part1}-${part2}-${part3}`;
 };
 
 /**
- * Create Google Calendar event with Meet link for consultation booking
+ * Find a non-cancelled slot of the same consultant (or of the team) overlapping a time range
+ * @param {Date} startAt
+ * @param {Date} endAt
+ * @param {ObjectId} excludeSlotId - Slot being updated, if any
+ * @param {ObjectId} consultantId - Owner of the slot; null for team slots
+ * @returns {Promise<Object|null>}
+ */
+const findConflictingSlot = (startAt, endAt, excludeSlotId, consultantId = null) => {
+  const filter = {
+    consultantId: consultantId || null,
+    status: { $ne: 'cancelled' },
+    startAt: { $lt: endAt },
+    endAt: { $gt: startAt }
+  };
+  if (excludeSlotId) {
+    filter._id = { $ne: excludeSlotId };
+  }
+  return ConsultationSlot.findOne(filter).lean();
+};
+
+/**
+ * Slot a booking is placed in. Virtual slots of availability rules are stored first.
+ * @param {String} slotId - Stored or virtual slot ID
+ * @returns {Promise<Object|null>} Slot document
+ */
+const findSlotForBooking = (slotId) => (parseVirtualSlotId(slotId)
+  ? materialiseOccurrence(slotId)
+  : ConsultationSlot.findById(slotId));
+
+/**
+ * Validate a consultant ID sent by an admin
+ * @param {string|null} consultantId - User ID, or null/empty for the team
+ * @returns {Promise<ObjectId|null>}
+ */
+const resolveConsultantId = async (consultantId) => {
+  if (!consultantId) {
+    return null;
+  }
+  const consultant = await User.findOne({ _id: consultantId, isDeleted: { $ne: true } }).select('_id').lean();
+  if (!consultant) {
+    throw new AppError('Consultant not found', 400);
+  }
+  return consultant._id;
+};
+
+/**
+ * Validate an intake form ID sent by an admin
+ * @param {string|null} intakeFormId - Form ID, or null/empty for the default form
+ * @returns {Promise<ObjectId|null>}
+ */
+const resolveIntakeFormId = async (intakeFormId) => {
+  if (!intakeFormId) {
+    return null;
+  }
+  const form = await ConsultationIntakeForm.findById(intakeFormId).select('_id').lean();
+  if (!form) {
+    throw new AppError('Intake form not found', 400);
+  }
+  return form._id;
+};
+
+/**
+ * Validate a consultation type ID sent by an admin
+ * @param {string|null} typeId - Type ID, or null/empty for a generic consultation
+ * @returns {Promise<Object|null>} Type with its duration
+ */
+const resolveType = async (typeId) => {
+  if (!typeId) {
+    return null;
+  }
+  const type = await ConsultationType.findById(typeId).select('_id duration').lean();
+  if (!type) {
+    throw new AppError('Consultation type not found', 400);
+  }
+  return type;
+};
+
+/**
+ * Consultation type of a slot being booked
+ * @param {Object} slot - Slot being booked
+ * @returns {Promise<Object|null>} Active type, or null for a generic slot
+ */
+const findBookableType = async (slot) => {
+  if (!slot.typeId) {
+    return null;
+  }
+  const type = await ConsultationType.findOne({ _id: slot.typeId, isActive: true }).lean();
+  if (!type) {
+    throw new AppError('This consultation type is no longer offered', 400);
+  }
+  return type;
+};
+
+/**
+ * Whether a booking of a paid type still waits for its payment
+ */
+const isAwaitingPayment = (booking) => booking.payment?.amount > 0 && booking.payment.status !== 'paid';
+
+/**
+ * Consultant filter of the admin lists: a user ID, or 'team' for unassigned
+ */
+const consultantFilter = (consultantId) => (consultantId === 'team' ? null : consultantId);
+
+/**
+ * Start and end of a slot as Date objects
+ * @param {Object} slot - Consultation slot object
+ * @returns {Object} { startDateTime, endDateTime }
+ */
+const getSlotDateTimes = (slot) => {
+  if (slot.startAt && slot.endAt) {
+    return { startDateTime: new Date(slot.startAt), endDateTime: new Date(slot.endAt) };
+  }
+
+  // Slots not yet migrated only have wall-clock fields
+  const timezone = getSlotTimeZone(slot);
+  const dateString = normalizeDate(slot.date).toISOString().split('T')[0];
+  const startDateTime = zonedTimeToUtc(dateString, slot.startTime, timezone);
+  let endDateTime = zonedTimeToUtc(dateString, slot.endTime, timezone);
+
+  // If endTime is earlier than startTime, assume it's next day
+  if (endDateTime <= startDateTime) {
+    endDateTime = zonedTimeToUtc(addDays(dateString, 1), slot.endTime, timezone);
+  }
+
+  return { startDateTime, endDateTime };
+};
+
+/**
+ * Date and time of a slot for display in a timezone
  * @param {Object} slot - Consultation slot object
- * @param {Object} booking - Booking object with user details
- * @returns {Promise<string>} Google Meet link
+ * @param {string} timezone - IANA timezone, defaults to the business timezone
+ * @returns {Object} { date, time } e.g. { date: 'Tuesday, October 20, 2026', time: '8:00 PM - 8:30 PM IST' }
  */
-const createGoogleMeetForBooking = async (slot, booking) => {
-  try {
-    // Calculate start and end datetime
-    const startDateTime = new Date(slot.date);
-    const [startHours, startMinutes] = slot.startTime.split(':').map(Number);
-    startDateTime.setHours(startHours, startMinutes, 0, 0);
-
-    const endDateTime = new Date(slot.date);
-    const [endHours, endMinutes] = slot.endTime.split(':').map(Number);
-    endDateTime.setHours(endHours, endMinutes, 0, 0);
-
-    // If endTime is earlier than startTime, assume it's next day
-    if (endDateTime <= startDateTime) {
-      endDateTime.setDate(endDateTime.getDate() + 1);
-    }
-
-    // Format date for description
-    const formattedDate = startDateTime.toLocaleDateString('en-IN', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
-    const formattedTime = startDateTime.toLocaleTimeString('en-IN', {
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: true
-    });
+const formatSlotTime = (slot, timezone = getBusinessTimeZone()) => {
+  const { startDateTime, endDateTime } = getSlotDateTimes(slot);
+  return {
+    date: formatZonedDate(startDateTime, timezone),
+    time: formatZonedTimeRange(startDateTime, endDateTime, timezone)
+  };
+};
 
-    // Create event description
-    const description = `Consultation Booking Details:
+/**
+ * Slot time in the client's timezone, plus business time when the two differ
+ * @param {Object} slot - Consultation slot object
+ * @param {string} clientTimezone - Booking's timezone, if the client sent one
+ * @returns {Object} { local: { date, time }, business: { date, time } | null }
+ */
+const getBookingSlotTimes = (slot, clientTimezone) => {
+  const businessTimezone = getBusinessTimeZone();
+  const local = formatSlotTime(slot, clientTimezone || businessTimezone);
+  const business = clientTimezone && clientTimezone !== businessTimezone
+    ? formatSlotTime(slot, businessTimezone)
+    : null;
+  return { local, business };
+};
+
+/**
+ * Calendar event description for a booking
+ */
+const buildCalendarDescription = (slot, booking) => {
+  const { date, time } = formatSlotTime(slot);
+  const clientTime = booking.timezone && booking.timezone !== getBusinessTimeZone()
+    ? formatSlotTime(slot, booking.timezone)
+    : null;
+
+  return `Consultation Booking Details:
     
 Client: ${booking.userName}
 Email: ${booking.userEmail}
 Phone: ${booking.userPhone}
 ${booking.message ? `Message: ${booking.message}` : ''}
 
-Date: ${formattedDate}
-Time: ${formattedTime} IST
+Date: ${date}
+Time: ${time}
+${clientTime ? `Client's time: ${clientTime.date}, ${clientTime.time}` : ''}
 
 This is an automated consultation booking.`;
+};
 
-    // Note: Service accounts cannot add attendees without domain-wide delegation
-    // We'll create the event without attendees, but the Meet link will still be generated
-    // Users can manually invite people using the Meet link
-    const attendees = []; // Empty array - service accounts can't invite without domain-wide delegation
-
-    // Create calendar event with Meet link
-    const eventResult = await createCalendarEventWithMeet({
-      startDateTime,
-      endDateTime,
-      summary: `Consultation: ${booking.userName}`,
-      description,
-      attendees,
-      location: 'Google Meet',
-      timezone: config.googleCalendar.timezone || 'Asia/Kolkata'
-    });
-
-    logger.info('Google Calendar event created for booking', {
-      bookingId: booking._id,
-      eventId: eventResult.eventId,
-      meetLink: eventResult.meetLink ? 'generated' : 'missing'
-    });
+/**
+ * Create or move the booking's meeting with the configured provider (MEETING_PROVIDER)
+ * and store the result on the booking, without saving it. When no link could be made,
+ * the booking keeps no link and gets a `meetingLinkIssue`, and the admins are alerted.
+ * @param {Object} booking - Booking with its slot and consultant already set
+ * @param {Object} slot - Slot the booking is in
+ * @param {Object} options - { move: move the existing meeting instead of creating one }
+ */
+const applyMeeting = async (booking, slot, { move = false } = {}) => {
+  const { startDateTime, endDateTime } = getSlotDateTimes(slot);
+  const context = {
+    booking,
+    startAt: startDateTime,
+    endAt: endDateTime,
+    timezone: getSlotTimeZone(slot),
+    description: buildCalendarDescription(slot, booking)
+  };
 
-    return eventResult.meetLink;
+  let meeting;
+  try {
+    meeting = move ? await moveMeeting(context) : await createMeeting(context);
   } catch (error) {
-    logger.error('Failed to create Google Calendar event for booking', {
+    logger.error('Failed to create meeting link for booking', {
       bookingId: booking._id,
       error: error.message,
       stack: error.stack
     });
-    
-    // Fallback to generated link if Calendar API fails
-    logger.warn('Falling back to generated Meet link format');
-    return generateGoogleMeetLink();
+    meeting = {
+      provider: null,
+      meetingLink: null,
+      calendarEventId: null,
+      calendarId: null,
+      pendingReason: `Meeting link could not be created: ${error.message}`
+    };
+  }
+
+  const pendingReason = meeting.meetingLink ? null : meeting.pendingReason;
+  const isNewIssue = Boolean(pendingReason) && pendingReason !== booking.meetingLinkIssue;
+
+  booking.meetingLink = meeting.meetingLink;
+  booking.meetingProvider = meeting.provider;
+  booking.calendarEventId = meeting.calendarEventId;
+  booking.calendarId = meeting.calendarId;
+  booking.meetingLinkIssue = pendingReason;
+
+  if (isNewIssue) {
+    sendMeetingLinkAlert(booking, slot).catch(error => {
+      logger.error('Email sending error (non-blocking)', { error: error.message });
+    });
   }
 };
 
+/**
+ * Manage token sent by the client as X-Booking-Token header, ?token= or body.token
+ */
+const getManageToken = (req) => req.get('x-booking-token') || req.query.token || req.body?.token;
+
+/**
+ * Client-facing link to view and manage a booking
+ */
+const getManageUrl = (bookingId, manageToken) =>
+  `${config.website.url}/consultation/confirmation/${bookingId}?token=${encodeURIComponent(manageToken)}`;
+
+const maskEmail = (email = '') => {
+  const [name, domain] = email.split('@');
+  if (!domain) return '';
+  return `${name.slice(0, 1)}***@${domain}`;
+};
+
+/**
+ * Redacted booking for public routes: no phone, message, admin fields or full email
+ */
+const toPublicBooking = (booking) => {
+  const slot = booking.slotId && booking.slotId.date ? booking.slotId : null;
+  return {
+    _id: booking._id,
+    status: booking.status,
+    userName: booking.userName,
+    userEmail: maskEmail(booking.userEmail),
+    meetingLink: booking.status === 'cancelled' ? null : booking.meetingLink,
+    typeName: booking.typeName || null,
+    payment: booking.payment?.status ? {
+      status: booking.payment.status,
+      amount: booking.payment.amount,
+      currency: booking.payment.currency,
+      // The client can return to the checkout until the payment is made
+      checkoutUrl: booking.payment.status === 'pending' ? booking.payment.checkoutUrl : null
+    } : null,
+    cancelledAt: booking.cancelledAt,
+    createdAt: booking.createdAt,
+    slotId: slot ? {
+      _id: slot._id,
+      date: slot.date,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      timezone: getSlotTimeZone(slot),
+      startAt: getSlotDateTimes(slot).startDateTime,
+      duration: slot.duration
+    } : null,
+    timezone: booking.timezone
+  };
+};
+
+/**
+ * Load a booking for a client request, checking its manage token
+ * @returns {Promise<Object|null>} Booking with populated slot, or null when the token does not match
+ */
+const findBookingByManageToken = async (bookingId, manageToken) => {
+  // Signature check first so forged tokens never reach the database
+  if (!bookingToken.hasValidSignature(bookingId, manageToken)) {
+    return null;
+  }
+  const booking = await ConsultationBooking.findById(bookingId)
+    .select('+manageTokenHash')
+    .populate('slotId');
+  if (!booking || !bookingToken.verifyManageToken(booking, manageToken)) {
+    return null;
+  }
+  return booking;
+};
+
 // ==================== PUBLIC METHODS ====================
 
 /**
  * Get available slots for booking
+ * Dates in the query and the `local` times in the response are in `timezone`
+ * (the business timezone by default). Stored slots are merged with the virtual
+ * slots of the availability rules; slots overlapping a blackout or of an inactive
+ * consultation type are left out. `typeId` lists the slots of one type.
  */
 const getAvailableSlots = async (req, res, next) => {
   try {
-    const { date, startDate, endDate } = req.query;
+    const { date, startDate, endDate, typeId } = req.query;
+    const timezone = req.query.timezone || getBusinessTimeZone();
     
     const filter = {
       status: 'available',
-      isAvailable: true
+      isAvailable: true,
+      $expr: { $lt: [{ $ifNull: ['$bookedCount', 0] }, '$maxBookings'] }
     };
+    if (typeId) {
+      filter.typeId = typeId;
+    }
+    
+    // Start of a calendar day in the requested timezone
+    const startOfDay = (day, offsetDays = 0) =>
+      zonedTimeToUtc(addDays(normalizeDate(day).toISOString().split('T')[0], offsetDays), '00:00', timezone);
     
     // Filter by date or date range
     if (date) {
-      const slotDate = normalizeDate(date);
-      filter.date = slotDate;
+      filter.startAt = { $gte: startOfDay(date), $lt: startOfDay(date, 1) };
     } else if (startDate || endDate) {
-      filter.date = {};
+      filter.startAt = {};
       if (startDate) {
-        filter.date.$gte = normalizeDate(startDate);
+        filter.startAt.$gte = startOfDay(startDate);
       }
       if (endDate) {
-        filter.date.$lte = normalizeDate(endDate);
+        filter.startAt.$lt = startOfDay(endDate, 1);
       }
     } else {
       // Default: from today onwards
-      filter.date = { $gte: normalizeDate(new Date()) };
+      filter.startAt = { $gte: startOfDay(new Date()) };
     }
     
-    // Get slots
-    const slots = await ConsultationSlot.find(filter)
-      .sort({ date: 1, startTime: 1 })
+    // Get slots (fully booked slots are excluded by the filter)
+    const storedSlots = await ConsultationSlot.find(filter)
+      .sort({ startAt: 1 })
       .lean();
     
-    // Get booking counts for each slot
-    const slotIds = slots.map(s => s._id);
-    const bookingCounts = await ConsultationBooking.aggregate([
-      {
-        $match: {
-          slotId: { $in: slotIds },
-          status: { $nin: ['cancelled'] }
-        }
-      },
-      {
-        $group: {
-          _id: '$slotId',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
-    
-    const bookingCountMap = {};
-    bookingCounts.forEach(bc => {
-      bookingCountMap[bc._id.toString()] = bc.count;
-    });
+    // Rule occurrences are only offered from now on
+    const now = new Date();
+    const ruleFrom = filter.startAt.$gte && filter.startAt.$gte > now ? filter.startAt.$gte : now;
+    const ruleSlots = (await expandRules(ruleFrom, filter.startAt.$lt))
+      .filter(slot => !typeId || String(slot.typeId) === String(typeId));
     
-    // Filter out fully booked slots and add booking count
-    const availableSlots = slots
-      .filter(slot => {
-        const bookingCount = bookingCountMap[slot._id.toString()] || 0;
-        return bookingCount < slot.maxBookings;
-      })
-      .map(slot => ({
-        ...slot,
-        bookingCount: bookingCountMap[slot._id.toString()] || 0,
-        availableSpots: slot.maxBookings - (bookingCountMap[slot._id.toString()] || 0)
-      }));
+    const types = await ConsultationType.find({ isActive: true })
+      .select('name slug description duration fee')
+      .lean();
+    const typesById = new Map(types.map(type => [String(type._id), type]));
+    
+    const blackouts = storedSlots.length > 0
+      ? await findBlackouts(storedSlots[0].startAt, new Date(Math.max(...storedSlots.map(slot => slot.endAt))))
+      : [];
+    const slots = [
+      ...storedSlots.filter(slot => !isBlackedOut(blackouts, slot.startAt, slot.endAt, slot.consultantId)),
+      ...ruleSlots
+    ]
+      .filter(slot => !slot.typeId || typesById.has(String(slot.typeId)))
+      .sort((a, b) => a.startAt - b.startAt);
+    
+    const availableSlots = slots.map(slot => ({
+      ...slot,
+      type: slot.typeId ? typesById.get(String(slot.typeId)) : null,
+      timezone: getSlotTimeZone(slot),
+      local: {
+        timezone,
+        date: getZonedParts(slot.startAt, timezone).date,
+        startTime: getZonedParts(slot.startAt, timezone).time,
+        endTime: getZonedParts(slot.endAt, timezone).time
+      },
+      bookingCount: slot.bookedCount || 0,
+      availableSpots: slot.maxBookings - (slot.bookedCount || 0)
+    }));
     
     res.status(200).json({
       success: true,
@@ -248,29 +491,61 @@ const getAvailableSlots = async (req, res, next) => {
 };
 
 /**
- * Send booking receipt email to user
+ * Intake form a client answers when booking a slot (stored or virtual).
+ * `data` is null when the slot asks no questions.
  */
-const sendBookingReceiptEmail = async (booking) => {
+const getSlotIntakeForm = async (req, res, next) => {
   try {
-    const slot = booking.slotId;
-    const slotDate = new Date(slot.date);
-    const formattedDate = slotDate.toLocaleDateString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
+    const form = await findIntakeFormForSlot(req.params.slotId);
+    if (form === undefined) {
+      return next(new AppError('Consultation slot not found', 404));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Intake form fetched successfully',
+      data: form ? {
+        _id: form._id,
+        name: form.name,
+        description: form.description || null,
+        questions: form.questions
+      } : null
     });
+  } catch (error) {
+    logger.error('Get slot intake form error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to fetch intake form', 500));
+  }
+};
 
-    const formatTime = (timeString) => {
-      const [hours, minutes] = timeString.split(':').map(Number);
-      const hour = hours % 12 || 12;
-      const ampm = hours >= 12 ? 'PM' : 'AM';
-      return `${hour}:${String(minutes).padStart(2, '0')} ${ampm}`;
-    };
+/**
+ * .ics attachment with the client's calendar entry of a booking.
+ * The booking's UID stays the same, so a later attachment updates the entry.
+ * @param {Object} booking - Booking with populated slotId
+ * @param {String} manageUrl - Client's manage link, when known
+ */
+const buildBookingIcsAttachment = (booking, manageUrl = null) => {
+  const { startDateTime, endDateTime } = getSlotDateTimes(booking.slotId);
+  const calendar = buildCalendar({
+    events: [buildBookingEvent(booking, { start: startDateTime, end: endDateTime }, { url: manageUrl })]
+  });
+  return toAttachment(calendar, 'consultation.ics');
+};
+
+/**
+ * Send booking receipt email to user
+ * @param {Object} booking - Booking with populated slotId
+ * @param {String} manageToken - Client's manage token; null when the payment email already carried the manage link
+ */
+const sendBookingReceiptEmail = async (booking, manageToken) => {
+  try {
+    const slot = booking.slotId;
+    const { local, business } = getBookingSlotTimes(slot, booking.timezone);
 
     const bookingId = booking._id.toString();
-    const websiteUrl = config.website.url;
-    const cancelUrl = `${websiteUrl}/consultation/confirmation/${bookingId}`;
+    const cancelUrl = manageToken ? getManageUrl(bookingId, manageToken) : null;
+    const amountPaid = booking.payment?.status === 'paid'
+      ? formatAmount(booking.payment.amount, booking.payment.currency)
+      : null;
 
     const emailSubject = `Consultation Booking Confirmed - Booking ID: ${bookingId.slice(-8)}`;
 
@@ -283,10 +558,10 @@ Thank you for booking a consultation with EuProximaX!
 
 Booking Details:
 - Booking ID: ${bookingId.slice(-8)}
-- Date: ${formattedDate}
-- Time: ${formatTime(slot.startTime)} - ${formatTime(slot.endTime)}
-- Duration: ${slot.duration} minutes
-
+${booking.typeName ? `- Consultation: ${booking.typeName}\n` : ''}- Date: ${local.date}
+- Time: ${local.time}
+${business ? `- Our time: ${business.date}, ${business.time}\n` : ''}- Duration: ${slot.duration} minutes
+${amountPaid ? `- Amount paid: ${amountPaid}\n` : ''}
 Your Details:
 - Name: ${booking.userName}
 - Email: ${booking.userEmail}
@@ -295,12 +570,16 @@ ${booking.message ? `- Message: ${booking.message}` : ''}
 ${booking.meetingLink ? `
 Meeting Link:
 Join the consultation meeting: ${booking.meetingLink}
-` : ''}
+` : `
+Meeting Link:
+We will email you the meeting link before the consultation.
+`}
 
 Next Steps:
 Your consultation is confirmed! We look forward to speaking with you on the scheduled date and time.
 
-If you need to cancel this booking, please visit: ${cancelUrl}
+${cancelUrl ? `If you need to reschedule or cancel this booking, please visit: ${cancelUrl}
+This link is personal - please do not share it.` : 'If you need to reschedule or cancel this booking, please use the link in your booking email.'}
 
 For any questions, please contact us at contact@euproximax.com
 
@@ -366,25 +645,43 @@ EuProximaX Team
                                                     <span style="color: #718096; font-size: 13px; font-weight: 500;">Booking ID:</span>
                                                     <span style="color: #1a1a1a; font-size: 13px; font-weight: 600; margin-left: 8px; font-family: monospace;">${bookingId.slice(-8)}</span>
                                                 </td>
-                                            </tr>
+                                            </tr>${booking.typeName ? `
+                                            <tr>
+                                                <td style="padding: 8px 0; border-bottom: 1px solid rgba(102, 126, 234, 0.1);">
+                                                    <span style="color: #718096; font-size: 13px; font-weight: 500;">Consultation:</span>
+                                                    <span style="color: #1a1a1a; font-size: 13px; margin-left: 8px;">${booking.typeName}</span>
+                                                </td>
+                                            </tr>` : ''}
                                             <tr>
                                                 <td style="padding: 8px 0; border-bottom: 1px solid rgba(102, 126, 234, 0.1);">
                                                     <span style="color: #718096; font-size: 13px; font-weight: 500;">Date:</span>
-                                                    <span style="color: #1a1a1a; font-size: 13px; margin-left: 8px;">${formattedDate}</span>
+                                                    <span style="color: #1a1a1a; font-size: 13px; margin-left: 8px;">${local.date}</span>
                                                 </td>
                                             </tr>
                                             <tr>
                                                 <td style="padding: 8px 0; border-bottom: 1px solid rgba(102, 126, 234, 0.1);">
                                                     <span style="color: #718096; font-size: 13px; font-weight: 500;">Time:</span>
-                                                    <span style="color: #1a1a1a; font-size: 13px; margin-left: 8px;">${formatTime(slot.startTime)} - ${formatTime(slot.endTime)}</span>
+                                                    <span style="color: #1a1a1a; font-size: 13px; margin-left: 8px;">${local.time}</span>
                                                 </td>
-                                            </tr>
+                                            </tr>${business ? `
                                             <tr>
-                                                <td style="padding: 8px 0;">
+                                                <td style="padding: 8px 0; border-bottom: 1px solid rgba(102, 126, 234, 0.1);">
+                                                    <span style="color: #718096; font-size: 13px; font-weight: 500;">Our time:</span>
+                                                    <span style="color: #1a1a1a; font-size: 13px; margin-left: 8px;">${business.date}, ${business.time}</span>
+                                                </td>
+                                            </tr>` : ''}
+                                            <tr>
+                                                <td style="padding: 8px 0;${amountPaid ? ' border-bottom: 1px solid rgba(102, 126, 234, 0.1);' : ''}">
                                                     <span style="color: #718096; font-size: 13px; font-weight: 500;">Duration:</span>
                                                     <span style="color: #1a1a1a; font-size: 13px; margin-left: 8px;">${slot.duration} minutes</span>
                                                 </td>
-                                            </tr>
+                                            </tr>${amountPaid ? `
+                                            <tr>
+                                                <td style="padding: 8px 0;">
+                                                    <span style="color: #718096; font-size: 13px; font-weight: 500;">Amount paid:</span>
+                                                    <span style="color: #1a1a1a; font-size: 13px; margin-left: 8px;">${amountPaid}</span>
+                                                </td>
+                                            </tr>` : ''}
                                         </table>
                                     </td>
                                 </tr>
@@ -425,13 +722,13 @@ EuProximaX Team
                                     <td style="padding: 20px 25px;">
                                         <h3 style="margin: 0 0 12px 0; color: #166534; font-size: 15px; font-weight: 600;">
                                             <span style="display: inline-block; width: 24px; height: 24px; background-color: #22c55e; border-radius: 50%; margin-right: 8px; text-align: center; line-height: 24px; color: white; font-size: 14px; vertical-align: middle;">📹</span>
-                                            Google Meet Link
+                                            Meeting Link
                                         </h3>
                                         <p style="margin: 0 0 15px 0; color: #166534; font-size: 14px; line-height: 1.6;">Join the consultation meeting using the link below:</p>
                                         <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="margin: 0 0 15px 0;">
                                             <tr>
                                                 <td align="center" style="padding: 0;">
-                                                    <a href="${booking.meetingLink}" style="display: inline-block; background: linear-gradient(135deg, #22c55e 0%, #16a34a 100%); color: #ffffff; text-decoration: none; padding: 12px 24px; border-radius: 8px; font-size: 15px; font-weight: 600; text-align: center; box-shadow: 0 4px 6px rgba(34, 197, 94, 0.3);">Join Google Meet</a>
+                                                    <a href="${booking.meetingLink}" style="display: inline-block; background: linear-gradient(135deg, #22c55e 0%, #16a34a 100%); color: #ffffff; text-decoration: none; padding: 12px 24px; border-radius: 8px; font-size: 15px; font-weight: 600; text-align: center; box-shadow: 0 4px 6px rgba(34, 197, 94, 0.3);">Join Meeting</a>
                                                 </td>
                                             </tr>
                                         </table>
@@ -439,7 +736,9 @@ EuProximaX Team
                                     </td>
                                 </tr>
                             </table>
-                            ` : ''}
+                            ` : `
+                            <p style="margin: 0 0 20px 0; color: #4a5568; font-size: 14px; line-height: 1.6;">We will email you the meeting link before the consultation.</p>
+                            `}
                             ${booking.message ? `
                             <!-- Message Card -->
                             <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f7fafc; border-radius: 8px; margin: 0 0 20px 0;">
@@ -466,14 +765,18 @@ EuProximaX Team
                                 </tr>
                             </table>
 
+                            ${cancelUrl ? `
                             <!-- Cancel Booking Button -->
                             <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="margin: 0 0 20px 0;">
                                 <tr>
                                     <td align="center" style="padding: 0 25px;">
-                                        <a href="${cancelUrl}" style="display: inline-block; background-color: #fee2e2; color: #991b1b; text-decoration: none; padding: 12px 24px; border-radius: 8px; font-size: 14px; font-weight: 600; text-align: center; border: 1px solid #fecaca;">Cancel Booking</a>
+                                        <a href="${cancelUrl}" style="display: inline-block; background-color: #fee2e2; color: #991b1b; text-decoration: none; padding: 12px 24px; border-radius: 8px; font-size: 14px; font-weight: 600; text-align: center; border: 1px solid #fecaca;">Reschedule or Cancel Booking</a>
                                     </td>
                                 </tr>
                             </table>
+                            ` : `
+                            <p style="margin: 0 0 20px 0; color: #4a5568; font-size: 14px; line-height: 1.6; text-align: center;">To reschedule or cancel, please use the link in your booking email.</p>
+                            `}
                         </td>
                     </tr>
                     
@@ -500,7 +803,8 @@ EuProximaX Team
       to: booking.userEmail,
       subject: emailSubject,
       text: emailText,
-      html: emailHtml
+      html: emailHtml,
+      attachments: [buildBookingIcsAttachment(booking, cancelUrl)]
     });
 
     logger.info(`Booking receipt email sent to user: ${booking.userEmail}`);
@@ -510,6 +814,41 @@ EuProximaX Team
   }
 };
 
+/**
+ * Emails of users with superuser or project manager roles, plus the booking's consultant
+ * @param {ObjectId} consultantId - Consultant assigned to the booking, if any
+ * @returns {Promise<string[]>}
+ */
+const getAdminNotificationEmails = async (consultantId) => {
+  const consultant = consultantId
+    ? await User.findById(consultantId).select('email isDeleted').lean()
+    : null;
+  const consultantEmails = consultant && !consultant.isDeleted && consultant.email ? [consultant.email] : [];
+
+  const roles = await Role.find({ rolename: { $in: ['superuser', 'project manager'] } }).select('_id').lean();
+  if (roles.length === 0) {
+    return consultantEmails;
+  }
+
+  const userRoles = await UserRole.find({ roleId: { $in: roles.map(role => role._id) } }).populate({
+    path: 'userId',
+    select: 'email isDeleted',
+    match: { isDeleted: { $ne: true } }
+  });
+  const emails = userRoles
+    .map(ur => {
+      const user = ur.userId;
+      if (user && typeof user === 'object' && user.email) {
+        return user.email;
+      }
+      return null;
+    })
+    .filter(email => email && typeof email === 'string');
+
+  // A user holding both roles should get one email
+  return [...new Set([...consultantEmails, ...emails])];
+};
+
 /**
  * Send admin notification email
  */
@@ -520,20 +859,10 @@ const sendAdminNotificationEmail = async (booking, adminEmails) => {
     }
 
     const slot = booking.slotId;
-    const slotDate = new Date(slot.date);
-    const formattedDate = slotDate.toLocaleDateString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
-
-    const formatTime = (timeString) => {
-      const [hours, minutes] = timeString.split(':').map(Number);
-      const hour = hours % 12 || 12;
-      const ampm = hours >= 12 ? 'PM' : 'AM';
-      return `${hour}:${String(minutes).padStart(2, '0')} ${ampm}`;
-    };
+    const { date, time } = formatSlotTime(slot);
+    const clientTime = booking.timezone && booking.timezone !== getBusinessTimeZone()
+      ? formatSlotTime(slot, booking.timezone)
+      : null;
 
     const bookingId = booking._id.toString();
     const adminPortalUrl = config.adminPortal.url;
@@ -548,9 +877,9 @@ A new consultation booking has been received:
 
 Booking Details:
 - Booking ID: ${bookingId.slice(-8)}
-- Date: ${formattedDate}
-- Time: ${formatTime(slot.startTime)} - ${formatTime(slot.endTime)}
-- Duration: ${slot.duration} minutes
+${booking.typeName ? `- Consultation: ${booking.typeName}\n` : ''}${booking.payment?.status === 'paid' ? `- Paid: ${formatAmount(booking.payment.amount, booking.payment.currency)} (${booking.payment.reference})\n` : ''}- Date: ${date}
+- Time: ${time}
+${clientTime ? `- Client's time: ${clientTime.date}, ${clientTime.time}\n` : ''}- Duration: ${slot.duration} minutes
 
 User Details:
 - Name: ${booking.userName}
@@ -624,19 +953,37 @@ EuProximaX System
                                                     <span style="color: #92400e; font-size: 13px; font-weight: 500;">Booking ID:</span>
                                                     <span style="color: #1a1a1a; font-size: 13px; font-weight: 600; margin-left: 8px; font-family: monospace;">${bookingId.slice(-8)}</span>
                                                 </td>
-                                            </tr>
+                                            </tr>${booking.typeName ? `
+                                            <tr>
+                                                <td style="padding: 8px 0; border-bottom: 1px solid rgba(146, 64, 14, 0.1);">
+                                                    <span style="color: #92400e; font-size: 13px; font-weight: 500;">Consultation:</span>
+                                                    <span style="color: #1a1a1a; font-size: 13px; margin-left: 8px;">${booking.typeName}</span>
+                                                </td>
+                                            </tr>` : ''}${booking.payment?.status === 'paid' ? `
+                                            <tr>
+                                                <td style="padding: 8px 0; border-bottom: 1px solid rgba(146, 64, 14, 0.1);">
+                                                    <span style="color: #92400e; font-size: 13px; font-weight: 500;">Paid:</span>
+                                                    <span style="color: #1a1a1a; font-size: 13px; margin-left: 8px;">${formatAmount(booking.payment.amount, booking.payment.currency)} (${booking.payment.reference})</span>
+                                                </td>
+                                            </tr>` : ''}
                                             <tr>
                                                 <td style="padding: 8px 0; border-bottom: 1px solid rgba(146, 64, 14, 0.1);">
                                                     <span style="color: #92400e; font-size: 13px; font-weight: 500;">Date:</span>
-                                                    <span style="color: #1a1a1a; font-size: 13px; margin-left: 8px;">${formattedDate}</span>
+                                                    <span style="color: #1a1a1a; font-size: 13px; margin-left: 8px;">${date}</span>
                                                 </td>
                                             </tr>
                                             <tr>
                                                 <td style="padding: 8px 0; border-bottom: 1px solid rgba(146, 64, 14, 0.1);">
                                                     <span style="color: #92400e; font-size: 13px; font-weight: 500;">Time:</span>
-                                                    <span style="color: #1a1a1a; font-size: 13px; margin-left: 8px;">${formatTime(slot.startTime)} - ${formatTime(slot.endTime)}</span>
+                                                    <span style="color: #1a1a1a; font-size: 13px; margin-left: 8px;">${time}</span>
                                                 </td>
-                                            </tr>
+                                            </tr>${clientTime ? `
+                                            <tr>
+                                                <td style="padding: 8px 0; border-bottom: 1px solid rgba(146, 64, 14, 0.1);">
+                                                    <span style="color: #92400e; font-size: 13px; font-weight: 500;">Client's time:</span>
+                                                    <span style="color: #1a1a1a; font-size: 13px; margin-left: 8px;">${clientTime.date}, ${clientTime.time}</span>
+                                                </td>
+                                            </tr>` : ''}
                                             <tr>
                                                 <td style="padding: 8px 0;">
                                                     <span style="color: #92400e; font-size: 13px; font-weight: 500;">Duration:</span>
@@ -683,13 +1030,13 @@ EuProximaX System
                                     <td style="padding: 20px 25px;">
                                         <h3 style="margin: 0 0 12px 0; color: #166534; font-size: 15px; font-weight: 600;">
                                             <span style="display: inline-block; width: 24px; height: 24px; background-color: #22c55e; border-radius: 50%; margin-right: 8px; text-align: center; line-height: 24px; color: white; font-size: 14px; vertical-align: middle;">📹</span>
-                                            Google Meet Link
+                                            Meeting Link
                                         </h3>
                                         <p style="margin: 0 0 15px 0; color: #166534; font-size: 14px; line-height: 1.6;">Meeting link for this consultation:</p>
                                         <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="margin: 0 0 15px 0;">
                                             <tr>
                                                 <td align="center" style="padding: 0;">
-                                                    <a href="${booking.meetingLink}" style="display: inline-block; background: linear-gradient(135deg, #22c55e 0%, #16a34a 100%); color: #ffffff; text-decoration: none; padding: 12px 24px; border-radius: 8px; font-size: 15px; font-weight: 600; text-align: center; box-shadow: 0 4px 6px rgba(34, 197, 94, 0.3);">Join Google Meet</a>
+                                                    <a href="${booking.meetingLink}" style="display: inline-block; background: linear-gradient(135deg, #22c55e 0%, #16a34a 100%); color: #ffffff; text-decoration: none; padding: 12px 24px; border-radius: 8px; font-size: 15px; font-weight: 600; text-align: center; box-shadow: 0 4px 6px rgba(34, 197, 94, 0.3);">Join Meeting</a>
                                                 </td>
                                             </tr>
                                         </table>
@@ -736,25 +1083,620 @@ EuProximaX System
 </body>
 </html>`;
 
-    // Send email to all admin emails
-    for (const email of adminEmails) {
-      try {
-        await sendMail({
-          to: email,
-          subject: emailSubject,
-          text: emailText,
-          html: emailHtml
-        });
-        logger.info(`Admin notification email sent to: ${email}`);
-      } catch (error) {
-        logger.error(`Failed to send admin notification email to ${email}`, { error: error.message });
-        // Continue sending to other admins even if one fails
-      }
-    }
+    // Send email to all admin emails
+    for (const email of adminEmails) {
+      try {
+        await sendMail({
+          to: email,
+          subject: emailSubject,
+          text: emailText,
+          html: emailHtml
+        });
+        logger.info(`Admin notification email sent to: ${email}`);
+      } catch (error) {
+        logger.error(`Failed to send admin notification email to ${email}`, { error: error.message });
+        // Continue sending to other admins even if one fails
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to send admin notification emails', { error: error.message, stack: error.stack });
+    // Don't throw error - email failure shouldn't block booking creation
+  }
+};
+
+/**
+ * Consultant for a booking in a slot: the slot's owner, or for team slots the
+ * current consultant while still free, otherwise a newly assigned one
+ * @param {Object} slot - Target slot
+ * @param {Object} booking - Booking being placed, if it already exists
+ * @returns {Promise<ObjectId|null>}
+ */
+const resolveConsultantForSlot = async (slot, booking) => {
+  if (slot.consultantId) {
+    return slot.consultantId;
+  }
+
+  const { startDateTime, endDateTime } = getSlotDateTimes(slot);
+  const options = booking ? { excludeBookingId: booking._id } : {};
+
+  if (booking?.consultantId) {
+    const free = await findFreeConsultants(startDateTime, endDateTime, options);
+    if (free.some(availability => String(availability.consultantId) === String(booking.consultantId))) {
+      return booking.consultantId;
+    }
+  }
+
+  const consultantId = await assignConsultant(startDateTime, endDateTime, options);
+  if (!consultantId) {
+    logger.warn(`No consultant free for slot ${slot._id}; the booking stays with the team`);
+  }
+  return consultantId;
+};
+
+/**
+ * resolveConsultantForSlot for a slot whose spot was just reserved. The spot is given
+ * back when the lookup fails, as no booking will hold it.
+ */
+const resolveConsultantForReservedSpot = async (slot, booking) => {
+  try {
+    return await resolveConsultantForSlot(slot, booking);
+  } catch (error) {
+    await ConsultationSlot.releaseSpot(slot._id);
+    throw error;
+  }
+};
+
+/**
+ * Move a booking to another slot
+ *
+ * A spot on the new slot is reserved first; the booking is then moved with a
+ * conditional update, so a concurrent cancel or reschedule of the same booking
+ * fails (and gives the spot back) instead of being overwritten.
+ *
+ * @param {Object} booking - Booking document with populated slotId
+ * @param {String} newSlotId - Target slot ID, stored or virtual
+ * @param {String} rescheduledBy - 'user' or 'admin'
+ * @returns {Promise<Object>} { booking, previousSlot }
+ */
+const moveBookingToSlot = async (booking, newSlotId, rescheduledBy) => {
+  if (['cancelled', 'completed', 'no-show'].includes(booking.status)) {
+    throw new AppError(`Cannot reschedule a ${booking.status} booking`, 400);
+  }
+
+  const previousSlot = booking.slotId;
+  const newSlot = await findSlotForBooking(newSlotId);
+  if (!newSlot) {
+    throw new AppError('Consultation slot not found', 404);
+  }
+  if (String(previousSlot._id) === String(newSlot._id)) {
+    throw new AppError('The booking is already in this slot', 400);
+  }
+  // The fee was set by the booked type
+  if (String(newSlot.typeId || '') !== String(booking.typeId || '')) {
+    throw new AppError('Bookings can only be moved to a slot of the same consultation type', 400);
+  }
+
+  const { startDateTime, endDateTime } = getSlotDateTimes(newSlot);
+  if (newSlot.status !== 'available' || !newSlot.isAvailable
+    || await hasBlackout(startDateTime, endDateTime, newSlot.consultantId)) {
+    throw new AppError('This slot is not available for booking', 400);
+  }
+  if (startDateTime < new Date()) {
+    throw new AppError('Cannot book slots in the past', 400);
+  }
+
+  if (!(await ConsultationSlot.reserveSpot(newSlot._id))) {
+    throw new AppError('This slot is fully booked', 400);
+  }
+
+  const consultantId = await resolveConsultantForReservedSpot(newSlot, booking);
+
+  const moved = await ConsultationBooking.findOneAndUpdate(
+    { _id: booking._id, slotId: previousSlot._id, status: { $nin: ['cancelled', 'completed', 'no-show'] } },
+    {
+      $set: {
+        slotId: newSlot._id,
+        consultantId,
+        rescheduledAt: new Date(),
+        rescheduledBy,
+        reminder24hSentAt: null,
+        reminder1hSentAt: null,
+        briefingSentAt: null
+      },
+      $inc: { rescheduleCount: 1 }
+    },
+    { new: true }
+  );
+  if (!moved) {
+    await ConsultationSlot.releaseSpot(newSlot._id);
+    throw new AppError('This booking was changed by another request. Please reload and try again.', 409);
+  }
+
+  await ConsultationSlot.releaseSpot(previousSlot._id);
+  offerFreedSeats(previousSlot._id);
+
+  // An unpaid booking gets its meeting once paid
+  if (!isAwaitingPayment(moved)) {
+    await applyMeeting(moved, newSlot, { move: true });
+    await moved.save();
+  }
+  await moved.populate('slotId');
+
+  logger.info(`Booking rescheduled: ${booking._id} from slot ${previousSlot._id} to ${newSlot._id} by ${rescheduledBy}`);
+
+  return { booking: moved, previousSlot };
+};
+
+/**
+ * Human readable date and time range of a slot for emails
+ * @param {Object} slot - Consultation slot object
+ * @param {string} timezone - IANA timezone, defaults to the business timezone
+ */
+const describeSlot = (slot, timezone = getBusinessTimeZone()) => {
+  const { startDateTime, endDateTime } = getSlotDateTimes(slot);
+  return formatZonedRange(startDateTime, endDateTime, timezone);
+};
+
+/**
+ * Send reschedule notifications to the client and the admins
+ * @param {Object} booking - Booking with populated (new) slotId
+ * @param {Object} previousSlot - Slot the booking was moved from
+ * @param {String} manageToken - Client's manage token, when known, to include the manage link
+ */
+const sendBookingRescheduledEmails = async (booking, previousSlot, manageToken) => {
+  const bookingId = booking._id.toString();
+  // Clients see their own timezone, admins the business timezone
+  const clientTimezone = booking.timezone || getBusinessTimeZone();
+  const previousTime = describeSlot(previousSlot);
+  const newTime = describeSlot(booking.slotId);
+
+  const renderHtml = ({ title, greeting, intro, buttonUrl, buttonLabel, previousTime, newTime }) => `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+</head>
+<body style="margin: 0; padding: 0; background-color: #f4f6f9; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;">
+    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f4f6f9;">
+        <tr>
+            <td align="center" style="padding: 40px 20px;">
+                <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="600" style="max-width: 600px; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.07); overflow: hidden;">
+                    <tr>
+                        <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 35px 40px; text-align: center;">
+                            <h1 style="margin: 0; color: #ffffff; font-size: 26px; font-weight: 700; line-height: 1.2;">${title}</h1>
+                            <p style="margin: 8px 0 0 0; color: rgba(255, 255, 255, 0.95); font-size: 15px;">EuProximaX Consultation Service</p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 30px 35px;">
+                            ${greeting ? `<p style="margin: 0 0 15px 0; color: #1a1a1a; font-size: 16px; line-height: 1.5;">${greeting}</p>` : ''}
+                            <p style="margin: 0 0 25px 0; color: #4a5568; font-size: 15px; line-height: 1.6;">${intro}</p>
+                            <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background: linear-gradient(135deg, #f8f9ff 0%, #f0f4ff 100%); border-radius: 8px; border-left: 4px solid #667eea; margin: 0 0 20px 0;">
+                                <tr>
+                                    <td style="padding: 20px 25px;">
+                                        <p style="margin: 0 0 10px 0; color: #718096; font-size: 13px;">Previous time: <span style="color: #a0aec0; text-decoration: line-through;">${previousTime}</span></p>
+                                        <p style="margin: 0 0 10px 0; color: #718096; font-size: 13px;">New time: <strong style="color: #1a1a1a;">${newTime}</strong></p>
+                                        <p style="margin: 0; color: #718096; font-size: 13px;">Booking ID: <span style="color: #1a1a1a; font-family: monospace;">${bookingId.slice(-8)}</span></p>
+                                    </td>
+                                </tr>
+                            </table>
+                            ${booking.meetingLink ? `<p style="margin: 0 0 20px 0; color: #166534; font-size: 14px;">Meeting link: <a href="${booking.meetingLink}" style="color: #16a34a; word-break: break-all;">${booking.meetingLink}</a></p>` : ''}
+                            ${buttonUrl ? `
+                            <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%">
+                                <tr>
+                                    <td align="center">
+                                        <a href="${buttonUrl}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; padding: 12px 24px; border-radius: 8px; font-size: 15px; font-weight: 600;">${buttonLabel}</a>
+                                    </td>
+                                </tr>
+                            </table>` : ''}
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="background-color: #f8f9fa; padding: 25px 35px; text-align: center; border-top: 1px solid #e2e8f0;">
+                            <p style="margin: 0; color: #a0aec0; font-size: 11px; line-height: 1.4;">This is an automated email. Booking ID: ${bookingId.slice(-8)}</p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`;
+
+  try {
+    const manageUrl = manageToken ? getManageUrl(bookingId, manageToken) : null;
+    await sendMail({
+      to: booking.userEmail,
+      subject: `Consultation Rescheduled - Booking ID: ${bookingId.slice(-8)}`,
+      text: `
+Dear ${booking.userName},
+
+Your EuProximaX consultation has been rescheduled.
+
+- Previous time: ${describeSlot(previousSlot, clientTimezone)}
+- New time: ${describeSlot(booking.slotId, clientTimezone)}
+${booking.meetingLink ? `- Meeting link: ${booking.meetingLink}\n` : ''}${manageUrl ? `\nManage your booking: ${manageUrl}\n` : ''}
+For any questions, please contact us at contact@euproximax.com
+
+Best regards,
+EuProximaX Team
+      `.trim(),
+      html: renderHtml({
+        title: 'Consultation Rescheduled',
+        greeting: `Dear <strong style="color: #667eea;">${booking.userName}</strong>,`,
+        intro: 'Your consultation with EuProximaX has been moved to a new time.',
+        buttonUrl: manageUrl,
+        buttonLabel: 'Manage Booking',
+        previousTime: describeSlot(previousSlot, clientTimezone),
+        newTime: describeSlot(booking.slotId, clientTimezone)
+      }),
+      attachments: [buildBookingIcsAttachment(booking, manageUrl)]
+    });
+    logger.info(`Booking reschedule email sent to user: ${booking.userEmail}`);
+  } catch (error) {
+    logger.error('Failed to send booking reschedule email', { error: error.message, stack: error.stack });
+  }
+
+  try {
+    const adminEmails = await getAdminNotificationEmails(booking.consultantId);
+    const bookingUrl = `${config.adminPortal.url}/admin/consultation-bookings/${bookingId}`;
+    for (const email of adminEmails) {
+      try {
+        await sendMail({
+          to: email,
+          subject: `Consultation Rescheduled - ${booking.userName}`,
+          text: `
+The consultation booking of ${booking.userName} (${booking.userEmail}) has been rescheduled${booking.rescheduledBy === 'admin' ? ' by an admin' : ' by the client'}.
+
+- Previous time: ${previousTime}
+- New time: ${newTime}
+
+View and manage this booking: ${bookingUrl}
+          `.trim(),
+          html: renderHtml({
+            title: 'Booking Rescheduled',
+            intro: `The consultation booking of <strong>${booking.userName}</strong> (${booking.userEmail}) has been rescheduled${booking.rescheduledBy === 'admin' ? ' by an admin' : ' by the client'}.`,
+            buttonUrl: bookingUrl,
+            buttonLabel: 'View & Manage Booking',
+            previousTime,
+            newTime
+          })
+        });
+      } catch (error) {
+        logger.error(`Failed to send reschedule notification to ${email}`, { error: error.message });
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to send admin reschedule notifications', { error: error.message });
+  }
+};
+
+/**
+ * Alert the admins and the consultant that a booking has no meeting link yet
+ * @param {Object} booking - Booking with `meetingLinkIssue` set
+ * @param {Object} slot - Slot the booking is in
+ */
+const sendMeetingLinkAlert = async (booking, slot) => {
+  const bookingId = booking._id.toString();
+  const bookingUrl = `${config.adminPortal.url}/admin/consultation-bookings/${bookingId}`;
+  const time = describeSlot(slot);
+  const adminEmails = await getAdminNotificationEmails(booking.consultantId);
+
+  const text = `
+The consultation booking of ${booking.userName} (${booking.userEmail}) has no meeting link.
+
+- Time: ${time}
+- Reason: ${booking.meetingLinkIssue}
+
+Add the link to the booking; the client is then emailed: ${bookingUrl}
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Meeting Link Needed</title>
+</head>
+<body style="margin: 0; padding: 0; background-color: #f4f6f9; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;">
+    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f4f6f9;">
+        <tr>
+            <td align="center" style="padding: 40px 20px;">
+                <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="600" style="max-width: 600px; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.07); overflow: hidden;">
+                    <tr>
+                        <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 35px 40px; text-align: center;">
+                            <h1 style="margin: 0; color: #ffffff; font-size: 26px; font-weight: 700; line-height: 1.2;">Meeting Link Needed</h1>
+                            <p style="margin: 8px 0 0 0; color: rgba(255, 255, 255, 0.95); font-size: 15px;">EuProximaX Consultation Service</p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 30px 35px;">
+                            <p style="margin: 0 0 25px 0; color: #4a5568; font-size: 15px; line-height: 1.6;">The consultation booking of <strong>${booking.userName}</strong> (${booking.userEmail}) has no meeting link.</p>
+                            <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background: linear-gradient(135deg, #fffbeb 0%, #fef3c7 100%); border-radius: 8px; border-left: 4px solid #f59e0b; margin: 0 0 20px 0;">
+                                <tr>
+                                    <td style="padding: 20px 25px;">
+                                        <p style="margin: 0 0 10px 0; color: #718096; font-size: 13px;">Time: <strong style="color: #1a1a1a;">${time}</strong></p>
+                                        <p style="margin: 0; color: #718096; font-size: 13px;">Reason: <span style="color: #1a1a1a;">${booking.meetingLinkIssue}</span></p>
+                                    </td>
+                                </tr>
+                            </table>
+                            <p style="margin: 0 0 20px 0; color: #4a5568; font-size: 14px; line-height: 1.6;">Add the link to the booking; the client is then emailed.</p>
+                            <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%">
+                                <tr>
+                                    <td align="center">
+                                        <a href="${bookingUrl}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; padding: 12px 24px; border-radius: 8px; font-size: 15px; font-weight: 600;">Add Meeting Link</a>
+                                    </td>
+                                </tr>
+                            </table>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="background-color: #f8f9fa; padding: 25px 35px; text-align: center; border-top: 1px solid #e2e8f0;">
+                            <p style="margin: 0; color: #a0aec0; font-size: 11px; line-height: 1.4;">This is an automated email. Booking ID: ${bookingId.slice(-8)}</p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`;
+
+  for (const email of adminEmails) {
+    try {
+      await sendMail({ to: email, subject: `Meeting Link Needed - ${booking.userName}`, text, html });
+    } catch (error) {
+      logger.error(`Failed to send meeting link alert to ${email}`, { error: error.message });
+    }
+  }
+};
+
+/**
+ * Email the client a meeting link an admin added to their booking
+ * @param {Object} booking - Booking with populated slotId
+ */
+const sendMeetingLinkEmail = async (booking) => {
+  const bookingId = booking._id.toString();
+  const time = describeSlot(booking.slotId, booking.timezone || getBusinessTimeZone());
+
+  const text = `
+Dear ${booking.userName},
+
+Here is the meeting link of your EuProximaX consultation.
+
+- Time: ${time}
+- Meeting link: ${booking.meetingLink}
+
+For any questions, please contact us at contact@euproximax.com
+
+Best regards,
+EuProximaX Team
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Your Meeting Link</title>
+</head>
+<body style="margin: 0; padding: 0; background-color: #f4f6f9; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;">
+    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f4f6f9;">
+        <tr>
+            <td align="center" style="padding: 40px 20px;">
+                <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="600" style="max-width: 600px; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.07); overflow: hidden;">
+                    <tr>
+                        <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 35px 40px; text-align: center;">
+                            <h1 style="margin: 0; color: #ffffff; font-size: 26px; font-weight: 700; line-height: 1.2;">Your Meeting Link</h1>
+                            <p style="margin: 8px 0 0 0; color: rgba(255, 255, 255, 0.95); font-size: 15px;">EuProximaX Consultation Service</p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 30px 35px;">
+                            <p style="margin: 0 0 15px 0; color: #1a1a1a; font-size: 16px; line-height: 1.5;">Dear <strong style="color: #667eea;">${booking.userName}</strong>,</p>
+                            <p style="margin: 0 0 25px 0; color: #4a5568; font-size: 15px; line-height: 1.6;">Here is the meeting link of your consultation with EuProximaX.</p>
+                            <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background: linear-gradient(135deg, #f8f9ff 0%, #f0f4ff 100%); border-radius: 8px; border-left: 4px solid #667eea; margin: 0 0 20px 0;">
+                                <tr>
+                                    <td style="padding: 20px 25px;">
+                                        <p style="margin: 0 0 10px 0; color: #718096; font-size: 13px;">Time: <strong style="color: #1a1a1a;">${time}</strong></p>
+                                        <p style="margin: 0; color: #718096; font-size: 13px;">Meeting link: <a href="${booking.meetingLink}" style="color: #667eea; word-break: break-all;">${booking.meetingLink}</a></p>
+                                    </td>
+                                </tr>
+                            </table>
+                            <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%">
+                                <tr>
+                                    <td align="center">
+                                        <a href="${booking.meetingLink}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; padding: 12px 24px; border-radius: 8px; font-size: 15px; font-weight: 600;">Join Meeting</a>
+                                    </td>
+                                </tr>
+                            </table>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="background-color: #f8f9fa; padding: 25px 35px; text-align: center; border-top: 1px solid #e2e8f0;">
+                            <p style="margin: 0; color: #a0aec0; font-size: 11px; line-height: 1.4;">This is an automated email. Booking ID: ${bookingId.slice(-8)}</p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`;
+
+  await sendMail({
+    to: booking.userEmail,
+    subject: `Meeting Link for Your Consultation - Booking ID: ${bookingId.slice(-8)}`,
+    text,
+    html,
+    attachments: [buildBookingIcsAttachment(booking)]
+  });
+  logger.info(`Meeting link email sent to user: ${booking.userEmail}`);
+};
+
+/**
+ * Validate the intake answers of a booking against the slot's form
+ * @param {Object} slot - Slot being booked
+ * @param {Object} answers - Answers by question key, from the request body
+ * @returns {Promise<Object>} { intakeFormId, intakeAnswers } for the booking
+ */
+const checkIntakeAnswers = async (slot, answers) => {
+  const form = await resolveIntakeForm(slot);
+  if (!form) {
+    return { intakeFormId: null, intakeAnswers: [] };
+  }
+  
+  const result = validateIntakeAnswers(form, answers);
+  if (result.errors.length > 0) {
+    throw new AppError(`Invalid intake answers: ${result.errors.join('; ')}`, 400);
+  }
+  return { intakeFormId: form._id, intakeAnswers: result.answers };
+};
+
+/**
+ * Send the receipt of a confirmed booking to the client and the notification to the admins,
+ * without waiting for them
+ * @param {Object} booking - Booking with populated slotId
+ * @param {String} manageToken - Client's manage token, when known
+ */
+const sendBookingConfirmedEmails = (booking, manageToken) => {
+  Promise.all([
+    // Send booking receipt to user
+    sendBookingReceiptEmail(booking, manageToken),
+    // Send notification to admins
+    (async () => {
+      try {
+        const adminEmails = await getAdminNotificationEmails(booking.consultantId);
+        if (adminEmails.length > 0) {
+          await sendAdminNotificationEmail(booking, adminEmails);
+        }
+      } catch (error) {
+        logger.error('Failed to send admin notifications', { error: error.message });
+      }
+    })()
+  ]).catch(error => {
+    logger.error('Email sending error (non-blocking)', { error: error.message });
+  });
+};
+
+/**
+ * Start the payment of a new booking of a paid type and email the client the payment link.
+ * When the provider fails, the booking is cancelled and its spot given back.
+ * @param {Object} booking - Pending booking with populated slotId
+ * @param {String} manageToken - Client's manage token
+ */
+const startPayment = async (booking, manageToken) => {
+  try {
+    const payment = await createPayment({
+      booking,
+      amount: booking.payment.amount,
+      currency: booking.payment.currency,
+      description: `${booking.typeName} - ${describeSlot(booking.slotId)}`
+    });
+    booking.payment.provider = payment.provider;
+    booking.payment.reference = payment.reference;
+    booking.payment.checkoutUrl = payment.checkoutUrl;
+    await booking.save();
+  } catch (error) {
+    logger.error('Failed to create payment for booking', { bookingId: booking._id, error: error.message, stack: error.stack });
+    booking.status = 'cancelled';
+    booking.cancelledAt = new Date();
+    booking.cancelledBy = 'system';
+    booking.payment.status = 'failed';
+    await booking.save();
+    await ConsultationSlot.releaseSpot(booking.slotId._id);
+    offerFreedSeats(booking.slotId._id);
+    throw new AppError('The payment could not be started. Please try again later.', 502);
+  }
+  
+  logger.info(`Payment ${booking.payment.reference} started for booking: ${booking._id}`);
+  
+  sendPaymentRequestEmail(booking, getManageUrl(booking._id.toString(), manageToken)).catch(error => {
+    logger.error('Email sending error (non-blocking)', { error: error.message });
+  });
+};
+
+/**
+ * Make the meeting of a booking whose payment was just recorded, and send the
+ * receipt and admin emails. The manage link went out with the payment email.
+ * @param {Object} booking - Confirmed booking with populated slotId
+ */
+const completePaidBooking = async (booking) => {
+  await applyMeeting(booking, booking.slotId);
+  await booking.save();
+  
+  logger.info(`Paid consultation booking confirmed: ${booking._id} (payment ${booking.payment.reference})`);
+  
+  sendBookingConfirmedEmails(booking, null);
+};
+
+/**
+ * Create a booking in a slot whose spot is already reserved. The spot is given back
+ * when the booking cannot be saved.
+ *
+ * A free booking is confirmed at once: its meeting is made and the receipt and admin
+ * emails are sent. A booking of a paid type stays pending until its payment is recorded
+ * (see handlePaymentWebhook); the client is emailed the payment link instead.
+ *
+ * @param {Object} slot - Stored slot the spot was reserved on
+ * @param {ObjectId|null} consultantId - Consultant of the booking
+ * @param {Object} details - { userName, userEmail, userPhone, message, timezone, intakeFormId, intakeAnswers, type }
+ * @returns {Promise<Object>} { booking, manageToken }
+ */
+const createBooking = async (slot, consultantId, details) => {
+  const { userName, userEmail, userPhone, message, timezone, intakeFormId, intakeAnswers, type } = details;
+  const isPaid = type?.fee?.amount > 0;
+  const booking = new ConsultationBooking({
+    slotId: slot._id,
+    consultantId,
+    userName: userName.trim(),
+    userEmail: userEmail.toLowerCase().trim(),
+    userPhone: userPhone.trim(),
+    message: message?.trim() || null,
+    timezone: timezone || null,
+    intakeFormId: intakeFormId || null,
+    intakeAnswers: intakeAnswers || [],
+    typeId: type?._id || null,
+    typeName: type?.name || null,
+    payment: isPaid
+      ? { amount: type.fee.amount, currency: type.fee.currency, status: 'pending' }
+      : undefined,
+    status: isPaid ? 'pending' : 'confirmed',
+    confirmedAt: isPaid ? null : new Date(),
+    meetingLink: null // Will be updated once the meeting is created
+  });
+  // The raw token is only returned here and emailed; the booking keeps its hash
+  const { token: manageToken, tokenHash } = bookingToken.issueManageToken(booking._id);
+  booking.manageTokenHash = tokenHash;
+  try {
+    await booking.save();
   } catch (error) {
-    logger.error('Failed to send admin notification emails', { error: error.message, stack: error.stack });
-    // Don't throw error - email failure shouldn't block booking creation
+    await ConsultationSlot.releaseSpot(slot._id);
+    throw error;
+  }
+  
+  // Populate slot details for calendar event creation
+  await booking.populate('slotId');
+  
+  if (isPaid) {
+    await startPayment(booking, manageToken);
+    logger.info(`Consultation booking created awaiting payment: ${booking._id} for slot: ${slot._id}`);
+    return { booking, manageToken };
   }
+  
+  // Create the meeting link; a failure leaves the booking without one and alerts the admins
+  await applyMeeting(booking, slot);
+  await booking.save();
+  
+  logger.info(`Consultation booking created: ${booking._id} for slot: ${slot._id}`);
+  
+  sendBookingConfirmedEmails(booking, manageToken);
+  
+  return { booking, manageToken };
 };
 
 /**
@@ -762,7 +1704,7 @@ EuProximaX System
  */
 const bookConsultation = async (req, res, next) => {
   try {
-    const { slotId, userName, userEmail, userPhone, message } = req.body;
+    const { slotId, userName, userEmail, userPhone, message, timezone } = req.body;
     
     // Validate required fields
     if (!slotId || !userName || !userEmail || !userPhone) {
@@ -770,125 +1712,48 @@ const bookConsultation = async (req, res, next) => {
     }
     
     // Find the slot
-    const slot = await ConsultationSlot.findById(slotId);
+    const slot = await findSlotForBooking(slotId);
     if (!slot) {
       return next(new AppError('Consultation slot not found', 404));
     }
     
     // Check if slot is available
-    if (slot.status !== 'available' || !slot.isAvailable) {
+    const { startDateTime, endDateTime } = getSlotDateTimes(slot);
+    if (slot.status !== 'available' || !slot.isAvailable
+      || await hasBlackout(startDateTime, endDateTime, slot.consultantId)) {
       return next(new AppError('This slot is not available for booking', 400));
     }
     
     // Check if slot is in the past
-    const slotDateTime = new Date(slot.date);
-    const [hours, minutes] = slot.startTime.split(':').map(Number);
-    slotDateTime.setHours(hours, minutes, 0, 0);
-    
-    if (slotDateTime < new Date()) {
+    if (startDateTime < new Date()) {
       return next(new AppError('Cannot book slots in the past', 400));
     }
     
-    // Check current booking count
-    const currentBookings = await ConsultationBooking.countDocuments({
-      slotId: slot._id,
-      status: { $nin: ['cancelled'] }
-    });
+    const type = await findBookableType(slot);
+    const intake = await checkIntakeAnswers(slot, req.body.intakeAnswers);
     
-    if (currentBookings >= slot.maxBookings) {
+    // Reserve a spot atomically; fails when the slot filled up or closed meanwhile
+    if (!(await ConsultationSlot.reserveSpot(slot._id))) {
       return next(new AppError('This slot is fully booked', 400));
     }
     
-    // Create booking first (without meeting link)
-    const booking = await ConsultationBooking.create({
-      slotId: slot._id,
-      userName: userName.trim(),
-      userEmail: userEmail.toLowerCase().trim(),
-      userPhone: userPhone.trim(),
-      message: message?.trim() || null,
-      status: 'confirmed',
-      confirmedAt: new Date(),
-      meetingLink: null // Will be updated after calendar event creation
-    });
-    
-    // Populate slot details for calendar event creation
-    await booking.populate('slotId');
+    // Consultant: the slot's owner, or a free one for team slots. Assigned once the spot
+    // is held, so a full slot does not use up a consultant's round-robin turn.
+    const consultantId = await resolveConsultantForReservedSpot(slot);
     
-    // Create Google Calendar event with Meet link
-    let meetingLink;
-    try {
-      meetingLink = await createGoogleMeetForBooking(slot, booking);
-      
-      // Update booking with Meet link
-      booking.meetingLink = meetingLink;
-      await booking.save();
-    } catch (error) {
-      logger.error('Failed to create Google Meet link, but booking was created', {
-        bookingId: booking._id,
-        error: error.message
-      });
-      // Continue with booking even if Meet link creation fails
-      // Use fallback link
-      meetingLink = generateGoogleMeetLink();
-      booking.meetingLink = meetingLink;
-      await booking.save();
-    }
-    
-    // Update slot status if fully booked
-    if (currentBookings + 1 >= slot.maxBookings) {
-      slot.status = 'booked';
-      await slot.save();
-    }
-    
-    logger.info(`Consultation booking created: ${booking._id} for slot: ${slotId}`);
-    
-    // Send emails (non-blocking - don't wait for them)
-    Promise.all([
-      // Send booking receipt to user
-      sendBookingReceiptEmail(booking),
-      // Send notification to admins
-      (async () => {
-        try {
-          // Find users with superuser or project manager roles
-          const superuserRole = await Role.findOne({ rolename: 'superuser' });
-          const projectManagerRole = await Role.findOne({ rolename: 'project manager' });
-          
-          const roleIds = [];
-          if (superuserRole) roleIds.push(superuserRole._id);
-          if (projectManagerRole) roleIds.push(projectManagerRole._id);
-          
-          if (roleIds.length > 0) {
-            const userRoles = await UserRole.find({ roleId: { $in: roleIds } }).populate({
-              path: 'userId',
-              select: 'email isDeleted',
-              match: { isDeleted: { $ne: true } }
-            });
-            const adminEmails = userRoles
-              .map(ur => {
-                const user = ur.userId;
-                if (user && typeof user === 'object' && user.email) {
-                  return user.email;
-                }
-                return null;
-              })
-              .filter(email => email && typeof email === 'string');
-            
-            if (adminEmails.length > 0) {
-              await sendAdminNotificationEmail(booking, adminEmails);
-            }
-          }
-        } catch (error) {
-          logger.error('Failed to send admin notifications', { error: error.message });
-        }
-      })()
-    ]).catch(error => {
-      logger.error('Email sending error (non-blocking)', { error: error.message });
+    const { booking, manageToken } = await createBooking(slot, consultantId, {
+      userName, userEmail, userPhone, message, timezone, type, ...intake
     });
     
     res.status(201).json({
       success: true,
-      message: 'Consultation booked successfully',
-      data: booking
+      message: booking.status === 'pending'
+        ? 'Consultation booked. Complete the payment to confirm it.'
+        : 'Consultation booked successfully',
+      data: {
+        ...booking.toJSON(),
+        manageToken
+      }
     });
   } catch (error) {
     logger.error('Book consultation error', { error: error.message, stack: error.stack });
@@ -897,13 +1762,18 @@ const bookConsultation = async (req, res, next) => {
 };
 
 /**
- * Get booking details by ID
+ * Get booking details by ID (requires the booking's manage token)
  */
 const getBookingDetails = async (req, res, next) => {
   try {
     const { bookingId } = req.params;
+    const manageToken = getManageToken(req);
+    
+    if (!manageToken) {
+      return next(new AppError('A booking token is required to view this booking', 401));
+    }
     
-    const booking = await ConsultationBooking.findById(bookingId).populate('slotId');
+    const booking = await findBookingByManageToken(bookingId, manageToken);
     
     if (!booking) {
       return next(new AppError('Booking not found', 404));
@@ -912,7 +1782,7 @@ const getBookingDetails = async (req, res, next) => {
     res.status(200).json({
       success: true,
       message: 'Booking details fetched successfully',
-      data: booking
+      data: toPublicBooking(booking)
     });
   } catch (error) {
     logger.error('Get booking details error', { error: error.message, stack: error.stack });
@@ -921,64 +1791,60 @@ const getBookingDetails = async (req, res, next) => {
 };
 
 /**
- * Cancel booking (user can cancel their own booking)
+ * Cancel booking (user can cancel their own booking with its manage token)
  */
 const cancelBooking = async (req, res, next) => {
   try {
     const { bookingId } = req.params;
-    const { userEmail } = req.body; // User must provide email to verify
+    const manageToken = getManageToken(req);
     
-    if (!userEmail) {
-      return next(new AppError('Email is required to cancel booking', 400));
+    if (!manageToken) {
+      return next(new AppError('A booking token is required to cancel this booking', 401));
     }
     
-    const booking = await ConsultationBooking.findById(bookingId).populate('slotId');
+    const booking = await findBookingByManageToken(bookingId, manageToken);
     
     if (!booking) {
       return next(new AppError('Booking not found', 404));
     }
     
-    // Verify email matches
-    if (booking.userEmail.toLowerCase() !== userEmail.toLowerCase().trim()) {
-      return next(new AppError('Email does not match this booking', 403));
-    }
-    
     // Check if already cancelled or completed
     if (booking.status === 'cancelled') {
       return next(new AppError('Booking is already cancelled', 400));
     }
     
-    if (booking.status === 'completed') {
-      return next(new AppError('Cannot cancel a completed consultation', 400));
+    if (booking.status === 'completed' || booking.status === 'no-show') {
+      return next(new AppError('Cannot cancel a past consultation', 400));
     }
     
-    // Update booking
-    booking.status = 'cancelled';
-    booking.cancelledAt = new Date();
-    booking.cancelledBy = 'user';
-    await booking.save();
+    // Conditional update so concurrent cancels free the spot only once
+    const cancelled = await ConsultationBooking.findOneAndUpdate(
+      { _id: booking._id, status: { $nin: ['cancelled', 'completed', 'no-show'] } },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledAt: new Date(),
+          cancelledBy: 'user',
+          // A payment made after this is refunded by an admin
+          ...(booking.payment?.status === 'pending' ? { 'payment.status': 'cancelled' } : {})
+        }
+      },
+      { new: true }
+    ).populate('slotId');
     
-    // Update slot status if needed
-    const slot = await ConsultationSlot.findById(booking.slotId._id);
-    if (slot && slot.status === 'booked') {
-      // Check if there are still active bookings
-      const activeBookings = await ConsultationBooking.countDocuments({
-        slotId: slot._id,
-        status: { $nin: ['cancelled'] }
-      });
-      
-      if (activeBookings < slot.maxBookings) {
-        slot.status = 'available';
-        await slot.save();
-      }
+    if (!cancelled) {
+      return next(new AppError('Booking is already cancelled', 400));
     }
     
+    await ConsultationSlot.releaseSpot(cancelled.slotId._id);
+    offerFreedSeats(cancelled.slotId._id);
+    
     logger.info(`Booking cancelled: ${bookingId} by user`);
     
     res.status(200).json({
       success: true,
       message: 'Booking cancelled successfully',
-      data: booking
+      data: toPublicBooking(cancelled)
     });
   } catch (error) {
     logger.error('Cancel booking error', { error: error.message, stack: error.stack });
@@ -986,6 +1852,204 @@ const cancelBooking = async (req, res, next) => {
   }
 };
 
+/**
+ * Reschedule booking to another slot (requires the booking's manage token)
+ */
+const rescheduleBooking = async (req, res, next) => {
+  try {
+    const { bookingId } = req.params;
+    const { slotId } = req.body;
+    const manageToken = getManageToken(req);
+    
+    if (!manageToken) {
+      return next(new AppError('A booking token is required to reschedule this booking', 401));
+    }
+    
+    const booking = await findBookingByManageToken(bookingId, manageToken);
+    
+    if (!booking) {
+      return next(new AppError('Booking not found', 404));
+    }
+    
+    const result = await moveBookingToSlot(booking, slotId, 'user');
+    
+    // Send emails (non-blocking)
+    sendBookingRescheduledEmails(result.booking, result.previousSlot, manageToken).catch(error => {
+      logger.error('Email sending error (non-blocking)', { error: error.message });
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Booking rescheduled successfully',
+      data: toPublicBooking(result.booking)
+    });
+  } catch (error) {
+    logger.error('Reschedule booking error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to reschedule booking', 500));
+  }
+};
+
+/**
+ * Claim the seat offered to a waitlist entry (requires the claim token from the offer email)
+ *
+ * The entry is marked claimed first so the token works only once; the seat is then
+ * reserved atomically. When the seat was booked meanwhile, the entry goes back to
+ * the waitlist for the next free seat.
+ */
+const claimWaitlistOffer = async (req, res, next) => {
+  let claimed = null;
+  try {
+    const { entryId } = req.params;
+    const token = req.body?.token || req.query.token;
+    
+    if (!token) {
+      return next(new AppError('A claim token is required to claim this seat', 401));
+    }
+    
+    const entry = await ConsultationWaitlistEntry.findById(entryId).select('+claimTokenHash');
+    if (!entry || !verifyClaimToken(entry, token)) {
+      return next(new AppError('Waitlist offer not found', 404));
+    }
+    if (entry.status !== 'offered') {
+      return next(new AppError('This offer is no longer open', 409));
+    }
+    if (entry.offerExpiresAt <= new Date()) {
+      return next(new AppError('This offer has expired', 410));
+    }
+    
+    // Answers are checked before claiming, so the client can correct them
+    const slot = await ConsultationSlot.findById(entry.offerSlotId);
+    const type = slot ? await findBookableType(slot) : null;
+    const intake = slot ? await checkIntakeAnswers(slot, req.body.intakeAnswers) : null;
+    
+    // Conditional update so a double submit or the expiry job cannot race the claim
+    claimed = await ConsultationWaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered', offerExpiresAt: { $gt: new Date() } },
+      { $set: { status: 'claimed', claimedAt: new Date() }, $unset: { claimTokenHash: 1 } },
+      { new: true }
+    );
+    if (!claimed) {
+      return next(new AppError('This offer is no longer open', 409));
+    }
+    
+    const { startDateTime, endDateTime } = slot ? getSlotDateTimes(slot) : {};
+    if (!slot || slot.status !== 'available' || !slot.isAvailable || startDateTime < new Date()
+      || await hasBlackout(startDateTime, endDateTime, slot.consultantId)) {
+      // Entries for a date may still get another slot on it
+      if (claimed.slotId) {
+        await ConsultationWaitlistEntry.updateOne({ _id: claimed._id }, { $set: { status: 'expired' } });
+      } else {
+        await returnToWaitlist(claimed._id);
+      }
+      claimed = null;
+      return next(new AppError('This slot is no longer available', 410));
+    }
+    
+    if (!(await ConsultationSlot.reserveSpot(slot._id))) {
+      await returnToWaitlist(claimed._id);
+      claimed = null;
+      return next(new AppError('The seat was booked before you claimed it. You are back on the waitlist.', 409));
+    }
+    
+    const consultantId = await resolveConsultantForReservedSpot(slot);
+    
+    const { booking, manageToken } = await createBooking(slot, consultantId, {
+      userName: claimed.userName,
+      userEmail: claimed.userEmail,
+      userPhone: claimed.userPhone,
+      message: claimed.message,
+      timezone: claimed.timezone,
+      type,
+      ...intake
+    });
+    
+    claimed.bookingId = booking._id;
+    await claimed.save();
+    
+    logger.info(`Waitlist entry ${claimed._id} claimed slot ${slot._id}: booking ${booking._id}`);
+    
+    res.status(201).json({
+      success: true,
+      message: booking.status === 'pending'
+        ? 'Consultation booked. Complete the payment to confirm it.'
+        : 'Consultation booked successfully',
+      data: {
+        ...booking.toJSON(),
+        manageToken
+      }
+    });
+  } catch (error) {
+    logger.error('Claim waitlist offer error', { error: error.message, stack: error.stack });
+    // No booking was made, so the client keeps their place
+    if (claimed && !claimed.bookingId) {
+      await returnToWaitlist(claimed._id).catch(() => {});
+    }
+    next(error instanceof AppError ? error : new AppError('Unable to claim waitlist offer', 500));
+  }
+};
+
+/**
+ * Payment notification from a payment provider (see utils/paymentProviders.js)
+ *
+ * A paid payment confirms its pending booking; a failed one cancels it and gives
+ * the seat back. Notifications are idempotent, so a provider may resend them.
+ */
+const handlePaymentWebhook = async (req, res, next) => {
+  try {
+    const { provider } = req.params;
+    
+    let notification;
+    try {
+      notification = await parseWebhook(provider, req);
+    } catch (error) {
+      logger.warn('Payment notification rejected', { provider, error: error.message });
+      return next(new AppError('Invalid payment notification', 400));
+    }
+    if (!notification) {
+      return next(new AppError('Payment provider not found', 404));
+    }
+    
+    const booking = await ConsultationBooking.findOne({
+      'payment.provider': provider,
+      'payment.reference': notification.reference
+    }).lean();
+    if (!booking) {
+      return next(new AppError('Payment not found', 404));
+    }
+    
+    if (notification.status === 'failed') {
+      await cancelUnpaidBooking(booking._id, 'failed');
+    } else {
+      const now = new Date();
+      // Conditional update so a resent notification confirms the booking only once
+      const confirmed = await ConsultationBooking.findOneAndUpdate(
+        { _id: booking._id, status: 'pending', 'payment.status': 'pending' },
+        { $set: { status: 'confirmed', confirmedAt: now, 'payment.status': 'paid', 'payment.paidAt': now } },
+        { new: true }
+      ).populate('slotId');
+      
+      if (confirmed) {
+        await completePaidBooking(confirmed);
+      } else if (booking.payment.status !== 'paid') {
+        // Paid after the booking was cancelled: recorded so an admin can refund it
+        await ConsultationBooking.updateOne(
+          { _id: booking._id },
+          { $set: { 'payment.status': 'paid', 'payment.paidAt': now } }
+        );
+        logger.warn(`Payment ${notification.reference} received for ${booking.status} booking ${booking._id}; refund it`);
+      }
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Payment notification processed'
+    });
+  } catch (error) {
+    logger.error('Payment webhook error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to process payment notification', 500));
+  }
+};
+
 // ==================== ADMIN METHODS ====================
 
 /**
@@ -1001,11 +2065,13 @@ const adminListSlots = async (req, res, next) => {
     const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
     const skip = (page - 1) * limit;
     
-    const { status, startDate, endDate, isAvailable } = req.query;
+    const { status, startDate, endDate, isAvailable, consultantId, typeId } = req.query;
     
     const filter = {};
     if (status) filter.status = status;
     if (isAvailable !== undefined) filter.isAvailable = isAvailable === 'true';
+    if (consultantId) filter.consultantId = consultantFilter(consultantId);
+    if (typeId) filter.typeId = typeId;
     if (startDate || endDate) {
       filter.date = {};
       if (startDate) filter.date.$gte = normalizeDate(startDate);
@@ -1014,36 +2080,16 @@ const adminListSlots = async (req, res, next) => {
     
     const slots = await ConsultationSlot.find(filter)
       .populate('createdBy', 'name email')
+      .populate('consultantId', 'name email')
+      .populate('typeId', 'name slug duration fee')
       .sort({ date: -1, startTime: 1 })
       .skip(skip)
       .limit(limit)
       .lean();
     
-    // Get booking counts
-    const slotIds = slots.map(s => s._id);
-    const bookingCounts = await ConsultationBooking.aggregate([
-      {
-        $match: {
-          slotId: { $in: slotIds },
-          status: { $nin: ['cancelled'] }
-        }
-      },
-      {
-        $group: {
-          _id: '$slotId',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
-    
-    const bookingCountMap = {};
-    bookingCounts.forEach(bc => {
-      bookingCountMap[bc._id.toString()] = bc.count;
-    });
-    
     const slotsWithCounts = slots.map(slot => ({
       ...slot,
-      bookingCount: bookingCountMap[slot._id.toString()] || 0
+      bookingCount: slot.bookedCount || 0
     }));
     
     const total = await ConsultationSlot.countDocuments(filter);
@@ -1078,21 +2124,17 @@ const adminGetSlot = async (req, res, next) => {
     
     const slot = await ConsultationSlot.findById(slotId)
       .populate('createdBy', 'name email')
+      .populate('consultantId', 'name email')
+      .populate('typeId', 'name slug duration fee')
       .lean();
     
     if (!slot) {
       return next(new AppError('Slot not found', 404));
     }
     
-    // Get booking count
-    const bookingCount = await ConsultationBooking.countDocuments({
-      slotId: slot._id,
-      status: { $nin: ['cancelled'] }
-    });
-    
     const slotWithCount = {
       ...slot,
-      bookingCount
+      bookingCount: slot.bookedCount || 0
     };
     
     res.status(200).json({
@@ -1115,7 +2157,13 @@ const adminCreateSlot = async (req, res, next) => {
       return next(new AppError('Authentication required', 401));
     }
     
-    const { date, startTime, duration = 30, maxBookings = 1, notes, status = 'available' } = req.body;
+    const { date, startTime, maxBookings = 1, notes, status = 'available' } = req.body;
+    const timezone = req.body.timezone || getBusinessTimeZone();
+    const consultantId = await resolveConsultantId(req.body.consultantId);
+    const intakeFormId = await resolveIntakeFormId(req.body.intakeFormId);
+    const type = await resolveType(req.body.typeId);
+    // Slots of a type last as long as the type unless told otherwise
+    const duration = req.body.duration ?? type?.duration ?? 30;
     
     // Validate required fields
     if (!date || !startTime) {
@@ -1124,8 +2172,7 @@ const adminCreateSlot = async (req, res, next) => {
     
     // Validate date is not in the past
     const slotDate = normalizeDate(date);
-    const today = normalizeDate(new Date());
-    if (slotDate < today) {
+    if (slotDate < getZonedToday(timezone)) {
       return next(new AppError('Cannot create slots in the past', 400));
     }
     
@@ -1134,37 +2181,33 @@ const adminCreateSlot = async (req, res, next) => {
       return next(new AppError('Start time must be in HH:MM format', 400));
     }
     
-    // Calculate end time
-    const endTime = calculateEndTime(startTime, duration);
-    
-    // Check for time conflicts (convert times to comparable format)
-    const allSlotsSameDate = await ConsultationSlot.find({
-      date: slotDate,
-      status: { $ne: 'cancelled' }
-    }).lean();
+    // Calculate end time and the absolute start/end
+    const times = resolveSlotTimes(slotDate, startTime, duration, timezone);
     
-    const conflictingSlot = allSlotsSameDate.find(existingSlot => {
-      return timeRangesOverlap(startTime, endTime, existingSlot.startTime, existingSlot.endTime);
-    });
+    // Check for time conflicts
+    const conflictingSlot = await findConflictingSlot(times.startAt, times.endAt, null, consultantId);
     
     if (conflictingSlot) {
       return next(new AppError('Time slot conflicts with an existing slot', 400));
     }
     
     // Create slot
+    const initialStatus = ConsultationSlot.deriveStatus(status, 0, Number(maxBookings));
     const slot = await ConsultationSlot.create({
-      date: slotDate,
-      startTime: startTime.trim(),
-      endTime,
+      ...times,
+      consultantId,
+      typeId: type?._id || null,
+      intakeFormId,
       duration: Number(duration),
       maxBookings: Number(maxBookings),
       notes: notes?.trim() || null,
-      status,
-      isAvailable: status === 'available',
+      status: initialStatus,
+      isAvailable: initialStatus === 'available',
       createdBy: req.user._id
     });
     
     await slot.populate('createdBy', 'name email');
+    await slot.populate('consultantId', 'name email');
     
     logger.info(`Consultation slot created: ${slot._id} by user: ${req.user._id}`);
     
@@ -1189,7 +2232,7 @@ const adminUpdateSlot = async (req, res, next) => {
     }
     
     const { slotId } = req.params;
-    const { date, startTime, duration, maxBookings, notes, status, isAvailable } = req.body;
+    const { date, startTime, duration, maxBookings, notes, status, isAvailable, timezone, consultantId, intakeFormId, typeId } = req.body;
     
     const slot = await ConsultationSlot.findById(slotId);
     if (!slot) {
@@ -1197,53 +2240,56 @@ const adminUpdateSlot = async (req, res, next) => {
     }
     
     // Check if slot has bookings (some fields cannot be changed)
-    const bookingCount = await ConsultationBooking.countDocuments({
-      slotId: slot._id,
-      status: { $nin: ['cancelled'] }
-    });
+    const bookingCount = slot.bookedCount || 0;
+    const changesTime = date !== undefined || startTime !== undefined || duration !== undefined || timezone !== undefined;
+    const changesConsultant = consultantId !== undefined && String(consultantId || '') !== String(slot.consultantId || '');
+    const changesType = typeId !== undefined && String(typeId || '') !== String(slot.typeId || '');
     
-    if (bookingCount > 0) {
-      // If there are bookings, only allow certain updates
-      if (date !== undefined || startTime !== undefined || duration !== undefined) {
-        return next(new AppError('Cannot change date, startTime, or duration for slots with existing bookings', 400));
-      }
+    if (bookingCount > 0 && (changesTime || changesConsultant || changesType)) {
+      return next(new AppError('Cannot change date, startTime, duration, timezone, consultant, or type for slots with existing bookings', 400));
     }
     
-    // Update fields
-    if (date !== undefined) {
-      const slotDate = normalizeDate(date);
-      const today = normalizeDate(new Date());
-      if (slotDate < today) {
-        return next(new AppError('Cannot set date in the past', 400));
-      }
-      slot.date = slotDate;
+    // An occurrence of a rule stays at the rule's time; moving it would bring the occurrence back
+    if (slot.ruleId && changesTime) {
+      return next(new AppError('Slots of an availability rule cannot be moved. Cancel this slot or add an exception to the rule instead.', 400));
     }
     
-    if (startTime !== undefined) {
-      if (!/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(startTime)) {
-        return next(new AppError('Start time must be in HH:MM format', 400));
-      }
-      slot.startTime = startTime.trim();
+    const updates = {};
+    
+    if (changesConsultant) {
+      updates.consultantId = await resolveConsultantId(consultantId);
     }
     
-    if (duration !== undefined) {
-      slot.duration = Number(duration);
+    if (changesType) {
+      updates.typeId = (await resolveType(typeId))?._id || null;
     }
     
-    // Recalculate end time if startTime or duration changed
-    if (startTime !== undefined || duration !== undefined) {
-      slot.endTime = calculateEndTime(slot.startTime, slot.duration);
+    // Recalculate end time and check for conflicts if the time or consultant changed
+    if (changesTime || changesConsultant) {
+      const newTimezone = timezone || getSlotTimeZone(slot);
+      const newDate = date !== undefined ? normalizeDate(date) : slot.date;
+      if (date !== undefined && newDate < getZonedToday(newTimezone)) {
+        return next(new AppError('Cannot set date in the past', 400));
+      }
       
-      // Check for time conflicts (exclude current slot)
-      const allSlotsSameDate = await ConsultationSlot.find({
-        _id: { $ne: slot._id },
-        date: slot.date,
-        status: { $ne: 'cancelled' }
-      }).lean();
+      if (startTime !== undefined && !/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(startTime)) {
+        return next(new AppError('Start time must be in HH:MM format', 400));
+      }
       
-      const conflictingSlot = allSlotsSameDate.find(existingSlot => {
-        return timeRangesOverlap(slot.startTime, slot.endTime, existingSlot.startTime, existingSlot.endTime);
-      });
+      const newDuration = duration !== undefined ? Number(duration) : slot.duration;
+      Object.assign(
+        updates,
+        resolveSlotTimes(newDate, startTime || slot.startTime, newDuration, newTimezone),
+        { duration: newDuration }
+      );
+      
+      // Check for time conflicts (exclude current slot)
+      const conflictingSlot = await findConflictingSlot(
+        updates.startAt,
+        updates.endAt,
+        slot._id,
+        changesConsultant ? updates.consultantId : slot.consultantId
+      );
       
       if (conflictingSlot) {
         return next(new AppError('Updated time slot conflicts with an existing slot', 400));
@@ -1255,32 +2301,61 @@ const adminUpdateSlot = async (req, res, next) => {
       if (newMaxBookings < bookingCount) {
         return next(new AppError(`Cannot set maxBookings less than current booking count (${bookingCount})`, 400));
       }
-      slot.maxBookings = newMaxBookings;
+      updates.maxBookings = newMaxBookings;
     }
     
     if (notes !== undefined) {
-      slot.notes = notes?.trim() || null;
+      updates.notes = notes?.trim() || null;
+    }
+    
+    if (intakeFormId !== undefined) {
+      updates.intakeFormId = await resolveIntakeFormId(intakeFormId);
     }
     
+    // 'available' and 'booked' both open the slot; the stored one follows its capacity.
+    // isAvailable is kept as a shorthand for opening or closing the slot.
     if (status !== undefined) {
-      slot.status = status;
-      // Update isAvailable based on status
-      slot.isAvailable = status === 'available';
+      updates.status = status;
+    } else if (isAvailable !== undefined) {
+      updates.status = isAvailable ? 'available' : 'cancelled';
     }
     
-    if (isAvailable !== undefined) {
-      slot.isAvailable = isAvailable;
+    // Conditions guard against bookings made since the slot was read
+    const conditions = { _id: slot._id };
+    if (changesTime || changesConsultant || changesType) {
+      conditions.bookedCount = { $in: [0, null] };
+    }
+    if (updates.maxBookings !== undefined) {
+      conditions.$expr = { $lte: [{ $ifNull: ['$bookedCount', 0] }, updates.maxBookings] };
     }
     
-    await slot.save();
-    await slot.populate('createdBy', 'name email');
+    // $literal keeps values such as notes from being read as field paths
+    const literalUpdates = Object.fromEntries(
+      Object.entries(updates).map(([key, value]) => [key, { $literal: value }])
+    );
+    const pipeline = [
+      ...(Object.keys(literalUpdates).length > 0 ? [{ $set: literalUpdates }] : []),
+      ...ConsultationSlot.statusStages()
+    ];
+    
+    const updatedSlot = await ConsultationSlot.findOneAndUpdate(conditions, pipeline, { new: true })
+      .populate('createdBy', 'name email')
+      .populate('consultantId', 'name email')
+      .populate('typeId', 'name slug duration fee');
+    
+    if (!updatedSlot) {
+      return next(new AppError('The slot was booked in the meantime. Please reload and try again.', 409));
+    }
     
     logger.info(`Slot updated: ${slotId} by user: ${req.user._id}`);
     
+    // Seats added by a higher maxBookings or by reopening the slot go to the waitlist first
+    offerFreedSeats(updatedSlot._id);
+    
     res.status(200).json({
       success: true,
       message: 'Slot updated successfully',
-      data: slot
+      data: updatedSlot
     });
   } catch (error) {
     logger.error('Admin update slot error', { error: error.message, stack: error.stack });
@@ -1310,17 +2385,28 @@ const adminDeleteSlot = async (req, res, next) => {
       status: { $nin: ['cancelled'] }
     });
     
-    if (bookingCount > 0) {
-      return next(new AppError('Cannot delete slot with existing bookings. Please cancel bookings first.', 400));
+    // The counter condition stops a booking made in the meantime from being orphaned
+    const unbooked = { _id: slot._id, bookedCount: { $in: [0, null] } };
+    let deleted = null;
+    if (bookingCount === 0) {
+      // A rule occurrence is kept as a cancelled override: without it the rule's
+      // virtual slot for the same time would be bookable again
+      deleted = slot.ruleId
+        ? await ConsultationSlot.findOneAndUpdate(unbooked, { $set: { status: 'cancelled', isAvailable: false } }, { new: true })
+        : await ConsultationSlot.findOneAndDelete(unbooked);
     }
     
-    await ConsultationSlot.findByIdAndDelete(slotId);
+    if (!deleted) {
+      return next(new AppError('Cannot delete slot with existing bookings. Please cancel bookings first.', 400));
+    }
     
-    logger.info(`Slot deleted: ${slotId} by user: ${req.user._id}`);
+    logger.info(`Slot ${slot.ruleId ? 'cancelled' : 'deleted'}: ${slotId} by user: ${req.user._id}`);
     
     res.status(200).json({
       success: true,
-      message: 'Slot deleted successfully'
+      message: slot.ruleId
+        ? 'Slot cancelled. It is an occurrence of an availability rule, so it is kept as cancelled; add a blackout or an exception to the rule to close more dates.'
+        : 'Slot deleted successfully'
     });
   } catch (error) {
     logger.error('Admin delete slot error', { error: error.message, stack: error.stack });
@@ -1330,6 +2416,7 @@ const adminDeleteSlot = async (req, res, next) => {
 
 /**
  * Admin: Create multiple slots in bulk
+ * Without startTime/endTime, slots of a consultant follow their weekly availability template.
  */
 const adminCreateBulkSlots = async (req, res, next) => {
   try {
@@ -1337,16 +2424,26 @@ const adminCreateBulkSlots = async (req, res, next) => {
       return next(new AppError('Authentication required', 401));
     }
     
-    const { startDate, endDate, startTime, endTime, interval, duration = 30, maxBookings = 1, notes } = req.body;
+    const { startDate, endDate, startTime, endTime, interval, maxBookings = 1, notes } = req.body;
+    const consultantId = await resolveConsultantId(req.body.consultantId);
+    const intakeFormId = await resolveIntakeFormId(req.body.intakeFormId);
+    const type = await resolveType(req.body.typeId);
+    const duration = req.body.duration ?? type?.duration ?? 30;
+    
+    // A consultant's weekly hours replace the start and end time when those are omitted
+    const availability = consultantId && !startTime && !endTime
+      ? await ConsultantAvailability.findOne({ consultantId }).lean()
+      : null;
+    const timezone = req.body.timezone || availability?.timezone || getBusinessTimeZone();
     
     // Validate required fields
-    if (!startDate || !endDate || !startTime || !endTime || !interval) {
+    if (!startDate || !endDate || !interval || (!availability && (!startTime || !endTime))) {
       return next(new AppError('startDate, endDate, startTime, endTime, and interval are required', 400));
     }
     
     // Validate time formats
     const timeRegex = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
-    if (!timeRegex.test(startTime) || !timeRegex.test(endTime)) {
+    if (!availability && (!timeRegex.test(startTime) || !timeRegex.test(endTime))) {
       return next(new AppError('Start time and end time must be in HH:MM format', 400));
     }
     
@@ -1357,7 +2454,7 @@ const adminCreateBulkSlots = async (req, res, next) => {
       return next(new AppError('Start date must be before or equal to end date', 400));
     }
     
-    if (start < normalizeDate(new Date())) {
+    if (start < getZonedToday(timezone)) {
       return next(new AppError('Cannot create slots in the past', 400));
     }
     
@@ -1367,65 +2464,66 @@ const adminCreateBulkSlots = async (req, res, next) => {
       return h * 60 + m;
     };
     
-    const startMinutes = timeToMinutes(startTime);
-    const endMinutes = timeToMinutes(endTime);
-    
-    if (startMinutes >= endMinutes) {
+    if (!availability && timeToMinutes(startTime) >= timeToMinutes(endTime)) {
       return next(new AppError('Start time must be before end time', 400));
     }
     
+    // Time windows of a date (slot dates are UTC midnight, so getUTCDay is the weekday)
+    const windowsFor = (day) => (availability
+      ? availability.weeklyHours.filter(window => window.dayOfWeek === day.getUTCDay())
+      : [{ startTime, endTime }]);
+    
     const slots = [];
     const currentDate = new Date(start);
     
     while (currentDate <= end) {
-      let currentTimeMinutes = startMinutes;
-      
-      while (currentTimeMinutes + duration <= endMinutes) {
-        const slotStartTime = `${Math.floor(currentTimeMinutes / 60).toString().padStart(2, '0')}:${(currentTimeMinutes % 60).toString().padStart(2, '0')}`;
-        const slotEndTime = calculateEndTime(slotStartTime, duration);
+      for (const window of windowsFor(currentDate)) {
+        let currentTimeMinutes = timeToMinutes(window.startTime);
+        const endMinutes = timeToMinutes(window.endTime);
         
-        slots.push({
-          date: new Date(currentDate),
-          startTime: slotStartTime,
-          endTime: slotEndTime,
-          duration: Number(duration),
-          maxBookings: Number(maxBookings),
-          notes: notes?.trim() || null,
-          status: 'available',
-          isAvailable: true,
-          createdBy: req.user._id,
-          createdAt: new Date(),
-          updatedAt: new Date()
-        });
-        
-        currentTimeMinutes += interval;
+        while (currentTimeMinutes + Number(duration) <= endMinutes) {
+          const slotStartTime = `${Math.floor(currentTimeMinutes / 60).toString().padStart(2, '0')}:${(currentTimeMinutes % 60).toString().padStart(2, '0')}`;
+          
+          slots.push({
+            ...resolveSlotTimes(currentDate, slotStartTime, duration, timezone),
+            consultantId,
+            typeId: type?._id || null,
+            intakeFormId,
+            duration: Number(duration),
+            maxBookings: Number(maxBookings),
+            notes: notes?.trim() || null,
+            status: 'available',
+            isAvailable: true,
+            createdBy: req.user._id,
+            createdAt: new Date(),
+            updatedAt: new Date()
+          });
+          
+          currentTimeMinutes += Number(interval);
+        }
       }
       
-      currentDate.setDate(currentDate.getDate() + 1);
+      currentDate.setUTCDate(currentDate.getUTCDate() + 1);
     }
     
-    // Check for conflicts before inserting (group by date for efficiency)
-    const dateGroups = {};
-    slots.forEach(slot => {
-      const dateKey = slot.date.toISOString().split('T')[0];
-      if (!dateGroups[dateKey]) dateGroups[dateKey] = [];
-      dateGroups[dateKey].push(slot);
-    });
+    // Check for conflicts before inserting (one query for the whole range)
+    const existingSlots = slots.length > 0
+      ? await ConsultationSlot.find({
+        consultantId,
+        status: { $ne: 'cancelled' },
+        startAt: { $lt: new Date(Math.max(...slots.map(slot => slot.endAt))) },
+        endAt: { $gt: new Date(Math.min(...slots.map(slot => slot.startAt))) }
+      }).lean()
+      : [];
     
-    for (const [dateKey, dateSlots] of Object.entries(dateGroups)) {
-      const existingSlots = await ConsultationSlot.find({
-        date: new Date(dateKey),
-        status: { $ne: 'cancelled' }
-      }).lean();
+    for (const slot of slots) {
+      const conflictingSlot = existingSlots.find(existing => {
+        return timeRangesOverlap(slot.startAt, slot.endAt, existing.startAt, existing.endAt);
+      });
       
-      for (const slot of dateSlots) {
-        const conflictingSlot = existingSlots.find(existing => {
-          return timeRangesOverlap(slot.startTime, slot.endTime, existing.startTime, existing.endTime);
-        });
-        
-        if (conflictingSlot) {
-          return next(new AppError(`Slot conflict detected at ${dateKey} ${slot.startTime}. Please resolve conflicts first.`, 400));
-        }
+      if (conflictingSlot) {
+        const dateKey = slot.date.toISOString().split('T')[0];
+        return next(new AppError(`Slot conflict detected at ${dateKey} ${slot.startTime}. Please resolve conflicts first.`, 400));
       }
     }
     
@@ -1455,6 +2553,10 @@ const adminCreateMultipleSlots = async (req, res, next) => {
     }
     
     const { date, slots } = req.body;
+    const timezone = req.body.timezone || getBusinessTimeZone();
+    const consultantId = await resolveConsultantId(req.body.consultantId);
+    const intakeFormId = await resolveIntakeFormId(req.body.intakeFormId);
+    const type = await resolveType(req.body.typeId);
     
     // Validate required fields
     if (!date || !slots || !Array.isArray(slots) || slots.length === 0) {
@@ -1462,8 +2564,7 @@ const adminCreateMultipleSlots = async (req, res, next) => {
     }
     
     const slotDate = normalizeDate(date);
-    const today = normalizeDate(new Date());
-    if (slotDate < today) {
+    if (slotDate < getZonedToday(timezone)) {
       return next(new AppError('Cannot create slots in the past', 400));
     }
     
@@ -1485,22 +2586,21 @@ const adminCreateMultipleSlots = async (req, res, next) => {
         continue;
       }
       
-      const duration = slot.duration || 30;
+      const duration = slot.duration || type?.duration || 30;
       if (duration < 15 || duration > 480) {
         errors.push(`Slot ${i + 1}: Duration must be between 15 and 480 minutes`);
         continue;
       }
       
-      const endTime = calculateEndTime(slot.startTime, duration);
       slotData.push({
-        date: slotDate,
-        startTime: slot.startTime.trim(),
-        endTime,
+        ...resolveSlotTimes(slotDate, slot.startTime, duration, timezone),
+        consultantId,
+        typeId: type?._id || null,
+        intakeFormId,
         duration: Number(duration),
         maxBookings: Number(slot.maxBookings || 1),
         notes: slot.notes?.trim() || null,
-        status: slot.status || 'available',
-        isAvailable: (slot.status || 'available') === 'available',
+        status: ConsultationSlot.deriveStatus(slot.status, 0, Number(slot.maxBookings || 1)),
         createdBy: req.user._id
       });
     }
@@ -1511,15 +2611,17 @@ const adminCreateMultipleSlots = async (req, res, next) => {
     
     // Check for conflicts with existing slots
     const existingSlots = await ConsultationSlot.find({
-      date: slotDate,
-      status: { $ne: 'cancelled' }
+      consultantId,
+      status: { $ne: 'cancelled' },
+      startAt: { $lt: new Date(Math.max(...slotData.map(slot => slot.endAt))) },
+      endAt: { $gt: new Date(Math.min(...slotData.map(slot => slot.startAt))) }
     }).lean();
     
     const conflicts = [];
     for (let i = 0; i < slotData.length; i++) {
       const slot = slotData[i];
       const conflictingSlot = existingSlots.find(existing => {
-        return timeRangesOverlap(slot.startTime, slot.endTime, existing.startTime, existing.endTime);
+        return timeRangesOverlap(slot.startAt, slot.endAt, existing.startAt, existing.endAt);
       });
       
       if (conflictingSlot) {
@@ -1535,8 +2637,8 @@ const adminCreateMultipleSlots = async (req, res, next) => {
     for (let i = 0; i < slotData.length; i++) {
       for (let j = i + 1; j < slotData.length; j++) {
         if (timeRangesOverlap(
-          slotData[i].startTime, slotData[i].endTime,
-          slotData[j].startTime, slotData[j].endTime
+          slotData[i].startAt, slotData[i].endAt,
+          slotData[j].startAt, slotData[j].endAt
         )) {
           conflicts.push({
             index: i,
@@ -1554,6 +2656,10 @@ const adminCreateMultipleSlots = async (req, res, next) => {
       return next(new AppError(`Time conflicts detected: ${conflictMessages}`, 400));
     }
     
+    slotData.forEach(slot => {
+      slot.isAvailable = slot.status === 'available';
+    });
+    
     // Create all slots
     const createdSlots = await ConsultationSlot.insertMany(slotData);
     
@@ -1583,11 +2689,16 @@ const adminListBookings = async (req, res, next) => {
     const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
     const skip = (page - 1) * limit;
     
-    const { status, slotId, startDate, endDate, userEmail } = req.query;
+    const { status, slotId, startDate, endDate, userEmail, consultantId, needsFollowUp, needsMeetingLink, typeId, paymentStatus } = req.query;
     
     const filter = {};
     if (status) filter.status = status;
+    if (needsFollowUp !== undefined) filter.needsFollowUp = needsFollowUp === 'true';
+    if (needsMeetingLink !== undefined) filter.meetingLinkIssue = needsMeetingLink === 'true' ? { $ne: null } : null;
     if (slotId) filter.slotId = slotId;
+    if (consultantId) filter.consultantId = consultantFilter(consultantId);
+    if (typeId) filter.typeId = typeId;
+    if (paymentStatus) filter['payment.status'] = paymentStatus;
     if (userEmail) filter.userEmail = userEmail.toLowerCase().trim();
     
     // Filter by slot date range
@@ -1603,6 +2714,7 @@ const adminListBookings = async (req, res, next) => {
     
     const bookings = await ConsultationBooking.find(filter)
       .populate('slotId')
+      .populate('consultantId', 'name email')
       .populate('confirmedBy', 'name email')
       .sort({ createdAt: -1 })
       .skip(skip)
@@ -1641,6 +2753,7 @@ const adminGetBooking = async (req, res, next) => {
     
     const booking = await ConsultationBooking.findById(bookingId)
       .populate('slotId')
+      .populate('consultantId', 'name email')
       .populate('confirmedBy', 'name email');
     
     if (!booking) {
@@ -1668,36 +2781,122 @@ const adminUpdateBooking = async (req, res, next) => {
     }
     
     const { bookingId } = req.params;
-    const { status, meetingLink, message } = req.body;
+    const { status, meetingLink, message, slotId, consultantId, paymentReference } = req.body;
     
-    const booking = await ConsultationBooking.findById(bookingId).populate('slotId');
+    let booking = await ConsultationBooking.findById(bookingId).populate('slotId');
     
     if (!booking) {
       return next(new AppError('Booking not found', 404));
     }
     
-    if (status !== undefined) {
-      const validStatuses = ['pending', 'confirmed', 'cancelled', 'completed'];
-      if (!validStatuses.includes(status)) {
-        return next(new AppError(`Invalid status. Must be one of: ${validStatuses.join(', ')}`, 400));
+    // Check every input before changing anything, so a refused request leaves the booking untouched
+    const moving = slotId !== undefined && String(slotId) !== String(booking.slotId._id);
+    const statusChanging = status !== undefined && status !== booking.status;
+    const validStatuses = ['pending', 'confirmed', 'cancelled', 'completed', 'no-show'];
+    if (statusChanging && !validStatuses.includes(status)) {
+      return next(new AppError(`Invalid status. Must be one of: ${validStatuses.join(', ')}`, 400));
+    }
+    
+    // A paid type is confirmed with the reference of a payment made outside the provider
+    const recordingPayment = statusChanging && status === 'confirmed' && isAwaitingPayment(booking);
+    if (recordingPayment && !paymentReference?.trim()) {
+      return next(new AppError('A paymentReference is required to confirm an unpaid booking', 400));
+    }
+    
+    // A move picks a consultant for the new slot, so a consultant sent with it is applied again after the move
+    const assigning = consultantId !== undefined
+      && (moving || String(consultantId || '') !== String(booking.consultantId || ''));
+    const newConsultantId = assigning ? await resolveConsultantId(consultantId) : null;
+    
+    // Move to another slot before the other changes, so a failed move leaves the booking untouched
+    let reschedule = null;
+    if (moving) {
+      reschedule = await moveBookingToSlot(booking, slotId, 'admin');
+      booking = reschedule.booking;
+    }
+    
+    let paymentRecorded = false;
+    if (statusChanging) {
+      // Handle status transitions; an admin's status replaces one set by the follow-up job
+      const changes = { status, needsFollowUp: false };
+      if (status === 'confirmed') {
+        changes.confirmedAt = new Date();
+        changes.confirmedBy = req.user._id;
+        
+        if (recordingPayment) {
+          Object.assign(changes, {
+            'payment.provider': 'manual',
+            'payment.reference': paymentReference.trim(),
+            'payment.status': 'paid',
+            'payment.checkoutUrl': null,
+            'payment.paidAt': new Date()
+          });
+          paymentRecorded = true;
+        }
+      }
+      
+      if (status === 'cancelled') {
+        changes.cancelledAt = new Date();
+        changes.cancelledBy = 'admin';
+        if (booking.payment?.status === 'pending') {
+          changes['payment.status'] = 'cancelled';
+        }
+      }
+      
+      // Cancelled bookings hold no capacity, so re-activating one has to reserve a spot again
+      const slotId = booking.slotId._id;
+      const reactivating = booking.status === 'cancelled';
+      if (reactivating && !(await ConsultationSlot.reserveSpot(slotId))) {
+        return next(new AppError('This slot is fully booked', 400));
       }
       
-      // Handle status transitions
-      if (status === 'confirmed' && booking.status !== 'confirmed') {
-        booking.confirmedAt = new Date();
-        booking.confirmedBy = req.user._id;
+      const updated = await ConsultationBooking.findOneAndUpdate(
+        { _id: booking._id, status: booking.status },
+        { $set: changes },
+        { new: true }
+      );
+      
+      if (!updated) {
+        if (reactivating) {
+          await ConsultationSlot.releaseSpot(slotId);
+        }
+        return next(new AppError('This booking was changed by another request. Please reload and try again.', 409));
       }
       
-      if (status === 'cancelled' && booking.status !== 'cancelled') {
-        booking.cancelledAt = new Date();
-        booking.cancelledBy = 'admin';
+      if (status === 'cancelled') {
+        await ConsultationSlot.releaseSpot(slotId);
+        offerFreedSeats(slotId);
       }
       
-      booking.status = status;
+      booking = updated;
+      
+      if (paymentRecorded) {
+        await booking.populate('slotId');
+        await applyMeeting(booking, booking.slotId);
+        logger.info(`Payment ${paymentReference.trim()} recorded for booking ${bookingId} by user: ${req.user._id}`);
+      }
+    }
+    
+    // Hand the booking to another consultant; the meeting follows them
+    if (assigning && String(newConsultantId || '') !== String(booking.consultantId || '')) {
+      booking.consultantId = newConsultantId;
+      // The new consultant gets their own briefing
+      booking.briefingSentAt = null;
+      if (booking.status !== 'cancelled' && !isAwaitingPayment(booking)) {
+        const slot = await ConsultationSlot.findById(booking.slotId._id);
+        await applyMeeting(booking, slot, { move: true });
+      }
+      logger.info(`Booking ${bookingId} assigned to consultant ${booking.consultantId || 'team'} by user: ${req.user._id}`);
     }
     
+    let meetingLinkAdded = false;
     if (meetingLink !== undefined) {
-      booking.meetingLink = meetingLink?.trim() || null;
+      const link = meetingLink?.trim() || null;
+      meetingLinkAdded = Boolean(link) && link !== booking.meetingLink && ['pending', 'confirmed'].includes(booking.status);
+      booking.meetingLink = link;
+      if (link) {
+        booking.meetingLinkIssue = null;
+      }
     }
     
     if (message !== undefined) {
@@ -1706,27 +2905,27 @@ const adminUpdateBooking = async (req, res, next) => {
     
     await booking.save();
     
-    // Update slot status if needed
-    if (booking.status === 'cancelled') {
-      const slot = await ConsultationSlot.findById(booking.slotId._id);
-      if (slot && slot.status === 'booked') {
-        const activeBookings = await ConsultationBooking.countDocuments({
-          slotId: slot._id,
-          status: { $nin: ['cancelled'] }
-        });
-        
-        if (activeBookings < slot.maxBookings) {
-          slot.status = 'available';
-          await slot.save();
-        }
-      }
-    }
-    
     await booking.populate('slotId');
+    await booking.populate('consultantId', 'name email');
     await booking.populate('confirmedBy', 'name email');
     
     logger.info(`Booking updated: ${bookingId} by user: ${req.user._id}`);
     
+    if (reschedule) {
+      sendBookingRescheduledEmails(booking, reschedule.previousSlot).catch(error => {
+        logger.error('Email sending error (non-blocking)', { error: error.message });
+      });
+    }
+    if (paymentRecorded) {
+      sendBookingConfirmedEmails(booking, null);
+    }
+    // The reschedule and receipt emails already carry the link
+    if (meetingLinkAdded && !reschedule && !paymentRecorded) {
+      sendMeetingLinkEmail(booking).catch(error => {
+        logger.error('Email sending error (non-blocking)', { error: error.message });
+      });
+    }
+    
     res.status(200).json({
       success: true,
       message: 'Booking updated successfully',
@@ -1741,9 +2940,13 @@ const adminUpdateBooking = async (req, res, next) => {
 module.exports = {
   // Public methods
   getAvailableSlots,
+  getSlotIntakeForm,
   bookConsultation,
   getBookingDetails,
   cancelBooking,
+  rescheduleBooking,
+  claimWaitlistOffer,
+  handlePaymentWebhook,
   
   // Admin methods
   adminListSlots,
@@ -0,0 +1,329 @@
+const mongoose = require('mongoose');
+const ConsultationSlot = require('../models/ConsultationSlot');
+const ConsultationType = require('../models/ConsultationType');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { getZonedParts, zonedTimeToUtc, addDays } = require('../utils/timezone');
+const { expandRules, findBlackouts } = require('../utils/availabilityRules');
+
+const { ObjectId } = mongoose.Types;
+
+// Longest range one calendar request may cover
+const MAX_RANGE_DAYS = 42;
+
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed'];
+
+const getBusinessTimeZone = () => config.googleCalendar.timezone || 'Asia/Kolkata';
+
+const overlaps = (a, b) => a.startAt < b.endAt && a.endAt > b.startAt;
+
+const sameOwner = (a, b) => String(a || '') === String(b || '');
+
+/**
+ * Match stage of the consultant filter. A consultant sees their own slots and the
+ * team slots holding one of their bookings; 'team' is the unassigned slots.
+ * @param {string|undefined} consultantId - User ID, 'team' or nothing for everyone
+ */
+const consultantStage = (consultantId) => {
+  if (!consultantId) {
+    return [];
+  }
+  if (consultantId === 'team') {
+    return [{ $match: { consultantId: null } }];
+  }
+  const id = new ObjectId(consultantId);
+  return [{ $match: { $or: [{ consultantId: id }, { 'bookings.consultantId': id }] } }];
+};
+
+/**
+ * Stored slots starting in a range with their bookings, consultant and type, grouped by
+ * the day they start. One aggregation replaces the per-slot lookups.
+ * @returns {Promise<Array>} [{ _id: 'YYYY-MM-DD', slots: [...] }]
+ */
+const aggregateSlotsByDay = (from, to, timezone, consultantId) => ConsultationSlot.aggregate([
+  // By start only, so every slot falls under a day of the range and the totals match the days
+  { $match: { startAt: { $gte: from, $lt: to } } },
+  {
+    $lookup: {
+      from: 'consultationbookings',
+      let: { slotId: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$slotId', '$$slotId'] }, status: { $ne: 'cancelled' } } },
+        {
+          $lookup: {
+            from: 'users',
+            let: { consultantId: '$consultantId' },
+            pipeline: [
+              { $match: { $expr: { $eq: ['$_id', '$$consultantId'] } } },
+              { $project: { name: 1, email: 1 } }
+            ],
+            as: 'consultant'
+          }
+        },
+        { $sort: { createdAt: 1 } },
+        {
+          $project: {
+            userName: 1,
+            userEmail: 1,
+            status: 1,
+            consultantId: 1,
+            consultant: { $arrayElemAt: ['$consultant', 0] },
+            typeName: 1,
+            meetingLink: 1,
+            needsMeetingLink: { $ne: [{ $ifNull: ['$meetingLinkIssue', null] }, null] },
+            paymentStatus: '$payment.status',
+            needsFollowUp: 1
+          }
+        }
+      ],
+      as: 'bookings'
+    }
+  },
+  ...consultantStage(consultantId),
+  {
+    $lookup: {
+      from: 'users',
+      let: { consultantId: '$consultantId' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$_id', '$$consultantId'] } } },
+        { $project: { name: 1, email: 1 } }
+      ],
+      as: 'consultant'
+    }
+  },
+  {
+    $lookup: {
+      from: 'consultationtypes',
+      let: { typeId: '$typeId' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$_id', '$$typeId'] } } },
+        { $project: { name: 1, duration: 1, fee: 1 } }
+      ],
+      as: 'type'
+    }
+  },
+  {
+    $project: {
+      day: { $dateToString: { date: '$startAt', format: '%Y-%m-%d', timezone } },
+      startAt: 1,
+      endAt: 1,
+      timezone: 1,
+      duration: 1,
+      status: 1,
+      isAvailable: 1,
+      maxBookings: 1,
+      ruleId: 1,
+      notes: 1,
+      consultantId: 1,
+      consultant: { $arrayElemAt: ['$consultant', 0] },
+      typeId: 1,
+      type: { $arrayElemAt: ['$type', 0] },
+      bookingCount: { $size: '$bookings' },
+      bookings: 1
+    }
+  },
+  { $sort: { startAt: 1 } },
+  { $group: { _id: '$day', slots: { $push: '$$ROOT' } } },
+  { $sort: { _id: 1 } }
+]);
+
+/**
+ * Conflicts among the slots of the calendar:
+ * - overlapping-slots: two open slots of the same consultant (or two team slots) overlap
+ * - double-booked: a consultant has active bookings in two overlapping slots
+ * - blackout: active bookings fall in a blackout of everyone or of their consultant
+ * @param {Array} slots - Stored slots with their bookings
+ * @param {Array} blackouts
+ * @returns {Array} Conflicts, in time order
+ */
+const findConflicts = (slots, blackouts) => {
+  const conflicts = [];
+  const open = slots.filter(slot => slot.status !== 'cancelled');
+
+  for (let i = 0; i < open.length; i++) {
+    for (let j = i + 1; j < open.length && open[j].startAt < open[i].endAt; j++) {
+      const [a, b] = [open[i], open[j]];
+      if (!overlaps(a, b)) {
+        continue;
+      }
+      if (sameOwner(a.consultantId, b.consultantId)) {
+        conflicts.push({
+          type: 'overlapping-slots',
+          consultantId: a.consultantId || null,
+          startAt: b.startAt,
+          endAt: a.endAt < b.endAt ? a.endAt : b.endAt,
+          slotIds: [a._id, b._id],
+          bookingIds: []
+        });
+      }
+
+      const activeA = a.bookings.filter(booking => booking.consultantId && ACTIVE_BOOKING_STATUSES.includes(booking.status));
+      const activeB = b.bookings.filter(booking => booking.consultantId && ACTIVE_BOOKING_STATUSES.includes(booking.status));
+      for (const first of activeA) {
+        const second = activeB.find(booking => sameOwner(booking.consultantId, first.consultantId));
+        if (second) {
+          conflicts.push({
+            type: 'double-booked',
+            consultantId: first.consultantId,
+            startAt: b.startAt,
+            endAt: a.endAt < b.endAt ? a.endAt : b.endAt,
+            slotIds: [a._id, b._id],
+            bookingIds: [first._id, second._id]
+          });
+        }
+      }
+    }
+  }
+
+  for (const blackout of blackouts) {
+    for (const slot of open) {
+      if (!overlaps(slot, blackout)) {
+        continue;
+      }
+      const affected = slot.bookings.filter(booking => ACTIVE_BOOKING_STATUSES.includes(booking.status)
+        && (!blackout.consultantId || sameOwner(blackout.consultantId, booking.consultantId || slot.consultantId)));
+      if (affected.length > 0) {
+        conflicts.push({
+          type: 'blackout',
+          consultantId: blackout.consultantId || null,
+          startAt: slot.startAt,
+          endAt: slot.endAt,
+          slotIds: [slot._id],
+          bookingIds: affected.map(booking => booking._id),
+          blackoutId: blackout._id
+        });
+      }
+    }
+  }
+
+  return conflicts.sort((a, b) => a.startAt - b.startAt);
+};
+
+/**
+ * Admin: Calendar of the consultations of a date range, for the admin portal's day and week views
+ *
+ * Every day of the range is returned, in `timezone`, with its stored slots (booking count and
+ * booking summaries), the open slots of the availability rules and the blackouts covering it.
+ * The conflicts of the range are listed once, and the slots involved are flagged `hasConflict`.
+ */
+const getCalendar = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const { view = 'week', consultantId } = req.query;
+    const timezone = req.query.timezone || getBusinessTimeZone();
+    const firstDay = req.query.startDate || getZonedParts(new Date(), timezone).date;
+    const lastDay = req.query.endDate || addDays(firstDay, view === 'day' ? 0 : 6);
+    if (lastDay < firstDay) {
+      return next(new AppError('Start date must be before or equal to end date', 400));
+    }
+    if (lastDay > addDays(firstDay, MAX_RANGE_DAYS - 1)) {
+      return next(new AppError(`The range cannot exceed ${MAX_RANGE_DAYS} days`, 400));
+    }
+
+    const from = zonedTimeToUtc(firstDay, '00:00', timezone);
+    const to = zonedTimeToUtc(addDays(lastDay, 1), '00:00', timezone);
+
+    // Rule slots are open slots, so only those still ahead are shown
+    const now = new Date();
+    const ruleFilter = consultantId ? { consultantId: consultantId === 'team' ? null : consultantId } : {};
+    const [slotDays, ruleSlots, allBlackouts] = await Promise.all([
+      aggregateSlotsByDay(from, to, timezone, consultantId),
+      to > now ? expandRules(from > now ? from : now, to, ruleFilter) : [],
+      findBlackouts(from, to)
+    ]);
+
+    const blackouts = allBlackouts.filter(blackout => !consultantId || !blackout.consultantId
+      || (consultantId !== 'team' && sameOwner(blackout.consultantId, consultantId)));
+    const storedSlots = slotDays.flatMap(day => day.slots);
+    const conflicts = findConflicts(storedSlots, blackouts);
+    const conflictSlotIds = new Set(conflicts.flatMap(conflict => conflict.slotIds.map(String)));
+
+    // Consultants and types of the rule slots, which the aggregation did not cover
+    const [ruleConsultants, ruleTypes] = ruleSlots.length > 0
+      ? await Promise.all([
+        User.find({ _id: { $in: ruleSlots.map(slot => slot.consultantId).filter(Boolean) } }).select('name email').lean(),
+        ConsultationType.find({ _id: { $in: ruleSlots.map(slot => slot.typeId).filter(Boolean) } }).select('name duration fee').lean()
+      ])
+      : [[], []];
+    const consultantsById = new Map(ruleConsultants.map(user => [String(user._id), user]));
+    const typesById = new Map(ruleTypes.map(type => [String(type._id), type]));
+
+    const toLocal = (slot) => ({
+      startTime: getZonedParts(slot.startAt, timezone).time,
+      endTime: getZonedParts(slot.endAt, timezone).time
+    });
+    const slotsByDay = new Map(slotDays.map(day => [day._id, day.slots.map(({ day: _day, ...slot }) => ({
+      ...slot,
+      local: toLocal(slot),
+      isVirtual: false,
+      hasConflict: conflictSlotIds.has(String(slot._id))
+    }))]));
+    for (const slot of ruleSlots) {
+      const day = getZonedParts(slot.startAt, timezone).date;
+      if (!slotsByDay.has(day)) {
+        slotsByDay.set(day, []);
+      }
+      slotsByDay.get(day).push({
+        _id: slot._id,
+        startAt: slot.startAt,
+        endAt: slot.endAt,
+        timezone: slot.timezone,
+        duration: slot.duration,
+        status: 'available',
+        isAvailable: true,
+        maxBookings: slot.maxBookings,
+        ruleId: slot.ruleId,
+        consultantId: slot.consultantId || null,
+        consultant: consultantsById.get(String(slot.consultantId)) || null,
+        typeId: slot.typeId || null,
+        type: typesById.get(String(slot.typeId)) || null,
+        bookingCount: 0,
+        bookings: [],
+        local: toLocal(slot),
+        isVirtual: true,
+        hasConflict: false
+      });
+    }
+
+    const days = [];
+    for (let day = firstDay; day <= lastDay; day = addDays(day, 1)) {
+      const dayStart = zonedTimeToUtc(day, '00:00', timezone);
+      const dayEnd = zonedTimeToUtc(addDays(day, 1), '00:00', timezone);
+      days.push({
+        date: day,
+        slots: (slotsByDay.get(day) || []).sort((a, b) => a.startAt - b.startAt),
+        blackouts: blackouts.filter(blackout => blackout.startAt < dayEnd && blackout.endAt > dayStart)
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar fetched successfully',
+      data: {
+        view,
+        timezone,
+        startDate: firstDay,
+        endDate: lastDay,
+        days,
+        conflicts,
+        totals: {
+          slots: storedSlots.length + ruleSlots.length,
+          bookings: storedSlots.reduce((sum, slot) => sum + slot.bookingCount, 0),
+          conflicts: conflicts.length
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get consultation calendar error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to fetch calendar', 500));
+  }
+};
+
+module.exports = {
+  getCalendar
+};
@@ -0,0 +1,233 @@
+const ConsultationType = require('../models/ConsultationType');
+const ConsultationSlot = require('../models/ConsultationSlot');
+const ConsultationAvailabilityRule = require('../models/ConsultationAvailabilityRule');
+const ConsultationIntakeForm = require('../models/ConsultationIntakeForm');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+/**
+ * URL-friendly version of a name, e.g. 'Patent Strategy (60 min)' -> 'patent-strategy-60-min'
+ */
+const slugify = (name) => name
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Validate an intake form ID sent by an admin
+ * @param {string|null} intakeFormId - Form ID, or null/empty for the default form
+ * @returns {Promise<ObjectId|null>}
+ */
+const resolveIntakeFormId = async (intakeFormId) => {
+  if (!intakeFormId) {
+    return null;
+  }
+  const form = await ConsultationIntakeForm.findById(intakeFormId).select('_id').lean();
+  if (!form) {
+    throw new AppError('Intake form not found', 400);
+  }
+  return form._id;
+};
+
+/**
+ * Check that no other type uses a slug
+ */
+const assertSlugFree = async (slug, typeId = null) => {
+  const filter = { slug };
+  if (typeId) {
+    filter._id = { $ne: typeId };
+  }
+  if (await ConsultationType.exists(filter)) {
+    throw new AppError(`A consultation type with the slug "${slug}" already exists`, 400);
+  }
+};
+
+// ==================== PUBLIC METHODS ====================
+
+/**
+ * List the active consultation types for the booking page
+ */
+const listTypes = async (req, res, next) => {
+  try {
+    const types = await ConsultationType.find({ isActive: true })
+      .select('name slug description duration fee sortOrder')
+      .sort({ sortOrder: 1, name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      message: 'Consultation types fetched successfully',
+      data: types
+    });
+  } catch (error) {
+    logger.error('List consultation types error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to fetch consultation types', 500));
+  }
+};
+
+// ==================== ADMIN METHODS ====================
+
+/**
+ * Admin: List consultation types
+ */
+const adminListTypes = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const filter = {};
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const types = await ConsultationType.find(filter)
+      .populate('intakeFormId', 'name')
+      .sort({ sortOrder: 1, name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      message: 'Consultation types fetched successfully',
+      data: types
+    });
+  } catch (error) {
+    logger.error('Admin list consultation types error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to fetch consultation types', 500));
+  }
+};
+
+/**
+ * Admin: Create a consultation type. A fee above 0 makes its bookings wait for payment.
+ */
+const adminCreateType = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const { name, description, duration, fee, currency, sortOrder = 0, isActive = true } = req.body;
+    const slug = req.body.slug || slugify(name);
+    if (!slug) {
+      return next(new AppError('A slug is required when the name has no letters or digits', 400));
+    }
+    await assertSlugFree(slug);
+
+    const type = await ConsultationType.create({
+      name: name.trim(),
+      slug,
+      description: description?.trim() || null,
+      duration,
+      fee: {
+        amount: fee || 0,
+        currency: currency || config.payments.currency
+      },
+      intakeFormId: await resolveIntakeFormId(req.body.intakeFormId),
+      sortOrder,
+      isActive,
+      createdBy: req.user._id
+    });
+
+    logger.info(`Consultation type created: ${type._id} by user: ${req.user._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Consultation type created successfully',
+      data: type
+    });
+  } catch (error) {
+    logger.error('Create consultation type error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to create consultation type', 500));
+  }
+};
+
+/**
+ * Admin: Update a consultation type. Existing slots keep their duration and
+ * existing bookings keep the fee they were made with.
+ */
+const adminUpdateType = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const type = await ConsultationType.findById(req.params.typeId);
+    if (!type) {
+      return next(new AppError('Consultation type not found', 404));
+    }
+
+    const { name, slug, description, duration, fee, currency, intakeFormId, sortOrder, isActive } = req.body;
+    if (slug !== undefined && slug !== type.slug) {
+      await assertSlugFree(slug, type._id);
+      type.slug = slug;
+    }
+    if (name !== undefined) type.name = name.trim();
+    if (description !== undefined) type.description = description?.trim() || null;
+    if (duration !== undefined) type.duration = duration;
+    if (fee !== undefined) type.fee.amount = fee || 0;
+    if (currency !== undefined) type.fee.currency = currency;
+    if (intakeFormId !== undefined) type.intakeFormId = await resolveIntakeFormId(intakeFormId);
+    if (sortOrder !== undefined) type.sortOrder = sortOrder;
+    if (isActive !== undefined) type.isActive = isActive;
+    type.updatedBy = req.user._id;
+
+    await type.save();
+
+    logger.info(`Consultation type updated: ${type._id} by user: ${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Consultation type updated successfully',
+      data: type
+    });
+  } catch (error) {
+    logger.error('Update consultation type error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to update consultation type', 500));
+  }
+};
+
+/**
+ * Admin: Delete a consultation type that no slot or availability rule uses.
+ * Types in use are deactivated instead, which stops them being booked.
+ */
+const adminDeleteType = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const { typeId } = req.params;
+    const [slotInUse, ruleInUse] = await Promise.all([
+      ConsultationSlot.exists({ typeId }),
+      ConsultationAvailabilityRule.exists({ typeId })
+    ]);
+    if (slotInUse || ruleInUse) {
+      return next(new AppError('This consultation type is used by slots or availability rules. Deactivate it instead.', 400));
+    }
+
+    const type = await ConsultationType.findByIdAndDelete(typeId);
+    if (!type) {
+      return next(new AppError('Consultation type not found', 404));
+    }
+
+    logger.info(`Consultation type deleted: ${type._id} by user: ${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Consultation type deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete consultation type error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to delete consultation type', 500));
+  }
+};
+
+module.exports = {
+  // Public methods
+  listTypes,
+
+  // Admin methods
+  adminListTypes,
+  adminCreateType,
+  adminUpdateType,
+  adminDeleteType
+};
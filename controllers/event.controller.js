@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const Event = require('../models/Event');
 const { AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const { buildCalendar, getUidDomain } = require('../utils/ics');
 
 const getBaseUrl = (req) => {
   const forwardedProto = req.headers['x-forwarded-proto'];
@@ -177,6 +178,49 @@ const publicListEvents = async (req, res, next) => {
   }
 };
 
+// Past events stay in the feed for a while, so subscribers keep their history
+const FEED_PAST_DAYS = 180;
+
+/**
+ * Public: ICS feed of published events, for calendar apps to subscribe to
+ */
+const calendarFeed = async (req, res, next) => {
+  try {
+    const events = await Event.find({
+      status: 'Published',
+      endDate: { $gte: new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000) }
+    })
+      .sort({ startDate: 1 })
+      .limit(500)
+      .lean();
+
+    const calendar = buildCalendar({
+      name: 'EuProximaX Events',
+      events: events.map((event) => ({
+        uid: `event-${event._id}@${getUidDomain()}`,
+        start: event.startDate,
+        end: event.endDate,
+        summary: event.title,
+        description: [event.description, event.registrationLink ? `Register: ${event.registrationLink}` : null]
+          .filter(Boolean)
+          .join('\n\n'),
+        location: event.venue,
+        url: event.registrationLink,
+        status: 'CONFIRMED',
+        updatedAt: event.updatedAt
+      }))
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="events.ics"');
+    res.set('Cache-Control', 'public, max-age=900');
+    res.status(200).send(calendar);
+  } catch (error) {
+    logger.error('Event calendar feed error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to load the events calendar', 500));
+  }
+};
+
 const adminListEvents = async (req, res, next) => {
   try {
     const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
@@ -628,6 +672,7 @@ const updateEventImages = async (req, res, next) => {
 
 module.exports = {
   publicListEvents,
+  calendarFeed,
   adminListEvents,
   adminGetEvent,
   createEvent,
@@ -0,0 +1,233 @@
+const ConsultationIntakeForm = require('../models/ConsultationIntakeForm');
+const ConsultationSlot = require('../models/ConsultationSlot');
+const ConsultationAvailabilityRule = require('../models/ConsultationAvailabilityRule');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const CHOICE_TYPES = ['select', 'multiselect'];
+
+/**
+ * Clean up the questions sent by an admin
+ * @returns {Object} { questions } or { error }
+ */
+const normalizeQuestions = (questions) => {
+  const keys = new Set();
+  const result = [];
+
+  for (let i = 0; i < questions.length; i++) {
+    const question = questions[i];
+    const key = question.key.trim();
+    if (keys.has(key)) {
+      return { error: `Question ${i + 1}: key "${key}" is used twice` };
+    }
+    keys.add(key);
+
+    const type = question.type || 'text';
+    const options = CHOICE_TYPES.includes(type)
+      ? [...new Set((question.options || []).map(option => String(option).trim()).filter(Boolean))]
+      : [];
+    if (CHOICE_TYPES.includes(type) && options.length === 0) {
+      return { error: `Question ${i + 1}: ${type} questions need at least one option` };
+    }
+
+    result.push({
+      key,
+      label: question.label.trim(),
+      type,
+      required: Boolean(question.required),
+      options,
+      helpText: question.helpText?.trim() || null
+    });
+  }
+
+  return { questions: result };
+};
+
+/**
+ * Make a form the only default form
+ */
+const clearOtherDefaults = (formId) => ConsultationIntakeForm.updateMany(
+  { _id: { $ne: formId }, isDefault: true },
+  { $set: { isDefault: false } }
+);
+
+/**
+ * Admin: List intake forms
+ */
+const listForms = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const filter = {};
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const forms = await ConsultationIntakeForm.find(filter)
+      .sort({ isDefault: -1, name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      message: 'Intake forms fetched successfully',
+      data: forms
+    });
+  } catch (error) {
+    logger.error('List intake forms error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to fetch intake forms', 500));
+  }
+};
+
+/**
+ * Admin: Get an intake form
+ */
+const getForm = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const form = await ConsultationIntakeForm.findById(req.params.formId)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email')
+      .lean();
+
+    if (!form) {
+      return next(new AppError('Intake form not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Intake form fetched successfully',
+      data: form
+    });
+  } catch (error) {
+    logger.error('Get intake form error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to fetch intake form', 500));
+  }
+};
+
+/**
+ * Admin: Create an intake form
+ */
+const createForm = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const { name, description, isDefault = false, isActive = true } = req.body;
+    const { questions, error } = normalizeQuestions(req.body.questions);
+    if (error) {
+      return next(new AppError(error, 400));
+    }
+
+    const form = await ConsultationIntakeForm.create({
+      name: name.trim(),
+      description: description?.trim() || null,
+      questions,
+      isDefault,
+      isActive,
+      createdBy: req.user._id
+    });
+    if (form.isDefault) {
+      await clearOtherDefaults(form._id);
+    }
+
+    logger.info(`Intake form created: ${form._id} by user: ${req.user._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Intake form created successfully',
+      data: form
+    });
+  } catch (error) {
+    logger.error('Create intake form error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to create intake form', 500));
+  }
+};
+
+/**
+ * Admin: Update an intake form. Bookings keep the questions and answers they were made with.
+ */
+const updateForm = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const form = await ConsultationIntakeForm.findById(req.params.formId);
+    if (!form) {
+      return next(new AppError('Intake form not found', 404));
+    }
+
+    const { name, description, questions, isDefault, isActive } = req.body;
+    if (name !== undefined) form.name = name.trim();
+    if (description !== undefined) form.description = description?.trim() || null;
+    if (isDefault !== undefined) form.isDefault = isDefault;
+    if (isActive !== undefined) form.isActive = isActive;
+    if (questions !== undefined) {
+      const normalized = normalizeQuestions(questions);
+      if (normalized.error) {
+        return next(new AppError(normalized.error, 400));
+      }
+      form.questions = normalized.questions;
+    }
+    form.updatedBy = req.user._id;
+
+    await form.save();
+    if (form.isDefault) {
+      await clearOtherDefaults(form._id);
+    }
+
+    logger.info(`Intake form updated: ${form._id} by user: ${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Intake form updated successfully',
+      data: form
+    });
+  } catch (error) {
+    logger.error('Update intake form error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to update intake form', 500));
+  }
+};
+
+/**
+ * Admin: Delete an intake form. Slots and rules using it fall back to the default form.
+ */
+const deleteForm = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const form = await ConsultationIntakeForm.findByIdAndDelete(req.params.formId);
+    if (!form) {
+      return next(new AppError('Intake form not found', 404));
+    }
+
+    await Promise.all([
+      ConsultationSlot.updateMany({ intakeFormId: form._id }, { $set: { intakeFormId: null } }),
+      ConsultationAvailabilityRule.updateMany({ intakeFormId: form._id }, { $set: { intakeFormId: null } })
+    ]);
+
+    logger.info(`Intake form deleted: ${form._id} by user: ${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Intake form deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete intake form error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to delete intake form', 500));
+  }
+};
+
+module.exports = {
+  listForms,
+  getForm,
+  createForm,
+  updateForm,
+  deleteForm
+};
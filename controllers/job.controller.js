@@ -0,0 +1,75 @@
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Admin: List background jobs with their schedule and last result
+ */
+const listJobs = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const jobs = await Job.find({}).sort({ name: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      message: 'Jobs fetched successfully',
+      data: jobs
+    });
+  } catch (error) {
+    logger.error('List jobs error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to fetch jobs', 500));
+  }
+};
+
+/**
+ * Admin: List job runs, newest first, filtered by job name and status
+ * (e.g. ?status=failed for failures)
+ */
+const listJobRuns = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const { jobName, status } = req.query;
+    const filter = {};
+    if (jobName) filter.jobName = jobName;
+    if (status) filter.status = status;
+
+    const runs = await JobRun.find(filter)
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await JobRun.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      message: 'Job runs fetched successfully',
+      data: {
+        items: runs,
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('List job runs error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to fetch job runs', 500));
+  }
+};
+
+module.exports = {
+  listJobs,
+  listJobRuns
+};
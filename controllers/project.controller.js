@@ -1,14 +1,162 @@
 const Project = require('../models/Project');
+const ProjectHistory = require('../models/ProjectHistory');
 const ContactMessage = require('../models/ContactMessage');
 const User = require('../models/User');
 const UserRole = require('../models/UserRole');
 const Role = require('../models/Role');
 const { AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
-const { sendMail } = require('../utils/mailer');
-const config = require('../utils/config');
+const { getRequestPermissionSet } = require('../utils/aclCache');
+const { checkTransition, applyTransition, notifyApprover, sendTransitionNotifications } = require('../utils/projectStages');
+const { getProjectChanges, createProjectHistory } = require('../middleware/history');
+const { createQuoteVersion, discardQuoteVersion, sendQuoteEmail, getQuoteReviewUrl } = require('../utils/projectQuotes');
+const { priceQuote } = require('../utils/quoteTotals');
+const { allocateInvoiceNumber, releaseInvoiceNumber } = require('../utils/invoiceNumbers');
+const quoteToken = require('../auth/quote-token');
+
+const APPROVER_FIELDS = ['quote.assignedApprover', 'quote.assignedApproverName', 'quote.assignedApproverAt'];
+// Content of a quote; it is only edited in Draft Quote
+const QUOTE_CONTENT_FIELDS = ['quote.clientName', 'quote.title', 'quote.serviceType', 'quote.lineItems', 'quote.amount', 'quote.currency', 'quote.description'];
+
+/**
+ * Write a change of a project to its timeline. An update is split into a stage entry
+ * (with the fields its transition stamped, cleared or numbered), an approver entry and the other edits.
+ * Failures are logged, as the project is already saved.
+ * @param {String} type - CREATE, UPDATE or DELETE
+ * @param {Object} before - Snapshot before the change ({} for a new project)
+ * @param {Object} project - Saved project document, before it is populated
+ * @param {Object} user - User making the change
+ * @param {Object} transition - Stage transition applied, if any
+ */
+const recordProjectHistory = async (type, before, project, user, transition = null) => {
+  try {
+    const after = type === 'DELETE' ? {} : project.toObject({ depopulate: true });
+    const changes = getProjectChanges(before, after);
+    if (type !== 'UPDATE') {
+      await createProjectHistory(type, project, user, changes);
+      return;
+    }
+
+    const stageFields = [
+      'currentStage',
+      'status',
+      ...Object.keys(transition?.stamp || {}),
+      ...(transition?.clear || []),
+      ...(transition?.sendQuote ? ['quote.invoiceNumber'] : [])
+    ];
+    const groups = [
+      ['STAGE', changes.filter(change => stageFields.includes(change.field))],
+      ['APPROVER', changes.filter(change => APPROVER_FIELDS.includes(change.field))],
+      ['UPDATE', changes.filter(change => !stageFields.includes(change.field) && !APPROVER_FIELDS.includes(change.field))]
+    ];
+    for (const [groupType, groupChanges] of groups) {
+      if (groupChanges.length > 0) {
+        await createProjectHistory(groupType, project, user, groupChanges);
+      }
+    }
+  } catch (error) {
+    logger.error('Project history error', {
+      error: error.message,
+      projectId: project._id,
+      type
+    });
+  }
+};
+
+/**
+ * Store the quote version of a transition that sends the quote. It runs before the
+ * project is saved, so a quote that cannot be rendered never reaches 'Quote Sent'.
+ * A quote sent for the first time gets the next invoice number, given back if the version fails.
+ * @returns {Promise<Object|null>} ProjectQuoteVersion, or null when the transition sends no quote
+ */
+const prepareQuoteVersion = async (project, transition, user) => {
+  if (!transition?.sendQuote) {
+    return null;
+  }
+  let invoiceNumber = null;
+  try {
+    if (!project.quote.invoiceNumber) {
+      invoiceNumber = await allocateInvoiceNumber();
+      project.quote.invoiceNumber = invoiceNumber;
+    }
+    return await createQuoteVersion(project, user);
+  } catch (error) {
+    logger.error('Quote version error', {
+      error: error.message,
+      stack: error.stack,
+      projectId: project._id
+    });
+    if (invoiceNumber) {
+      project.quote.invoiceNumber = null;
+      await releaseInvoiceNumber(invoiceNumber);
+    }
+    throw new AppError('Unable to generate the quote PDF. The project stage was not changed.', 500);
+  }
+};
+
+/**
+ * Save a project, unless another request changed its stage since it was loaded.
+ * When the save fails, the quote version stored for it is discarded and an invoice
+ * number allocated for it is given back.
+ * @param {Object} project - Project document
+ * @param {Object} before - Snapshot of the project as loaded
+ * @param {Object|null} quoteVersion - Result of prepareQuoteVersion
+ */
+const saveProject = async (project, before, quoteVersion = null) => {
+  project.$where = { currentStage: before.currentStage };
+  try {
+    await project.save();
+  } catch (error) {
+    if (quoteVersion) {
+      await discardQuoteVersion(quoteVersion);
+      if (!before.quote?.invoiceNumber) {
+        await releaseInvoiceNumber(project.quote.invoiceNumber);
+      }
+    }
+    if (error.name === 'DocumentNotFoundError') {
+      throw new AppError('This project was updated in the meantime. Please reload the page.', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Email a stored quote version to the client with a new review link, which voids the
+ * link of the previous version. Failures are logged, as the project is already saved.
+ */
+const deliverQuote = async (project, quoteVersion) => {
+  if (!quoteVersion) {
+    return;
+  }
+  try {
+    const { token, tokenHash } = quoteToken.issueReviewToken(project._id);
+    await Project.updateOne({ _id: project._id }, { $set: { 'quote.reviewTokenHash': tokenHash } });
+    await sendQuoteEmail(project, quoteVersion, getQuoteReviewUrl(project._id, token));
+  } catch (error) {
+    logger.error('Quote email failed', {
+      error: error.message,
+      projectId: project._id,
+      version: quoteVersion.version
+    });
+  }
+};
 
-const APPROVAL_PORTAL_URL = config.adminPortal.url;
+/**
+ * Populate the users of a project for the admin portal
+ */
+const populateProject = async (project) => {
+  await project.populate('projectManager', 'name email designation');
+  await project.populate('enquiryId');
+  await project.populate('createdBy', 'name email');
+  await project.populate('quote.draftBy', 'name email');
+  await project.populate('quote.internalApprovedBy', 'name email');
+  await project.populate('quote.sentBy', 'name email');
+  await project.populate('onboarding.onboardingBy', 'name email');
+  await project.populate('drafting.draftedBy', 'name email');
+  await project.populate('filing.filedBy', 'name email');
+  await project.populate('grant.grantedBy', 'name email');
+  await project.populate('close.closedBy', 'name email');
+};
 
 const createProject = async (req, res, next) => {
   try {
@@ -61,6 +209,8 @@ const createProject = async (req, res, next) => {
       createdBy: currentUser._id
     });
 
+    await recordProjectHistory('CREATE', {}, project, currentUser);
+
     await project.populate('projectManager', 'name email designation');
     await project.populate('createdBy', 'name email');
     await project.populate('quote.draftBy', 'name email');
@@ -183,9 +333,10 @@ const updateProject = async (req, res, next) => {
       return next(new AppError('Project not found', 404));
     }
 
+    const before = project.toObject({ depopulate: true });
     const previousStage = project.currentStage;
     const previousApproverId = project.quote?.assignedApprover ? project.quote.assignedApprover.toString() : null;
-    let notifyApprover = false;
+    let approverChanged = false;
     let assignedApproverInfo = null;
 
     if (projectName) {
@@ -197,23 +348,10 @@ const updateProject = async (req, res, next) => {
       if (!allowedStatuses.includes(status)) {
         return next(new AppError('Invalid status value', 400));
       }
-      project.status = status;
-    }
-
-    if (currentStage) {
-      const allowedStages = ['Draft Quote', 'Internal Approval', 'Quote Sent', 'Client Approval', 'Payment', 'Onboarding', 'Drafting', 'Filing', 'Grant', 'Close'];
-      if (!allowedStages.includes(currentStage)) {
-        return next(new AppError('Invalid stage value', 400));
-      }
-      project.currentStage = currentStage;
     }
-    const stageJustMovedToInternal = previousStage !== 'Internal Approval' && project.currentStage === 'Internal Approval';
-    const leavingInternalStage = previousStage === 'Internal Approval' && project.currentStage !== 'Internal Approval';
-    const revertedFromInternalApproval = previousStage === 'Internal Approval' && project.currentStage === 'Draft Quote';
 
     // Update quote details
     if (quote) {
-      if (quote.invoiceNumber !== undefined) project.quote.invoiceNumber = quote.invoiceNumber?.trim() || null;
       if (quote.clientName !== undefined) project.quote.clientName = quote.clientName?.trim() || null;
       if (quote.title !== undefined) project.quote.title = quote.title?.trim() || null;
       if (quote.serviceType !== undefined) project.quote.serviceType = quote.serviceType?.trim() || null;
@@ -223,13 +361,33 @@ const updateProject = async (req, res, next) => {
           quantity: item.quantity || 0,
           unitPrice: item.unitPrice || 0,
           currency: item.currency || 'INR',
-          finalCost: item.finalCost || (item.quantity || 0) * (item.unitPrice || 0)
+          discountType: item.discountType || 'amount',
+          discount: item.discount || 0,
+          taxes: (item.taxes || []).map(tax => ({ name: tax.name?.trim(), rate: tax.rate || 0 }))
         }));
       }
-      if (quote.amount !== undefined) project.quote.amount = quote.amount;
+      // The total of a quote with line items is computed, never taken from the request
+      if (quote.amount !== undefined && project.quote.lineItems.length === 0) project.quote.amount = quote.amount;
       if (quote.currency) project.quote.currency = quote.currency;
+
       if (quote.description !== undefined) project.quote.description = quote.description?.trim() || null;
 
+      if (quote.lineItems !== undefined || quote.currency) {
+        const pricingError = await priceQuote(project);
+        if (pricingError) {
+          return next(new AppError(pricingError.message, pricingError.statusCode));
+        }
+      }
+
+      // A quote past Draft Quote is revised by moving the project back to Draft Quote first
+      if (previousStage !== 'Draft Quote' && currentStage !== 'Draft Quote') {
+        const quoteChanged = getProjectChanges(before, project.toObject({ depopulate: true }))
+          .some(change => QUOTE_CONTENT_FIELDS.includes(change.field));
+        if (quoteChanged) {
+          return next(new AppError(`The quote cannot be edited in ${previousStage}. Move the project back to Draft Quote to revise it.`, 400));
+        }
+      }
+
       // Handle assigning approver for Internal Approval
       if (quote.assignedApprover !== undefined) {
         // Only allow assignment if not already approved
@@ -257,7 +415,7 @@ const updateProject = async (req, res, next) => {
           project.quote.assignedApproverName = assignedUser.name;
           project.quote.assignedApproverAt = new Date();
           if (previousApproverId !== assignedUser._id.toString()) {
-            notifyApprover = project.currentStage === 'Internal Approval';
+            approverChanged = true;
             assignedApproverInfo = {
               name: assignedUser.name,
               email: assignedUser.email
@@ -268,47 +426,10 @@ const updateProject = async (req, res, next) => {
           project.quote.assignedApprover = null;
           project.quote.assignedApproverName = null;
           project.quote.assignedApproverAt = null;
-          notifyApprover = false;
+          approverChanged = false;
           assignedApproverInfo = null;
         }
       }
-
-      if (currentStage === 'Quote Sent' && !project.quote.sentDate) {
-        project.quote.sentDate = new Date();
-        project.quote.sentBy = currentUser._id;
-      }
-      if (quote.clientApproved !== undefined) {
-        project.quote.clientApproved = quote.clientApproved;
-        if (quote.clientApproved && !project.quote.clientApprovalDate) {
-          project.quote.clientApprovalDate = new Date();
-        }
-      }
-    }
-
-    // Handle stage transitions for Internal Approval approvals (when leaving the stage)
-    if (leavingInternalStage && !project.quote.internalApprovalDate) {
-      if (!project.quote.assignedApprover) {
-        return next(new AppError('Higher Management approver not assigned', 400));
-      }
-
-      if (project.quote.assignedApprover.toString() !== currentUser._id.toString()) {
-        return next(new AppError('Only the assigned Higher Management approver can approve this quote', 403));
-      }
-
-      project.quote.internalApprovalDate = new Date();
-      project.quote.internalApprovedBy = currentUser._id;
-    }
-
-    // If the project was sent back to Draft Quote from Internal Approval, require a fresh approval
-    if (revertedFromInternalApproval) {
-      project.quote.internalApprovalDate = null;
-      project.quote.internalApprovedBy = null;
-    }
-
-    if (stageJustMovedToInternal) {
-      if (!project.quote.assignedApprover) {
-        return next(new AppError('Please assign a Higher Management approver before requesting Internal Approval', 400));
-      }
     }
 
     // Update payment details
@@ -334,13 +455,6 @@ const updateProject = async (req, res, next) => {
       if (onboarding.completedDate) project.onboarding.completedDate = new Date(onboarding.completedDate);
       if (onboarding.onboardingBy) project.onboarding.onboardingBy = onboarding.onboardingBy;
       if (onboarding.notes !== undefined) project.onboarding.notes = onboarding.notes?.trim() || null;
-
-      if (currentStage === 'Onboarding' && !project.onboarding.onboardingBy) {
-        project.onboarding.onboardingBy = currentUser._id;
-        if (!project.onboarding.startDate) {
-          project.onboarding.startDate = new Date();
-        }
-      }
     }
 
     // Update drafting details
@@ -350,13 +464,6 @@ const updateProject = async (req, res, next) => {
       if (drafting.completedDate) project.drafting.completedDate = new Date(drafting.completedDate);
       if (drafting.draftedBy) project.drafting.draftedBy = drafting.draftedBy;
       if (drafting.notes !== undefined) project.drafting.notes = drafting.notes?.trim() || null;
-
-      if (currentStage === 'Drafting' && !project.drafting.draftedBy) {
-        project.drafting.draftedBy = currentUser._id;
-        if (!project.drafting.startDate) {
-          project.drafting.startDate = new Date();
-        }
-      }
     }
 
     // Update filing details
@@ -366,13 +473,6 @@ const updateProject = async (req, res, next) => {
       if (filing.applicationNumber !== undefined) project.filing.applicationNumber = filing.applicationNumber?.trim() || null;
       if (filing.filedBy) project.filing.filedBy = filing.filedBy;
       if (filing.notes !== undefined) project.filing.notes = filing.notes?.trim() || null;
-
-      if (currentStage === 'Filing' && !project.filing.filedBy) {
-        project.filing.filedBy = currentUser._id;
-        if (!project.filing.filingDate) {
-          project.filing.filingDate = new Date();
-        }
-      }
     }
 
     // Update grant details
@@ -382,13 +482,6 @@ const updateProject = async (req, res, next) => {
       if (grant.grantNumber !== undefined) project.grant.grantNumber = grant.grantNumber?.trim() || null;
       if (grant.grantedBy) project.grant.grantedBy = grant.grantedBy;
       if (grant.notes !== undefined) project.grant.notes = grant.notes?.trim() || null;
-
-      if (currentStage === 'Grant' && !project.grant.grantedBy) {
-        project.grant.grantedBy = currentUser._id;
-        if (!project.grant.grantDate) {
-          project.grant.grantDate = new Date();
-        }
-      }
     }
 
     // Update close details
@@ -397,13 +490,6 @@ const updateProject = async (req, res, next) => {
       if (close.closedDate) project.close.closedDate = new Date(close.closedDate);
       if (close.closedBy) project.close.closedBy = close.closedBy;
       if (close.remarks !== undefined) project.close.remarks = close.remarks?.trim() || null;
-
-      if (currentStage === 'Close' && !project.close.closedBy) {
-        project.close.closedBy = currentUser._id;
-        if (!project.close.closedDate) {
-          project.close.closedDate = new Date();
-        }
-      }
     }
 
     if (services) {
@@ -414,59 +500,38 @@ const updateProject = async (req, res, next) => {
       project.notes = notes.trim();
     }
 
-    await project.save();
-    await project.populate('projectManager', 'name email designation');
-    await project.populate('enquiryId');
-    await project.populate('createdBy', 'name email');
-    await project.populate('quote.draftBy', 'name email');
-    await project.populate('quote.internalApprovedBy', 'name email');
-    await project.populate('quote.sentBy', 'name email');
-    await project.populate('onboarding.onboardingBy', 'name email');
-    await project.populate('drafting.draftedBy', 'name email');
-    await project.populate('filing.filedBy', 'name email');
-    await project.populate('grant.grantedBy', 'name email');
-    await project.populate('close.closedBy', 'name email');
-
-    if (!notifyApprover && stageJustMovedToInternal && project.quote.assignedApprover) {
-      try {
-        const assignedUser = await User.findById(project.quote.assignedApprover).lean();
-        if (assignedUser && !assignedUser.isDeleted) {
-          assignedApproverInfo = {
-            name: assignedUser.name,
-            email: assignedUser.email
-          };
-          notifyApprover = Boolean(assignedApproverInfo.email);
-        }
-      } catch (err) {
-        logger.error('Failed to load assigned approver for notification', {
-          error: err.message,
-          projectId: project._id
-        });
+    // Stage changes go through the same transitions as POST /project/:id/transition,
+    // after the other fields so that a guard can be met in the same request
+    let transition = null;
+    let quoteVersion = null;
+    if (currentStage && currentStage !== previousStage) {
+      const { roles } = await getRequestPermissionSet(req);
+      const refusal = checkTransition(project, currentStage, { user: currentUser, roles });
+      if (refusal) {
+        return next(new AppError(refusal.message, refusal.statusCode));
       }
+      transition = applyTransition(project, currentStage, currentUser);
+    }
+
+    // The status follows the stage; a request may only repeat it
+    if (status && status !== project.status) {
+      return next(new AppError(`The status of a project in ${project.currentStage} is ${project.status}. Change the stage to change it.`, 400));
+    }
+
+    if (transition) {
+      quoteVersion = await prepareQuoteVersion(project, transition, currentUser);
     }
 
-    if (notifyApprover && assignedApproverInfo?.email) {
-      const portalBaseUrl = APPROVAL_PORTAL_URL.endsWith('/')
-        ? APPROVAL_PORTAL_URL.slice(0, -1)
-        : APPROVAL_PORTAL_URL;
-      const approvalLink = `${portalBaseUrl}/admin/projects/${project._id}`;
+    await saveProject(project, before, quoteVersion);
+    await recordProjectHistory('UPDATE', before, project, currentUser, transition);
+    await populateProject(project);
+
+    if (transition) {
+      await deliverQuote(project, quoteVersion);
+      await sendTransitionNotifications(project, transition, previousStage, currentUser);
+    } else if (approverChanged && project.currentStage === 'Internal Approval' && assignedApproverInfo?.email) {
       try {
-        await sendMail({
-          to: assignedApproverInfo.email,
-          subject: `Project Approval Needed: ${project.projectName}`,
-          text: `Hi ${assignedApproverInfo.name || 'there'},\n\nYou have been assigned to approve the quote for the project "${project.projectName}".\n\nPlease review the project details at: ${approvalLink}\n\nThank you,\nEuProximaX`,
-          html: `
-            <p>Hi <strong>${assignedApproverInfo.name || 'there'}</strong>,</p>
-            <p>You have been assigned to approve the quote for the project <strong>${project.projectName}</strong>.</p>
-            <p>
-              <a href="${approvalLink}" style="display:inline-block;padding:10px 16px;border-radius:8px;background-color:#4f46e5;color:#ffffff;text-decoration:none;font-weight:600;">
-                Review Project →
-              </a>
-            </p>
-            <p>Please log in to the admin portal to complete the approval.</p>
-            <p style="margin-top:24px;">Regards,<br/>EuProximaX Team</p>
-          `
-        });
+        await notifyApprover(project, assignedApproverInfo);
       } catch (mailError) {
         logger.error('Project approval notification failed', {
           error: mailError.message,
@@ -491,6 +556,111 @@ const updateProject = async (req, res, next) => {
   }
 };
 
+/**
+ * Move a project to another stage of the pipeline. Illegal jumps and unmet guards
+ * (missing fields, the wrong approver or role, payment not recorded) are refused.
+ * See utils/projectStages.js for the transitions.
+ */
+const transitionProject = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { stage, remarks } = req.body;
+    const currentUser = req.user;
+
+    const project = await Project.findById(id);
+    if (!project) {
+      return next(new AppError('Project not found', 404));
+    }
+
+    const before = project.toObject({ depopulate: true });
+    if (stage === 'Close' && remarks !== undefined) {
+      project.close.remarks = remarks?.trim() || null;
+    }
+
+    const previousStage = project.currentStage;
+    const { roles } = await getRequestPermissionSet(req);
+    const refusal = checkTransition(project, stage, { user: currentUser, roles });
+    if (refusal) {
+      return next(new AppError(refusal.message, refusal.statusCode));
+    }
+    const transition = applyTransition(project, stage, currentUser);
+    const quoteVersion = await prepareQuoteVersion(project, transition, currentUser);
+
+    await saveProject(project, before, quoteVersion);
+    await recordProjectHistory('UPDATE', before, project, currentUser, transition);
+    await populateProject(project);
+    await deliverQuote(project, quoteVersion);
+    await sendTransitionNotifications(project, transition, previousStage, currentUser);
+
+    logger.info(`Project ${project._id} moved from ${previousStage} to ${stage} by user: ${currentUser._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Project moved to ${stage}`,
+      data: project
+    });
+  } catch (error) {
+    logger.error('Transition project error', {
+      error: error.message,
+      stack: error.stack,
+      projectId: req.params.id
+    });
+    next(error instanceof AppError ? error : new AppError('Unable to change project stage', 500));
+  }
+};
+
+/**
+ * Timeline of a project, newest first: creation, edits, stage and approver changes and
+ * deletion, each with the user and the before/after values of the fields changed.
+ * It stays available after the project is deleted.
+ */
+const getProjectTimeline = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const filter = { projectId: id };
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const [entries, total] = await Promise.all([
+      ProjectHistory.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('userId', 'name email')
+        .lean(),
+      ProjectHistory.countDocuments(filter)
+    ]);
+
+    if (total === 0 && !(await Project.exists({ _id: id }))) {
+      return next(new AppError('Project not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Project timeline fetched successfully',
+      data: {
+        items: entries,
+        page,
+        limit,
+        total,
+        totalPages: Math.max(Math.ceil(total / limit), 1)
+      }
+    });
+  } catch (error) {
+    logger.error('Get project timeline error', {
+      error: error.message,
+      stack: error.stack,
+      projectId: req.params.id
+    });
+    next(error instanceof AppError ? error : new AppError('Unable to fetch project timeline', 500));
+  }
+};
+
 const deleteProject = async (req, res, next) => {
   try {
     const { id } = req.params;
@@ -501,6 +671,7 @@ const deleteProject = async (req, res, next) => {
     }
 
     await Project.findByIdAndDelete(id);
+    await recordProjectHistory('DELETE', project.toObject({ depopulate: true }), project, req.user);
     logger.info(`Project deleted: ${id}`);
 
     res.status(200).json({
@@ -522,6 +693,8 @@ module.exports = {
   listProjects,
   getProjectById,
   updateProject,
+  transitionProject,
+  getProjectTimeline,
   deleteProject
 };
 
@@ -0,0 +1,523 @@
+const Project = require('../models/Project');
+const ProjectQuoteVersion = require('../models/ProjectQuoteVersion');
+const User = require('../models/User');
+const ExchangeRate = require('../models/ExchangeRate');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const quoteToken = require('../auth/quote-token');
+const { renderQuotePdf } = require('../utils/quotePdf');
+const { resolveQuoteFile, getQuoteFileName, notifyClientResponse } = require('../utils/projectQuotes');
+const { QUOTE_STAGES, checkTransition, applyTransition } = require('../utils/projectStages');
+const { BASE_CURRENCY } = require('../utils/quoteTotals');
+const { getProjectChanges, createProjectHistory } = require('../middleware/history');
+
+// Stage a project moves to when the client approves its quote
+const APPROVED_STAGE = 'Payment';
+
+/**
+ * List the quote versions sent for a project, newest first
+ */
+const listQuoteVersions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!(await Project.exists({ _id: id }))) {
+      return next(new AppError('Project not found', 404));
+    }
+
+    const versions = await ProjectQuoteVersion.find({ projectId: id })
+      .sort({ version: -1 })
+      .populate('createdBy', 'name email')
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      message: 'Quote versions fetched successfully',
+      data: versions
+    });
+  } catch (error) {
+    logger.error('List quote versions error', {
+      error: error.message,
+      stack: error.stack,
+      projectId: req.params.id
+    });
+    next(error instanceof AppError ? error : new AppError('Unable to fetch quote versions', 500));
+  }
+};
+
+/**
+ * Download the PDF of a stored quote version
+ */
+const downloadQuoteVersion = async (req, res, next) => {
+  try {
+    const { id, version } = req.params;
+    const quoteVersion = await ProjectQuoteVersion.findOne({ projectId: id, version: Number(version) }).lean();
+    if (!quoteVersion) {
+      return next(new AppError('Quote version not found', 404));
+    }
+
+    const filePath = resolveQuoteFile(quoteVersion);
+    if (!filePath) {
+      return next(new AppError('Quote file not found', 404));
+    }
+
+    res.download(filePath, getQuoteFileName(quoteVersion), (error) => {
+      if (error && !res.headersSent) {
+        logger.error('Quote file missing', { error: error.message, projectId: id, version: quoteVersion.version });
+        next(new AppError('Quote file not found', 404));
+      }
+    });
+  } catch (error) {
+    logger.error('Download quote version error', {
+      error: error.message,
+      stack: error.stack,
+      projectId: req.params.id
+    });
+    next(error instanceof AppError ? error : new AppError('Unable to download quote', 500));
+  }
+};
+
+/**
+ * Render the current quote of a project without storing it, as a quotation
+ * (?document=quote, the default) or a pro-forma invoice (?document=proforma)
+ */
+const previewQuotePdf = async (req, res, next) => {
+  try {
+    const project = await Project.findById(req.params.id).lean();
+    if (!project) {
+      return next(new AppError('Project not found', 404));
+    }
+
+    const documentType = req.query.document || 'quote';
+    const pdf = await renderQuotePdf(project, { documentType });
+    const label = documentType === 'proforma' ? 'Proforma' : 'Quote';
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Length': pdf.length,
+      'Content-Disposition': `inline; filename="${label}-${project._id.toString().slice(-6).toUpperCase()}-draft.pdf"`
+    });
+    res.status(200).send(pdf);
+  } catch (error) {
+    logger.error('Preview quote PDF error', {
+      error: error.message,
+      stack: error.stack,
+      projectId: req.params.id
+    });
+    next(error instanceof AppError ? error : new AppError('Unable to generate quote PDF', 500));
+  }
+};
+
+/**
+ * List the stored exchange rates quotes are totalled with
+ */
+const listExchangeRates = async (req, res, next) => {
+  try {
+    const rates = await ExchangeRate.find()
+      .sort({ currency: 1 })
+      .populate('updatedBy', 'name email')
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rates fetched successfully',
+      data: { baseCurrency: BASE_CURRENCY, rates }
+    });
+  } catch (error) {
+    logger.error('List exchange rates error', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error instanceof AppError ? error : new AppError('Unable to fetch exchange rates', 500));
+  }
+};
+
+/**
+ * Set the value of a currency in the base currency. Quotes already priced keep the rates
+ * they were priced with until their line items or currency change.
+ */
+const updateExchangeRate = async (req, res, next) => {
+  try {
+    const { currency } = req.params;
+    const rate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { $set: { rate: Number(req.body.rate), updatedBy: req.user._id } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    logger.info(`Exchange rate of ${currency} set to ${rate.rate} ${BASE_CURRENCY} by user: ${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate updated successfully',
+      data: rate
+    });
+  } catch (error) {
+    logger.error('Update exchange rate error', {
+      error: error.message,
+      stack: error.stack,
+      currency: req.params.currency
+    });
+    next(error instanceof AppError ? error : new AppError('Unable to update exchange rate', 500));
+  }
+};
+
+// ==================== CLIENT REVIEW ====================
+
+/**
+ * Review token sent by the client as X-Quote-Token header, ?token= or body.token
+ */
+const getReviewToken = (req) => req.get('x-quote-token') || req.query.token || req.body?.token;
+
+/**
+ * Load a project and the quote version last sent for a client request, checking the review token
+ * @returns {Promise<Object|null>} { project, quoteVersion }, or null when the token does not match
+ */
+const findQuoteByReviewToken = async (projectId, reviewToken) => {
+  // Signature check first so forged tokens never reach the database
+  if (!quoteToken.hasValidSignature(projectId, reviewToken)) {
+    return null;
+  }
+  const project = await Project.findById(projectId).select('+quote.reviewTokenHash');
+  if (!project || !quoteToken.verifyReviewToken(project, reviewToken)) {
+    return null;
+  }
+  const quoteVersion = await ProjectQuoteVersion.findOne({ projectId: project._id }).sort({ version: -1 }).lean();
+  if (!quoteVersion) {
+    return null;
+  }
+  return { project, quoteVersion };
+};
+
+/**
+ * Where the client stands on the quote: approved, changes_requested, pending, or
+ * withdrawn once the project went back to Draft Quote for a revision
+ */
+const getReviewStatus = (project, quoteVersion) => {
+  if (project.quote.clientApproved) {
+    return 'approved';
+  }
+  if (!QUOTE_STAGES.includes(project.currentStage)) {
+    return 'withdrawn';
+  }
+  const requested = project.quote.changeRequests.some(request => request.version === quoteVersion.version);
+  return requested ? 'changes_requested' : 'pending';
+};
+
+/**
+ * Quote as shown to the client: the version sent, without internal fields
+ */
+const toPublicQuote = (project, quoteVersion) => ({
+  projectId: project._id,
+  projectName: project.projectName,
+  clientName: quoteVersion.clientName,
+  version: quoteVersion.version,
+  sentAt: quoteVersion.createdAt,
+  quote: quoteVersion.quote,
+  total: quoteVersion.total,
+  currency: quoteVersion.currency,
+  status: getReviewStatus(project, quoteVersion),
+  approvedAt: project.quote.clientApproved ? project.quote.clientApprovalDate : null,
+  changeRequests: project.quote.changeRequests
+    .filter(request => request.version === quoteVersion.version)
+    .map(request => ({ comments: request.comments, requestedAt: request.requestedAt }))
+});
+
+/**
+ * Check that the client can still answer the quote
+ * @returns {AppError|null}
+ */
+const checkQuoteOpen = (project) => {
+  if (project.quote.clientApproved) {
+    return new AppError('This quote has already been approved', 400);
+  }
+  if (!QUOTE_STAGES.includes(project.currentStage)) {
+    return new AppError('This quote is being revised. You will receive the new version by email.', 400);
+  }
+  return null;
+};
+
+/**
+ * Save a client's answer, guarded against a concurrent change of the project,
+ * and write it to the timeline (the stage change, if any, as its own entry)
+ * @param {Object} user - Staff member who recorded the answer; null when the client gave it
+ */
+const saveClientResponse = async (project, before, user = null) => {
+  project.$where = { currentStage: before.currentStage, 'quote.clientApproved': { $ne: true } };
+  try {
+    await project.save();
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      throw new AppError('This quote was updated in the meantime. Please reload the page.', 409);
+    }
+    throw error;
+  }
+
+  try {
+    const changes = getProjectChanges(before, project.toObject({ depopulate: true }));
+    const stageChanges = changes.filter(change => ['currentStage', 'status'].includes(change.field));
+    const clientChanges = changes.filter(change => !['currentStage', 'status'].includes(change.field));
+    await createProjectHistory('CLIENT', project, user, clientChanges);
+    if (stageChanges.length > 0) {
+      await createProjectHistory('STAGE', project, user, stageChanges);
+    }
+  } catch (error) {
+    logger.error('Project history error', {
+      error: error.message,
+      projectId: project._id,
+      type: 'CLIENT'
+    });
+  }
+};
+
+/**
+ * Email the project manager the client's answer. Failures are logged, as the answer is already saved.
+ */
+const sendClientResponseEmail = async (project, response) => {
+  try {
+    const manager = await User.findById(project.projectManager).select('name email isDeleted').lean();
+    if (manager && !manager.isDeleted && manager.email) {
+      await notifyClientResponse(project, manager, response);
+    }
+  } catch (error) {
+    logger.error('Quote response email failed', {
+      error: error.message,
+      projectId: project._id
+    });
+  }
+};
+
+/**
+ * Get the quote last sent for a project (requires its review token)
+ */
+const getQuoteForReview = async (req, res, next) => {
+  try {
+    const reviewToken = getReviewToken(req);
+    if (!reviewToken) {
+      return next(new AppError('A quote token is required to view this quote', 401));
+    }
+
+    const found = await findQuoteByReviewToken(req.params.id, reviewToken);
+    if (!found) {
+      return next(new AppError('Quote not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Quote fetched successfully',
+      data: toPublicQuote(found.project, found.quoteVersion)
+    });
+  } catch (error) {
+    logger.error('Get quote for review error', {
+      error: error.message,
+      stack: error.stack,
+      projectId: req.params.id
+    });
+    next(error instanceof AppError ? error : new AppError('Unable to fetch quote', 500));
+  }
+};
+
+/**
+ * Download the PDF of the quote last sent (requires its review token)
+ */
+const downloadQuoteForReview = async (req, res, next) => {
+  try {
+    const reviewToken = getReviewToken(req);
+    if (!reviewToken) {
+      return next(new AppError('A quote token is required to view this quote', 401));
+    }
+
+    const found = await findQuoteByReviewToken(req.params.id, reviewToken);
+    const filePath = found && resolveQuoteFile(found.quoteVersion);
+    if (!filePath) {
+      return next(new AppError('Quote not found', 404));
+    }
+
+    res.download(filePath, getQuoteFileName(found.quoteVersion), (error) => {
+      if (error && !res.headersSent) {
+        logger.error('Quote file missing', { error: error.message, projectId: req.params.id, version: found.quoteVersion.version });
+        next(new AppError('Quote not found', 404));
+      }
+    });
+  } catch (error) {
+    logger.error('Download quote for review error', {
+      error: error.message,
+      stack: error.stack,
+      projectId: req.params.id
+    });
+    next(error instanceof AppError ? error : new AppError('Unable to download quote', 500));
+  }
+};
+
+/**
+ * Approve the quote last sent (requires its review token). The client's IP and the time
+ * are recorded and the project moves to Payment.
+ */
+const approveQuote = async (req, res, next) => {
+  try {
+    const reviewToken = getReviewToken(req);
+    if (!reviewToken) {
+      return next(new AppError('A quote token is required to approve this quote', 401));
+    }
+
+    const found = await findQuoteByReviewToken(req.params.id, reviewToken);
+    if (!found) {
+      return next(new AppError('Quote not found', 404));
+    }
+    const { project, quoteVersion } = found;
+    const closed = checkQuoteOpen(project);
+    if (closed) {
+      return next(closed);
+    }
+
+    const before = project.toObject({ depopulate: true });
+    project.quote.clientApproved = true;
+    project.quote.clientApprovalDate = new Date();
+    project.quote.clientApprovedVersion = quoteVersion.version;
+    project.quote.clientApprovalIp = req.ip || null;
+    project.quote.clientApprovalUserAgent = req.get('user-agent')?.slice(0, 500) || null;
+
+    const refusal = checkTransition(project, APPROVED_STAGE, { user: null });
+    if (refusal) {
+      // The approval is still recorded; staff move the project on
+      logger.warn(`Quote approved but project ${project._id} not moved to ${APPROVED_STAGE}: ${refusal.message}`);
+    } else {
+      applyTransition(project, APPROVED_STAGE, null);
+    }
+
+    await saveClientResponse(project, before);
+    await sendClientResponseEmail(project, { approved: true, version: quoteVersion.version });
+
+    logger.info(`Quote version ${quoteVersion.version} approved by client for project: ${project._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Thank you. The quote has been approved.',
+      data: toPublicQuote(project, quoteVersion)
+    });
+  } catch (error) {
+    logger.error('Approve quote error', {
+      error: error.message,
+      stack: error.stack,
+      projectId: req.params.id
+    });
+    next(error instanceof AppError ? error : new AppError('Unable to approve quote', 500));
+  }
+};
+
+/**
+ * Request changes to the quote last sent, with comments (requires its review token).
+ * The project manager is emailed; the project stays in its stage until they revise the quote.
+ */
+const requestQuoteChanges = async (req, res, next) => {
+  try {
+    const reviewToken = getReviewToken(req);
+    if (!reviewToken) {
+      return next(new AppError('A quote token is required to request changes', 401));
+    }
+
+    const found = await findQuoteByReviewToken(req.params.id, reviewToken);
+    if (!found) {
+      return next(new AppError('Quote not found', 404));
+    }
+    const { project, quoteVersion } = found;
+    const closed = checkQuoteOpen(project);
+    if (closed) {
+      return next(closed);
+    }
+
+    const comments = req.body.comments.trim();
+    const before = project.toObject({ depopulate: true });
+    project.quote.changeRequests.push({
+      version: quoteVersion.version,
+      comments,
+      ip: req.ip || null,
+      requestedAt: new Date()
+    });
+
+    await saveClientResponse(project, before);
+    await sendClientResponseEmail(project, { approved: false, version: quoteVersion.version, comments });
+
+    logger.info(`Changes requested by client for quote version ${quoteVersion.version} of project: ${project._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Thank you. Your comments have been sent to the team.',
+      data: toPublicQuote(project, quoteVersion)
+    });
+  } catch (error) {
+    logger.error('Request quote changes error', {
+      error: error.message,
+      stack: error.stack,
+      projectId: req.params.id
+    });
+    next(error instanceof AppError ? error : new AppError('Unable to send your comments', 500));
+  }
+};
+
+/**
+ * Record an approval the client gave outside the review link, e.g. a signed quote sent
+ * back by email. The staff member, their remarks and the version last sent are recorded,
+ * and the project moves to Payment.
+ */
+const recordClientApproval = async (req, res, next) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+      return next(new AppError('Project not found', 404));
+    }
+    if (project.quote.clientApproved) {
+      return next(new AppError('This quote has already been approved', 400));
+    }
+    if (!QUOTE_STAGES.includes(project.currentStage)) {
+      return next(new AppError(`A client approval can only be recorded in ${QUOTE_STAGES.join(' or ')}`, 400));
+    }
+    const quoteVersion = await ProjectQuoteVersion.findOne({ projectId: project._id }).sort({ version: -1 }).lean();
+    if (!quoteVersion) {
+      return next(new AppError('No quote has been sent for this project', 400));
+    }
+
+    const before = project.toObject({ depopulate: true });
+    project.quote.clientApproved = true;
+    project.quote.clientApprovalDate = new Date();
+    project.quote.clientApprovedVersion = quoteVersion.version;
+    project.quote.clientApprovalRecordedBy = req.user._id;
+    project.quote.clientApprovalRemarks = req.body.remarks.trim();
+
+    const refusal = checkTransition(project, APPROVED_STAGE, { user: req.user });
+    if (refusal) {
+      logger.warn(`Client approval recorded but project ${project._id} not moved to ${APPROVED_STAGE}: ${refusal.message}`);
+    } else {
+      applyTransition(project, APPROVED_STAGE, req.user);
+    }
+
+    await saveClientResponse(project, before, req.user);
+
+    logger.info(`Client approval of quote version ${quoteVersion.version} recorded for project ${project._id} by user: ${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Client approval recorded',
+      data: project
+    });
+  } catch (error) {
+    logger.error('Record client approval error', {
+      error: error.message,
+      stack: error.stack,
+      projectId: req.params.id
+    });
+    next(error instanceof AppError ? error : new AppError('Unable to record the client approval', 500));
+  }
+};
+
+module.exports = {
+  listQuoteVersions,
+  downloadQuoteVersion,
+  previewQuotePdf,
+  listExchangeRates,
+  updateExchangeRate,
+  getQuoteForReview,
+  downloadQuoteForReview,
+  approveQuote,
+  requestQuoteChanges,
+  recordClientApproval
+};
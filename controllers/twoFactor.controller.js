@@ -0,0 +1,251 @@
+const User = require('../models/User');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const aclCache = require('../utils/aclCache');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('../utils/totp');
+const twoFactor = require('../auth/two-factor');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Get two-factor status of the logged-in user
+ * @route GET /api/v1/auth/2fa
+ * @access Private (requires JWT token)
+ */
+const getTwoFactorStatus = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+        if (!user) {
+            return next(new AppError('User not found', 404));
+        }
+
+        const { requiresTwoFactor } = await aclCache.getRequestPermissionSet(req);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                enabled: Boolean(user.twoFactor?.enabled),
+                enabledAt: user.twoFactor?.enabledAt || null,
+                requiredByRole: requiresTwoFactor,
+                recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0
+            }
+        });
+    } catch (error) {
+        logger.error('Get 2FA status error:', {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?._id
+        });
+        next(error);
+    }
+};
+
+/**
+ * Start enrolment: generate a pending secret to be scanned as a QR code
+ * @route POST /api/v1/auth/2fa/setup
+ * @access Private (requires JWT token)
+ * @returns {Object} Base32 secret and otpauth:// URL
+ */
+const setupTwoFactor = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return next(new AppError('User not found', 404));
+        }
+        if (user.twoFactor?.enabled) {
+            return next(new AppError('Two-factor authentication is already enabled', 400));
+        }
+
+        const secret = generateSecret();
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { 'twoFactor.pendingSecret': twoFactor.encryptSecret(secret) } }
+        );
+
+        logger.info(`2FA setup started - ID: ${user._id}, Email: ${user.email}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            data: {
+                secret,
+                otpauthUrl: buildOtpauthUrl(secret, user.email, config.twoFactor.issuer)
+            }
+        });
+    } catch (error) {
+        logger.error('2FA setup error:', {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?._id
+        });
+        next(error);
+    }
+};
+
+/**
+ * Finish enrolment by confirming a code from the pending secret
+ * @route POST /api/v1/auth/2fa/enable
+ * @access Private (requires JWT token)
+ * @param {Object} req.body - Request body containing code
+ * @returns {Object} Recovery codes (shown only once)
+ */
+const enableTwoFactor = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+        if (!user) {
+            return next(new AppError('User not found', 404));
+        }
+        if (user.twoFactor?.enabled) {
+            return next(new AppError('Two-factor authentication is already enabled', 400));
+        }
+        if (!user.twoFactor?.pendingSecret) {
+            return next(new AppError('Please start two-factor setup first', 400));
+        }
+
+        const step = verifyCode(twoFactor.decryptSecret(user.twoFactor.pendingSecret), req.body.code);
+        if (step === null) {
+            logger.warn(`2FA enable failed - Invalid code for user: ${user._id}`);
+            return next(new AppError('Invalid authentication code', 400));
+        }
+
+        const { codes, hashes } = twoFactor.generateRecoveryCodes();
+        await User.updateOne(
+            { _id: user._id },
+            {
+                $set: {
+                    'twoFactor.enabled': true,
+                    'twoFactor.enabledAt': new Date(),
+                    'twoFactor.secret': user.twoFactor.pendingSecret,
+                    'twoFactor.recoveryCodes': hashes,
+                    'twoFactor.lastUsedStep': step
+                },
+                $unset: { 'twoFactor.pendingSecret': 1 }
+            }
+        );
+
+        logger.info(`2FA enabled - ID: ${user._id}, Email: ${user.email}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store the recovery codes in a safe place.',
+            data: {
+                recoveryCodes: codes
+            }
+        });
+    } catch (error) {
+        logger.error('2FA enable error:', {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?._id
+        });
+        next(error);
+    }
+};
+
+/**
+ * Disable two-factor authentication (not allowed for enforcing roles)
+ * @route POST /api/v1/auth/2fa/disable
+ * @access Private (requires JWT token)
+ * @param {Object} req.body - Request body containing password and code
+ */
+const disableTwoFactor = async (req, res, next) => {
+    try {
+        const { requiresTwoFactor } = await aclCache.getRequestPermissionSet(req);
+        if (requiresTwoFactor) {
+            return next(new AppError('Two-factor authentication is required for your role', 403));
+        }
+
+        const user = await User.findById(req.user._id).select('+password +twoFactor.secret');
+        if (!user) {
+            return next(new AppError('User not found', 404));
+        }
+        if (!user.twoFactor?.enabled) {
+            return next(new AppError('Two-factor authentication is not enabled', 400));
+        }
+
+        const isPasswordValid = await user.comparePassword(req.body.password);
+        const step = verifyCode(twoFactor.decryptSecret(user.twoFactor.secret), req.body.code);
+        if (!isPasswordValid || step === null) {
+            logger.warn(`2FA disable failed - Invalid credentials for user: ${user._id}`);
+            return next(new AppError('Invalid password or authentication code', 400));
+        }
+
+        await User.updateOne(
+            { _id: user._id },
+            {
+                $set: { 'twoFactor.enabled': false, 'twoFactor.enabledAt': null },
+                $unset: {
+                    'twoFactor.secret': 1,
+                    'twoFactor.pendingSecret': 1,
+                    'twoFactor.recoveryCodes': 1,
+                    'twoFactor.lastUsedStep': 1
+                }
+            }
+        );
+
+        logger.info(`2FA disabled - ID: ${user._id}, Email: ${user.email}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        logger.error('2FA disable error:', {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?._id
+        });
+        next(error);
+    }
+};
+
+/**
+ * Replace all recovery codes
+ * @route POST /api/v1/auth/2fa/recovery-codes
+ * @access Private (requires JWT token)
+ * @param {Object} req.body - Request body containing code
+ * @returns {Object} New recovery codes (shown only once)
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user._id).select('+twoFactor.secret');
+        if (!user) {
+            return next(new AppError('User not found', 404));
+        }
+        if (!user.twoFactor?.enabled) {
+            return next(new AppError('Two-factor authentication is not enabled', 400));
+        }
+
+        const step = verifyCode(twoFactor.decryptSecret(user.twoFactor.secret), req.body.code);
+        if (step === null) {
+            return next(new AppError('Invalid authentication code', 400));
+        }
+
+        const { codes, hashes } = twoFactor.generateRecoveryCodes();
+        await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+        logger.info(`2FA recovery codes regenerated - ID: ${user._id}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Recovery codes regenerated',
+            data: {
+                recoveryCodes: codes
+            }
+        });
+    } catch (error) {
+        logger.error('2FA recovery codes error:', {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?._id
+        });
+        next(error);
+    }
+};
+
+module.exports = {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+};
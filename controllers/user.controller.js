@@ -2,8 +2,15 @@ const User = require('../models/User');
 const Role = require('../models/Role');
 const UserRole = require('../models/UserRole');
 const JwtAuth = require('../auth/jwt-auth');
+const refreshTokens = require('../auth/refresh-token');
+const { issueUserToken, consumeUserToken } = require('../auth/user-token');
+const twoFactor = require('../auth/two-factor');
+const loginGuard = require('../auth/login-guard');
+const { verifyCode } = require('../utils/totp');
+const { sendMail } = require('../utils/mailer');
 const config = require('../utils/config');
 const logger = require('../utils/logger');
+const aclCache = require('../utils/aclCache');
 const { AppError } = require('../middleware/errorHandler');
 
 // Create JwtAuth instance (singleton pattern)
@@ -23,6 +30,73 @@ const withActiveFilter = (filter = {}) => ({
     $and: [filter, ACTIVE_USER_CONDITION]
 });
 
+const portalLink = (pathname, token) => {
+    const baseUrl = config.adminPortal.url.endsWith('/')
+        ? config.adminPortal.url.slice(0, -1)
+        : config.adminPortal.url;
+    return `${baseUrl}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Email a verification link to the user (errors are logged, not thrown)
+ * @param {Object} user - User document
+ */
+const sendVerificationEmail = async (user) => {
+    try {
+        const token = await issueUserToken(
+            user._id,
+            'email-verification',
+            config.auth.emailVerificationTtlHours * 60 * 60 * 1000
+        );
+        const link = portalLink('/verify-email', token);
+        await sendMail({
+            to: user.email,
+            subject: 'Verify your EuProximaX account email',
+            text: `Hi ${user.name},\n\nPlease verify your email address by opening this link:\n${link}\n\nThe link expires in ${config.auth.emailVerificationTtlHours} hours.\n\nThank you,\nEuProximaX`,
+            html: `
+            <p>Hi <strong>${user.name}</strong>,</p>
+            <p>Please verify the email address for your EuProximaX account.</p>
+            <p>
+              <a href="${link}" style="display:inline-block;padding:10px 16px;border-radius:8px;background-color:#4f46e5;color:#ffffff;text-decoration:none;font-weight:600;">
+                Verify Email →
+              </a>
+            </p>
+            <p>The link expires in ${config.auth.emailVerificationTtlHours} hours.</p>
+            <p style="margin-top:24px;">Regards,<br/>EuProximaX Team</p>
+          `
+        });
+        logger.info(`Verification email sent - ID: ${user._id}, Email: ${user.email}`);
+    } catch (error) {
+        logger.error('Verification email failed', {
+            error: error.message,
+            userId: user._id,
+            email: user.email
+        });
+    }
+};
+
+/**
+ * Revoke every session of a user after a credential change
+ * @param {ObjectId} userId
+ * @returns {Object} Updated user (lean) carrying the new logoutNum
+ */
+const revokeAllSessions = async (userId) => {
+    await refreshTokens.revokeAllTokens(userId, 'password-changed');
+    return User.findByIdAndUpdate(userId, { $inc: { logoutNum: 1 } }, { new: true }).lean();
+};
+
+const getDeviceMeta = (req) => ({
+    deviceId: typeof req.body?.deviceId === 'string' && req.body.deviceId.trim() ? req.body.deviceId.trim() : undefined,
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+});
+
+// Throttled and locked logins tell the client when to retry
+const rejectLoginAttempt = (res, next, denied) => {
+    res.set('Retry-After', String(denied.retryAfter));
+    return next(new AppError(denied.message, denied.statusCode));
+};
+
 /**
  * Register a new user
  * @route POST /api/v1/auth/register
@@ -61,11 +135,14 @@ const register = async (req, res, next) => {
             email: email.toLowerCase().trim(),
             password,
             designation: designation?.trim() || undefined,
-            remarks: remarks?.trim() || undefined
+            remarks: remarks?.trim() || undefined,
+            emailVerified: false
         });
 
         logger.info(`User registered successfully - ID: ${user._id}, Email: ${user.email}`);
 
+        await sendVerificationEmail(user);
+
         // Generate JWT token
         const token = jwtAuth.generateToken(user);
         if (!token) {
@@ -73,12 +150,16 @@ const register = async (req, res, next) => {
             return next(new AppError('Failed to generate authentication token', 500));
         }
 
+        const { refreshToken, deviceId } = await refreshTokens.issueRefreshToken(user, getDeviceMeta(req));
+
         res.status(201).json({
             success: true,
             message: 'User registered successfully',
             data: {
                 user: user.toJSON(),
-                token
+                token,
+                refreshToken,
+                deviceId
             }
         });
     } catch (error) {
@@ -111,8 +192,16 @@ const login = async (req, res, next) => {
 
         // Find user by email and include password field
         const user = await User.findOne(withActiveFilter({ email: email.toLowerCase() })).select('+password');
+
+        const denied = await loginGuard.checkLoginAllowed(user, req.ip);
+        if (denied) {
+            logger.warn(`Login throttled - Email: ${email}, IP: ${req.ip}`);
+            return rejectLoginAttempt(res, next, denied);
+        }
+
         if (!user) {
             logger.warn(`Login failed - User not found: ${email}`);
+            await loginGuard.recordLoginFailure(null, req.ip);
             return next(new AppError('Invalid email or password', 401));
         }
 
@@ -120,15 +209,42 @@ const login = async (req, res, next) => {
         const isPasswordValid = await user.comparePassword(password);
         if (!isPasswordValid) {
             logger.warn(`Login failed - Invalid password for email: ${email}`);
+            const { locked, lockUntil } = await loginGuard.recordLoginFailure(user, req.ip);
+            if (locked) {
+                return rejectLoginAttempt(res, next, loginGuard.accountLocked(lockUntil));
+            }
             return next(new AppError('Invalid email or password', 401));
         }
 
+        if (config.auth.requireEmailVerification && user.emailVerified === false) {
+            logger.warn(`Login failed - Email not verified: ${email}`);
+            return next(new AppError('Please verify your email address before logging in', 403));
+        }
+
+        // Second step required: the client posts the code to /auth/login/2fa
+        if (user.twoFactor?.enabled) {
+            logger.info(`Login awaiting two-factor code - ID: ${user._id}, Email: ${user.email}`);
+            return res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication required',
+                data: {
+                    twoFactorRequired: true,
+                    challengeToken: twoFactor.issueChallenge(user)
+                }
+            });
+        }
+
+        await loginGuard.recordLoginSuccess(user);
+
         // Update lastLogin timestamp (non-blocking)
         user.lastLogin = new Date();
         await user.save({ validateBeforeSave: false });
 
         logger.info(`User logged in successfully - ID: ${user._id}, Email: ${user.email}`);
 
+        // Admin routes stay locked until users of enforcing roles enrol
+        const { requiresTwoFactor } = await aclCache.getUserPermissionSet(user._id);
+
         // Generate JWT token
         const token = jwtAuth.generateToken(user);
         if (!token) {
@@ -136,12 +252,17 @@ const login = async (req, res, next) => {
             return next(new AppError('Failed to generate authentication token', 500));
         }
 
+        const { refreshToken, deviceId } = await refreshTokens.issueRefreshToken(user, getDeviceMeta(req));
+
         res.status(200).json({
             success: true,
             message: 'Login successful',
             data: {
                 user: user.toJSON(),
-                token
+                token,
+                refreshToken,
+                deviceId,
+                twoFactorSetupRequired: requiresTwoFactor
             }
         });
     } catch (error) {
@@ -154,6 +275,455 @@ const login = async (req, res, next) => {
     }
 };
 
+/**
+ * Complete a login with a TOTP code or a recovery code
+ * @route POST /api/v1/auth/login/2fa
+ * @access Public
+ * @param {Object} req.body - Request body containing challengeToken and code or recoveryCode
+ * @returns {Object} User object and JWT token
+ */
+const loginTwoFactor = async (req, res, next) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        const challenge = twoFactor.verifyChallenge(challengeToken);
+        if (!challenge) {
+            logger.warn('Two-factor login failed - Invalid or expired challenge');
+            return next(new AppError('Login session expired. Please log in again.', 401));
+        }
+
+        const user = await User.findOne(withActiveFilter({ _id: challenge.userId }))
+            .select('+twoFactor.secret +twoFactor.lastUsedStep');
+        if (!user || !user.twoFactor?.enabled || (user.logoutNum || 0) !== challenge.logoutNum) {
+            return next(new AppError('Login session expired. Please log in again.', 401));
+        }
+
+        const denied = await loginGuard.checkLoginAllowed(user, req.ip);
+        if (denied) {
+            logger.warn(`Two-factor login throttled - ID: ${user._id}, IP: ${req.ip}`);
+            return rejectLoginAttempt(res, next, denied);
+        }
+
+        const now = new Date();
+        let accepted = false;
+        if (code) {
+            const step = verifyCode(twoFactor.decryptSecret(user.twoFactor.secret), code);
+            if (step !== null) {
+                // Conditional update rejects a code that was already used
+                const result = await User.updateOne(
+                    {
+                        _id: user._id,
+                        $or: [
+                            { 'twoFactor.lastUsedStep': { $exists: false } },
+                            { 'twoFactor.lastUsedStep': { $lt: step } }
+                        ]
+                    },
+                    { $set: { 'twoFactor.lastUsedStep': step, lastLogin: now } }
+                );
+                accepted = result.modifiedCount === 1;
+            }
+        } else if (recoveryCode) {
+            const result = await User.updateOne(
+                { _id: user._id, 'twoFactor.recoveryCodes': twoFactor.hashRecoveryCode(recoveryCode) },
+                {
+                    $pull: { 'twoFactor.recoveryCodes': twoFactor.hashRecoveryCode(recoveryCode) },
+                    $set: { lastLogin: now }
+                }
+            );
+            accepted = result.modifiedCount === 1;
+            if (accepted) {
+                logger.warn(`Recovery code used for login - ID: ${user._id}, Email: ${user.email}`);
+            }
+        }
+
+        if (!accepted) {
+            logger.warn(`Two-factor login failed - Invalid code for user: ${user._id}`);
+            const { locked, lockUntil } = await loginGuard.recordLoginFailure(user, req.ip);
+            if (locked) {
+                return rejectLoginAttempt(res, next, loginGuard.accountLocked(lockUntil));
+            }
+            return next(new AppError('Invalid authentication code', 401));
+        }
+
+        await loginGuard.recordLoginSuccess(user);
+
+        user.lastLogin = now;
+        logger.info(`User logged in successfully with 2FA - ID: ${user._id}, Email: ${user.email}`);
+
+        const token = jwtAuth.generateToken(user);
+        if (!token) {
+            logger.error('Token generation failed for user:', user._id);
+            return next(new AppError('Failed to generate authentication token', 500));
+        }
+
+        const { refreshToken, deviceId } = await refreshTokens.issueRefreshToken(user, getDeviceMeta(req));
+
+        res.status(200).json({
+            success: true,
+            message: 'Login successful',
+            data: {
+                user: user.toJSON(),
+                token,
+                refreshToken,
+                deviceId
+            }
+        });
+    } catch (error) {
+        logger.error('Two-factor login error:', {
+            error: error.message,
+            stack: error.stack
+        });
+        next(error);
+    }
+};
+
+/**
+ * Exchange a refresh token for a new access token and a rotated refresh token
+ * @route POST /api/v1/auth/refresh
+ * @access Public
+ * @param {Object} req.body - Request body containing refreshToken
+ * @returns {Object} JWT token, new refresh token and device ID
+ */
+const refreshToken = async (req, res, next) => {
+    try {
+        const record = await refreshTokens.consumeRefreshToken(req.body.refreshToken);
+        if (!record) {
+            logger.warn('Token refresh failed - Invalid, expired or reused refresh token');
+            return next(new AppError('Invalid or expired refresh token', 401));
+        }
+
+        const user = await User.findOne(withActiveFilter({ _id: record.userId }));
+        if (!user) {
+            logger.warn(`Token refresh failed - User not found: ${record.userId}`);
+            return next(new AppError('Invalid or expired refresh token', 401));
+        }
+
+        const token = jwtAuth.generateToken(user);
+        if (!token) {
+            logger.error('Token generation failed for user:', user._id);
+            return next(new AppError('Failed to generate authentication token', 500));
+        }
+
+        const rotated = await refreshTokens.issueRefreshToken(user, {
+            deviceId: record.deviceId,
+            userAgent: req.get('user-agent'),
+            ip: req.ip
+        });
+
+        logger.info(`Token refreshed - ID: ${user._id}, Device: ${record.deviceId}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Token refreshed successfully',
+            data: {
+                token,
+                refreshToken: rotated.refreshToken,
+                deviceId: rotated.deviceId
+            }
+        });
+    } catch (error) {
+        logger.error('Token refresh error:', {
+            error: error.message,
+            stack: error.stack
+        });
+        next(error);
+    }
+};
+
+/**
+ * Logout the current device.
+ * Bumps logoutNum so every issued access token stops working; other devices
+ * recover silently through their own refresh tokens.
+ * @route POST /api/v1/auth/logout
+ * @access Private (requires JWT token)
+ * @param {Object} req.body - Request body containing deviceId
+ */
+const logout = async (req, res, next) => {
+    try {
+        const userId = req.user._id;
+        const { deviceId } = getDeviceMeta(req);
+
+        if (deviceId) {
+            await refreshTokens.revokeDeviceTokens(userId, deviceId);
+        }
+        await User.updateOne({ _id: userId }, { $inc: { logoutNum: 1 } });
+
+        logger.info(`User logged out - ID: ${userId}, Device: ${deviceId || 'unknown'}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        logger.error('Logout error:', {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?._id
+        });
+        next(error);
+    }
+};
+
+/**
+ * Logout every device of the current user
+ * @route POST /api/v1/auth/logout-all
+ * @access Private (requires JWT token)
+ */
+const logoutAll = async (req, res, next) => {
+    try {
+        const userId = req.user._id;
+
+        await refreshTokens.revokeAllTokens(userId);
+        await User.updateOne({ _id: userId }, { $inc: { logoutNum: 1 } });
+
+        logger.info(`User logged out from all devices - ID: ${userId}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out from all devices successfully'
+        });
+    } catch (error) {
+        logger.error('Logout all error:', {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?._id
+        });
+        next(error);
+    }
+};
+
+/**
+ * Request a password reset link
+ * Always responds with success so that registered emails cannot be discovered.
+ * @route POST /api/v1/auth/forgot-password
+ * @access Public
+ * @param {Object} req.body - Request body containing email
+ */
+const forgotPassword = async (req, res, next) => {
+    try {
+        const email = req.body.email.toLowerCase();
+        logger.info(`Password reset requested - Email: ${email}`);
+
+        const user = await User.findOne(withActiveFilter({ email }));
+        if (user) {
+            const token = await issueUserToken(
+                user._id,
+                'password-reset',
+                config.auth.passwordResetTtlMinutes * 60 * 1000
+            );
+            const link = portalLink('/reset-password', token);
+            try {
+                await sendMail({
+                    to: user.email,
+                    subject: 'Reset your EuProximaX password',
+                    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open this link to choose a new one:\n${link}\n\nThe link expires in ${config.auth.passwordResetTtlMinutes} minutes and can be used once. If you did not request this, you can ignore this email.\n\nThank you,\nEuProximaX`,
+                    html: `
+            <p>Hi <strong>${user.name}</strong>,</p>
+            <p>We received a request to reset your EuProximaX password.</p>
+            <p>
+              <a href="${link}" style="display:inline-block;padding:10px 16px;border-radius:8px;background-color:#4f46e5;color:#ffffff;text-decoration:none;font-weight:600;">
+                Reset Password →
+              </a>
+            </p>
+            <p>The link expires in ${config.auth.passwordResetTtlMinutes} minutes and can be used once. If you did not request this, you can ignore this email.</p>
+            <p style="margin-top:24px;">Regards,<br/>EuProximaX Team</p>
+          `
+                });
+            } catch (mailError) {
+                logger.error('Password reset email failed', {
+                    error: mailError.message,
+                    userId: user._id,
+                    email: user.email
+                });
+            }
+        } else {
+            logger.warn(`Password reset requested for unknown email: ${email}`);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'If an account exists for this email, a password reset link has been sent'
+        });
+    } catch (error) {
+        logger.error('Forgot password error:', {
+            error: error.message,
+            stack: error.stack,
+            email: req.body?.email
+        });
+        next(error);
+    }
+};
+
+/**
+ * Reset password with a token from the reset email
+ * Signs the user out everywhere.
+ * @route POST /api/v1/auth/reset-password
+ * @access Public
+ * @param {Object} req.body - Request body containing token and password
+ */
+const resetPassword = async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+
+        const userToken = await consumeUserToken(token, 'password-reset');
+        if (!userToken) {
+            logger.warn('Password reset failed - Invalid or expired token');
+            return next(new AppError('Password reset link is invalid or has expired', 400));
+        }
+
+        const user = await User.findOne(withActiveFilter({ _id: userToken.userId })).select('+password');
+        if (!user) {
+            return next(new AppError('Password reset link is invalid or has expired', 400));
+        }
+
+        user.password = password;
+        // Receiving the reset email proves ownership of the address
+        if (user.emailVerified === false) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+        await user.save();
+        await revokeAllSessions(user._id);
+
+        logger.info(`Password reset successfully - ID: ${user._id}, Email: ${user.email}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Password reset successfully. Please log in with your new password.'
+        });
+    } catch (error) {
+        logger.error('Reset password error:', {
+            error: error.message,
+            stack: error.stack
+        });
+        next(error);
+    }
+};
+
+/**
+ * Change password of the logged-in user
+ * Other devices are signed out; the current device receives fresh tokens.
+ * @route POST /api/v1/auth/change-password
+ * @access Private (requires JWT token)
+ * @param {Object} req.body - Request body containing currentPassword, newPassword and deviceId
+ */
+const changePassword = async (req, res, next) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const user = await User.findOne(withActiveFilter({ _id: req.user._id })).select('+password');
+        if (!user) {
+            return next(new AppError('User not found', 404));
+        }
+
+        const isPasswordValid = await user.comparePassword(currentPassword);
+        if (!isPasswordValid) {
+            logger.warn(`Change password failed - Invalid current password for user: ${user._id}`);
+            return next(new AppError('Current password is incorrect', 400));
+        }
+
+        user.password = newPassword;
+        await user.save();
+        const updatedUser = await revokeAllSessions(user._id);
+
+        const token = jwtAuth.generateToken(updatedUser);
+        if (!token) {
+            logger.error('Token generation failed for user:', user._id);
+            return next(new AppError('Failed to generate authentication token', 500));
+        }
+        const { refreshToken, deviceId } = await refreshTokens.issueRefreshToken(user, getDeviceMeta(req));
+
+        logger.info(`Password changed - ID: ${user._id}, Email: ${user.email}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Password changed successfully',
+            data: {
+                token,
+                refreshToken,
+                deviceId
+            }
+        });
+    } catch (error) {
+        logger.error('Change password error:', {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?._id
+        });
+        next(error);
+    }
+};
+
+/**
+ * Verify email address with a token from the verification email
+ * @route POST /api/v1/auth/verify-email
+ * @access Public
+ * @param {Object} req.body - Request body containing token
+ */
+const verifyEmail = async (req, res, next) => {
+    try {
+        const userToken = await consumeUserToken(req.body.token, 'email-verification');
+        if (!userToken) {
+            logger.warn('Email verification failed - Invalid or expired token');
+            return next(new AppError('Verification link is invalid or has expired', 400));
+        }
+
+        const user = await User.findOneAndUpdate(
+            withActiveFilter({ _id: userToken.userId }),
+            { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+            { new: true }
+        );
+        if (!user) {
+            return next(new AppError('Verification link is invalid or has expired', 400));
+        }
+
+        logger.info(`Email verified - ID: ${user._id}, Email: ${user.email}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Email verified successfully'
+        });
+    } catch (error) {
+        logger.error('Verify email error:', {
+            error: error.message,
+            stack: error.stack
+        });
+        next(error);
+    }
+};
+
+/**
+ * Send a new verification email to the logged-in user
+ * @route POST /api/v1/auth/resend-verification
+ * @access Private (requires JWT token)
+ */
+const resendVerification = async (req, res, next) => {
+    try {
+        const user = await User.findOne(withActiveFilter({ _id: req.user._id }));
+        if (!user) {
+            return next(new AppError('User not found', 404));
+        }
+
+        if (user.emailVerified !== false) {
+            return next(new AppError('Email is already verified', 400));
+        }
+
+        await sendVerificationEmail(user);
+
+        res.status(200).json({
+            success: true,
+            message: 'Verification email sent'
+        });
+    } catch (error) {
+        logger.error('Resend verification error:', {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?._id
+        });
+        next(error);
+    }
+};
+
 /**
  * Get logged-in user profile
  * @route GET /api/v1/user/me
@@ -205,6 +775,33 @@ const getMe = async (req, res, next) => {
     }
 };
 
+/**
+ * Get the logged-in user's allowed actions per resource
+ * @route GET /api/v1/user/me/capabilities
+ * @access Private (requires JWT token)
+ * @returns {Object} Role names and a map of resource type to allowed actions
+ */
+const getMyCapabilities = async (req, res, next) => {
+    try {
+        const permissionSet = await aclCache.getRequestPermissionSet(req);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                roles: permissionSet.roles,
+                capabilities: aclCache.toCapabilities(permissionSet)
+            }
+        });
+    } catch (error) {
+        logger.error('Get capabilities error:', {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?.id || req.user?._id
+        });
+        next(error);
+    }
+};
+
 /**
  * Get paginated list of users (admin)
  * @route GET /api/v1/user
@@ -394,6 +991,7 @@ const updateUser = async (req, res, next) => {
             if (userRoleDocuments.length > 0) {
                 await UserRole.insertMany(userRoleDocuments, { ordered: false });
             }
+            aclCache.invalidateUser(user._id);
         }
 
         res.status(200).json({
@@ -448,11 +1046,14 @@ const createUser = async (req, res, next) => {
             email: normalizedEmail,
             password,
             designation: designation?.trim() || undefined,
-            remarks: remarks?.trim() || undefined
+            remarks: remarks?.trim() || undefined,
+            emailVerified: false
         });
 
         logger.info(`User created via admin module - ID: ${user._id}, Email: ${user.email}`);
 
+        await sendVerificationEmail(user);
+
         let assignedRoleIds = [];
         if (requestedRoleIds.length > 0) {
             const validRoles = await Role.find({ _id: { $in: requestedRoleIds } }, '_id rolename');
@@ -510,6 +1111,7 @@ const deleteUser = async (req, res, next) => {
         user.isDeleted = true;
         await user.save({ validateBeforeSave: false });
         await UserRole.deleteMany({ userId: user._id });
+        aclCache.invalidateUser(user._id);
 
         res.status(200).json({
             success: true,
@@ -525,13 +1127,55 @@ const deleteUser = async (req, res, next) => {
     }
 };
 
+/**
+ * Unlock an account locked after failed logins
+ * @route POST /api/v1/user/:id/unlock
+ * @access Private
+ */
+const unlockUser = async (req, res, next) => {
+    try {
+        const user = await User.findOne(withActiveFilter({ _id: req.params.id })).select('_id');
+        if (!user) {
+            return next(new AppError('User not found', 404));
+        }
+
+        const unlocked = await loginGuard.unlockAccount(user._id, req.user);
+
+        logger.info(`Account unlocked - ID: ${user._id}, By: ${req.user._id}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Account unlocked successfully',
+            data: unlocked.toJSON()
+        });
+    } catch (error) {
+        logger.error('Unlock user error:', {
+            error: error.message,
+            stack: error.stack,
+            userId: req.params.id
+        });
+        next(error);
+    }
+};
+
 module.exports = {
     register,
     login,
+    loginTwoFactor,
+    refreshToken,
+    logout,
+    logoutAll,
+    forgotPassword,
+    resetPassword,
+    changePassword,
+    verifyEmail,
+    resendVerification,
     getMe,
+    getMyCapabilities,
     getUsers,
     getUserById,
     updateUser,
     deleteUser,
+    unlockUser,
     createUser
 };
@@ -0,0 +1,225 @@
+const ConsultationSlot = require('../models/ConsultationSlot');
+const ConsultationWaitlistEntry = require('../models/ConsultationWaitlistEntry');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { zonedTimeToUtc, addDays } = require('../utils/timezone');
+const { expandRules, findBlackouts, isBlackedOut, hasBlackout } = require('../utils/availabilityRules');
+const { offerFreedSeats } = require('../utils/consultationWaitlist');
+
+const getBusinessTimeZone = () => config.googleCalendar.timezone || 'Asia/Kolkata';
+
+// Entries still in line for a seat
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+/**
+ * Whether any slot starting in a range can still be booked
+ */
+const hasBookableSlot = async (from, to) => {
+  const storedSlots = await ConsultationSlot.find({
+    status: 'available',
+    isAvailable: true,
+    startAt: { $gte: from, $lt: to },
+    $expr: { $lt: [{ $ifNull: ['$bookedCount', 0] }, '$maxBookings'] }
+  })
+    .select('startAt endAt consultantId')
+    .lean();
+
+  if (storedSlots.length > 0) {
+    const blackouts = await findBlackouts(from, new Date(Math.max(...storedSlots.map(slot => slot.endAt))));
+    if (storedSlots.some(slot => !isBlackedOut(blackouts, slot.startAt, slot.endAt, slot.consultantId))) {
+      return true;
+    }
+  }
+
+  const ruleSlots = await expandRules(from, to);
+  return ruleSlots.length > 0;
+};
+
+/**
+ * Public: Join the waitlist of a full slot, or of any slot on a date
+ * A date is a calendar day in `timezone` (the business timezone by default).
+ */
+const joinWaitlist = async (req, res, next) => {
+  try {
+    const { slotId, date, userName, userEmail, userPhone, message } = req.body;
+    const timezone = req.body.timezone || null;
+    const now = new Date();
+
+    if (!slotId === !date) {
+      return next(new AppError('Either slotId or date is required', 400));
+    }
+
+    const target = { slotId: null, date: null, dateStart: null, dateEnd: null };
+    if (slotId) {
+      const slot = await ConsultationSlot.findById(slotId).lean();
+      if (!slot) {
+        return next(new AppError('Consultation slot not found', 404));
+      }
+      if (slot.startAt <= now) {
+        return next(new AppError('Cannot join the waitlist of a past slot', 400));
+      }
+      if (slot.status === 'cancelled' || slot.status === 'completed' || !slot.isAvailable
+        || await hasBlackout(slot.startAt, slot.endAt, slot.consultantId)) {
+        return next(new AppError('This slot is not available for booking', 400));
+      }
+      if ((slot.bookedCount || 0) < slot.maxBookings) {
+        return next(new AppError('This slot still has free seats. Please book it instead.', 400));
+      }
+      target.slotId = slot._id;
+    } else {
+      const dayTimeZone = timezone || getBusinessTimeZone();
+      target.date = date;
+      target.dateStart = zonedTimeToUtc(date, '00:00', dayTimeZone);
+      target.dateEnd = zonedTimeToUtc(addDays(date, 1), '00:00', dayTimeZone);
+
+      if (target.dateEnd <= now) {
+        return next(new AppError('Cannot join the waitlist of a past date', 400));
+      }
+      if (await hasBookableSlot(target.dateStart > now ? target.dateStart : now, target.dateEnd)) {
+        return next(new AppError('Slots are still free on this date. Please book one instead.', 400));
+      }
+    }
+
+    const email = userEmail.toLowerCase().trim();
+    const duplicate = await ConsultationWaitlistEntry.exists({
+      userEmail: email,
+      status: { $in: ACTIVE_STATUSES },
+      ...(target.slotId ? { slotId: target.slotId } : { slotId: null, dateStart: target.dateStart })
+    });
+    if (duplicate) {
+      return next(new AppError('You are already on the waitlist for this consultation', 409));
+    }
+
+    const entry = await ConsultationWaitlistEntry.create({
+      ...target,
+      userName: userName.trim(),
+      userEmail: email,
+      userPhone: userPhone.trim(),
+      message: message?.trim() || null,
+      timezone
+    });
+
+    // Place in line among the entries for the same slot or date
+    const position = await ConsultationWaitlistEntry.countDocuments({
+      status: { $in: ACTIVE_STATUSES },
+      createdAt: { $lte: entry.createdAt },
+      ...(target.slotId ? { slotId: target.slotId } : { slotId: null, dateStart: target.dateStart })
+    });
+
+    logger.info(`Waitlist entry created: ${entry._id} for ${target.slotId ? `slot: ${target.slotId}` : `date: ${date}`}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'You have joined the waitlist. We will email you when a seat becomes available.',
+      data: {
+        _id: entry._id,
+        status: entry.status,
+        slotId: entry.slotId,
+        date: entry.date,
+        timezone: entry.timezone,
+        position,
+        createdAt: entry.createdAt
+      }
+    });
+  } catch (error) {
+    logger.error('Join waitlist error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to join the waitlist', 500));
+  }
+};
+
+/**
+ * Admin: List waitlist entries, oldest first
+ */
+const adminListWaitlist = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const { status, slotId, date, userEmail } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (slotId) filter.$or = [{ slotId }, { offerSlotId: slotId }];
+    if (date) filter.date = date;
+    if (userEmail) filter.userEmail = userEmail.toLowerCase().trim();
+
+    const entries = await ConsultationWaitlistEntry.find(filter)
+      .populate('slotId')
+      .populate('offerSlotId')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await ConsultationWaitlistEntry.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      message: 'Waitlist fetched successfully',
+      data: {
+        items: entries,
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Admin list waitlist error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to fetch waitlist', 500));
+  }
+};
+
+/**
+ * Admin: Remove an entry from the waitlist. An open offer is withdrawn with it.
+ */
+const adminRemoveEntry = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const { entryId } = req.params;
+
+    const entry = await ConsultationWaitlistEntry.findOneAndUpdate(
+      { _id: entryId, status: { $in: ACTIVE_STATUSES } },
+      { $set: { status: 'cancelled', cancelledAt: new Date() }, $unset: { claimTokenHash: 1 } },
+      { new: true }
+    );
+
+    if (!entry) {
+      const exists = await ConsultationWaitlistEntry.exists({ _id: entryId });
+      return next(exists
+        ? new AppError('This entry is no longer on the waitlist', 400)
+        : new AppError('Waitlist entry not found', 404));
+    }
+
+    logger.info(`Waitlist entry removed: ${entryId} by user: ${req.user._id}`);
+
+    // A withdrawn offer's seat goes to the next in line
+    if (entry.offerSlotId) {
+      offerFreedSeats(entry.offerSlotId);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Waitlist entry removed successfully',
+      data: entry
+    });
+  } catch (error) {
+    logger.error('Admin remove waitlist entry error', { error: error.message, stack: error.stack });
+    next(error instanceof AppError ? error : new AppError('Unable to remove waitlist entry', 500));
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  adminListWaitlist,
+  adminRemoveEntry
+};
@@ -10,6 +10,7 @@ module.exports = {
       script: './server.js',
       instances: 1, // Use 1 for single server, or 'max' for cluster mode
       exec_mode: 'fork', // 'fork' for single instance, 'cluster' for multiple
+      // With more than one instance set RATE_LIMIT_STORE=mongo so rate limits are shared
       watch: false, // Set to true for development
       max_memory_restart: '500M', // Restart if memory exceeds 500MB
       env: {
@@ -1,79 +1,59 @@
-const mongoose = require('mongoose');
-const { ObjectId } = mongoose.Types;
 const logger = require('../utils/logger');
+const { getRequestPermissionSet, hasAnyPermission } = require('../utils/aclCache');
 
 /**
  * ACL (Access Control List) Middleware
  * Verifies user permissions based on roles and route-level permissions
- * 
- * Note: This middleware requires UserRole and AclPermission models to be created.
- * 
+ *
+ * The request is allowed when at least one of the user's roles holds at least
+ * one of the required `{ type, action }` permissions. The user's permission set
+ * is resolved once per request and cached per user (see utils/aclCache.js).
+ *
  * @param {Array} routeLvl - Array of permission objects to check
  * @returns {Function} Express middleware function
- * 
+ *
  * @example
  * // In routes file:
  * const verifyAcl = require('../middleware/acl');
- * router.get('/protected-route', verifyAcl([{ permission: 'read' }]), controller.method);
+ * router.get('/protected-route', verifyAcl([{ type: 'USER', action: 'READ' }]), controller.method);
  */
 const verifyAcl = (routeLvl) => {
-  return async (req, res, next) => {
-    // Check the required permission versus user permissions
-    const requiredPermissions = JSON.parse(JSON.stringify(routeLvl));
-
-    const query = {};
-    query.userId = new ObjectId(req.user._id);
+  // Check the required permission versus user permissions
+  const requiredPermissions = JSON.parse(JSON.stringify(routeLvl)).map((permission) => ({
+    type: String(permission.type),
+    action: String(permission.action)
+  }));
 
-    const userRoles = [];
-    let data;
+  return async (req, res, next) => {
+    const errObj = {
+      message: 'UNAUTHORIZED',
+      code: 1000,
+      status: 401
+    };
 
-    try {
-      // TODO: Replace with your actual UserRole model
-      // Example: const UserRole = require('../models/UserRole');
-      // data = await UserRole.find(query);
-      // data.forEach((role) => {
-      //   userRoles.push(role.roleId.toString());
-      // });
-      
-      // Placeholder - you need to create UserRole model
-      logger.warn('ACL: UserRole model not implemented. Please create models/UserRole.js');
-      // For now, skip ACL check if models don't exist
-      return next();
-    } catch (err) {
-      logger.error('ACL: Error fetching user roles:', err);
-      return next(err);
+    if (!req.user || !req.user._id) {
+      return next(errObj);
     }
 
+    let permissionSet;
     try {
-      // TODO: Replace with your actual AclPermission model
-      // Example: const AclPermission = require('../models/AclPermission');
-      // data = await AclPermission.find({ $or: requiredPermissions });
-      
-      // Placeholder - you need to create AclPermission model
-      logger.warn('ACL: AclPermission model not implemented. Please create models/AclPermission.js');
-      // For now, skip ACL check if models don't exist
-      return next();
+      permissionSet = await getRequestPermissionSet(req);
     } catch (err) {
-      logger.error('ACL: Error fetching ACL permissions:', err);
+      logger.error('ACL: Error resolving user permissions:', err);
       return next(err);
     }
 
-    let returnObj = [];
-    returnObj = data;
-    const returnedRoleId = [];
-
-    if (returnObj.length) {
-      returnObj.forEach((role) => {
-        returnedRoleId.push(role.roleId.toString());
+    // Roles flagged with requireTwoFactor lose admin access until the user enrols
+    if (permissionSet.requiresTwoFactor && !req.user.twoFactor?.enabled) {
+      return next({
+        message: 'TWO_FACTOR_SETUP_REQUIRED',
+        code: 1007,
+        status: 403
       });
     }
 
-    if (!(userRoles.length && userRoles.some((val) => returnedRoleId.includes(val)))) {
-      const errObj = {
-        message: 'UNAUTHORIZED',
-        code: 1000,
-        status: 401
-      };
+    if (!hasAnyPermission(permissionSet, requiredPermissions)) {
+      logger.warn(`ACL: User ${req.user._id} lacks ${JSON.stringify(requiredPermissions)} for ${req.method} ${req.originalUrl}`);
       return next(errObj);
     }
 
@@ -82,4 +62,3 @@ const verifyAcl = (routeLvl) => {
 };
 
 module.exports = verifyAcl;
-
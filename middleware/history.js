@@ -126,6 +126,123 @@ module.exports.createUserHistory = async (type, userId, user, beforeObj, updated
 	}
 };
 
+module.exports.createUserLockHistory = async (type, userId, user, details) => {
+	let field;
+	let action;
+	if (type === 'LOCK') {
+		field = 'ACCOUNT LOCKED';
+		action = `Account locked until ${details.lockUntil.toISOString()} after ${details.attempts} failed login attempts from IP ${details.ip || 'unknown'}`;
+	} else if (type === 'UNLOCK') {
+		field = 'ACCOUNT UNLOCKED';
+		action = `Account unlocked by ${(user && user.name) || 'system'}`;
+	}
+	if (!action) return;
+	await Models.userHistory.insertOne({
+		targetUserId: userId,
+		userId: user && user._id,
+		field,
+		action,
+		createdAt: new Date()
+	});
+};
+
+// Bookkeeping fields left out of project diffs
+const PROJECT_IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const isPlainValue = (value) => value === null || typeof value !== 'object' || value instanceof Date || value._bsontype;
+
+// Array items are compared without their _id, as line items get new ones on every save
+const withoutIds = (value) => {
+	if (Array.isArray(value)) return value.map(withoutIds);
+	if (isPlainValue(value)) return value;
+	const { _id, ...rest } = value;
+	return rest;
+};
+
+const flattenProject = (value, prefix = '', result = {}) => {
+	for (const [key, child] of Object.entries(value || {})) {
+		if (!prefix && PROJECT_IGNORED_FIELDS.includes(key)) continue;
+		const path = prefix ? `${prefix}.${key}` : key;
+		if (Array.isArray(child)) {
+			result[path] = withoutIds(child);
+		} else if (isPlainValue(child)) {
+			result[path] = child;
+		} else {
+			flattenProject(child, path, result);
+		}
+	}
+	return result;
+};
+
+const isEmptyValue = (value) => value === null || value === undefined || value === '' || (Array.isArray(value) && !value.length);
+
+/**
+ * Field-level diff of two project snapshots (plain objects, e.g. project.toObject({ depopulate: true })).
+ * Pass {} as `before` for a new project, or as `after` for a deleted one.
+ * @returns {Array} [{ field, valueBefore, valueAfter }] with dotted field paths
+ */
+module.exports.getProjectChanges = (before, after) => {
+	const flatBefore = flattenProject(before);
+	const flatAfter = flattenProject(after);
+	const fields = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])];
+	return fields
+		.filter((field) => !(isEmptyValue(flatBefore[field]) && isEmptyValue(flatAfter[field])))
+		.filter((field) => JSON.stringify(flatBefore[field] ?? null) !== JSON.stringify(flatAfter[field] ?? null))
+		.map((field) => ({
+			field,
+			valueBefore: flatBefore[field] ?? null,
+			valueAfter: flatAfter[field] ?? null
+		}));
+};
+
+/**
+ * Add an entry to the timeline of a project
+ * @param {String} type - CREATE, UPDATE, STAGE, APPROVER, CLIENT or DELETE
+ * @param {Object} project - Project, or its snapshot once deleted
+ * @param {Object} user - User making the change; null for the system
+ * @param {Array} changes - Result of getProjectChanges
+ */
+module.exports.createProjectHistory = async (type, project, user, changes = []) => {
+	if (!project || !project._id) return;
+	const valueOf = (field, key) => (changes.find((change) => change.field === field) || {})[key];
+	let action;
+	if (type === 'CREATE') {
+		action = `Project created by ${(user && user.name) || 'system'}`;
+	} else if (type === 'DELETE') {
+		action = `Project "${project.projectName}" deleted by ${(user && user.name) || 'system'}`;
+	} else if (type === 'STAGE') {
+		action = `Stage changed from "${valueOf('currentStage', 'valueBefore')}" to "${valueOf('currentStage', 'valueAfter')}"`;
+		if (!changes.some((change) => change.field === 'currentStage')) {
+			action = `Status changed from "${valueOf('status', 'valueBefore')}" to "${valueOf('status', 'valueAfter')}"`;
+		}
+	} else if (type === 'APPROVER') {
+		const before = valueOf('quote.assignedApproverName', 'valueBefore');
+		const after = valueOf('quote.assignedApproverName', 'valueAfter');
+		if (!after) {
+			action = `Approver ${before ? `"${before}" ` : ''}unassigned`;
+		} else {
+			action = before ? `Approver changed from "${before}" to "${after}"` : `Approver "${after}" assigned`;
+		}
+	} else if (type === 'CLIENT') {
+		action = changes.some((change) => change.field === 'quote.clientApproved')
+			? `Quote version ${valueOf('quote.clientApprovedVersion', 'valueAfter')} approved by the client`
+			: 'Client requested changes to the quote';
+		if (user) {
+			action += ` (recorded by ${user.name || 'staff'})`;
+		}
+	} else {
+		action = `Edited ${changes.map((change) => change.field).join(', ')}`;
+	}
+	await Models.projectHistory.insertOne({
+		projectId: project._id,
+		userId: (user && user._id) || null,
+		type,
+		action,
+		changes,
+		createdAt: new Date()
+	});
+};
+
 module.exports.createPlazaHistory = (user, plazaId, action) => {
 	return Models.plazaHistory.insertOne({
 		userId: user._id,
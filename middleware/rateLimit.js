@@ -0,0 +1,70 @@
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const { createStore } = require('../utils/rateLimitStore');
+const { AppError } = require('./errorHandler');
+
+let store;
+
+// Built with the first limiter, so an unknown RATE_LIMIT_STORE fails at startup
+// instead of turning every limiter off
+const getStore = () => {
+  if (!store) {
+    store = createStore(config.rateLimit.store);
+  }
+  return store;
+};
+
+const byIp = (req) => req.ip;
+
+/**
+ * Rate Limit Middleware
+ * Fixed-window limiter for public endpoints. Budgets are defined per route in
+ * `config.rateLimit.routes`; when exceeded the request gets a 429 with Retry-After.
+ * If the store fails at runtime the request is let through, so a database hiccup
+ * never takes the public site down.
+ *
+ * @param {String} name - Budget name in config.rateLimit.routes
+ * @param {Object} options - { keyGenerator(req) } returning the client key (defaults to IP)
+ * @returns {Function} Express middleware function
+ *
+ * @example
+ * router.post('/', rateLimit('contact'), controller.create);
+ * router.post('/message', rateLimit('chatbotMessage', { keyGenerator: (req) => req.body.sessionId }), ...);
+ */
+const rateLimit = (name, { keyGenerator = byIp } = {}) => {
+  const budget = config.rateLimit.routes[name];
+  if (!budget) {
+    throw new Error(`No rate limit budget configured for "${name}"`);
+  }
+  const limiterStore = getStore();
+
+  return async (req, res, next) => {
+    if (!config.rateLimit.enabled) {
+      return next();
+    }
+
+    const clientKey = keyGenerator(req);
+    if (!clientKey) {
+      return next();
+    }
+
+    let result;
+    try {
+      result = await limiterStore.increment(`${name}:${clientKey}`, budget.windowMs);
+    } catch (err) {
+      logger.error(`Rate limit store error for ${name}:`, { error: err.message });
+      return next();
+    }
+
+    if (result.count > budget.max) {
+      const retryAfter = Math.max(1, Math.ceil((result.resetAt.getTime() - Date.now()) / 1000));
+      logger.warn(`Rate limit exceeded - ${name}, Key: ${clientKey}, ${req.method} ${req.originalUrl}`);
+      res.set('Retry-After', String(retryAfter));
+      return next(new AppError('Too many requests. Please try again later.', 429));
+    }
+
+    return next();
+  };
+};
+
+module.exports = rateLimit;
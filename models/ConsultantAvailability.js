@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Recurring weekly working hours of a consultant (a User).
+// Users with an active template take part in automatic booking assignment.
+const consultantAvailabilitySchema = new mongoose.Schema(
+    {
+        consultantId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            unique: true
+        },
+        timezone: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        weeklyHours: [
+            {
+                _id: false,
+                // 0 = Sunday ... 6 = Saturday, in the template's timezone
+                dayOfWeek: {
+                    type: Number,
+                    required: true,
+                    min: 0,
+                    max: 6
+                },
+                startTime: {
+                    type: String,
+                    required: true,
+                    match: [TIME_PATTERN, 'Start time must be in HH:MM format']
+                },
+                endTime: {
+                    type: String,
+                    required: true,
+                    match: [TIME_PATTERN, 'End time must be in HH:MM format']
+                }
+            }
+        ],
+        // Google Calendar the consultant's events are created on, which makes them the organiser
+        calendarId: {
+            type: String,
+            trim: true,
+            default: null
+        },
+        // Fixed room of the consultant, e.g. their Zoom room, used by MEETING_PROVIDER=static
+        meetingUrl: {
+            type: String,
+            trim: true,
+            maxlength: 500,
+            default: null
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+            index: true
+        },
+        // Round-robin cursor: the consultant assigned longest ago goes next
+        lastAssignedAt: {
+            type: Date,
+            default: null
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+module.exports = mongoose.model('ConsultantAvailability', consultantAvailabilitySchema);
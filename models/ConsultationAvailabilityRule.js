@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Recurring office hours. Slots are expanded from rules when listed and only stored
+// as ConsultationSlot documents (with ruleId) once booked or overridden by an admin.
+const consultationAvailabilityRuleSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 100
+        },
+        // Consultant running the generated slots; null for team slots
+        consultantId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+            index: true
+        },
+        timezone: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        // 0 = Sunday ... 6 = Saturday, in the rule's timezone
+        daysOfWeek: {
+            type: [{ type: Number, min: 0, max: 6 }],
+            validate: [(days) => days.length > 0, 'At least one day of the week is required']
+        },
+        windows: {
+            type: [
+                {
+                    _id: false,
+                    startTime: {
+                        type: String,
+                        required: true,
+                        match: [TIME_PATTERN, 'Start time must be in HH:MM format']
+                    },
+                    endTime: {
+                        type: String,
+                        required: true,
+                        match: [TIME_PATTERN, 'End time must be in HH:MM format']
+                    }
+                }
+            ],
+            validate: [(windows) => windows.length > 0, 'At least one time window is required']
+        },
+        // Minutes between the starts of consecutive slots in a window
+        interval: {
+            type: Number,
+            required: true,
+            min: 5,
+            max: 480
+        },
+        duration: {
+            type: Number,
+            default: 30,
+            min: 15,
+            max: 480
+        },
+        maxBookings: {
+            type: Number,
+            default: 1,
+            min: 1
+        },
+        // Calendar dates (UTC midnight, like slot dates) between which the rule applies
+        validFrom: {
+            type: Date,
+            required: true
+        },
+        validUntil: {
+            type: Date,
+            default: null
+        },
+        // Calendar dates on which the rule does not apply
+        exceptions: [Date],
+        // Consultation type offered; null for a generic consultation
+        typeId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ConsultationType',
+            default: null,
+            index: true
+        },
+        // Intake form of the rule's slots; the default form when null
+        intakeFormId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ConsultationIntakeForm',
+            default: null
+        },
+        notes: {
+            type: String,
+            trim: true,
+            maxlength: 500
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+            index: true
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+module.exports = mongoose.model('ConsultationAvailabilityRule', consultationAvailabilityRuleSchema);
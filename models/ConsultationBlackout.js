@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Holidays and other closures. Any slot overlapping a blackout, stored or expanded
+// from a rule, is hidden and cannot be booked.
+const consultationBlackoutSchema = new mongoose.Schema(
+    {
+        startAt: {
+            type: Date,
+            required: true
+        },
+        endAt: {
+            type: Date,
+            required: true
+        },
+        // Timezone the blackout's dates were given in, for display
+        timezone: {
+            type: String,
+            trim: true
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: 200
+        },
+        // Consultant on leave; null closes consultations for everyone
+        consultantId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+consultationBlackoutSchema.index({ startAt: 1, endAt: 1 });
+consultationBlackoutSchema.index({ consultantId: 1, startAt: 1 });
+
+module.exports = mongoose.model('ConsultationBlackout', consultationBlackoutSchema);
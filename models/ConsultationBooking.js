@@ -33,9 +33,79 @@ const consultationBookingSchema = new mongoose.Schema(
             trim: true,
             maxlength: 1000
         },
+        // Consultation type booked, with its name at booking time
+        typeId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ConsultationType',
+            default: null
+        },
+        typeName: {
+            type: String,
+            default: null
+        },
+        // Payment of a paid type (see utils/paymentProviders.js). The booking stays pending
+        // until the payment is recorded as paid.
+        payment: {
+            provider: {
+                type: String,
+                default: null
+            },
+            // Provider's payment ID, or the reference an admin recorded
+            reference: {
+                type: String,
+                default: null,
+                index: true
+            },
+            amount: {
+                type: Number,
+                default: null
+            },
+            currency: {
+                type: String,
+                default: null
+            },
+            status: {
+                type: String,
+                enum: ['pending', 'paid', 'failed', 'cancelled', null],
+                default: null
+            },
+            checkoutUrl: {
+                type: String,
+                default: null
+            },
+            paidAt: {
+                type: Date,
+                default: null
+            }
+        },
+        // Intake form the client answered, and the answers with the labels they were asked
+        intakeFormId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ConsultationIntakeForm',
+            default: null
+        },
+        intakeAnswers: [{
+            _id: false,
+            key: String,
+            label: String,
+            value: mongoose.Schema.Types.Mixed
+        }],
+        // Consultant running the meeting (the slot's owner, or auto-assigned for team slots)
+        consultantId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+            index: true
+        },
+        // Client's IANA timezone, used to show the slot in their local time
+        timezone: {
+            type: String,
+            trim: true,
+            default: null
+        },
         status: {
             type: String,
-            enum: ['pending', 'confirmed', 'cancelled', 'completed'],
+            enum: ['pending', 'confirmed', 'cancelled', 'completed', 'no-show'],
             default: 'pending',
             index: true
         },
@@ -50,7 +120,8 @@ const consultationBookingSchema = new mongoose.Schema(
         },
         cancelledBy: {
             type: String,
-            enum: ['user', 'admin'],
+            // 'system' when an unpaid booking expired
+            enum: ['user', 'admin', 'system'],
             default: null
         },
         confirmedAt: {
@@ -61,10 +132,74 @@ const consultationBookingSchema = new mongoose.Schema(
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
             default: null
+        },
+        // Provider that made the meeting link (see utils/meetingProviders.js)
+        meetingProvider: {
+            type: String,
+            enum: ['google', 'static', 'jitsi', 'manual', null],
+            default: null
+        },
+        // Why the booking has no meeting link yet; cleared once an admin adds one
+        meetingLinkIssue: {
+            type: String,
+            default: null
+        },
+        calendarEventId: {
+            type: String,
+            default: null
+        },
+        // Calendar holding the event; null means the configured GOOGLE_CALENDAR_ID
+        calendarId: {
+            type: String,
+            default: null
+        },
+        rescheduledAt: {
+            type: Date,
+            default: null
+        },
+        rescheduledBy: {
+            type: String,
+            enum: ['user', 'admin', null],
+            default: null
+        },
+        rescheduleCount: {
+            type: Number,
+            default: 0
+        },
+        // Set by the reminder job once the email went out; cleared when the booking is rescheduled
+        reminder24hSentAt: {
+            type: Date,
+            default: null
+        },
+        reminder1hSentAt: {
+            type: Date,
+            default: null
+        },
+        // Set once the consultant got the pre-meeting briefing; cleared on reschedule or reassignment
+        briefingSentAt: {
+            type: Date,
+            default: null
+        },
+        // Status set by the follow-up job after the slot ended; an admin should confirm it
+        needsFollowUp: {
+            type: Boolean,
+            default: false,
+            index: true
+        },
+        // SHA-256 of the client's manage token (see auth/booking-token.js)
+        manageTokenHash: {
+            type: String,
+            select: false
         }
     },
     {
-        timestamps: true
+        timestamps: true,
+        toJSON: {
+            transform: function (doc, ret) {
+                delete ret.manageTokenHash;
+                return ret;
+            }
+        }
     }
 );
 
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const questionSchema = new mongoose.Schema(
+    {
+        // Name of the answer on the booking, e.g. 'invention_area'
+        key: {
+            type: String,
+            required: [true, 'Question key is required'],
+            trim: true,
+            match: [/^[a-z][a-z0-9_]{0,49}$/, 'Question key must be lowercase letters, digits and underscores']
+        },
+        label: {
+            type: String,
+            required: [true, 'Question label is required'],
+            trim: true,
+            maxlength: 200
+        },
+        type: {
+            type: String,
+            enum: ['text', 'textarea', 'select', 'multiselect', 'checkbox', 'number', 'date'],
+            default: 'text'
+        },
+        required: {
+            type: Boolean,
+            default: false
+        },
+        // Choices of select and multiselect questions
+        options: [{
+            type: String,
+            trim: true,
+            maxlength: 200
+        }],
+        helpText: {
+            type: String,
+            trim: true,
+            maxlength: 500
+        }
+    },
+    { _id: false }
+);
+
+// Questions a client answers when booking. A form is attached to slots and availability
+// rules with `intakeFormId`; slots without one use the default form, if any.
+const consultationIntakeFormSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Name is required'],
+            trim: true,
+            maxlength: 100
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: 1000
+        },
+        questions: {
+            type: [questionSchema],
+            validate: {
+                validator: (questions) => questions.length > 0,
+                message: 'At least one question is required'
+            }
+        },
+        // Form of the slots that have none; at most one form is the default
+        isDefault: {
+            type: Boolean,
+            default: false,
+            index: true
+        },
+        // Inactive forms are not asked; slots keep pointing at them
+        isActive: {
+            type: Boolean,
+            default: true
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+module.exports = mongoose.model('ConsultationIntakeForm', consultationIntakeFormSchema);
@@ -2,6 +2,8 @@ const mongoose = require('mongoose');
 
 const consultationSlotSchema = new mongoose.Schema(
     {
+        // date, startTime and endTime are the wall-clock time in the slot's timezone;
+        // startAt/endAt are the same moments as absolute instants
         date: {
             type: Date,
             required: true,
@@ -19,6 +21,17 @@ const consultationSlotSchema = new mongoose.Schema(
             trim: true,
             match: [/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/, 'End time must be in HH:MM format']
         },
+        timezone: {
+            type: String,
+            trim: true
+        },
+        startAt: {
+            type: Date,
+            index: true
+        },
+        endAt: {
+            type: Date
+        },
         duration: {
             type: Number,
             default: 30,
@@ -41,6 +54,38 @@ const consultationSlotSchema = new mongoose.Schema(
             default: 1,
             min: 1
         },
+        // Active (non-cancelled) bookings; only changed through reserveSpot/releaseSpot
+        bookedCount: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        // Consultant running the slot; null for team slots assigned at booking time
+        consultantId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+            index: true
+        },
+        // Availability rule the slot was materialised from (booked or overridden occurrence)
+        ruleId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ConsultationAvailabilityRule',
+            default: null
+        },
+        // Consultation type offered; null for a generic consultation
+        typeId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ConsultationType',
+            default: null,
+            index: true
+        },
+        // Intake form asked when booking; the default form when null
+        intakeFormId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ConsultationIntakeForm',
+            default: null
+        },
         notes: {
             type: String,
             trim: true,
@@ -60,6 +105,90 @@ const consultationSlotSchema = new mongoose.Schema(
 // Compound index for efficient date and time queries
 consultationSlotSchema.index({ date: 1, startTime: 1 });
 consultationSlotSchema.index({ status: 1, isAvailable: 1, date: 1 });
+consultationSlotSchema.index({ status: 1, isAvailable: 1, startAt: 1 });
+consultationSlotSchema.index({ consultantId: 1, startAt: 1 });
+// One stored slot per rule occurrence
+consultationSlotSchema.index(
+    { ruleId: 1, startAt: 1 },
+    { unique: true, partialFilterExpression: { ruleId: { $type: 'objectId' } } }
+);
+
+// Statuses set by admins; every other slot is 'available' or 'booked' depending on capacity
+const MANUAL_STATUSES = ['cancelled', 'completed'];
+
+/**
+ * Status a slot should have for the given capacity
+ */
+consultationSlotSchema.statics.deriveStatus = function (status, bookedCount, maxBookings) {
+    if (MANUAL_STATUSES.includes(status)) {
+        return status;
+    }
+    return (bookedCount || 0) >= maxBookings ? 'booked' : 'available';
+};
+
+/**
+ * Update pipeline stages re-deriving `status` and `isAvailable` from the
+ * document's own bookedCount and maxBookings, so they change atomically with them
+ */
+consultationSlotSchema.statics.statusStages = function () {
+    return [
+        {
+            $set: {
+                status: {
+                    $cond: [
+                        { $in: ['$status', MANUAL_STATUSES] },
+                        '$status',
+                        {
+                            $cond: [
+                                { $gte: [{ $ifNull: ['$bookedCount', 0] }, '$maxBookings'] },
+                                'booked',
+                                'available'
+                            ]
+                        }
+                    ]
+                }
+            }
+        },
+        { $set: { isAvailable: { $eq: ['$status', 'available'] } } }
+    ];
+};
+
+/**
+ * Atomically take one spot of an open slot
+ * @param {ObjectId} slotId
+ * @returns {Promise<Object|null>} Updated slot, or null when the slot is full, closed or missing
+ */
+consultationSlotSchema.statics.reserveSpot = function (slotId) {
+    return this.findOneAndUpdate(
+        {
+            _id: slotId,
+            status: 'available',
+            isAvailable: true,
+            $expr: { $lt: [{ $ifNull: ['$bookedCount', 0] }, '$maxBookings'] }
+        },
+        [
+            { $set: { bookedCount: { $add: [{ $ifNull: ['$bookedCount', 0] }, 1] } } },
+            ...this.statusStages()
+        ],
+        { new: true }
+    );
+};
+
+/**
+ * Atomically give back one spot (booking cancelled or moved away)
+ * @param {ObjectId} slotId
+ * @returns {Promise<Object|null>} Updated slot, or null when nothing was reserved
+ */
+consultationSlotSchema.statics.releaseSpot = function (slotId) {
+    return this.findOneAndUpdate(
+        { _id: slotId, bookedCount: { $gt: 0 } },
+        [
+            { $set: { bookedCount: { $subtract: ['$bookedCount', 1] } } },
+            ...this.statusStages()
+        ],
+        { new: true }
+    );
+};
 
 // Virtual for booking count (will be populated via aggregation)
 consultationSlotSchema.virtual('bookingCount', {
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Kind of consultation a slot offers, e.g. a free intro call or a paid patent strategy session.
+// Slots and availability rules point at a type with `typeId`; slots without one are generic.
+const consultationTypeSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Name is required'],
+            trim: true,
+            maxlength: 100
+        },
+        // URL-friendly name for the website, e.g. 'patent-strategy'
+        slug: {
+            type: String,
+            required: [true, 'Slug is required'],
+            trim: true,
+            lowercase: true,
+            unique: true,
+            match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug must be lowercase words separated by hyphens']
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: 2000
+        },
+        // Default duration of the type's slots, in minutes
+        duration: {
+            type: Number,
+            required: [true, 'Duration is required'],
+            min: 15,
+            max: 480
+        },
+        // Fee in major units (e.g. 1500 = INR 1500.00); 0 for free consultations.
+        // Paid bookings stay pending until the payment is recorded.
+        fee: {
+            amount: {
+                type: Number,
+                default: 0,
+                min: 0
+            },
+            currency: {
+                type: String,
+                trim: true,
+                uppercase: true,
+                match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+                default: 'INR'
+            }
+        },
+        // Intake form of the type's slots that have none of their own
+        intakeFormId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ConsultationIntakeForm',
+            default: null
+        },
+        // Order on the website
+        sortOrder: {
+            type: Number,
+            default: 0
+        },
+        // Slots of inactive types are not listed or bookable
+        isActive: {
+            type: Boolean,
+            default: true,
+            index: true
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+module.exports = mongoose.model('ConsultationType', consultationTypeSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// A client waiting for a seat in a full slot, or in any slot on a date.
+// When a seat frees up the first waiting entry gets a time-limited offer to claim it.
+const consultationWaitlistEntrySchema = new mongoose.Schema(
+    {
+        // Full slot the client waits for; null when waiting for any slot on a date
+        slotId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ConsultationSlot',
+            default: null,
+            index: true
+        },
+        // Date waited for, as the day in `timezone`
+        date: {
+            type: String,
+            match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'],
+            default: null
+        },
+        // That day as instants, so slots starting in it are found regardless of timezone
+        dateStart: {
+            type: Date,
+            default: null
+        },
+        dateEnd: {
+            type: Date,
+            default: null
+        },
+        userName: {
+            type: String,
+            required: [true, 'Name is required'],
+            trim: true,
+            maxlength: 100
+        },
+        userEmail: {
+            type: String,
+            required: [true, 'Email is required'],
+            trim: true,
+            lowercase: true
+        },
+        userPhone: {
+            type: String,
+            required: [true, 'Phone is required'],
+            trim: true
+        },
+        message: {
+            type: String,
+            trim: true,
+            maxlength: 1000
+        },
+        // Client's IANA timezone
+        timezone: {
+            type: String,
+            trim: true,
+            default: null
+        },
+        // waiting -> offered -> claimed. An unclaimed offer expires and the seat goes to the next
+        // entry; an offer whose seat was booked by someone else first goes back to waiting.
+        status: {
+            type: String,
+            enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+            default: 'waiting',
+            index: true
+        },
+        // Slot whose seat is offered
+        offerSlotId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ConsultationSlot',
+            default: null
+        },
+        // SHA-256 hash of the emailed claim token (see auth/waitlist-token.js)
+        claimTokenHash: {
+            type: String,
+            select: false
+        },
+        offeredAt: {
+            type: Date,
+            default: null
+        },
+        offerExpiresAt: {
+            type: Date,
+            default: null
+        },
+        claimedAt: {
+            type: Date,
+            default: null
+        },
+        bookingId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ConsultationBooking',
+            default: null
+        },
+        cancelledAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Queue order: first come, first served
+consultationWaitlistEntrySchema.index({ status: 1, createdAt: 1 });
+consultationWaitlistEntrySchema.index({ status: 1, dateStart: 1, dateEnd: 1 });
+consultationWaitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+consultationWaitlistEntrySchema.index({ userEmail: 1, status: 1 });
+
+module.exports = mongoose.model('ConsultationWaitlistEntry', consultationWaitlistEntrySchema);
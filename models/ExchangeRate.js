@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+/**
+ * Exchange Rate Schema
+ * Value of one unit of a currency in the base currency (INR), used to total quotes
+ * whose line items are in other currencies (see utils/quoteTotals.js).
+ */
+const exchangeRateSchema = new mongoose.Schema(
+    {
+        currency: {
+            type: String,
+            required: true,
+            unique: true,
+            enum: ['USD', 'EUR']
+        },
+        rate: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+/**
+ * Invoice Sequence Schema
+ * Last invoice number handed out per prefix and financial year, e.g. 'EPX/2026-27'.
+ * Numbers are taken with atomic updates (see utils/invoiceNumbers.js). A number whose
+ * quote could not be sent is put back in `released` and handed out again first, so
+ * the issued numbers have no gaps.
+ */
+const invoiceSequenceSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        lastNumber: {
+            type: Number,
+            default: 0
+        },
+        // Numbers given back, lowest first
+        released: {
+            type: [Number],
+            default: []
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+module.exports = mongoose.model('InvoiceSequence', invoiceSequenceSchema);
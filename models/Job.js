@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * Job Schema
+ * One document per background job. An instance runs a job only after claiming
+ * its lock, so each run happens once even with several PM2 instances.
+ */
+const jobSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            unique: true,
+            trim: true
+        },
+        intervalMs: {
+            type: Number,
+            required: true,
+            min: 1000
+        },
+        nextRunAt: {
+            type: Date,
+            required: true
+        },
+        // Instance (host:pid) running the job; the lock expires so a crashed instance cannot hold it
+        lockedBy: {
+            type: String,
+            default: null
+        },
+        lockedUntil: {
+            type: Date,
+            default: null
+        },
+        lastRunAt: {
+            type: Date,
+            default: null
+        },
+        lastFinishedAt: {
+            type: Date,
+            default: null
+        },
+        lastStatus: {
+            type: String,
+            enum: ['succeeded', 'failed', null],
+            default: null
+        },
+        lastError: {
+            type: String,
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * Job Run Schema
+ * History of background job runs, purged after JOB_RUN_RETENTION_DAYS
+ */
+const jobRunSchema = new mongoose.Schema(
+    {
+        jobName: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        instanceId: {
+            type: String,
+            required: true
+        },
+        status: {
+            type: String,
+            enum: ['running', 'succeeded', 'failed'],
+            default: 'running'
+        },
+        startedAt: {
+            type: Date,
+            required: true
+        },
+        finishedAt: {
+            type: Date,
+            default: null
+        },
+        durationMs: {
+            type: Number,
+            default: null
+        },
+        // Summary returned by the job, e.g. { sent: 3, failed: 0 }
+        result: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null
+        },
+        error: {
+            type: String,
+            default: null
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    }
+);
+
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1, startedAt: -1 });
+// Let MongoDB purge old runs
+jobRunSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * Login Throttle Schema
+ * Failed login counter per client IP, shared by all PM2 instances.
+ * A counter starts a new window once `expiresAt` has passed.
+ */
+const loginThrottleSchema = new mongoose.Schema(
+    {
+        ip: {
+            type: String,
+            required: true,
+            unique: true,
+            trim: true
+        },
+        failedAttempts: {
+            type: Number,
+            default: 0
+        },
+        lastFailedAt: {
+            type: Date,
+            default: null
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    }
+);
+
+// Let MongoDB purge counters whose window has ended
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
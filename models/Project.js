@@ -50,6 +50,7 @@ const projectSchema = new mongoose.Schema(
         },
         // Quote details
         quote: {
+            // Allocated when the quote is first sent, e.g. EPX/2026-27/0001 (see utils/invoiceNumbers.js)
             invoiceNumber: {
                 type: String,
                 trim: true,
@@ -91,16 +92,84 @@ const projectSchema = new mongoose.Schema(
                     default: 'INR',
                     enum: ['INR', 'USD', 'EUR']
                 },
+                // A percentage of the subtotal, or an amount in the item currency
+                discountType: {
+                    type: String,
+                    enum: ['amount', 'percent'],
+                    default: 'amount'
+                },
+                discount: {
+                    type: Number,
+                    default: 0,
+                    min: 0
+                },
+                // Tax lines, e.g. { name: 'GST', rate: 18 }; amounts are computed
+                taxes: [{
+                    _id: false,
+                    name: {
+                        type: String,
+                        trim: true,
+                        maxlength: 50
+                    },
+                    rate: {
+                        type: Number,
+                        default: 0,
+                        min: 0
+                    },
+                    amount: {
+                        type: Number,
+                        default: 0
+                    }
+                }],
+                // Computed by utils/quoteTotals.js, in the item currency
+                subtotal: {
+                    type: Number,
+                    default: 0
+                },
+                discountAmount: {
+                    type: Number,
+                    default: 0
+                },
+                taxAmount: {
+                    type: Number,
+                    default: 0
+                },
                 finalCost: {
                     type: Number,
                     default: 0,
                     min: 0
                 }
             }],
+            // Totals of the line items in the quote currency, computed by utils/quoteTotals.js.
+            // `amount` is the quote total; it is only entered by hand for a quote without line items.
+            subtotal: {
+                type: Number,
+                default: null
+            },
+            discountTotal: {
+                type: Number,
+                default: null
+            },
+            taxTotal: {
+                type: Number,
+                default: null
+            },
+            taxSummary: [{
+                _id: false,
+                name: String,
+                rate: Number,
+                amount: Number
+            }],
             amount: {
                 type: Number,
                 default: null
             },
+            // Rates the line items in other currencies were converted at: 1 <currency> = <rate> quote currency
+            exchangeRates: [{
+                _id: false,
+                currency: String,
+                rate: Number
+            }],
             currency: {
                 type: String,
                 default: 'INR',
@@ -158,7 +227,56 @@ const projectSchema = new mongoose.Schema(
             clientApproved: {
                 type: Boolean,
                 default: false
-            }
+            },
+            // Set when the client approved through the review link emailed with the quote
+            clientApprovedVersion: {
+                type: Number,
+                default: null
+            },
+            clientApprovalIp: {
+                type: String,
+                default: null
+            },
+            clientApprovalUserAgent: {
+                type: String,
+                default: null
+            },
+            // Set when staff recorded an approval the client gave another way, e.g. a signed quote
+            clientApprovalRecordedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                default: null
+            },
+            clientApprovalRemarks: {
+                type: String,
+                trim: true,
+                maxlength: 1000
+            },
+            // Hash of the review link token of the quote last sent (see auth/quote-token.js)
+            reviewTokenHash: {
+                type: String,
+                select: false
+            },
+            // Changes the client asked for through the review link
+            changeRequests: [{
+                version: {
+                    type: Number,
+                    default: null
+                },
+                comments: {
+                    type: String,
+                    trim: true,
+                    maxlength: 2000
+                },
+                ip: {
+                    type: String,
+                    default: null
+                },
+                requestedAt: {
+                    type: Date,
+                    default: Date.now
+                }
+            }]
         },
         // Payment details
         payment: {
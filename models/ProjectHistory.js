@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Timeline of a project, written by createProjectHistory in middleware/history.js.
+// Entries are only inserted, never updated, and outlive the project they describe.
+const projectHistorySchema = new mongoose.Schema(
+    {
+        projectId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Project',
+            required: true
+        },
+        // User who made the change; null for changes made by the system
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        type: {
+            type: String,
+            enum: ['CREATE', 'UPDATE', 'STAGE', 'APPROVER', 'CLIENT', 'DELETE'],
+            required: true
+        },
+        // Summary for the timeline, e.g. 'Stage changed from "Draft Quote" to "Internal Approval"'
+        action: {
+            type: String,
+            required: true
+        },
+        // Field-level diff, with dotted paths such as 'quote.amount'
+        changes: [{
+            _id: false,
+            field: String,
+            valueBefore: mongoose.Schema.Types.Mixed,
+            valueAfter: mongoose.Schema.Types.Mixed
+        }],
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    {
+        collection: 'projectHistory'
+    }
+);
+
+projectHistorySchema.index({ projectId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ProjectHistory', projectHistorySchema);
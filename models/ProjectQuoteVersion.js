@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Quote of a project as it was sent to the client, with its PDF under uploads/quotes.
+// Versions are numbered per project from 1 and never change once stored.
+const projectQuoteVersionSchema = new mongoose.Schema(
+    {
+        projectId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Project',
+            required: true
+        },
+        version: {
+            type: Number,
+            required: true,
+            min: 1
+        },
+        // Copy of project.quote when this version was sent
+        quote: {
+            type: Object,
+            required: true
+        },
+        total: {
+            type: Number,
+            default: 0
+        },
+        currency: {
+            type: String,
+            default: 'INR'
+        },
+        clientName: {
+            type: String,
+            trim: true
+        },
+        clientEmail: {
+            type: String,
+            trim: true,
+            lowercase: true
+        },
+        // Relative path, e.g. /uploads/quotes/<projectId>/quote-v2-<random>.pdf. Downloaded
+        // through the project API only; the uploads route does not serve it.
+        filePath: {
+            type: String,
+            required: true
+        },
+        fileSize: {
+            type: Number,
+            default: 0
+        },
+        // SHA-256 of the PDF, to show the file was not altered
+        checksum: {
+            type: String,
+            required: true
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        }
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false }
+    }
+);
+
+projectQuoteVersionSchema.index({ projectId: 1, version: -1 }, { unique: true });
+
+projectQuoteVersionSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return next(new Error('Quote versions cannot be changed'));
+    }
+    next();
+});
+
+projectQuoteVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function (next) {
+    next(new Error('Quote versions cannot be changed'));
+});
+
+module.exports = mongoose.model('ProjectQuoteVersion', projectQuoteVersionSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+/**
+ * Rate Limit Counter Schema
+ * Fixed-window request counters used by the Mongo rate limit store,
+ * so every PM2 instance shares the same budget.
+ */
+const rateLimitCounterSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        count: {
+            type: Number,
+            default: 0
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    }
+);
+
+// Let MongoDB purge counters whose window has ended
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
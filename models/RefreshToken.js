@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * Refresh Token Schema
+ * One active (non-revoked) token per user device. Only a SHA-256 hash of the
+ * token is stored; the raw value is returned to the client once.
+ */
+const refreshTokenSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        deviceId: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 100
+        },
+        userAgent: {
+            type: String,
+            trim: true,
+            maxlength: 500
+        },
+        ip: {
+            type: String,
+            trim: true,
+            maxlength: 100
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        lastUsedAt: {
+            type: Date,
+            default: null
+        },
+        revokedAt: {
+            type: Date,
+            default: null
+        },
+        revokedReason: {
+            type: String,
+            enum: ['rotated', 'logout', 'logout-all', 'reuse-detected', 'password-changed', null],
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+refreshTokenSchema.index({ userId: 1, deviceId: 1, revokedAt: 1 });
+// Let MongoDB purge expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
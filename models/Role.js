@@ -9,6 +9,11 @@ const RoleSchema = new mongoose.Schema(
 			minlength: 2,
 			maxlength: 64,
 			unique: true
+		},
+		// Members of this role must enrol in two-factor authentication
+		requireTwoFactor: {
+			type: Boolean,
+			default: false
 		}
 	},
 	{
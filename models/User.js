@@ -3,7 +3,7 @@ const bcrypt = require('bcryptjs');
 
 /**
  * User Schema
- * Fields: id (auto-generated), name, mobile, email, password (hashed with bcrypt), designation, Remarks, createdAt, lastLogin, updatedAt
+ * Fields: id (auto-generated), name, mobile, email, password (hashed with bcrypt), designation, Remarks, emailVerified, failedLoginAttempts, lockUntil, createdAt, lastLogin, updatedAt
  */
 const userSchema = new mongoose.Schema(
   {
@@ -43,6 +43,72 @@ const userSchema = new mongoose.Schema(
       type: Number,
       default: 0
     },
+    // Consecutive failed logins, reset on success (see auth/login-guard.js)
+    failedLoginAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedLoginAt: {
+      type: Date,
+      default: null
+    },
+    lockUntil: {
+      type: Date,
+      default: null
+    },
+    // Left unset for accounts created before email verification existed
+    emailVerified: {
+      type: Boolean
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      enabledAt: {
+        type: Date,
+        default: null
+      },
+      // TOTP secrets are stored encrypted (see auth/two-factor.js)
+      secret: {
+        type: String,
+        select: false
+      },
+      pendingSecret: {
+        type: String,
+        select: false
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false
+      },
+      // Last accepted TOTP time step, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false
+      }
+    },
+    // Subscribable ICS feed of the user's consultations (see auth/calendar-feed-token.js)
+    calendarFeed: {
+      // SHA-256 hash of the token in the feed URL
+      tokenHash: {
+        type: String,
+        select: false
+      },
+      // 'mine': bookings assigned to the user, 'all': every booking
+      scope: {
+        type: String,
+        enum: ['mine', 'all']
+      },
+      createdAt: {
+        type: Date
+      }
+    },
     isDeleted: {
       type: Boolean,
       default: false
@@ -62,14 +128,25 @@ const userSchema = new mongoose.Schema(
     timestamps: true, // Automatically adds createdAt and updatedAt
     toJSON: {
       transform: function (doc, ret) {
-        // Remove password from JSON output
+        // Remove password, 2FA secrets and the feed token hash from JSON output
         delete ret.password;
+        if (ret.twoFactor) {
+          delete ret.twoFactor.secret;
+          delete ret.twoFactor.pendingSecret;
+          delete ret.twoFactor.recoveryCodes;
+          delete ret.twoFactor.lastUsedStep;
+        }
+        if (ret.calendarFeed) {
+          delete ret.calendarFeed.tokenHash;
+        }
         return ret;
       }
     }
   }
 );
 
+userSchema.index({ 'calendarFeed.tokenHash': 1 }, { sparse: true });
+
 /**
  * Hash password before saving
  */
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * User Token Schema
+ * Single-use, expiring tokens for password reset and email verification.
+ * Only a SHA-256 hash of the token is stored.
+ */
+const userTokenSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true
+        },
+        type: {
+            type: String,
+            enum: ['password-reset', 'email-verification'],
+            required: true
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        usedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+userTokenSchema.index({ userId: 1, type: 1, usedAt: 1 });
+// Let MongoDB purge expired tokens
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -1,24 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const aclController = require('../controllers/acl.controller');
+const verifyAcl = require('../middleware/acl');
 
 // Roles
-router.post('/roles', aclController.createRole);
-router.get('/roles', aclController.getRoles);
-router.delete('/roles', aclController.deleteRoleById);
-router.put('/roles', aclController.updateRole);
-router.get('/roles/history', aclController.getRoleHistory);
+router.post('/roles', verifyAcl([{ type: 'ROLES', action: 'CREATE' }]), aclController.createRole);
+router.get('/roles', verifyAcl([{ type: 'ROLES', action: 'READ' }]), aclController.getRoles);
+router.delete('/roles', verifyAcl([{ type: 'ROLES', action: 'DELETE' }]), aclController.deleteRoleById);
+router.put('/roles', verifyAcl([{ type: 'ROLES', action: 'UPDATE' }]), aclController.updateRole);
+router.get('/roles/history', verifyAcl([{ type: 'ROLES', action: 'READ' }]), aclController.getRoleHistory);
 
 // Permissions
-router.post('/permissions', aclController.createPermission);
-router.get('/permissions', aclController.getAllPermission);
-router.get('/permissions/by-role', aclController.getPermissionByRoleId);
-router.delete('/permissions', aclController.deletePermissionByRoleId);
+router.post('/permissions', verifyAcl([{ type: 'ROLES', action: 'UPDATE' }]), aclController.createPermission);
+router.get('/permissions', verifyAcl([{ type: 'ROLES', action: 'READ' }]), aclController.getAllPermission);
+router.get('/permissions/by-role', verifyAcl([{ type: 'ROLES', action: 'READ' }]), aclController.getPermissionByRoleId);
+router.delete('/permissions', verifyAcl([{ type: 'ROLES', action: 'UPDATE' }]), aclController.deletePermissionByRoleId);
 
 // User ↔ Role
-router.post('/user-roles', aclController.setUserRole);
-router.get('/user-roles', aclController.getAllUserOfRole);
-router.delete('/user-roles', aclController.deleteUserFromRoleById);
+router.post('/user-roles', verifyAcl([{ type: 'ROLES', action: 'UPDATE' }]), aclController.setUserRole);
+router.get('/user-roles', verifyAcl([{ type: 'ROLES', action: 'READ' }]), aclController.getAllUserOfRole);
+router.delete('/user-roles', verifyAcl([{ type: 'ROLES', action: 'UPDATE' }]), aclController.deleteUserFromRoleById);
+// Own permissions only, so the admin portal can render for any logged-in user
 router.get('/user-permissions', aclController.getUserPermissions);
 
 module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
 const userController = require('../controllers/user.controller');
+const twoFactorController = require('../controllers/twoFactor.controller');
 const handleValidationErrors = require('../middleware/validate');
 
 // Validation rules for registration
@@ -49,7 +50,116 @@ const loginValidation = [
     .normalizeEmail(),
   body('password')
     .notEmpty()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+  body('deviceId')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Device ID is too long')
+];
+
+// Validation rules for token refresh
+const refreshValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const logoutValidation = [
+  body('deviceId')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Device ID is too long')
+];
+
+const newPasswordRule = (field) =>
+  body(field)
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number');
+
+const forgotPasswordValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail()
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  newPasswordRule('password')
+];
+
+const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  newPasswordRule('newPassword'),
+  body('newPassword')
+    .custom((value, { req }) => value !== req.body.currentPassword)
+    .withMessage('New password must be different from the current password'),
+  body('deviceId')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Device ID is too long')
+];
+
+const loginTwoFactorValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Invalid recovery code'),
+  body()
+    .custom((value) => Boolean(value.code || value.recoveryCode))
+    .withMessage('Authentication code or recovery code is required'),
+  body('deviceId')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Device ID is too long')
+];
+
+const totpCodeValidation = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...totpCodeValidation
+];
+
+const verifyEmailValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
 ];
 
 // POST /api/auth/register - Register new user
@@ -68,5 +178,109 @@ router.post(
   userController.login
 );
 
+// POST /api/auth/login/2fa - Second login step for users with 2FA enabled
+router.post(
+  '/login/2fa',
+  loginTwoFactorValidation,
+  handleValidationErrors,
+  userController.loginTwoFactor
+);
+
+// POST /api/auth/refresh - Rotate refresh token and issue a new JWT
+router.post(
+  '/refresh',
+  refreshValidation,
+  handleValidationErrors,
+  userController.refreshToken
+);
+
+// POST /api/auth/forgot-password - Email a password reset link
+router.post(
+  '/forgot-password',
+  forgotPasswordValidation,
+  handleValidationErrors,
+  userController.forgotPassword
+);
+
+// POST /api/auth/reset-password - Set a new password using the emailed token
+router.post(
+  '/reset-password',
+  resetPasswordValidation,
+  handleValidationErrors,
+  userController.resetPassword
+);
+
+// POST /api/auth/verify-email - Confirm email address using the emailed token
+router.post(
+  '/verify-email',
+  verifyEmailValidation,
+  handleValidationErrors,
+  userController.verifyEmail
+);
+
+// POST /api/auth/resend-verification - Send a new verification email (protected route)
+router.post(
+  '/resend-verification',
+  userController.resendVerification
+);
+
+// POST /api/auth/change-password - Change password (protected route)
+router.post(
+  '/change-password',
+  changePasswordValidation,
+  handleValidationErrors,
+  userController.changePassword
+);
+
+// GET /api/auth/2fa - Two-factor status (protected route)
+router.get(
+  '/2fa',
+  twoFactorController.getTwoFactorStatus
+);
+
+// POST /api/auth/2fa/setup - Generate a secret for the authenticator app (protected route)
+router.post(
+  '/2fa/setup',
+  twoFactorController.setupTwoFactor
+);
+
+// POST /api/auth/2fa/enable - Confirm setup with a code (protected route)
+router.post(
+  '/2fa/enable',
+  totpCodeValidation,
+  handleValidationErrors,
+  twoFactorController.enableTwoFactor
+);
+
+// POST /api/auth/2fa/disable - Turn off 2FA (protected route)
+router.post(
+  '/2fa/disable',
+  disableTwoFactorValidation,
+  handleValidationErrors,
+  twoFactorController.disableTwoFactor
+);
+
+// POST /api/auth/2fa/recovery-codes - Replace recovery codes (protected route)
+router.post(
+  '/2fa/recovery-codes',
+  totpCodeValidation,
+  handleValidationErrors,
+  twoFactorController.regenerateRecoveryCodes
+);
+
+// POST /api/auth/logout - Logout current device (protected route)
+router.post(
+  '/logout',
+  logoutValidation,
+  handleValidationErrors,
+  userController.logout
+);
+
+// POST /api/auth/logout-all - Logout all devices (protected route)
+router.post(
+  '/logout-all',
+  userController.logoutAll
+);
+
 module.exports = router;
 
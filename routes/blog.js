@@ -3,6 +3,8 @@ const { body, param, query } = require('express-validator');
 const multer = require('multer');
 const blogController = require('../controllers/blog.controller');
 const handleValidationErrors = require('../middleware/validate');
+const verifyAcl = require('../middleware/acl');
+const rateLimit = require('../middleware/rateLimit');
 const blogUpload = require('../middleware/blogUpload');
 const { AppError } = require('../middleware/errorHandler');
 
@@ -58,6 +60,7 @@ router.get(
 
 router.get(
     '/admin',
+    verifyAcl([{ type: 'BLOG', action: 'READ' }]),
     [
         query('page').optional().isInt({ min: 1 }).withMessage('Page must be at least 1'),
         query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
@@ -73,6 +76,7 @@ router.get(
 
 router.get(
     '/admin/:id',
+    verifyAcl([{ type: 'BLOG', action: 'READ' }]),
     [param('id').isMongoId().withMessage('Valid blog ID is required')],
     handleValidationErrors,
     blogController.getBlogAdminById
@@ -87,6 +91,7 @@ router.get(
 
 router.post(
     '/',
+    verifyAcl([{ type: 'BLOG', action: 'CREATE' }]),
     [
         body('title').trim().isLength({ min: 5, max: 180 }).withMessage('Title must be between 5 and 180 characters'),
         body('excerpt').trim().isLength({ min: 20, max: 500 }).withMessage('Excerpt must be 20-500 characters'),
@@ -105,6 +110,7 @@ router.post(
 
 router.post(
     '/upload/hero',
+    verifyAcl([{ type: 'BLOG', action: 'CREATE' }]),
     blogUpload.single('heroImage'),
     blogController.uploadHeroImage
 );
@@ -127,6 +133,7 @@ const handleBlogImageUpload = (req, res, next) => {
 
 router.post(
     '/submissions',
+    rateLimit('blogSubmission'),
     handleBlogImageUpload,
     [
         body('name').trim().isLength({ min: 2, max: 120 }).withMessage('Name must be between 2 and 120 characters'),
@@ -142,6 +149,7 @@ router.post(
 
 router.put(
     '/:id',
+    verifyAcl([{ type: 'BLOG', action: 'UPDATE' }]),
     [
         param('id').isMongoId().withMessage('Valid blog ID is required'),
         body('title').optional().trim().isLength({ min: 5, max: 180 }).withMessage('Title must be between 5 and 180 characters'),
@@ -162,6 +170,7 @@ router.put(
 
 router.delete(
     '/:id',
+    verifyAcl([{ type: 'BLOG', action: 'DELETE' }]),
     [param('id').isMongoId().withMessage('Valid blog ID is required')],
     handleValidationErrors,
     blogController.deleteBlog
@@ -4,6 +4,14 @@ const { body } = require('express-validator');
 const chatbotController = require('../controllers/chatbot.controller');
 const handleValidationErrors = require('../middleware/validate');
 const chatbotUpload = require('../middleware/chatbotUpload');
+const verifyAcl = require('../middleware/acl');
+const rateLimit = require('../middleware/rateLimit');
+
+// Session IDs arrive in the body, which multer only parses for multipart requests
+const bySessionId = (req) => {
+    const sessionId = req.body?.sessionId;
+    return typeof sessionId === 'string' && sessionId.trim() ? sessionId.trim() : null;
+};
 
 // Public routes (no authentication required)
 const createConversationValidation = [
@@ -43,9 +51,11 @@ const sendMessageValidation = [
 ];
 
 // Public routes
-router.post('/conversation', createConversationValidation, handleValidationErrors, chatbotController.createOrGetConversation);
+router.post('/conversation', rateLimit('chatbotConversation'), createConversationValidation, handleValidationErrors, chatbotController.createOrGetConversation);
 router.post('/message', 
+    rateLimit('chatbotMessageIp'),
     chatbotUpload.array('files', 5), // Handle file uploads (max 5 files)
+    rateLimit('chatbotMessage', { keyGenerator: bySessionId }),
     sendMessageValidation, 
     handleValidationErrors, 
     chatbotController.sendMessage
@@ -53,11 +63,11 @@ router.post('/message',
 router.get('/conversation/:sessionId', chatbotController.getConversation);
 
 // Protected admin routes (require authentication - handled by routes/index.js)
-router.get('/admin/conversations', chatbotController.listConversations);
-router.get('/admin/conversations/:id', chatbotController.getConversationById);
-router.get('/admin/analytics', chatbotController.getAnalytics);
-router.get('/admin/export', chatbotController.exportConversations);
-router.put('/admin/conversations/:id', chatbotController.updateConversation);
+router.get('/admin/conversations', verifyAcl([{ type: 'CHATBOT', action: 'READ' }]), chatbotController.listConversations);
+router.get('/admin/conversations/:id', verifyAcl([{ type: 'CHATBOT', action: 'READ' }]), chatbotController.getConversationById);
+router.get('/admin/analytics', verifyAcl([{ type: 'CHATBOT', action: 'READ' }]), chatbotController.getAnalytics);
+router.get('/admin/export', verifyAcl([{ type: 'CHATBOT', action: 'READ' }]), chatbotController.exportConversations);
+router.put('/admin/conversations/:id', verifyAcl([{ type: 'CHATBOT', action: 'UPDATE' }]), chatbotController.updateConversation);
 
 module.exports = router;
 
@@ -1,12 +1,76 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const consultationController = require('../controllers/consultation.controller');
+const consultantController = require('../controllers/consultant.controller');
+const availabilityController = require('../controllers/availability.controller');
+const calendarFeedController = require('../controllers/calendarFeed.controller');
+const waitlistController = require('../controllers/waitlist.controller');
+const intakeFormController = require('../controllers/intakeForm.controller');
+const consultationTypeController = require('../controllers/consultationType.controller');
+const consultationCalendarController = require('../controllers/consultationCalendar.controller');
 const handleValidationErrors = require('../middleware/validate');
+const verifyAcl = require('../middleware/acl');
+const rateLimit = require('../middleware/rateLimit');
+const { isValidTimeZone } = require('../utils/timezone');
+const { isSlotId } = require('../utils/availabilityRules');
 
 const router = express.Router();
 
+// Consultant filter of the admin lists: a user ID, or 'team' for unassigned slots and bookings
+const isConsultantFilter = (value) => value === 'team' || /^[a-f\d]{24}$/i.test(value);
+
+// Optional fields shared by availability rule create and update
+const ruleFieldValidators = () => [
+  body('daysOfWeek.*').isInt({ min: 0, max: 6 }).withMessage('Days of the week must be between 0 (Sunday) and 6 (Saturday)').toInt(),
+  body('windows.*.startTime').matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Start time must be in HH:MM format'),
+  body('windows.*.endTime').matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).withMessage('End time must be in HH:MM format'),
+  body('duration').optional().isInt({ min: 15, max: 480 }).withMessage('Duration must be between 15 and 480 minutes').toInt(),
+  body('maxBookings').optional().isInt({ min: 1 }).withMessage('Max bookings must be at least 1').toInt(),
+  body('timezone').optional().custom(isValidTimeZone).withMessage('Timezone must be a valid IANA timezone, e.g. Europe/Berlin'),
+  body('consultantId').optional({ values: 'null' }).isMongoId().withMessage('Valid consultant ID is required'),
+  body('typeId').optional({ values: 'null' }).isMongoId().withMessage('Valid consultation type ID is required'),
+  body('intakeFormId').optional({ values: 'null' }).isMongoId().withMessage('Valid intake form ID is required'),
+  body('validFrom').optional().isISO8601().withMessage('validFrom must be in ISO8601 format'),
+  body('validUntil').optional({ values: 'null' }).isISO8601().withMessage('validUntil must be in ISO8601 format'),
+  body('exceptions').optional().isArray().withMessage('exceptions must be an array of dates'),
+  body('exceptions.*').isISO8601().withMessage('Exception dates must be in ISO8601 format'),
+  body('notes').optional({ values: 'null' }).trim().isLength({ max: 500 }).withMessage('Notes must not exceed 500 characters'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean').toBoolean(),
+];
+
+// Fields of intake form create and update
+const intakeFormValidators = () => [
+  body('description').optional({ values: 'null' }).trim().isLength({ max: 1000 }).withMessage('Description must not exceed 1000 characters'),
+  body('questions.*.key').matches(/^[a-z][a-z0-9_]{0,49}$/).withMessage('Question keys must be lowercase letters, digits and underscores'),
+  body('questions.*.label').trim().isLength({ min: 1, max: 200 }).withMessage('Question labels must be between 1 and 200 characters'),
+  body('questions.*.type').optional().isIn(['text', 'textarea', 'select', 'multiselect', 'checkbox', 'number', 'date']).withMessage('Invalid question type'),
+  body('questions.*.required').optional().isBoolean().withMessage('required must be boolean').toBoolean(),
+  body('questions.*.options').optional().isArray({ max: 50 }).withMessage('options must be an array'),
+  body('questions.*.options.*').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Options must be between 1 and 200 characters'),
+  body('questions.*.helpText').optional({ values: 'null' }).trim().isLength({ max: 500 }).withMessage('Help text must not exceed 500 characters'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be boolean').toBoolean(),
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean').toBoolean(),
+];
+
+// Fields of consultation type create and update
+const consultationTypeValidators = () => [
+  body('slug').optional().trim().toLowerCase().matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Slug must be lowercase words separated by hyphens'),
+  body('description').optional({ values: 'null' }).trim().isLength({ max: 2000 }).withMessage('Description must not exceed 2000 characters'),
+  body('fee').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Fee must be a non-negative amount').toFloat(),
+  body('currency').optional().trim().toUpperCase().matches(/^[A-Z]{3}$/).withMessage('Currency must be a 3-letter ISO code'),
+  body('intakeFormId').optional({ values: 'null' }).isMongoId().withMessage('Valid intake form ID is required'),
+  body('sortOrder').optional().isInt().withMessage('sortOrder must be an integer').toInt(),
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean').toBoolean(),
+];
+
 // ==================== PUBLIC ROUTES ====================
 
+// List the consultation types offered
+router.get(
+  '/types',
+  consultationTypeController.listTypes
+);
+
 // Get available slots
 router.get(
   '/slots',
@@ -14,30 +78,46 @@ router.get(
     query('date').optional().isISO8601().withMessage('Date must be in ISO8601 format'),
     query('startDate').optional().isISO8601().withMessage('Start date must be in ISO8601 format'),
     query('endDate').optional().isISO8601().withMessage('End date must be in ISO8601 format'),
+    query('timezone').optional().custom(isValidTimeZone).withMessage('Timezone must be a valid IANA timezone, e.g. Europe/Berlin'),
+    query('typeId').optional().isMongoId().withMessage('Valid consultation type ID is required'),
   ],
   handleValidationErrors,
   consultationController.getAvailableSlots
 );
 
+// Get the intake form asked when booking a slot
+router.get(
+  '/slots/:slotId/intake-form',
+  [
+    param('slotId').custom(isSlotId).withMessage('Valid slot ID is required'),
+  ],
+  handleValidationErrors,
+  consultationController.getSlotIntakeForm
+);
+
 // Book a consultation
 router.post(
   '/book',
+  rateLimit('consultationBook'),
   [
-    body('slotId').isMongoId().withMessage('Valid slot ID is required'),
+    body('slotId').custom(isSlotId).withMessage('Valid slot ID is required'),
     body('userName').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
     body('userEmail').trim().isEmail().withMessage('Valid email is required').normalizeEmail(),
     body('userPhone').trim().isLength({ min: 5, max: 20 }).withMessage('Phone must be between 5 and 20 characters'),
     body('message').optional().trim().isLength({ max: 1000 }).withMessage('Message must not exceed 1000 characters'),
+    body('timezone').optional().custom(isValidTimeZone).withMessage('Timezone must be a valid IANA timezone, e.g. Europe/Berlin'),
+    body('intakeAnswers').optional().isObject().withMessage('intakeAnswers must be an object of answers by question key'),
   ],
   handleValidationErrors,
   consultationController.bookConsultation
 );
 
-// Get booking details
+// Get booking details (manage token via X-Booking-Token header or ?token=)
 router.get(
   '/bookings/:bookingId',
   [
     param('bookingId').isMongoId().withMessage('Valid booking ID is required'),
+    query('token').optional().isString().isLength({ max: 200 }).withMessage('Invalid booking token'),
   ],
   handleValidationErrors,
   consultationController.getBookingDetails
@@ -46,19 +126,85 @@ router.get(
 // Cancel booking
 router.post(
   '/bookings/:bookingId/cancel',
+  rateLimit('consultationCancel'),
   [
     param('bookingId').isMongoId().withMessage('Valid booking ID is required'),
-    body('userEmail').trim().isEmail().withMessage('Valid email is required').normalizeEmail(),
+    body('token').optional().isString().isLength({ max: 200 }).withMessage('Invalid booking token'),
   ],
   handleValidationErrors,
   consultationController.cancelBooking
 );
 
+// Reschedule booking to another slot
+router.post(
+  '/bookings/:bookingId/reschedule',
+  rateLimit('consultationReschedule'),
+  [
+    param('bookingId').isMongoId().withMessage('Valid booking ID is required'),
+    body('slotId').custom(isSlotId).withMessage('Valid slot ID is required'),
+    body('token').optional().isString().isLength({ max: 200 }).withMessage('Invalid booking token'),
+  ],
+  handleValidationErrors,
+  consultationController.rescheduleBooking
+);
+
+// Join the waitlist of a full slot, or of any slot on a date
+router.post(
+  '/waitlist',
+  rateLimit('consultationWaitlist'),
+  [
+    body('slotId').optional().isMongoId().withMessage('Valid slot ID is required'),
+    body('date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format'),
+    body('userName').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+    body('userEmail').trim().isEmail().withMessage('Valid email is required').normalizeEmail(),
+    body('userPhone').trim().isLength({ min: 5, max: 20 }).withMessage('Phone must be between 5 and 20 characters'),
+    body('message').optional().trim().isLength({ max: 1000 }).withMessage('Message must not exceed 1000 characters'),
+    body('timezone').optional().custom(isValidTimeZone).withMessage('Timezone must be a valid IANA timezone, e.g. Europe/Berlin'),
+  ],
+  handleValidationErrors,
+  waitlistController.joinWaitlist
+);
+
+// Claim a seat offered from the waitlist (claim token via body or ?token=)
+router.post(
+  '/waitlist/:entryId/claim',
+  rateLimit('consultationBook'),
+  [
+    param('entryId').isMongoId().withMessage('Valid waitlist entry ID is required'),
+    body('token').optional().isString().isLength({ max: 200 }).withMessage('Invalid claim token'),
+    query('token').optional().isString().isLength({ max: 200 }).withMessage('Invalid claim token'),
+    body('intakeAnswers').optional().isObject().withMessage('intakeAnswers must be an object of answers by question key'),
+  ],
+  handleValidationErrors,
+  consultationController.claimWaitlistOffer
+);
+
+// Payment notification from a payment provider
+router.post(
+  '/payments/:provider/webhook',
+  [
+    param('provider').matches(/^[a-z]{1,30}$/).withMessage('Invalid payment provider'),
+  ],
+  handleValidationErrors,
+  consultationController.handlePaymentWebhook
+);
+
+// Subscribable ICS feed of an admin's consultations (feed token in the URL)
+router.get(
+  '/calendar/:token.ics',
+  [
+    param('token').matches(/^[\w-]{20,100}$/).withMessage('Invalid calendar feed token'),
+  ],
+  handleValidationErrors,
+  calendarFeedController.consultationFeed
+);
+
 // ==================== ADMIN ROUTES ====================
 
 // Admin: List all slots
 router.get(
   '/admin/slots',
+  verifyAcl([{ type: 'CONSULTATION', action: 'READ' }]),
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be at least 1'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
@@ -66,14 +212,32 @@ router.get(
     query('isAvailable').optional().isIn(['true', 'false']).withMessage('isAvailable must be true or false'),
     query('startDate').optional().isISO8601().withMessage('Start date must be in ISO8601 format'),
     query('endDate').optional().isISO8601().withMessage('End date must be in ISO8601 format'),
+    query('consultantId').optional().custom(isConsultantFilter).withMessage('consultantId must be a user ID or "team"'),
+    query('typeId').optional().isMongoId().withMessage('Valid consultation type ID is required'),
   ],
   handleValidationErrors,
   consultationController.adminListSlots
 );
 
+// Admin: Calendar of slots, bookings, conflicts and blackouts for a day, a week or a date range
+router.get(
+  '/admin/calendar',
+  verifyAcl([{ type: 'CONSULTATION', action: 'READ' }]),
+  [
+    query('view').optional().isIn(['day', 'week']).withMessage('View must be day or week'),
+    query('startDate').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Start date must be in YYYY-MM-DD format'),
+    query('endDate').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('End date must be in YYYY-MM-DD format'),
+    query('timezone').optional().custom(isValidTimeZone).withMessage('Timezone must be a valid IANA timezone, e.g. Europe/Berlin'),
+    query('consultantId').optional().custom(isConsultantFilter).withMessage('consultantId must be a user ID or "team"'),
+  ],
+  handleValidationErrors,
+  consultationCalendarController.getCalendar
+);
+
 // Admin: Get a single slot
 router.get(
   '/admin/slots/:slotId',
+  verifyAcl([{ type: 'CONSULTATION', action: 'READ' }]),
   [
     param('slotId').isMongoId().withMessage('Valid slot ID is required'),
   ],
@@ -84,6 +248,7 @@ router.get(
 // Admin: Create a slot
 router.post(
   '/admin/slots',
+  verifyAcl([{ type: 'CONSULTATION', action: 'CREATE' }]),
   [
     body('date').isISO8601().withMessage('Valid date is required'),
     body('startTime').matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Start time must be in HH:MM format'),
@@ -91,6 +256,10 @@ router.post(
     body('maxBookings').optional().isInt({ min: 1 }).withMessage('Max bookings must be at least 1'),
     body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must not exceed 500 characters'),
     body('status').optional().isIn(['available', 'booked', 'cancelled', 'completed']).withMessage('Invalid status'),
+    body('timezone').optional().custom(isValidTimeZone).withMessage('Timezone must be a valid IANA timezone, e.g. Europe/Berlin'),
+    body('consultantId').optional({ values: 'null' }).isMongoId().withMessage('Valid consultant ID is required'),
+    body('typeId').optional({ values: 'null' }).isMongoId().withMessage('Valid consultation type ID is required'),
+    body('intakeFormId').optional({ values: 'null' }).isMongoId().withMessage('Valid intake form ID is required'),
   ],
   handleValidationErrors,
   consultationController.adminCreateSlot
@@ -99,6 +268,7 @@ router.post(
 // Admin: Update a slot
 router.put(
   '/admin/slots/:slotId',
+  verifyAcl([{ type: 'CONSULTATION', action: 'UPDATE' }]),
   [
     param('slotId').isMongoId().withMessage('Valid slot ID is required'),
     body('date').optional().isISO8601().withMessage('Valid date is required'),
@@ -107,7 +277,11 @@ router.put(
     body('maxBookings').optional().isInt({ min: 1 }).withMessage('Max bookings must be at least 1'),
     body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must not exceed 500 characters'),
     body('status').optional().isIn(['available', 'booked', 'cancelled', 'completed']).withMessage('Invalid status'),
-    body('isAvailable').optional().isBoolean().withMessage('isAvailable must be boolean'),
+    body('isAvailable').optional().isBoolean().withMessage('isAvailable must be boolean').toBoolean(),
+    body('timezone').optional().custom(isValidTimeZone).withMessage('Timezone must be a valid IANA timezone, e.g. Europe/Berlin'),
+    body('consultantId').optional({ values: 'null' }).isMongoId().withMessage('Valid consultant ID is required'),
+    body('typeId').optional({ values: 'null' }).isMongoId().withMessage('Valid consultation type ID is required'),
+    body('intakeFormId').optional({ values: 'null' }).isMongoId().withMessage('Valid intake form ID is required'),
   ],
   handleValidationErrors,
   consultationController.adminUpdateSlot
@@ -116,6 +290,7 @@ router.put(
 // Admin: Delete a slot
 router.delete(
   '/admin/slots/:slotId',
+  verifyAcl([{ type: 'CONSULTATION', action: 'DELETE' }]),
   [
     param('slotId').isMongoId().withMessage('Valid slot ID is required'),
   ],
@@ -126,8 +301,13 @@ router.delete(
 // Admin: Create multiple slots for a single date
 router.post(
   '/admin/slots/multiple',
+  verifyAcl([{ type: 'CONSULTATION', action: 'CREATE' }]),
   [
     body('date').isISO8601().withMessage('Valid date is required'),
+    body('timezone').optional().custom(isValidTimeZone).withMessage('Timezone must be a valid IANA timezone, e.g. Europe/Berlin'),
+    body('consultantId').optional({ values: 'null' }).isMongoId().withMessage('Valid consultant ID is required'),
+    body('typeId').optional({ values: 'null' }).isMongoId().withMessage('Valid consultation type ID is required'),
+    body('intakeFormId').optional({ values: 'null' }).isMongoId().withMessage('Valid intake form ID is required'),
     body('slots').isArray({ min: 1 }).withMessage('Slots array with at least one slot is required'),
     body('slots.*.startTime').matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Start time must be in HH:MM format'),
     body('slots.*.duration').optional().isInt({ min: 15, max: 480 }).withMessage('Duration must be between 15 and 480 minutes'),
@@ -142,15 +322,20 @@ router.post(
 // Admin: Create bulk slots
 router.post(
   '/admin/slots/bulk',
+  verifyAcl([{ type: 'CONSULTATION', action: 'CREATE' }]),
   [
     body('startDate').isISO8601().withMessage('Valid start date is required'),
     body('endDate').isISO8601().withMessage('Valid end date is required'),
-    body('startTime').matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Start time must be in HH:MM format'),
-    body('endTime').matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).withMessage('End time must be in HH:MM format'),
+    body('startTime').optional().matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Start time must be in HH:MM format'),
+    body('endTime').optional().matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).withMessage('End time must be in HH:MM format'),
     body('interval').isInt({ min: 15, max: 480 }).withMessage('Interval must be between 15 and 480 minutes'),
     body('duration').optional().isInt({ min: 15, max: 480 }).withMessage('Duration must be between 15 and 480 minutes'),
     body('maxBookings').optional().isInt({ min: 1 }).withMessage('Max bookings must be at least 1'),
     body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must not exceed 500 characters'),
+    body('timezone').optional().custom(isValidTimeZone).withMessage('Timezone must be a valid IANA timezone, e.g. Europe/Berlin'),
+    body('consultantId').optional({ values: 'null' }).isMongoId().withMessage('Valid consultant ID is required'),
+    body('typeId').optional({ values: 'null' }).isMongoId().withMessage('Valid consultation type ID is required'),
+    body('intakeFormId').optional({ values: 'null' }).isMongoId().withMessage('Valid intake form ID is required'),
   ],
   handleValidationErrors,
   consultationController.adminCreateBulkSlots
@@ -159,14 +344,20 @@ router.post(
 // Admin: List all bookings
 router.get(
   '/admin/bookings',
+  verifyAcl([{ type: 'CONSULTATION', action: 'READ' }]),
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be at least 1'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-    query('status').optional().isIn(['pending', 'confirmed', 'cancelled', 'completed']).withMessage('Invalid status'),
+    query('status').optional().isIn(['pending', 'confirmed', 'cancelled', 'completed', 'no-show']).withMessage('Invalid status'),
+    query('needsFollowUp').optional().isIn(['true', 'false']).withMessage('needsFollowUp must be true or false'),
+    query('needsMeetingLink').optional().isIn(['true', 'false']).withMessage('needsMeetingLink must be true or false'),
     query('slotId').optional().isMongoId().withMessage('Valid slot ID is required'),
     query('userEmail').optional().trim().isEmail().withMessage('Valid email is required'),
     query('startDate').optional().isISO8601().withMessage('Start date must be in ISO8601 format'),
     query('endDate').optional().isISO8601().withMessage('End date must be in ISO8601 format'),
+    query('consultantId').optional().custom(isConsultantFilter).withMessage('consultantId must be a user ID or "team"'),
+    query('typeId').optional().isMongoId().withMessage('Valid consultation type ID is required'),
+    query('paymentStatus').optional().isIn(['pending', 'paid', 'failed', 'cancelled']).withMessage('Invalid payment status'),
   ],
   handleValidationErrors,
   consultationController.adminListBookings
@@ -175,6 +366,7 @@ router.get(
 // Admin: Get booking details
 router.get(
   '/admin/bookings/:bookingId',
+  verifyAcl([{ type: 'CONSULTATION', action: 'READ' }]),
   [
     param('bookingId').isMongoId().withMessage('Valid booking ID is required'),
   ],
@@ -185,15 +377,358 @@ router.get(
 // Admin: Update booking
 router.put(
   '/admin/bookings/:bookingId',
+  verifyAcl([{ type: 'CONSULTATION', action: 'UPDATE' }]),
   [
     param('bookingId').isMongoId().withMessage('Valid booking ID is required'),
-    body('status').optional().isIn(['pending', 'confirmed', 'cancelled', 'completed']).withMessage('Invalid status'),
+    body('status').optional().isIn(['pending', 'confirmed', 'cancelled', 'completed', 'no-show']).withMessage('Invalid status'),
     body('meetingLink').optional().trim().isURL().withMessage('Meeting link must be a valid URL'),
     body('message').optional().trim().isLength({ max: 1000 }).withMessage('Message must not exceed 1000 characters'),
+    body('slotId').optional().custom(isSlotId).withMessage('Valid slot ID is required'),
+    body('consultantId').optional({ values: 'null' }).isMongoId().withMessage('Valid consultant ID is required'),
+    body('paymentReference').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Payment reference must be between 1 and 200 characters'),
   ],
   handleValidationErrors,
   consultationController.adminUpdateBooking
 );
 
-module.exports = router;
+// Admin: List waitlist entries
+router.get(
+  '/admin/waitlist',
+  verifyAcl([{ type: 'CONSULTATION', action: 'READ' }]),
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be at least 1'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('status').optional().isIn(['waiting', 'offered', 'claimed', 'expired', 'cancelled']).withMessage('Invalid status'),
+    query('slotId').optional().isMongoId().withMessage('Valid slot ID is required'),
+    query('date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format'),
+    query('userEmail').optional().trim().isEmail().withMessage('Valid email is required'),
+  ],
+  handleValidationErrors,
+  waitlistController.adminListWaitlist
+);
+
+// Admin: Remove a waitlist entry
+router.delete(
+  '/admin/waitlist/:entryId',
+  verifyAcl([{ type: 'CONSULTATION', action: 'UPDATE' }]),
+  [
+    param('entryId').isMongoId().withMessage('Valid waitlist entry ID is required'),
+  ],
+  handleValidationErrors,
+  waitlistController.adminRemoveEntry
+);
+
+// Admin: List consultants with their weekly availability
+router.get(
+  '/admin/consultants',
+  verifyAcl([{ type: 'CONSULTATION', action: 'READ' }]),
+  consultantController.listConsultants
+);
+
+// Admin: Get a consultant's weekly availability
+router.get(
+  '/admin/consultants/:consultantId/availability',
+  verifyAcl([{ type: 'CONSULTATION', action: 'READ' }]),
+  [
+    param('consultantId').isMongoId().withMessage('Valid consultant ID is required'),
+  ],
+  handleValidationErrors,
+  consultantController.getAvailability
+);
+
+// Admin: Create or replace a consultant's weekly availability
+router.put(
+  '/admin/consultants/:consultantId/availability',
+  verifyAcl([{ type: 'CONSULTATION', action: 'UPDATE' }]),
+  [
+    param('consultantId').isMongoId().withMessage('Valid consultant ID is required'),
+    body('timezone').optional().custom(isValidTimeZone).withMessage('Timezone must be a valid IANA timezone, e.g. Europe/Berlin'),
+    body('weeklyHours').isArray().withMessage('weeklyHours must be an array'),
+    body('weeklyHours.*.dayOfWeek').isInt({ min: 0, max: 6 }).withMessage('dayOfWeek must be between 0 (Sunday) and 6 (Saturday)'),
+    body('weeklyHours.*.startTime').matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Start time must be in HH:MM format'),
+    body('weeklyHours.*.endTime').matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).withMessage('End time must be in HH:MM format'),
+    body('calendarId').optional({ values: 'null' }).isString().trim().isLength({ max: 200 }).withMessage('Calendar ID must not exceed 200 characters'),
+    body('meetingUrl').optional({ values: 'null' }).trim().isURL().withMessage('Meeting URL must be a valid URL'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be boolean').toBoolean(),
+  ],
+  handleValidationErrors,
+  consultantController.saveAvailability
+);
+
+// Admin: Remove a consultant's weekly availability
+router.delete(
+  '/admin/consultants/:consultantId/availability',
+  verifyAcl([{ type: 'CONSULTATION', action: 'DELETE' }]),
+  [
+    param('consultantId').isMongoId().withMessage('Valid consultant ID is required'),
+  ],
+  handleValidationErrors,
+  consultantController.deleteAvailability
+);
+
+// Admin: List availability rules
+router.get(
+  '/admin/availability-rules',
+  verifyAcl([{ type: 'CONSULTATION', action: 'READ' }]),
+  [
+    query('consultantId').optional().custom(isConsultantFilter).withMessage('consultantId must be a user ID or "team"'),
+    query('isActive').optional().isIn(['true', 'false']).withMessage('isActive must be true or false'),
+  ],
+  handleValidationErrors,
+  availabilityController.listRules
+);
+
+// Admin: Get availability rule
+router.get(
+  '/admin/availability-rules/:ruleId',
+  verifyAcl([{ type: 'CONSULTATION', action: 'READ' }]),
+  [
+    param('ruleId').isMongoId().withMessage('Valid rule ID is required'),
+  ],
+  handleValidationErrors,
+  availabilityController.getRule
+);
+
+// Admin: Create availability rule
+router.post(
+  '/admin/availability-rules',
+  verifyAcl([{ type: 'CONSULTATION', action: 'CREATE' }]),
+  [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    body('daysOfWeek').isArray({ min: 1 }).withMessage('daysOfWeek must be a non-empty array'),
+    body('windows').isArray({ min: 1 }).withMessage('windows must be a non-empty array'),
+    body('interval').optional().isInt({ min: 5, max: 480 }).withMessage('Interval must be between 5 and 480 minutes').toInt(),
+    ...ruleFieldValidators(),
+  ],
+  handleValidationErrors,
+  availabilityController.createRule
+);
+
+// Admin: Update availability rule
+router.put(
+  '/admin/availability-rules/:ruleId',
+  verifyAcl([{ type: 'CONSULTATION', action: 'UPDATE' }]),
+  [
+    param('ruleId').isMongoId().withMessage('Valid rule ID is required'),
+    body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    body('daysOfWeek').optional().isArray({ min: 1 }).withMessage('daysOfWeek must be a non-empty array'),
+    body('windows').optional().isArray({ min: 1 }).withMessage('windows must be a non-empty array'),
+    body('interval').optional().isInt({ min: 5, max: 480 }).withMessage('Interval must be between 5 and 480 minutes').toInt(),
+    ...ruleFieldValidators(),
+  ],
+  handleValidationErrors,
+  availabilityController.updateRule
+);
 
+// Admin: Delete availability rule
+router.delete(
+  '/admin/availability-rules/:ruleId',
+  verifyAcl([{ type: 'CONSULTATION', action: 'DELETE' }]),
+  [
+    param('ruleId').isMongoId().withMessage('Valid rule ID is required'),
+  ],
+  handleValidationErrors,
+  availabilityController.deleteRule
+);
+
+// Admin: List occurrences of an availability rule
+router.get(
+  '/admin/availability-rules/:ruleId/occurrences',
+  verifyAcl([{ type: 'CONSULTATION', action: 'READ' }]),
+  [
+    param('ruleId').isMongoId().withMessage('Valid rule ID is required'),
+    query('startDate').optional().isISO8601().withMessage('Start date must be in ISO8601 format'),
+    query('endDate').optional().isISO8601().withMessage('End date must be in ISO8601 format'),
+  ],
+  handleValidationErrors,
+  availabilityController.listOccurrences
+);
+
+// Admin: Store an occurrence as a slot to override it
+router.post(
+  '/admin/availability-rules/:ruleId/occurrences',
+  verifyAcl([{ type: 'CONSULTATION', action: 'UPDATE' }]),
+  [
+    param('ruleId').isMongoId().withMessage('Valid rule ID is required'),
+    body('startAt').isISO8601().withMessage('startAt must be in ISO8601 format'),
+  ],
+  handleValidationErrors,
+  availabilityController.overrideOccurrence
+);
+
+// Admin: List blackouts
+router.get(
+  '/admin/blackouts',
+  verifyAcl([{ type: 'CONSULTATION', action: 'READ' }]),
+  [
+    query('startDate').optional().isISO8601().withMessage('Start date must be in ISO8601 format'),
+    query('endDate').optional().isISO8601().withMessage('End date must be in ISO8601 format'),
+    query('consultantId').optional().custom(isConsultantFilter).withMessage('consultantId must be a user ID or "team"'),
+  ],
+  handleValidationErrors,
+  availabilityController.listBlackouts
+);
+
+// Admin: Create blackout
+router.post(
+  '/admin/blackouts',
+  verifyAcl([{ type: 'CONSULTATION', action: 'CREATE' }]),
+  [
+    body('startDate').isISO8601().withMessage('Start date must be in ISO8601 format'),
+    body('endDate').optional().isISO8601().withMessage('End date must be in ISO8601 format'),
+    body('startTime').optional().matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Start time must be in HH:MM format'),
+    body('endTime').optional().matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).withMessage('End time must be in HH:MM format'),
+    body('timezone').optional().custom(isValidTimeZone).withMessage('Timezone must be a valid IANA timezone, e.g. Europe/Berlin'),
+    body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason must not exceed 200 characters'),
+    body('consultantId').optional({ values: 'null' }).isMongoId().withMessage('Valid consultant ID is required'),
+  ],
+  handleValidationErrors,
+  availabilityController.createBlackout
+);
+
+// Admin: Delete blackout
+router.delete(
+  '/admin/blackouts/:blackoutId',
+  verifyAcl([{ type: 'CONSULTATION', action: 'DELETE' }]),
+  [
+    param('blackoutId').isMongoId().withMessage('Valid blackout ID is required'),
+  ],
+  handleValidationErrors,
+  availabilityController.deleteBlackout
+);
+
+// Admin: List intake forms
+router.get(
+  '/admin/intake-forms',
+  verifyAcl([{ type: 'CONSULTATION', action: 'READ' }]),
+  [
+    query('isActive').optional().isIn(['true', 'false']).withMessage('isActive must be true or false'),
+  ],
+  handleValidationErrors,
+  intakeFormController.listForms
+);
+
+// Admin: Get intake form
+router.get(
+  '/admin/intake-forms/:formId',
+  verifyAcl([{ type: 'CONSULTATION', action: 'READ' }]),
+  [
+    param('formId').isMongoId().withMessage('Valid intake form ID is required'),
+  ],
+  handleValidationErrors,
+  intakeFormController.getForm
+);
+
+// Admin: Create intake form
+router.post(
+  '/admin/intake-forms',
+  verifyAcl([{ type: 'CONSULTATION', action: 'CREATE' }]),
+  [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    body('questions').isArray({ min: 1, max: 50 }).withMessage('questions must be an array of 1 to 50 questions'),
+    ...intakeFormValidators(),
+  ],
+  handleValidationErrors,
+  intakeFormController.createForm
+);
+
+// Admin: Update intake form
+router.put(
+  '/admin/intake-forms/:formId',
+  verifyAcl([{ type: 'CONSULTATION', action: 'UPDATE' }]),
+  [
+    param('formId').isMongoId().withMessage('Valid intake form ID is required'),
+    body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    body('questions').optional().isArray({ min: 1, max: 50 }).withMessage('questions must be an array of 1 to 50 questions'),
+    ...intakeFormValidators(),
+  ],
+  handleValidationErrors,
+  intakeFormController.updateForm
+);
+
+// Admin: Delete intake form
+router.delete(
+  '/admin/intake-forms/:formId',
+  verifyAcl([{ type: 'CONSULTATION', action: 'DELETE' }]),
+  [
+    param('formId').isMongoId().withMessage('Valid intake form ID is required'),
+  ],
+  handleValidationErrors,
+  intakeFormController.deleteForm
+);
+
+// Admin: List consultation types
+router.get(
+  '/admin/types',
+  verifyAcl([{ type: 'CONSULTATION', action: 'READ' }]),
+  [
+    query('isActive').optional().isIn(['true', 'false']).withMessage('isActive must be true or false'),
+  ],
+  handleValidationErrors,
+  consultationTypeController.adminListTypes
+);
+
+// Admin: Create consultation type
+router.post(
+  '/admin/types',
+  verifyAcl([{ type: 'CONSULTATION', action: 'CREATE' }]),
+  [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    body('duration').isInt({ min: 15, max: 480 }).withMessage('Duration must be between 15 and 480 minutes').toInt(),
+    ...consultationTypeValidators(),
+  ],
+  handleValidationErrors,
+  consultationTypeController.adminCreateType
+);
+
+// Admin: Update consultation type
+router.put(
+  '/admin/types/:typeId',
+  verifyAcl([{ type: 'CONSULTATION', action: 'UPDATE' }]),
+  [
+    param('typeId').isMongoId().withMessage('Valid consultation type ID is required'),
+    body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    body('duration').optional().isInt({ min: 15, max: 480 }).withMessage('Duration must be between 15 and 480 minutes').toInt(),
+    ...consultationTypeValidators(),
+  ],
+  handleValidationErrors,
+  consultationTypeController.adminUpdateType
+);
+
+// Admin: Delete consultation type
+router.delete(
+  '/admin/types/:typeId',
+  verifyAcl([{ type: 'CONSULTATION', action: 'DELETE' }]),
+  [
+    param('typeId').isMongoId().withMessage('Valid consultation type ID is required'),
+  ],
+  handleValidationErrors,
+  consultationTypeController.adminDeleteType
+);
+
+// Admin: Get the status of the current user's consultation calendar feed
+router.get(
+  '/admin/calendar-feed',
+  verifyAcl([{ type: 'CONSULTATION', action: 'READ' }]),
+  calendarFeedController.getConsultationFeed
+);
+
+// Admin: Create the current user's consultation calendar feed, or replace its URL
+router.post(
+  '/admin/calendar-feed',
+  verifyAcl([{ type: 'CONSULTATION', action: 'READ' }]),
+  [
+    body('scope').optional().isIn(['mine', 'all']).withMessage('Scope must be mine or all'),
+  ],
+  handleValidationErrors,
+  calendarFeedController.createConsultationFeed
+);
+
+// Admin: Delete the current user's consultation calendar feed
+router.delete(
+  '/admin/calendar-feed',
+  verifyAcl([{ type: 'CONSULTATION', action: 'READ' }]),
+  calendarFeedController.deleteConsultationFeed
+);
+
+module.exports = router;
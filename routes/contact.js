@@ -4,6 +4,8 @@ const multer = require('multer');
 const { body } = require('express-validator');
 const contactController = require('../controllers/contact.controller');
 const handleValidationErrors = require('../middleware/validate');
+const verifyAcl = require('../middleware/acl');
+const rateLimit = require('../middleware/rateLimit');
 const upload = require('../middleware/upload');
 const { AppError } = require('../middleware/errorHandler');
 
@@ -43,11 +45,11 @@ const handleFileUpload = (req, res, next) => {
     });
 };
 
-router.post('/', handleFileUpload, contactValidation, handleValidationErrors, contactController.createContact);
-router.get('/', contactController.listContacts);
-router.get('/:id', contactController.getContactById);
-router.put('/:id', updateValidation, handleValidationErrors, contactController.updateContact);
-router.delete('/:id', contactController.deleteContact);
+router.post('/', rateLimit('contact'), handleFileUpload, contactValidation, handleValidationErrors, contactController.createContact);
+router.get('/', verifyAcl([{ type: 'CONTACT', action: 'READ' }]), contactController.listContacts);
+router.get('/:id', verifyAcl([{ type: 'CONTACT', action: 'READ' }]), contactController.getContactById);
+router.put('/:id', verifyAcl([{ type: 'CONTACT', action: 'UPDATE' }]), updateValidation, handleValidationErrors, contactController.updateContact);
+router.delete('/:id', verifyAcl([{ type: 'CONTACT', action: 'DELETE' }]), contactController.deleteContact);
 
 module.exports = router;
 
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, param, query } = require('express-validator');
 const eventController = require('../controllers/event.controller');
 const handleValidationErrors = require('../middleware/validate');
+const verifyAcl = require('../middleware/acl');
 const eventUpload = require('../middleware/eventUpload');
 
 const router = express.Router();
@@ -25,9 +26,13 @@ router.get(
   eventController.publicListEvents
 );
 
+// Subscribable ICS feed of published events
+router.get('/calendar.ics', eventController.calendarFeed);
+
 // Admin routes
 router.get(
   '/admin',
+  verifyAcl([{ type: 'EVENT', action: 'READ' }]),
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be at least 1'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
@@ -48,6 +53,7 @@ router.get(
 
 router.get(
   '/admin/:id',
+  verifyAcl([{ type: 'EVENT', action: 'READ' }]),
   [param('id').isMongoId().withMessage('Valid event ID is required')],
   handleValidationErrors,
   eventController.adminGetEvent
@@ -55,6 +61,7 @@ router.get(
 
 router.post(
   '/',
+  verifyAcl([{ type: 'EVENT', action: 'CREATE' }]),
   [
     body('title').trim().isLength({ min: 5, max: 180 }).withMessage('Title must be between 5 and 180 characters'),
     body('description').trim().isLength({ min: 20, max: 2000 }).withMessage('Description must be 20-2000 characters'),
@@ -83,12 +90,14 @@ router.post(
 
 router.post(
   '/upload/hero',
+  verifyAcl([{ type: 'EVENT', action: 'CREATE' }]),
   eventUpload.single('heroImage'),
   eventController.uploadHeroImage
 );
 
 router.post(
   '/upload/gallery',
+  verifyAcl([{ type: 'EVENT', action: 'CREATE' }]),
   (req, res, next) => {
     eventUpload.array('galleryImages', 20)(req, res, (err) => {
       if (err) {
@@ -124,6 +133,7 @@ router.post(
 
 router.put(
   '/:id',
+  verifyAcl([{ type: 'EVENT', action: 'UPDATE' }]),
   [
     param('id').isMongoId().withMessage('Valid event ID is required'),
     body('title').optional().trim().isLength({ min: 5, max: 180 }).withMessage('Title must be between 5 and 180 characters'),
@@ -153,6 +163,7 @@ router.put(
 
 router.put(
   '/:id/images',
+  verifyAcl([{ type: 'EVENT', action: 'UPDATE' }]),
   [
     param('id').isMongoId().withMessage('Valid event ID is required'),
     body('images').isArray().withMessage('Images must be an array'),
@@ -167,6 +178,7 @@ router.put(
 
 router.delete(
   '/:id',
+  verifyAcl([{ type: 'EVENT', action: 'DELETE' }]),
   [param('id').isMongoId().withMessage('Valid event ID is required')],
   handleValidationErrors,
   eventController.deleteEvent
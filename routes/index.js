@@ -14,6 +14,7 @@ const partnerRoutes = require('./partner');
 const dashboardRoutes = require('./dashboard');
 const chatbotRoutes = require('./chatbot');
 const consultationRoutes = require('./consultation');
+const jobRoutes = require('./jobs');
 
 // JWT secrets configuration (not used directly, but kept for reference)
 // JWT config is now accessed via config.jwt in middleware/auth.js
@@ -41,6 +42,10 @@ const authRouteFilter = (req, res, next) => {
     const publicRoutes = [
         { path: '/api/v1/auth/register' },
         { path: '/api/v1/auth/login' },
+        { path: '/api/v1/auth/refresh', methods: ['POST'] },
+        { path: '/api/v1/auth/forgot-password', methods: ['POST'] },
+        { path: '/api/v1/auth/reset-password', methods: ['POST'] },
+        { path: '/api/v1/auth/verify-email', methods: ['POST'] },
         { path: '/api/health' },
         { path: '/api/v1/health' },
         { path: '/api/v1/contact', methods: ['POST'] },
@@ -51,7 +56,12 @@ const authRouteFilter = (req, res, next) => {
         { path: '/api/v1/partner', methods: ['GET'] },
         { path: '/api/v1/consultation/slots', methods: ['GET'] },
         { path: '/api/v1/consultation/book', methods: ['POST'] },
-        { path: '/api/v1/consultation/bookings', methods: ['GET'] }
+        { path: '/api/v1/consultation/bookings', methods: ['GET', 'POST'] },
+        { path: '/api/v1/consultation/calendar', methods: ['GET'] },
+        { path: '/api/v1/consultation/waitlist', methods: ['POST'] },
+        { path: '/api/v1/consultation/types', methods: ['GET'] },
+        { path: '/api/v1/consultation/payments', methods: ['POST'] },
+        { path: '/api/v1/project/quote-review', methods: ['GET', 'POST'] }
     ];
 
     const isPublicRoute = isChatbotPublicRoute || publicRoutes.some(route => {
@@ -61,6 +71,11 @@ const authRouteFilter = (req, res, next) => {
             req.path === normalizedRoutePath + '/' ||
             req.path.startsWith(normalizedRoutePath + '/');
         if (!matchPath) return false;
+        // Admin pages under a public prefix (e.g. GET /api/v1/blog/admin) still need a JWT
+        const isAdminPath =
+            req.path === normalizedRoutePath + '/admin' ||
+            req.path.startsWith(normalizedRoutePath + '/admin/');
+        if (isAdminPath) return false;
         if (!route.methods) return true;
         return route.methods.includes(req.method);
     });
@@ -96,6 +111,7 @@ const routes = (app) => {
     app.use('/api/v1/event', eventRoutes);
     app.use('/api/v1/partner', partnerRoutes);
     app.use('/api/v1/dashboard', dashboardRoutes);
+    app.use('/api/v1/jobs', jobRoutes);
 
     logger.debug('App routes setup complete.');
 };
@@ -0,0 +1,30 @@
+const express = require('express');
+const { query } = require('express-validator');
+const jobController = require('../controllers/job.controller');
+const handleValidationErrors = require('../middleware/validate');
+const verifyAcl = require('../middleware/acl');
+
+const router = express.Router();
+
+// Admin: List background jobs
+router.get(
+  '/',
+  verifyAcl([{ type: 'JOBS', action: 'READ' }]),
+  jobController.listJobs
+);
+
+// Admin: List job runs (?status=failed for failures)
+router.get(
+  '/runs',
+  verifyAcl([{ type: 'JOBS', action: 'READ' }]),
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be at least 1'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('jobName').optional().trim().isLength({ max: 100 }).withMessage('Job name must not exceed 100 characters'),
+    query('status').optional().isIn(['running', 'succeeded', 'failed']).withMessage('Invalid status'),
+  ],
+  handleValidationErrors,
+  jobController.listJobRuns
+);
+
+module.exports = router;
@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const projectController = require('../controllers/project.controller');
+const projectQuoteController = require('../controllers/projectQuote.controller');
 const handleValidationErrors = require('../middleware/validate');
+const verifyAcl = require('../middleware/acl');
+const rateLimit = require('../middleware/rateLimit');
 
 const createProjectValidation = [
     body('enquiryId').isMongoId().withMessage('Valid enquiry ID is required'),
@@ -17,7 +20,6 @@ const updateProjectValidation = [
     body('projectName').optional({ nullable: true, checkFalsy: true }).trim().isLength({ max: 200 }).withMessage('Project name is too long'),
     body('status').optional().isIn(['Draft Quote', 'Internal Approval', 'Quote Sent', 'Client Approval', 'Payment', 'Onboarding', 'Drafting', 'Filing', 'Grant', 'Close', 'Completed', 'Cancelled']).withMessage('Invalid status'),
     body('currentStage').optional().isIn(['Draft Quote', 'Internal Approval', 'Quote Sent', 'Client Approval', 'Payment', 'Onboarding', 'Drafting', 'Filing', 'Grant', 'Close']).withMessage('Invalid stage'),
-    body('quote.invoiceNumber').optional({ nullable: true, checkFalsy: true }).trim().isLength({ max: 100 }).withMessage('Invoice number is too long'),
     body('quote.clientName').optional({ nullable: true, checkFalsy: true }).trim().isLength({ max: 100 }).withMessage('Client name is too long'),
     body('quote.title').optional({ nullable: true, checkFalsy: true }).trim().isLength({ max: 200 }).withMessage('Title is too long'),
     body('quote.serviceType').optional({ nullable: true, checkFalsy: true }).trim().isLength({ max: 100 }).withMessage('Service type is too long'),
@@ -26,6 +28,12 @@ const updateProjectValidation = [
     body('quote.lineItems.*.quantity').optional({ nullable: true, checkFalsy: true }).isNumeric().withMessage('Quantity must be a number'),
     body('quote.lineItems.*.unitPrice').optional({ nullable: true, checkFalsy: true }).isNumeric().withMessage('Unit price must be a number'),
     body('quote.lineItems.*.currency').optional().isIn(['INR', 'USD', 'EUR']).withMessage('Invalid currency'),
+    body('quote.lineItems.*.discountType').optional().isIn(['amount', 'percent']).withMessage('Discount type must be amount or percent'),
+    body('quote.lineItems.*.discount').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Discount must be a positive number'),
+    body('quote.lineItems.*.taxes').optional().isArray().withMessage('Taxes must be an array'),
+    body('quote.lineItems.*.taxes.*.name').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Tax name is required, e.g. GST or VAT'),
+    body('quote.lineItems.*.taxes.*.rate').isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+    body('quote.currency').optional().isIn(['INR', 'USD', 'EUR']).withMessage('Invalid currency'),
     body('quote.assignedApprover').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Assigned approver must be a valid user ID'),
     body('quote.amount').optional({ nullable: true, checkFalsy: true }).isNumeric().withMessage('Quote amount must be a number'),
     body('quote.description').optional({ nullable: true, checkFalsy: true }).trim().isLength({ max: 2000 }).withMessage('Quote description is too long'),
@@ -41,11 +49,69 @@ const updateProjectValidation = [
     body('notes').optional({ nullable: true, checkFalsy: true }).trim().isLength({ max: 2000 }).withMessage('Notes are too long')
 ];
 
-router.post('/', createProjectValidation, handleValidationErrors, projectController.createProject);
-router.get('/', projectController.listProjects);
-router.get('/:id', projectController.getProjectById);
-router.put('/:id', updateProjectValidation, handleValidationErrors, projectController.updateProject);
-router.delete('/:id', projectController.deleteProject);
+const transitionProjectValidation = [
+    body('stage').isIn(['Draft Quote', 'Internal Approval', 'Quote Sent', 'Client Approval', 'Payment', 'Onboarding', 'Drafting', 'Filing', 'Grant', 'Close']).withMessage('Invalid stage'),
+    body('remarks').optional({ nullable: true, checkFalsy: true }).trim().isLength({ max: 1000 }).withMessage('Close remarks are too long')
+];
+
+const timelineValidation = [
+    param('id').isMongoId().withMessage('Valid project ID is required'),
+    query('type').optional().isIn(['CREATE', 'UPDATE', 'STAGE', 'APPROVER', 'CLIENT', 'DELETE']).withMessage('Invalid timeline entry type'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+];
+
+const quoteVersionValidation = [
+    param('id').isMongoId().withMessage('Valid project ID is required'),
+    param('version').isInt({ min: 1 }).withMessage('Version must be a positive number')
+];
+
+const quotePreviewValidation = [
+    param('id').isMongoId().withMessage('Valid project ID is required'),
+    query('document').optional().isIn(['quote', 'proforma']).withMessage('Document must be quote or proforma')
+];
+
+const exchangeRateValidation = [
+    param('currency').isIn(['USD', 'EUR']).withMessage('Exchange rates can be set for USD and EUR'),
+    body('rate').isFloat({ gt: 0 }).withMessage('Rate must be a positive number')
+];
+
+const clientApprovalValidation = [
+    param('id').isMongoId().withMessage('Valid project ID is required'),
+    body('remarks').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('Please describe how the client approved the quote (up to 1000 characters)')
+];
+
+const quoteReviewValidation = [
+    param('id').isMongoId().withMessage('Valid project ID is required'),
+    query('token').optional().isString().isLength({ max: 200 }).withMessage('Invalid quote token'),
+    body('token').optional().isString().isLength({ max: 200 }).withMessage('Invalid quote token')
+];
+
+const quoteChangesValidation = [
+    ...quoteReviewValidation,
+    body('comments').isString().trim().isLength({ min: 1, max: 2000 }).withMessage('Please describe the changes you need (up to 2000 characters)')
+];
+
+// Client review of the quote last sent, through the link emailed with it (public, token required)
+router.get('/quote-review/:id', quoteReviewValidation, handleValidationErrors, projectQuoteController.getQuoteForReview);
+router.get('/quote-review/:id/pdf', quoteReviewValidation, handleValidationErrors, projectQuoteController.downloadQuoteForReview);
+router.post('/quote-review/:id/approve', rateLimit('projectQuoteReview'), quoteReviewValidation, handleValidationErrors, projectQuoteController.approveQuote);
+router.post('/quote-review/:id/request-changes', rateLimit('projectQuoteReview'), quoteChangesValidation, handleValidationErrors, projectQuoteController.requestQuoteChanges);
+
+router.get('/exchange-rates', verifyAcl([{ type: 'PROJECT', action: 'READ' }]), projectQuoteController.listExchangeRates);
+router.put('/exchange-rates/:currency', verifyAcl([{ type: 'PROJECT', action: 'UPDATE' }]), exchangeRateValidation, handleValidationErrors, projectQuoteController.updateExchangeRate);
+
+router.post('/', verifyAcl([{ type: 'PROJECT', action: 'CREATE' }]), createProjectValidation, handleValidationErrors, projectController.createProject);
+router.get('/', verifyAcl([{ type: 'PROJECT', action: 'READ' }]), projectController.listProjects);
+router.get('/:id', verifyAcl([{ type: 'PROJECT', action: 'READ' }]), projectController.getProjectById);
+router.get('/:id/timeline', verifyAcl([{ type: 'PROJECT', action: 'READ' }]), timelineValidation, handleValidationErrors, projectController.getProjectTimeline);
+router.get('/:id/quote/pdf', verifyAcl([{ type: 'PROJECT', action: 'READ' }]), quotePreviewValidation, handleValidationErrors, projectQuoteController.previewQuotePdf);
+router.get('/:id/quote/versions', verifyAcl([{ type: 'PROJECT', action: 'READ' }]), param('id').isMongoId().withMessage('Valid project ID is required'), handleValidationErrors, projectQuoteController.listQuoteVersions);
+router.get('/:id/quote/versions/:version/download', verifyAcl([{ type: 'PROJECT', action: 'READ' }]), quoteVersionValidation, handleValidationErrors, projectQuoteController.downloadQuoteVersion);
+router.post('/:id/quote/client-approval', verifyAcl([{ type: 'PROJECT', action: 'UPDATE' }]), clientApprovalValidation, handleValidationErrors, projectQuoteController.recordClientApproval);
+router.put('/:id', verifyAcl([{ type: 'PROJECT', action: 'UPDATE' }]), updateProjectValidation, handleValidationErrors, projectController.updateProject);
+router.post('/:id/transition', verifyAcl([{ type: 'PROJECT', action: 'UPDATE' }]), transitionProjectValidation, handleValidationErrors, projectController.transitionProject);
+router.delete('/:id', verifyAcl([{ type: 'PROJECT', action: 'DELETE' }]), projectController.deleteProject);
 
 module.exports = router;
 
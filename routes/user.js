@@ -3,6 +3,7 @@ const router = express.Router();
 const { body, query, param } = require('express-validator');
 const userController = require('../controllers/user.controller');
 const handleValidationErrors = require('../middleware/validate');
+const verifyAcl = require('../middleware/acl');
 
 const createUserValidation = [
   body('name')
@@ -59,8 +60,15 @@ router.get(
   userController.getMe
 );
 
+// GET /api/user/me/capabilities - Allowed actions per resource for the logged-in user
+router.get(
+  '/me/capabilities',
+  userController.getMyCapabilities
+);
+
 router.get(
   '/:id',
+  verifyAcl([{ type: 'USER', action: 'READ' }]),
   userController.getUserById
 );
 
@@ -106,6 +114,7 @@ const updateUserValidation = [
 // GET /api/user - Get paginated users
 router.get(
   '/',
+  verifyAcl([{ type: 'USER', action: 'READ' }]),
   listUserValidation,
   handleValidationErrors,
   userController.getUsers
@@ -114,14 +123,25 @@ router.get(
 // PUT /api/user/:id - Update user
 router.put(
   '/:id',
+  verifyAcl([{ type: 'USER', action: 'UPDATE' }]),
   updateUserValidation,
   handleValidationErrors,
   userController.updateUser
 );
 
+// POST /api/user/:id/unlock - Clear a failed-login lock
+router.post(
+  '/:id/unlock',
+  verifyAcl([{ type: 'USER', action: 'UPDATE' }]),
+  [param('id').isMongoId().withMessage('Invalid user ID')],
+  handleValidationErrors,
+  userController.unlockUser
+);
+
 // POST /api/user - Create user via admin
 router.post(
   '/',
+  verifyAcl([{ type: 'USER', action: 'CREATE' }]),
   createUserValidation,
   handleValidationErrors,
   userController.createUser
@@ -130,6 +150,7 @@ router.post(
 // DELETE /api/user/:id - Soft delete user
 router.delete(
   '/:id',
+  verifyAcl([{ type: 'USER', action: 'DELETE' }]),
   [param('id').isMongoId().withMessage('Invalid user ID')],
   handleValidationErrors,
   userController.deleteUser
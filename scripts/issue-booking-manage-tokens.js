@@ -0,0 +1,130 @@
+/**
+ * Give upcoming consultation bookings made before manage tokens existed a token,
+ * and email each client their new manage link. Without one, clients cannot view,
+ * cancel or reschedule these bookings themselves.
+ * Only pending and confirmed bookings of slots that have not started are handled;
+ * run scripts/migrate-slot-timezones.js first so every slot has its start instant.
+ *
+ * Run with: node scripts/issue-booking-manage-tokens.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const ConsultationSlot = require('../models/ConsultationSlot');
+const ConsultationBooking = require('../models/ConsultationBooking');
+const config = require('../utils/config');
+const { sendMail } = require('../utils/mailer');
+const { formatZonedRange } = require('../utils/timezone');
+const bookingToken = require('../auth/booking-token');
+
+const getBusinessTimeZone = () => config.googleCalendar.timezone || 'Asia/Kolkata';
+
+const getManageUrl = (bookingId, manageToken) =>
+  `${config.website.url}/consultation/confirmation/${bookingId}?token=${encodeURIComponent(manageToken)}`;
+
+const sendManageLinkEmail = async (booking, slot, manageUrl) => {
+  const time = formatZonedRange(slot.startAt, slot.endAt, booking.timezone || getBusinessTimeZone());
+  const consultation = booking.typeName || 'Consultation';
+
+  const text = `
+Dear ${booking.userName},
+
+You can now view, cancel or reschedule your consultation with EuProximaX online.
+
+- Consultation: ${consultation}
+- Time: ${time}
+
+To manage the booking, please visit: ${manageUrl}
+This link is personal - please do not share it.
+
+For any questions, please contact us at contact@euproximax.com
+
+Best regards,
+EuProximaX Team
+  `.trim();
+
+  const html = `
+<p>Dear <strong>${booking.userName}</strong>,</p>
+<p>You can now view, cancel or reschedule your consultation with EuProximaX online.</p>
+<ul>
+  <li>Consultation: ${consultation}</li>
+  <li>Time: ${time}</li>
+</ul>
+<p><a href="${manageUrl}">Manage your booking</a></p>
+<p>This link is personal - please do not share it.</p>
+<p>For any questions, please contact us at contact@euproximax.com</p>
+<p>Best regards,<br/>EuProximaX Team</p>
+  `.trim();
+
+  await sendMail({
+    to: booking.userEmail,
+    subject: 'Manage your EuProximaX consultation online',
+    text,
+    html
+  });
+};
+
+const run = async () => {
+  const mongoURI = config.database.uri;
+  if (!mongoURI) {
+    console.error('MONGODB_URI is missing. Please set it in your .env file.');
+    process.exit(1);
+  }
+  const dryRun = process.argv.includes('--dry-run');
+  // The mailer skips sending without credentials, which would leave clients without their link
+  if (!dryRun && (!config.mail.auth.user || !config.mail.auth.pass)) {
+    console.error('Mail credentials are missing. Please set them in your .env file.');
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoURI);
+  console.log(`✅ Connected to MongoDB${dryRun ? ' (dry run, nothing is changed or sent)' : ''}`);
+
+  const slots = await ConsultationSlot.find({ startAt: { $gt: new Date() } }).lean();
+  const slotById = new Map(slots.map((slot) => [String(slot._id), slot]));
+  const bookings = await ConsultationBooking.find({
+    slotId: { $in: slots.map((slot) => slot._id) },
+    status: { $in: ['pending', 'confirmed'] },
+    manageTokenHash: { $exists: false }
+  }).lean();
+
+  let sentCount = 0;
+  let failedCount = 0;
+  for (const booking of bookings) {
+    const slot = slotById.get(String(booking.slotId));
+    if (dryRun) {
+      console.log(`Would email booking: ${booking._id} (${booking.userEmail}, ${slot.startAt.toISOString()})`);
+      continue;
+    }
+
+    // Conditional, so a second run never replaces a token already emailed
+    const { token, tokenHash } = bookingToken.issueManageToken(booking._id);
+    const result = await ConsultationBooking.updateOne(
+      { _id: booking._id, manageTokenHash: { $exists: false } },
+      { $set: { manageTokenHash: tokenHash } }
+    );
+    if (result.modifiedCount === 0) {
+      continue;
+    }
+
+    try {
+      await sendManageLinkEmail(booking, slot, getManageUrl(booking._id.toString(), token));
+      sentCount += 1;
+      console.log(`Emailed booking: ${booking._id} (${booking.userEmail})`);
+    } catch (err) {
+      // The token is unusable without the email, so the next run retries this booking
+      await ConsultationBooking.updateOne({ _id: booking._id }, { $unset: { manageTokenHash: 1 } });
+      failedCount += 1;
+      console.error(`❌ Could not email booking: ${booking._id} (${booking.userEmail}): ${err.message}`);
+    }
+  }
+
+  console.log(`✅ Done. ${dryRun ? `${bookings.length} booking(s) to email` : `Emailed ${sentCount} booking(s), ${failedCount} failed`}.`);
+  await mongoose.disconnect();
+  process.exit(failedCount > 0 ? 1 : 0);
+};
+
+run().catch((err) => {
+  console.error('❌ Failed to issue booking manage tokens:', err);
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+/**
+ * Give consultation slots created before timezone support their absolute
+ * start/end instants (startAt/endAt) and an owning timezone.
+ * Their date/startTime are read as wall-clock time in the business timezone
+ * (GOOGLE_CALENDAR_TIMEZONE, Asia/Kolkata by default) unless another one is passed.
+ *
+ * Run with: node scripts/migrate-slot-timezones.js [IANA timezone]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const ConsultationSlot = require('../models/ConsultationSlot');
+const config = require('../utils/config');
+const { isValidTimeZone, zonedTimeToUtc, getZonedParts } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const run = async () => {
+  const mongoURI = config.database.uri;
+  if (!mongoURI) {
+    console.error('MONGODB_URI is missing. Please set it in your .env file.');
+    process.exit(1);
+  }
+
+  const defaultTimezone = process.argv[2] || config.googleCalendar.timezone || 'Asia/Kolkata';
+  if (!isValidTimeZone(defaultTimezone)) {
+    console.error(`Unknown timezone: ${defaultTimezone}`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoURI);
+  console.log(`✅ Connected to MongoDB (legacy slots are read as ${defaultTimezone})`);
+
+  const slots = await ConsultationSlot.find({
+    $or: [{ startAt: { $exists: false } }, { startAt: null }]
+  }).lean();
+  let updatedCount = 0;
+
+  for (const slot of slots) {
+    const timezone = slot.timezone || defaultTimezone;
+
+    // Dates were stored at UTC midnight, but bulk-created ones could be off by
+    // a DST hour, so round to the nearest midnight before reading the calendar date
+    const date = new Date(Math.round(new Date(slot.date).getTime() / DAY_MS) * DAY_MS);
+    const dateString = date.toISOString().split('T')[0];
+
+    const startAt = zonedTimeToUtc(dateString, slot.startTime, timezone);
+    const endAt = new Date(startAt.getTime() + (slot.duration || 30) * 60000);
+
+    await ConsultationSlot.updateOne(
+      { _id: slot._id },
+      { $set: { date, timezone, startAt, endAt, endTime: getZonedParts(endAt, timezone).time } }
+    );
+    updatedCount += 1;
+    console.log(`Updated slot: ${slot._id} (${dateString} ${slot.startTime} ${timezone} -> ${startAt.toISOString()})`);
+  }
+
+  console.log(`✅ Done. Updated ${updatedCount} slot(s).`);
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+run().catch((err) => {
+  console.error('❌ Failed to migrate slot timezones:', err);
+  process.exit(1);
+});
@@ -0,0 +1,56 @@
+/**
+ * Recount active bookings of every consultation slot into slot.bookedCount
+ * and re-derive status/isAvailable from it.
+ * Run once after deploying atomic slot reservation, or whenever counts look off.
+ *
+ * Run with: node scripts/sync-slot-booked-counts.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const ConsultationSlot = require('../models/ConsultationSlot');
+const ConsultationBooking = require('../models/ConsultationBooking');
+const config = require('../utils/config');
+
+const run = async () => {
+  const mongoURI = config.database.uri;
+  if (!mongoURI) {
+    console.error('MONGODB_URI is missing. Please set it in your .env file.');
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoURI);
+  console.log('✅ Connected to MongoDB');
+
+  const counts = await ConsultationBooking.aggregate([
+    { $match: { status: { $ne: 'cancelled' } } },
+    { $group: { _id: '$slotId', count: { $sum: 1 } } }
+  ]);
+  const countBySlot = new Map(counts.map((entry) => [String(entry._id), entry.count]));
+
+  const slots = await ConsultationSlot.find({}).select('bookedCount status maxBookings').lean();
+  let updatedCount = 0;
+
+  for (const slot of slots) {
+    const bookedCount = countBySlot.get(String(slot._id)) || 0;
+    const status = ConsultationSlot.deriveStatus(slot.status, bookedCount, slot.maxBookings);
+
+    if (slot.bookedCount !== bookedCount || slot.status !== status) {
+      await ConsultationSlot.updateOne(
+        { _id: slot._id },
+        [{ $set: { bookedCount } }, ...ConsultationSlot.statusStages()]
+      );
+      updatedCount += 1;
+      console.log(`Updated slot: ${slot._id} (bookedCount ${slot.bookedCount ?? 'unset'} -> ${bookedCount})`);
+    }
+  }
+
+  console.log(`✅ Done. Updated ${updatedCount} slot(s).`);
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+run().catch((err) => {
+  console.error('❌ Failed to sync slot booked counts:', err);
+  process.exit(1);
+});
@@ -26,12 +26,20 @@ const { errorHandler, notFound } = require('./middleware/errorHandler');
 // Import routes
 const routes = require('./routes');
 
+// Import background jobs
+const { startScheduler } = require('./utils/jobScheduler');
+const { registerConsultationJobs } = require('./utils/consultationJobs');
+
 // Connect to MongoDB
 connectDB().then(async () => {
   logger.info('Connected to MongoDB');
   try {
     // Add any initialization logic here if needed
     logger.debug('Database initialization complete');
+
+    // Background jobs need the database, so they start once it is connected
+    registerConsultationJobs();
+    await startScheduler();
   } catch (err) {
     logger.error('Database initialization error:', err);
   }
@@ -43,6 +51,9 @@ connectDB().then(async () => {
 // Initialize Express app
 const app = express();
 
+// Client IPs come from X-Forwarded-For when behind a trusted proxy
+app.set('trust proxy', config.server.trustProxy);
+
 // Middleware
 app.use(responsetime());
 app.use(compression());
@@ -96,6 +107,9 @@ app.use(cors(corsOptions));
 // Initialize Passport middleware
 app.use(passport.initialize());
 
+// Quote PDFs hold client pricing, so they are only downloaded through the project API
+app.use('/uploads/quotes', notFound);
+
 // Serve static files from uploads directory with CORS headers
 // Use the same CORS logic as the main app to ensure consistency
 app.use('/uploads', (req, res, next) => {
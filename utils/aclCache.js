@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const { ObjectId } = mongoose.Types;
+const config = require('./config');
+const logger = require('./logger');
+const UserRole = require('../models/UserRole');
+const Role = require('../models/Role');
+const AclPermission = require('../models/AclPermission');
+
+/**
+ * In-memory cache of resolved user permissions.
+ * Entries expire after `config.acl.cacheTtlMs` so that changes made on another
+ * PM2 instance are picked up eventually; local changes invalidate immediately.
+ */
+const cache = new Map();
+
+const permissionKey = (type, action) => `${type}:${action}`;
+
+/**
+ * Load roles and permissions for a user from the database
+ * @param {String|ObjectId} userId
+ * @returns {Object} { roleIds, roles, requiresTwoFactor, permissions, keys }
+ */
+const loadUserPermissions = async (userId) => {
+    const userRoles = await UserRole.find({ userId: new ObjectId(userId) }).lean();
+    const roleIds = userRoles.map((ur) => new ObjectId(ur.roleId));
+
+    const [roles, permissions] = roleIds.length
+        ? await Promise.all([
+            Role.find({ _id: { $in: roleIds } }).select('rolename requireTwoFactor').lean(),
+            AclPermission.find({ roleId: { $in: roleIds } }).lean()
+        ])
+        : [[], []];
+
+    return {
+        roleIds: roleIds.map((roleId) => roleId.toString()),
+        roles: roles.map((role) => role.rolename),
+        requiresTwoFactor: roles.some((role) => role.requireTwoFactor),
+        permissions,
+        keys: new Set(permissions.map((permission) => permissionKey(permission.type, permission.action)))
+    };
+};
+
+/**
+ * Get the resolved permission set for a user, served from cache when fresh
+ * @param {String|ObjectId} userId
+ */
+const getUserPermissionSet = async (userId) => {
+    const key = String(userId);
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.value;
+    }
+
+    const value = await loadUserPermissions(userId);
+    cache.set(key, { value, expiresAt: Date.now() + config.acl.cacheTtlMs });
+    return value;
+};
+
+/**
+ * Resolve the permission set once per request and memoise it on `req`
+ * @param {Object} req - Express request with an authenticated `req.user`
+ */
+const getRequestPermissionSet = async (req) => {
+    if (!req.aclPermissions) {
+        req.aclPermissions = await getUserPermissionSet(req.user._id);
+    }
+    return req.aclPermissions;
+};
+
+/**
+ * Check whether a resolved permission set holds any of the given permissions
+ * @param {Object} permissionSet - Result of getUserPermissionSet
+ * @param {Array} required - Array of { type, action }
+ */
+const hasAnyPermission = (permissionSet, required) =>
+    required.some((permission) => permissionSet.keys.has(permissionKey(permission.type, permission.action)));
+
+/**
+ * Group permissions as { TYPE: ['ACTION', ...] } for the admin portal
+ * @param {Object} permissionSet - Result of getUserPermissionSet
+ */
+const toCapabilities = (permissionSet) => {
+    const capabilities = {};
+    permissionSet.permissions.forEach((permission) => {
+        if (!capabilities[permission.type]) {
+            capabilities[permission.type] = [];
+        }
+        if (!capabilities[permission.type].includes(permission.action)) {
+            capabilities[permission.type].push(permission.action);
+        }
+    });
+    return capabilities;
+};
+
+const invalidateUser = (userId) => {
+    if (!userId) return;
+    cache.delete(String(userId));
+    logger.debug(`ACL cache invalidated for user ${userId}`);
+};
+
+const invalidateAll = () => {
+    cache.clear();
+    logger.debug('ACL cache cleared');
+};
+
+module.exports = {
+    getUserPermissionSet,
+    getRequestPermissionSet,
+    hasAnyPermission,
+    toCapabilities,
+    invalidateUser,
+    invalidateAll
+};
@@ -0,0 +1,281 @@
+const config = require('./config');
+const { getZonedParts, zonedTimeToUtc, addDays } = require('./timezone');
+const ConsultationAvailabilityRule = require('../models/ConsultationAvailabilityRule');
+const ConsultationBlackout = require('../models/ConsultationBlackout');
+const ConsultationSlot = require('../models/ConsultationSlot');
+
+/**
+ * Expansion of availability rules into slots.
+ * An occurrence that is not stored yet is a "virtual" slot whose ID is
+ * `<ruleId>-<start in epoch milliseconds>`. Booking or overriding it stores it as a
+ * ConsultationSlot with `ruleId`, which from then on replaces the virtual slot.
+ */
+
+const VIRTUAL_SLOT_ID_PATTERN = /^([a-f\d]{24})-(\d+)$/i;
+
+const timeToMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const minutesToTime = (minutes) =>
+    `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const toDateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+const toVirtualSlotId = (ruleId, startAt) => `${ruleId}-${new Date(startAt).getTime()}`;
+
+/**
+ * @param {String} slotId
+ * @returns {Object|null} { ruleId, startAt }, or null when it is not a virtual slot ID
+ */
+const parseVirtualSlotId = (slotId) => {
+    const match = VIRTUAL_SLOT_ID_PATTERN.exec(String(slotId || ''));
+    return match ? { ruleId: match[1], startAt: new Date(Number(match[2])) } : null;
+};
+
+/**
+ * Whether a value is a stored slot ID or a virtual slot ID
+ */
+const isSlotId = (value) => /^[a-f\d]{24}$/i.test(String(value)) || VIRTUAL_SLOT_ID_PATTERN.test(String(value));
+
+/**
+ * Occurrences of a rule starting in [from, to), shaped like slot documents
+ * @param {Object} rule - ConsultationAvailabilityRule document
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array}
+ */
+const expandRule = (rule, from, to) => {
+    const { timezone } = rule;
+    const validFrom = toDateKey(rule.validFrom);
+    const validUntil = rule.validUntil ? toDateKey(rule.validUntil) : null;
+    const exceptions = new Set((rule.exceptions || []).map(toDateKey));
+    const firstDay = getZonedParts(from, timezone).date;
+    const lastDay = getZonedParts(to, timezone).date;
+
+    const occurrences = [];
+    for (let day = firstDay > validFrom ? firstDay : validFrom; day <= lastDay; day = addDays(day, 1)) {
+        if (validUntil && day > validUntil) {
+            break;
+        }
+        const dayOfWeek = new Date(`${day}T00:00:00.000Z`).getUTCDay();
+        if (!rule.daysOfWeek.includes(dayOfWeek) || exceptions.has(day)) {
+            continue;
+        }
+
+        for (const window of rule.windows) {
+            const windowEnd = timeToMinutes(window.endTime);
+            for (let minutes = timeToMinutes(window.startTime); minutes + rule.duration <= windowEnd; minutes += rule.interval) {
+                const startTime = minutesToTime(minutes);
+                const startAt = zonedTimeToUtc(day, startTime, timezone);
+                // Skip times that do not exist on a DST change day, and those outside the range
+                if (getZonedParts(startAt, timezone).time !== startTime || startAt < from || startAt >= to) {
+                    continue;
+                }
+                const endAt = new Date(startAt.getTime() + rule.duration * 60000);
+
+                occurrences.push({
+                    _id: toVirtualSlotId(rule._id, startAt),
+                    virtual: true,
+                    ruleId: rule._id,
+                    consultantId: rule.consultantId || null,
+                    date: new Date(`${day}T00:00:00.000Z`),
+                    startTime,
+                    endTime: getZonedParts(endAt, timezone).time,
+                    timezone,
+                    startAt,
+                    endAt,
+                    duration: rule.duration,
+                    maxBookings: rule.maxBookings,
+                    bookedCount: 0,
+                    typeId: rule.typeId || null,
+                    intakeFormId: rule.intakeFormId || null,
+                    notes: rule.notes || null,
+                    status: 'available',
+                    isAvailable: true
+                });
+            }
+        }
+    }
+    return occurrences;
+};
+
+/**
+ * The rule's occurrence starting at an instant
+ * @returns {Object|null}
+ */
+const findOccurrence = (rule, startAt) => {
+    const time = new Date(startAt).getTime();
+    return expandRule(rule, new Date(time), new Date(time + 1))
+        .find((occurrence) => occurrence.startAt.getTime() === time) || null;
+};
+
+/**
+ * Blackouts overlapping a time range
+ */
+const findBlackouts = (from, to) => ConsultationBlackout.find({
+    startAt: { $lt: to },
+    endAt: { $gt: from }
+}).lean();
+
+/**
+ * Whether a time range of a consultant (or of the team) overlaps one of the blackouts.
+ * Blackouts without a consultant apply to everyone.
+ */
+const isBlackedOut = (blackouts, startAt, endAt, consultantId = null) => blackouts.some((blackout) =>
+    (!blackout.consultantId || String(blackout.consultantId) === String(consultantId || ''))
+    && blackout.startAt < endAt
+    && blackout.endAt > startAt);
+
+/**
+ * Database check of a single time range against the blackouts
+ * @returns {Promise<boolean>}
+ */
+const hasBlackout = async (startAt, endAt, consultantId = null) => {
+    const blackout = await ConsultationBlackout.exists({
+        consultantId: { $in: [null, ...(consultantId ? [consultantId] : [])] },
+        startAt: { $lt: endAt },
+        endAt: { $gt: startAt }
+    });
+    return Boolean(blackout);
+};
+
+/**
+ * Bookable virtual slots of the active rules starting in [from, to).
+ * `to` is capped at `config.consultation.ruleHorizonDays` from now. Occurrences are left out
+ * when already stored, blacked out, or overlapping another stored slot of the same owner.
+ * @param {Date} from
+ * @param {Date} to
+ * @param {Object} filter - Extra rule filter, e.g. { consultantId }
+ * @returns {Promise<Array>} Sorted by start
+ */
+const expandRules = async (from, to, filter = {}) => {
+    const horizon = new Date(Date.now() + config.consultation.ruleHorizonDays * 24 * 60 * 60 * 1000);
+    const end = to && to < horizon ? to : horizon;
+    if (from >= end) {
+        return [];
+    }
+
+    const rules = await ConsultationAvailabilityRule.find({ ...filter, isActive: true }).lean();
+    const occurrences = rules.flatMap((rule) => expandRule(rule, from, end));
+    if (occurrences.length === 0) {
+        return [];
+    }
+
+    const rangeEnd = new Date(Math.max(...occurrences.map((occurrence) => occurrence.endAt)));
+    const [storedSlots, blackouts] = await Promise.all([
+        ConsultationSlot.find({ startAt: { $lt: rangeEnd }, endAt: { $gt: from } })
+            .select('ruleId consultantId status startAt endAt')
+            .lean(),
+        findBlackouts(from, rangeEnd)
+    ]);
+
+    // Stored occurrences replace the virtual ones, even when an admin cancelled them
+    const stored = new Set(storedSlots.filter((slot) => slot.ruleId).map((slot) => toVirtualSlotId(slot.ruleId, slot.startAt)));
+    const activeSlots = storedSlots.filter((slot) => slot.status !== 'cancelled');
+
+    return occurrences
+        .filter((occurrence) => !stored.has(occurrence._id)
+            && !isBlackedOut(blackouts, occurrence.startAt, occurrence.endAt, occurrence.consultantId)
+            && !activeSlots.some((slot) => String(slot.consultantId || '') === String(occurrence.consultantId || '')
+                && slot.startAt < occurrence.endAt
+                && slot.endAt > occurrence.startAt))
+        .sort((a, b) => a.startAt - b.startAt);
+};
+
+/**
+ * Store a virtual slot so it can be booked or edited.
+ * Returns the stored slot when the occurrence was stored before.
+ * @param {String} slotId - Virtual slot ID
+ * @returns {Promise<Object|null>} Slot document, or null when the ID is not a current,
+ * future occurrence of an active rule, or the occurrence is blacked out or taken
+ */
+const materialiseOccurrence = async (slotId) => {
+    const parsed = parseVirtualSlotId(slotId);
+    if (!parsed) {
+        return null;
+    }
+
+    const existing = await ConsultationSlot.findOne({ ruleId: parsed.ruleId, startAt: parsed.startAt });
+    if (existing) {
+        return existing;
+    }
+
+    const rule = await ConsultationAvailabilityRule.findOne({ _id: parsed.ruleId, isActive: true }).lean();
+    const occurrence = rule && findOccurrence(rule, parsed.startAt);
+    if (!occurrence || occurrence.startAt < new Date()) {
+        return null;
+    }
+
+    const { _id, virtual, ruleId, startAt, ...fields } = occurrence;
+    const [blackedOut, overlapping] = await Promise.all([
+        hasBlackout(occurrence.startAt, occurrence.endAt, occurrence.consultantId),
+        ConsultationSlot.exists({
+            consultantId: occurrence.consultantId,
+            status: { $ne: 'cancelled' },
+            startAt: { $lt: occurrence.endAt },
+            endAt: { $gt: occurrence.startAt }
+        })
+    ]);
+    if (blackedOut || overlapping) {
+        return null;
+    }
+
+    try {
+        return await ConsultationSlot.findOneAndUpdate(
+            { ruleId, startAt },
+            { $setOnInsert: { ...fields, createdBy: rule.createdBy } },
+            { new: true, upsert: true }
+        );
+    } catch (error) {
+        // Stored by a concurrent request in the meantime
+        if (error.code === 11000) {
+            return ConsultationSlot.findOne({ ruleId, startAt });
+        }
+        throw error;
+    }
+};
+
+/**
+ * Delete the rule's future stored slots without bookings that it no longer generates,
+ * e.g. after its hours changed. With `rule` null (rule deleted) all of them go.
+ * @param {ObjectId} ruleId
+ * @param {Object|null} rule - Current rule document
+ * @returns {Promise<number>} Number of deleted slots
+ */
+const pruneMaterialisedSlots = async (ruleId, rule = null) => {
+    const slots = await ConsultationSlot.find({
+        ruleId,
+        startAt: { $gte: new Date() },
+        bookedCount: { $in: [0, null] }
+    }).select('startAt').lean();
+
+    const stale = rule && rule.isActive
+        ? slots.filter((slot) => !findOccurrence(rule, slot.startAt))
+        : slots;
+    if (stale.length === 0) {
+        return 0;
+    }
+
+    // The counter condition keeps slots booked in the meantime
+    const result = await ConsultationSlot.deleteMany({
+        _id: { $in: stale.map((slot) => slot._id) },
+        bookedCount: { $in: [0, null] }
+    });
+    return result.deletedCount;
+};
+
+module.exports = {
+    toVirtualSlotId,
+    parseVirtualSlotId,
+    isSlotId,
+    expandRule,
+    findOccurrence,
+    findBlackouts,
+    isBlackedOut,
+    hasBlackout,
+    expandRules,
+    materialiseOccurrence,
+    pruneMaterialisedSlots
+};
@@ -2,12 +2,23 @@
  * Application Configuration
  * Centralized configuration for all application settings
  */
+
+// Rate limit budget overridable as RATE_LIMIT_<NAME>_MAX / RATE_LIMIT_<NAME>_WINDOW_SECONDS
+const rateLimitBudget = (name, max, windowSeconds) => ({
+  max: parseInt(process.env[`RATE_LIMIT_${name}_MAX`] || String(max), 10),
+  windowMs: parseInt(process.env[`RATE_LIMIT_${name}_WINDOW_SECONDS`] || String(windowSeconds), 10) * 1000
+});
+
 module.exports = {
   // Server Configuration
   server: {
     port: process.env.PORT || 3000,
     nodeEnv: process.env.NODE_ENV || 'development',
-    apiVersion: process.env.API_VERSION || 'v1'
+    apiVersion: process.env.API_VERSION || 'v1',
+    // Express "trust proxy" setting so req.ip is the client address behind nginx
+    trustProxy: /^\d+$/.test(process.env.TRUST_PROXY || '')
+      ? parseInt(process.env.TRUST_PROXY, 10)
+      : (process.env.TRUST_PROXY || 'loopback')
   },
 
   // Database Configuration
@@ -24,9 +35,66 @@ module.exports = {
     plSecret: process.env.JWT_PL_SECRET || 'default-payload-secret-key-change-in-production',
     salt: process.env.JWT_SALT || 'default-salt-change-in-production',
     expiresIn: process.env.JWT_EXPIRE || '1d',
+    refreshExpireDays: parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS || '30', 10),
     algorithm: 'HS256'
   },
 
+  // Account Security Configuration
+  auth: {
+    passwordResetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10),
+    emailVerificationTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '48', 10),
+    // When true, accounts with an unverified email cannot log in
+    requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true'
+  },
+
+  // Login Protection Configuration (failed-login delays and account locks, see auth/login-guard.js)
+  loginProtection: {
+    // Account lock after this many consecutive failures within the window
+    maxFailedAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5', 10),
+    lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES || '15', 10),
+    // Failures older than this no longer count, per account and per IP
+    attemptWindowMinutes: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || '15', 10),
+    // Progressive delay: wait baseDelaySeconds * 2^n after the free attempts, capped
+    delayAfterAttempts: parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS || '2', 10),
+    baseDelaySeconds: parseInt(process.env.LOGIN_BASE_DELAY_SECONDS || '1', 10),
+    maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS || '30', 10),
+    // Per client IP, across all accounts
+    ipDelayAfterAttempts: parseInt(process.env.LOGIN_IP_DELAY_AFTER_ATTEMPTS || '10', 10),
+    ipMaxFailedAttempts: parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS || '50', 10)
+  },
+
+  // Two-Factor Authentication Configuration
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'EuProximaX',
+    challengeTtlMinutes: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES || '5', 10)
+  },
+
+  // ACL Configuration
+  acl: {
+    // How long a user's resolved permissions stay cached in memory (per process)
+    cacheTtlMs: parseInt(process.env.ACL_CACHE_TTL_MS || '60000', 10)
+  },
+
+  // Rate Limiting Configuration (public endpoints)
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    // 'memory' (per process) or 'mongo' (shared by all PM2 instances)
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    routes: {
+      contact: rateLimitBudget('CONTACT', 5, 15 * 60),
+      blogSubmission: rateLimitBudget('BLOG_SUBMISSION', 3, 60 * 60),
+      consultationBook: rateLimitBudget('CONSULTATION_BOOK', 5, 15 * 60),
+      consultationCancel: rateLimitBudget('CONSULTATION_CANCEL', 10, 15 * 60),
+      consultationReschedule: rateLimitBudget('CONSULTATION_RESCHEDULE', 10, 15 * 60),
+      consultationWaitlist: rateLimitBudget('CONSULTATION_WAITLIST', 5, 15 * 60),
+      projectQuoteReview: rateLimitBudget('PROJECT_QUOTE_REVIEW', 10, 15 * 60),
+      chatbotConversation: rateLimitBudget('CHATBOT_CONVERSATION', 20, 15 * 60),
+      // Every message is an OpenAI call: limited per session and per IP
+      chatbotMessage: rateLimitBudget('CHATBOT_MESSAGE', 20, 10 * 60),
+      chatbotMessageIp: rateLimitBudget('CHATBOT_MESSAGE_IP', 60, 10 * 60)
+    }
+  },
+
   // Logging Configuration
   logging: {
     level: process.env.LOG_LEVEL || 'info'
@@ -56,18 +124,59 @@ module.exports = {
     url: process.env.WEBSITE_URL || 'http://localhost:5173'
   },
 
-  // Google Meet Configuration (Legacy - kept for backward compatibility)
-  googleMeet: {
-    baseUrl: process.env.GOOGLE_MEET_BASE_URL || 'https://meet.google.com',
-    // Meeting code format: [part1]-[part2]-[part3]
-    // Default: 3-4-3 format (e.g., abc-defg-hij)
-    codeFormat: {
-      part1Length: parseInt(process.env.GOOGLE_MEET_PART1_LENGTH || '3', 10),
-      part2Length: parseInt(process.env.GOOGLE_MEET_PART2_LENGTH || '4', 10),
-      part3Length: parseInt(process.env.GOOGLE_MEET_PART3_LENGTH || '3', 10)
-    },
-    // Character set for generating meeting codes (lowercase letters)
-    characterSet: process.env.GOOGLE_MEET_CHARSET || 'abcdefghijklmnopqrstuvwxyz'
+  // Quote invoice numbers, e.g. EPX/2026-27/0001 (see utils/invoiceNumbers.js)
+  invoice: {
+    prefix: process.env.INVOICE_PREFIX || 'EPX',
+    // Month the financial year starts in (4 = April, as in India)
+    financialYearStartMonth: parseInt(process.env.INVOICE_FINANCIAL_YEAR_START_MONTH || '4', 10),
+    // Digits of the sequence number, zero-padded
+    digits: parseInt(process.env.INVOICE_NUMBER_DIGITS || '4', 10)
+  },
+
+  // Consultation Booking Configuration
+  consultation: {
+    // How bookings on team slots are given to a free consultant: 'round_robin' or 'least_load'
+    assignmentStrategy: process.env.CONSULTATION_ASSIGNMENT_STRATEGY || 'round_robin',
+    // How far ahead slots are expanded from availability rules
+    ruleHorizonDays: parseInt(process.env.CONSULTATION_RULE_HORIZON_DAYS || '90', 10),
+    // Status the follow-up job gives bookings still open after their slot ended: 'completed' or 'no-show'
+    pastBookingStatus: process.env.CONSULTATION_PAST_BOOKING_STATUS || 'completed',
+    // Minutes after the end of a slot before the follow-up job closes its bookings
+    followUpGraceMinutes: parseInt(process.env.CONSULTATION_FOLLOW_UP_GRACE_MINUTES || '60', 10),
+    // How long a waitlisted client has to claim a freed seat
+    waitlistOfferMinutes: parseInt(process.env.CONSULTATION_WAITLIST_OFFER_MINUTES || '120', 10),
+    // Hours before a consultation its consultant gets the briefing email
+    briefingLeadHours: parseInt(process.env.CONSULTATION_BRIEFING_LEAD_HOURS || '24', 10),
+    // Minutes a client has to pay for a paid consultation before the booking is cancelled
+    paymentTimeoutMinutes: parseInt(process.env.CONSULTATION_PAYMENT_TIMEOUT_MINUTES || '30', 10)
+  },
+
+  // Background Jobs Configuration
+  jobs: {
+    // Set JOBS_ENABLED=false on instances that should not run background jobs
+    enabled: process.env.JOBS_ENABLED !== 'false',
+    // How often each instance checks the jobs collection for due jobs
+    pollIntervalMs: parseInt(process.env.JOBS_POLL_INTERVAL_SECONDS || '30', 10) * 1000,
+    // Job runs older than this are purged from the job_runs collection
+    runRetentionDays: parseInt(process.env.JOB_RUN_RETENTION_DAYS || '30', 10)
+  },
+
+  // Meeting links of consultation bookings (see utils/meetingProviders.js)
+  meetings: {
+    // 'google' (Calendar event with Meet), 'static' (fixed room URL), 'jitsi' or 'manual'
+    provider: process.env.MEETING_PROVIDER || 'google',
+    // Room of the 'static' provider for consultants without their own meeting URL
+    staticUrl: process.env.MEETING_STATIC_URL || '',
+    jitsiBaseUrl: process.env.JITSI_BASE_URL || 'https://meet.jit.si',
+    jitsiRoomPrefix: process.env.JITSI_ROOM_PREFIX || 'EuProximaX'
+  },
+
+  // Payments of paid consultation types (see utils/paymentProviders.js)
+  payments: {
+    // 'mock' records payments locally, for development and testing
+    provider: process.env.PAYMENT_PROVIDER || 'mock',
+    // Currency of new consultation types
+    currency: process.env.PAYMENT_CURRENCY || 'INR'
   },
 
   // Google Calendar API Configuration
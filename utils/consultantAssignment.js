@@ -0,0 +1,170 @@
+const config = require('./config');
+const logger = require('./logger');
+const { getZonedParts, addDays } = require('./timezone');
+const ConsultantAvailability = require('../models/ConsultantAvailability');
+const ConsultationSlot = require('../models/ConsultationSlot');
+const ConsultationBooking = require('../models/ConsultationBooking');
+const ConsultationBlackout = require('../models/ConsultationBlackout');
+
+/**
+ * Consultant assignment for bookings on team slots.
+ * Consultants are users with an active ConsultantAvailability template. One is free
+ * for a time range when their weekly hours cover it and none of their bookings or
+ * personal blackouts (leave) overlap it.
+ */
+
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed'];
+
+const timeToMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Check whether a time range lies inside one of the template's weekly windows
+ * @param {Object} availability - ConsultantAvailability document
+ * @param {Date} startAt
+ * @param {Date} endAt
+ */
+const isWithinWeeklyHours = (availability, startAt, endAt) => {
+    const start = getZonedParts(startAt, availability.timezone);
+    const end = getZonedParts(endAt, availability.timezone);
+
+    const startMinutes = start.hour * 60 + start.minute;
+    let endMinutes = end.hour * 60 + end.minute;
+    if (end.date !== start.date) {
+        // Only a range ending exactly at midnight may cross into the next day
+        if (end.date !== addDays(start.date, 1) || endMinutes !== 0) {
+            return false;
+        }
+        endMinutes = 24 * 60;
+    }
+
+    const dayOfWeek = new Date(`${start.date}T00:00:00.000Z`).getUTCDay();
+    return (availability.weeklyHours || []).some((window) =>
+        window.dayOfWeek === dayOfWeek
+        && timeToMinutes(window.startTime) <= startMinutes
+        && endMinutes <= timeToMinutes(window.endTime));
+};
+
+/**
+ * Consultants among `consultantIds` holding an active booking or a blackout that overlaps a time range
+ * @returns {Promise<Set<string>>}
+ */
+const findBusyConsultantIds = async (consultantIds, startAt, endAt, excludeBookingId) => {
+    const overlappingSlotIds = await ConsultationSlot.find({
+        startAt: { $lt: endAt },
+        endAt: { $gt: startAt }
+    }).distinct('_id');
+
+    const filter = {
+        slotId: { $in: overlappingSlotIds },
+        consultantId: { $in: consultantIds },
+        status: { $in: ACTIVE_BOOKING_STATUSES }
+    };
+    if (excludeBookingId) {
+        filter._id = { $ne: excludeBookingId };
+    }
+
+    const [busyIds, onLeaveIds] = await Promise.all([
+        ConsultationBooking.distinct('consultantId', filter),
+        ConsultationBlackout.distinct('consultantId', {
+            consultantId: { $in: consultantIds },
+            startAt: { $lt: endAt },
+            endAt: { $gt: startAt }
+        })
+    ]);
+    return new Set([...busyIds, ...onLeaveIds].map(String));
+};
+
+/**
+ * Availability templates of the consultants free for a time range
+ * @param {Date} startAt
+ * @param {Date} endAt
+ * @param {Object} options - { excludeBookingId } to ignore a booking that is being moved
+ * @returns {Promise<Array>}
+ */
+const findFreeConsultants = async (startAt, endAt, { excludeBookingId } = {}) => {
+    const availabilities = await ConsultantAvailability.find({ isActive: true }).lean();
+    const withinHours = availabilities.filter((availability) => isWithinWeeklyHours(availability, startAt, endAt));
+    if (withinHours.length === 0) {
+        return [];
+    }
+
+    const busy = await findBusyConsultantIds(
+        withinHours.map((availability) => availability.consultantId),
+        startAt,
+        endAt,
+        excludeBookingId
+    );
+    return withinHours.filter((availability) => !busy.has(String(availability.consultantId)));
+};
+
+/**
+ * Number of upcoming active bookings per consultant
+ * @returns {Promise<Map<string, number>>}
+ */
+const countUpcomingBookings = async (consultantIds) => {
+    const counts = await ConsultationBooking.aggregate([
+        { $match: { consultantId: { $in: consultantIds }, status: { $in: ACTIVE_BOOKING_STATUSES } } },
+        {
+            $lookup: {
+                from: ConsultationSlot.collection.name,
+                localField: 'slotId',
+                foreignField: '_id',
+                as: 'slot'
+            }
+        },
+        { $match: { 'slot.startAt': { $gte: new Date() } } },
+        { $group: { _id: '$consultantId', count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map((entry) => [String(entry._id), entry.count]));
+};
+
+/**
+ * Pick a free consultant for a time range using `config.consultation.assignmentStrategy`
+ * ('round_robin' or 'least_load'; ties in load go round-robin)
+ * @param {Date} startAt
+ * @param {Date} endAt
+ * @param {Object} options - { excludeBookingId }
+ * @returns {Promise<ObjectId|null>} Consultant user ID, or null when nobody is free or every free
+ *   consultant was taken by a concurrent booking (the booking then stays with the team)
+ */
+const assignConsultant = async (startAt, endAt, options = {}) => {
+    const candidates = await findFreeConsultants(startAt, endAt, options);
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    const lastAssigned = (availability) => (availability.lastAssignedAt ? availability.lastAssignedAt.getTime() : 0);
+    let ordered = [...candidates].sort((a, b) => lastAssigned(a) - lastAssigned(b));
+
+    if (config.consultation.assignmentStrategy === 'least_load') {
+        const load = await countUpcomingBookings(candidates.map((availability) => availability.consultantId));
+        const loadOf = (availability) => load.get(String(availability.consultantId)) || 0;
+        ordered = ordered.sort((a, b) => loadOf(a) - loadOf(b));
+    }
+
+    // Take the turn only if no concurrent booking took it since the templates were read.
+    // A consultant claimed meanwhile may now be booked for this time, so they are not
+    // used as a fallback.
+    for (const candidate of ordered) {
+        const claimed = await ConsultantAvailability.findOneAndUpdate(
+            { _id: candidate._id, lastAssignedAt: candidate.lastAssignedAt },
+            { $set: { lastAssignedAt: new Date() } }
+        );
+        if (claimed) {
+            return candidate.consultantId;
+        }
+    }
+
+    logger.warn('Consultant assignment: every free consultant was claimed by a concurrent booking');
+    return null;
+};
+
+module.exports = {
+    isWithinWeeklyHours,
+    findFreeConsultants,
+    countUpcomingBookings,
+    assignConsultant
+};
@@ -0,0 +1,252 @@
+const config = require('./config');
+const logger = require('./logger');
+const { sendMail } = require('./mailer');
+const { formatZonedRange, formatZonedDate } = require('./timezone');
+const { formatAnswer } = require('./intakeForms');
+const ConsultationSlot = require('../models/ConsultationSlot');
+const ConsultationBooking = require('../models/ConsultationBooking');
+const ConsultantAvailability = require('../models/ConsultantAvailability');
+const ChatConversation = require('../models/ChatConversation');
+const User = require('../models/User');
+
+/**
+ * Pre-meeting briefing of the consultant: the booking, the client's intake answers and,
+ * when the client talked to the Nexa chatbot with the same email, their latest novelty analysis.
+ * Sent by the consultation-briefings job once the slot is within
+ * `config.consultation.briefingLeadHours`. Team bookings get one once they are assigned.
+ */
+
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed'];
+
+const getBusinessTimeZone = () => config.googleCalendar.timezone || 'Asia/Kolkata';
+
+// Client-provided text goes into the HTML email
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const toHtmlText = (value) => escapeHtml(value).replace(/\n/g, '<br>');
+
+/**
+ * Latest novelty analysis of a client's chatbot conversations
+ * @param {String} email
+ * @returns {Promise<Object|null>} Conversation with mainIdea and noveltyAnalysis
+ */
+const findLatestNoveltyAnalysis = (email) => ChatConversation.findOne({
+    userEmail: email.toLowerCase(),
+    'noveltyAnalysis.analyzedAt': { $ne: null }
+})
+    .sort({ 'noveltyAnalysis.analyzedAt': -1 })
+    .select('sessionId mainIdea noveltyAnalysis')
+    .lean();
+
+/**
+ * Email the briefing of a booking to its consultant
+ * @param {Object} booking - Booking with the slot in `slotId`
+ * @param {Object} consultant - { name, email }
+ */
+const sendBriefingEmail = async (booking, consultant) => {
+    const slot = booking.slotId;
+    const bookingId = booking._id.toString();
+    const availability = await ConsultantAvailability.findOne({ consultantId: booking.consultantId }).select('timezone').lean();
+    const timezone = availability?.timezone || getBusinessTimeZone();
+    const time = formatZonedRange(slot.startAt, slot.endAt, timezone);
+    const bookingUrl = `${config.adminPortal.url}/admin/consultation-bookings/${bookingId}`;
+    const answers = booking.intakeAnswers || [];
+    const conversation = await findLatestNoveltyAnalysis(booking.userEmail);
+    const analysis = conversation?.noveltyAnalysis;
+
+    const answersText = answers.length > 0
+        ? answers.map((answer) => `- ${answer.label}: ${formatAnswer(answer.value)}`).join('\n')
+        : 'The client answered no intake questions.';
+    const analysisText = analysis
+        ? `
+Nexa Novelty Analysis (${formatZonedDate(analysis.analyzedAt, timezone)})
+- Idea: ${conversation.mainIdea || 'Not recorded'}
+- Novelty score: ${analysis.score ?? 'n/a'}/100 (confidence ${analysis.confidence ?? 'n/a'}%)
+- Similar ideas found: ${(analysis.similarIdeas || []).length}
+
+${analysis.aiAnalysis || ''}
+`
+        : '\nThe client has no Nexa novelty analysis.\n';
+
+    const text = `
+Hello ${consultant.name},
+
+Here is the briefing for your upcoming consultation.
+
+- Client: ${booking.userName} (${booking.userEmail}, ${booking.userPhone})
+- Time: ${time}
+- Duration: ${slot.duration} minutes
+${booking.meetingLink ? `- Meeting link: ${booking.meetingLink}\n` : ''}${booking.message ? `- Message: ${booking.message}\n` : ''}
+Intake Answers
+${answersText}
+${analysisText}
+View the booking: ${bookingUrl}
+    `.trim();
+
+    const answersHtml = answers.length > 0
+        ? answers.map((answer) => `
+                                        <p style="margin: 0 0 10px 0; color: #718096; font-size: 13px;">${escapeHtml(answer.label)}<br><span style="color: #1a1a1a;">${toHtmlText(formatAnswer(answer.value))}</span></p>`).join('')
+        : `
+                                        <p style="margin: 0; color: #718096; font-size: 13px;">The client answered no intake questions.</p>`;
+    const analysisHtml = analysis
+        ? `
+                            <h2 style="margin: 0 0 10px 0; color: #1a1a1a; font-size: 17px;">Nexa Novelty Analysis</h2>
+                            <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f8f9fa; border-radius: 8px; margin: 0 0 20px 0;">
+                                <tr>
+                                    <td style="padding: 20px 25px;">
+                                        <p style="margin: 0 0 10px 0; color: #718096; font-size: 13px;">Idea: <span style="color: #1a1a1a;">${toHtmlText(conversation.mainIdea || 'Not recorded')}</span></p>
+                                        <p style="margin: 0 0 10px 0; color: #718096; font-size: 13px;">Novelty score: <strong style="color: #1a1a1a;">${analysis.score ?? 'n/a'}/100</strong> (confidence ${analysis.confidence ?? 'n/a'}%)</p>
+                                        <p style="margin: 0 0 10px 0; color: #718096; font-size: 13px;">Similar ideas found: <span style="color: #1a1a1a;">${(analysis.similarIdeas || []).length}</span> &middot; Analysed ${formatZonedDate(analysis.analyzedAt, timezone)}</p>${analysis.aiAnalysis ? `
+                                        <p style="margin: 0; color: #4a5568; font-size: 13px; line-height: 1.6;">${toHtmlText(analysis.aiAnalysis)}</p>` : ''}
+                                    </td>
+                                </tr>
+                            </table>`
+        : `
+                            <p style="margin: 0 0 20px 0; color: #718096; font-size: 13px;">The client has no Nexa novelty analysis.</p>`;
+
+    const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Consultation Briefing</title>
+</head>
+<body style="margin: 0; padding: 0; background-color: #f4f6f9; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;">
+    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f4f6f9;">
+        <tr>
+            <td align="center" style="padding: 40px 20px;">
+                <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="600" style="max-width: 600px; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.07); overflow: hidden;">
+                    <tr>
+                        <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 35px 40px; text-align: center;">
+                            <h1 style="margin: 0; color: #ffffff; font-size: 26px; font-weight: 700; line-height: 1.2;">Consultation Briefing</h1>
+                            <p style="margin: 8px 0 0 0; color: rgba(255, 255, 255, 0.95); font-size: 15px;">${time}</p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 30px 35px;">
+                            <p style="margin: 0 0 20px 0; color: #1a1a1a; font-size: 16px; line-height: 1.5;">Hello <strong style="color: #667eea;">${escapeHtml(consultant.name)}</strong>, here is the briefing for your upcoming consultation.</p>
+                            <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background: linear-gradient(135deg, #f8f9ff 0%, #f0f4ff 100%); border-radius: 8px; border-left: 4px solid #667eea; margin: 0 0 20px 0;">
+                                <tr>
+                                    <td style="padding: 20px 25px;">
+                                        <p style="margin: 0 0 10px 0; color: #718096; font-size: 13px;">Client: <strong style="color: #1a1a1a;">${escapeHtml(booking.userName)}</strong></p>
+                                        <p style="margin: 0 0 10px 0; color: #718096; font-size: 13px;">Email: <a href="mailto:${escapeHtml(booking.userEmail)}" style="color: #667eea; text-decoration: none;">${escapeHtml(booking.userEmail)}</a> &middot; Phone: <span style="color: #1a1a1a;">${escapeHtml(booking.userPhone)}</span></p>
+                                        <p style="margin: 0 0 10px 0; color: #718096; font-size: 13px;">Duration: <span style="color: #1a1a1a;">${slot.duration} minutes</span></p>${booking.meetingLink ? `
+                                        <p style="margin: 0 0 10px 0; color: #718096; font-size: 13px;">Meeting link: <a href="${booking.meetingLink}" style="color: #667eea; text-decoration: none;">${booking.meetingLink}</a></p>` : ''}${booking.message ? `
+                                        <p style="margin: 0; color: #718096; font-size: 13px;">Message: <span style="color: #1a1a1a;">${toHtmlText(booking.message)}</span></p>` : ''}
+                                    </td>
+                                </tr>
+                            </table>
+                            <h2 style="margin: 0 0 10px 0; color: #1a1a1a; font-size: 17px;">Intake Answers</h2>
+                            <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f8f9fa; border-radius: 8px; margin: 0 0 20px 0;">
+                                <tr>
+                                    <td style="padding: 20px 25px;">${answersHtml}
+                                    </td>
+                                </tr>
+                            </table>${analysisHtml}
+                            <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%">
+                                <tr>
+                                    <td align="center">
+                                        <a href="${bookingUrl}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; padding: 12px 24px; border-radius: 8px; font-size: 15px; font-weight: 600;">View Booking</a>
+                                    </td>
+                                </tr>
+                            </table>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="background-color: #f8f9fa; padding: 25px 35px; text-align: center; border-top: 1px solid #e2e8f0;">
+                            <p style="margin: 0; color: #a0aec0; font-size: 11px; line-height: 1.4;">This is an automated email. Booking ID: ${bookingId.slice(-8)}</p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`;
+
+    await sendMail({
+        to: consultant.email,
+        subject: `Consultation briefing: ${booking.userName}, ${time}`,
+        text,
+        html
+    });
+};
+
+/**
+ * Send the briefings that are due
+ * @returns {Promise<Object>} { sent, failed }
+ */
+const sendDueBriefings = async () => {
+    const now = new Date();
+    const slots = await ConsultationSlot.find({
+        startAt: { $gt: now, $lte: new Date(now.getTime() + config.consultation.briefingLeadHours * 60 * 60 * 1000) },
+        status: { $ne: 'cancelled' }
+    }).lean();
+    if (slots.length === 0) {
+        return { sent: 0, failed: 0 };
+    }
+
+    const slotsById = new Map(slots.map((slot) => [String(slot._id), slot]));
+    const bookings = await ConsultationBooking.find({
+        slotId: { $in: slots.map((slot) => slot._id) },
+        status: { $in: ACTIVE_BOOKING_STATUSES },
+        consultantId: { $ne: null },
+        // Unpaid bookings may still be cancelled
+        'payment.status': { $ne: 'pending' },
+        briefingSentAt: null
+    }).lean();
+
+    let sent = 0;
+    let failed = 0;
+    for (const booking of bookings) {
+        const consultant = await User.findOne({ _id: booking.consultantId, isDeleted: { $ne: true } }).select('name email').lean();
+        if (!consultant?.email) {
+            continue;
+        }
+
+        // Claim the briefing first, so it is never sent twice
+        const claimed = await ConsultationBooking.findOneAndUpdate(
+            {
+                _id: booking._id,
+                slotId: booking.slotId,
+                consultantId: booking.consultantId,
+                status: { $in: ACTIVE_BOOKING_STATUSES },
+                briefingSentAt: null
+            },
+            { $set: { briefingSentAt: now } },
+            { new: true }
+        ).lean();
+        if (!claimed) {
+            continue;
+        }
+
+        try {
+            await sendBriefingEmail({ ...claimed, slotId: slotsById.get(String(booking.slotId)) }, consultant);
+            sent += 1;
+        } catch (error) {
+            failed += 1;
+            logger.error(`Failed to send the briefing for booking ${booking._id}`, { error: error.message });
+            // Retried on the next run
+            await ConsultationBooking.updateOne(
+                { _id: booking._id, briefingSentAt: now },
+                { $set: { briefingSentAt: null } }
+            );
+        }
+    }
+
+    if (failed > 0) {
+        const error = new Error(`${failed} of ${sent + failed} briefing emails failed`);
+        error.result = { sent, failed };
+        throw error;
+    }
+    return { sent, failed };
+};
+
+module.exports = {
+    sendDueBriefings
+};
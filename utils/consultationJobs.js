@@ -0,0 +1,240 @@
+const config = require('./config');
+const logger = require('./logger');
+const { sendMail } = require('./mailer');
+const { defineJob } = require('./jobScheduler');
+const { formatZonedRange } = require('./timezone');
+const { processWaitlist } = require('./consultationWaitlist');
+const { sendDueBriefings } = require('./consultationBriefing');
+const { expireUnpaidBookings } = require('./consultationPayments');
+const ConsultationSlot = require('../models/ConsultationSlot');
+const ConsultationBooking = require('../models/ConsultationBooking');
+
+/**
+ * Background jobs of the consultation bookings:
+ * - consultation-reminders: emails clients 24 hours and 1 hour before their slot
+ * - consultation-follow-up: closes bookings whose slot ended, flagging them for an admin to confirm
+ * - consultation-waitlist: expires waitlist offers and offers free seats (see consultationWaitlist.js)
+ * - consultation-briefings: emails consultants their pre-meeting briefing (see consultationBriefing.js)
+ * - consultation-payments: cancels bookings of paid types left unpaid (see consultationPayments.js)
+ */
+
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed'];
+const HOUR_MS = 60 * 60 * 1000;
+
+// Closest reminder first: once the 1 hour reminder is due, a missed 24 hour one is skipped
+const REMINDERS = [
+    { field: 'reminder1hSentAt', leadMs: HOUR_MS, subject: 'Your EuProximaX consultation starts in 1 hour' },
+    { field: 'reminder24hSentAt', leadMs: 24 * HOUR_MS, subject: 'Reminder: Your EuProximaX consultation is coming up' }
+];
+
+const getBusinessTimeZone = () => config.googleCalendar.timezone || 'Asia/Kolkata';
+
+/**
+ * Send one reminder email
+ * @param {Object} booking - Booking with the slot in `slotId`
+ * @param {Object} reminder - Entry of REMINDERS
+ */
+const sendReminderEmail = async (booking, reminder) => {
+    const slot = booking.slotId;
+    const bookingId = booking._id.toString();
+    const businessTimezone = getBusinessTimeZone();
+    const localTime = formatZonedRange(slot.startAt, slot.endAt, booking.timezone || businessTimezone);
+    const businessTime = booking.timezone && booking.timezone !== businessTimezone
+        ? formatZonedRange(slot.startAt, slot.endAt, businessTimezone)
+        : null;
+
+    const text = `
+Dear ${booking.userName},
+
+This is a reminder of your consultation with EuProximaX.
+
+- Time: ${localTime}
+${businessTime ? `- Our time: ${businessTime}\n` : ''}- Duration: ${slot.duration} minutes
+${booking.meetingLink ? `- Meeting link: ${booking.meetingLink}\n` : ''}
+To reschedule or cancel, please use the link in your booking confirmation email.
+
+For any questions, please contact us at contact@euproximax.com
+
+Best regards,
+EuProximaX Team
+    `.trim();
+
+    const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Consultation Reminder</title>
+</head>
+<body style="margin: 0; padding: 0; background-color: #f4f6f9; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;">
+    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f4f6f9;">
+        <tr>
+            <td align="center" style="padding: 40px 20px;">
+                <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="600" style="max-width: 600px; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.07); overflow: hidden;">
+                    <tr>
+                        <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 35px 40px; text-align: center;">
+                            <h1 style="margin: 0; color: #ffffff; font-size: 26px; font-weight: 700; line-height: 1.2;">Consultation Reminder</h1>
+                            <p style="margin: 8px 0 0 0; color: rgba(255, 255, 255, 0.95); font-size: 15px;">EuProximaX Consultation Service</p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 30px 35px;">
+                            <p style="margin: 0 0 15px 0; color: #1a1a1a; font-size: 16px; line-height: 1.5;">Dear <strong style="color: #667eea;">${booking.userName}</strong>,</p>
+                            <p style="margin: 0 0 25px 0; color: #4a5568; font-size: 15px; line-height: 1.6;">This is a reminder of your consultation with EuProximaX.</p>
+                            <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background: linear-gradient(135deg, #f8f9ff 0%, #f0f4ff 100%); border-radius: 8px; border-left: 4px solid #667eea; margin: 0 0 20px 0;">
+                                <tr>
+                                    <td style="padding: 20px 25px;">
+                                        <p style="margin: 0 0 10px 0; color: #718096; font-size: 13px;">Time: <strong style="color: #1a1a1a;">${localTime}</strong></p>${businessTime ? `
+                                        <p style="margin: 0 0 10px 0; color: #718096; font-size: 13px;">Our time: <span style="color: #1a1a1a;">${businessTime}</span></p>` : ''}
+                                        <p style="margin: 0; color: #718096; font-size: 13px;">Duration: <span style="color: #1a1a1a;">${slot.duration} minutes</span></p>
+                                    </td>
+                                </tr>
+                            </table>
+                            ${booking.meetingLink ? `
+                            <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="margin: 0 0 20px 0;">
+                                <tr>
+                                    <td align="center">
+                                        <a href="${booking.meetingLink}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; padding: 12px 24px; border-radius: 8px; font-size: 15px; font-weight: 600;">Join Meeting</a>
+                                    </td>
+                                </tr>
+                            </table>` : ''}
+                            <p style="margin: 0; color: #4a5568; font-size: 14px; line-height: 1.6;">To reschedule or cancel, please use the link in your booking confirmation email.</p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="background-color: #f8f9fa; padding: 25px 35px; text-align: center; border-top: 1px solid #e2e8f0;">
+                            <p style="margin: 0; color: #a0aec0; font-size: 11px; line-height: 1.4;">This is an automated email. Booking ID: ${bookingId.slice(-8)}</p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`;
+
+    await sendMail({ to: booking.userEmail, subject: reminder.subject, text, html });
+};
+
+/**
+ * Send the reminders that are due. A reminder is skipped when the booking was made
+ * or rescheduled after it would have been due, as the client just got an email.
+ * @returns {Promise<Object>} { sent, failed }
+ */
+const sendDueReminders = async () => {
+    const now = new Date();
+    const slots = await ConsultationSlot.find({
+        startAt: { $gt: now, $lte: new Date(now.getTime() + 24 * HOUR_MS) },
+        status: { $ne: 'cancelled' }
+    }).lean();
+    if (slots.length === 0) {
+        return { sent: 0, failed: 0 };
+    }
+
+    const slotsById = new Map(slots.map((slot) => [String(slot._id), slot]));
+    const bookings = await ConsultationBooking.find({
+        slotId: { $in: slots.map((slot) => slot._id) },
+        status: { $in: ACTIVE_BOOKING_STATUSES },
+        // Unpaid bookings get the receipt, not reminders, once paid
+        'payment.status': { $ne: 'pending' },
+        $or: [{ reminder24hSentAt: null }, { reminder1hSentAt: null }]
+    }).lean();
+
+    let sent = 0;
+    let failed = 0;
+    for (const booking of bookings) {
+        const slot = slotsById.get(String(booking.slotId));
+        const leadMs = slot.startAt - now;
+        const reminder = REMINDERS.find((entry) => leadMs <= entry.leadMs);
+        const bookedAt = booking.rescheduledAt || booking.createdAt;
+        if (booking[reminder.field] || bookedAt > new Date(slot.startAt.getTime() - reminder.leadMs)) {
+            continue;
+        }
+
+        // Claim the reminder first, so a reminder is never sent twice
+        const claimed = await ConsultationBooking.findOneAndUpdate(
+            {
+                _id: booking._id,
+                slotId: slot._id,
+                status: { $in: ACTIVE_BOOKING_STATUSES },
+                [reminder.field]: null
+            },
+            { $set: { [reminder.field]: now } },
+            { new: true }
+        ).lean();
+        if (!claimed) {
+            continue;
+        }
+
+        try {
+            await sendReminderEmail({ ...claimed, slotId: slot }, reminder);
+            sent += 1;
+        } catch (error) {
+            failed += 1;
+            logger.error(`Failed to send ${reminder.field} reminder for booking ${booking._id}`, { error: error.message });
+            // Retried on the next run while still due
+            await ConsultationBooking.updateOne(
+                { _id: booking._id, [reminder.field]: now },
+                { $set: { [reminder.field]: null } }
+            );
+        }
+    }
+
+    if (failed > 0) {
+        const error = new Error(`${failed} of ${sent + failed} reminder emails failed`);
+        error.result = { sent, failed };
+        throw error;
+    }
+    return { sent, failed };
+};
+
+/**
+ * Give confirmed bookings whose slot ended (plus the grace period) the configured
+ * past-booking status, flagged with `needsFollowUp` until an admin sets the real outcome.
+ * Pending bookings are left to expireUnpaidBookings, which cancels the unpaid ones.
+ * @returns {Promise<Object>} { marked, status }
+ */
+const closePastBookings = async () => {
+    const status = config.consultation.pastBookingStatus;
+    if (!['completed', 'no-show'].includes(status)) {
+        throw new Error(`Invalid CONSULTATION_PAST_BOOKING_STATUS: ${status}`);
+    }
+
+    const cutoff = new Date(Date.now() - config.consultation.followUpGraceMinutes * 60 * 1000);
+    const openSlotIds = await ConsultationBooking.distinct('slotId', { status: 'confirmed' });
+    const pastSlotIds = await ConsultationSlot.find({
+        _id: { $in: openSlotIds },
+        endAt: { $lte: cutoff }
+    }).distinct('_id');
+    if (pastSlotIds.length === 0) {
+        return { marked: 0, status };
+    }
+
+    const result = await ConsultationBooking.updateMany(
+        { slotId: { $in: pastSlotIds }, status: 'confirmed' },
+        { $set: { status, needsFollowUp: true } }
+    );
+
+    if (result.modifiedCount > 0) {
+        logger.info(`Follow-up job marked ${result.modifiedCount} past booking(s) as ${status}`);
+    }
+    return { marked: result.modifiedCount, status };
+};
+
+/**
+ * Register the consultation jobs with the scheduler
+ */
+const registerConsultationJobs = () => {
+    defineJob('consultation-reminders', { intervalMs: 5 * 60 * 1000, handler: sendDueReminders });
+    defineJob('consultation-follow-up', { intervalMs: 15 * 60 * 1000, handler: closePastBookings });
+    defineJob('consultation-waitlist', { intervalMs: 5 * 60 * 1000, handler: processWaitlist });
+    defineJob('consultation-briefings', { intervalMs: 15 * 60 * 1000, handler: sendDueBriefings });
+    defineJob('consultation-payments', { intervalMs: 5 * 60 * 1000, handler: expireUnpaidBookings });
+};
+
+module.exports = {
+    sendDueReminders,
+    closePastBookings,
+    registerConsultationJobs
+};
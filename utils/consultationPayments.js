@@ -0,0 +1,281 @@
+const config = require('./config');
+const logger = require('./logger');
+const { sendMail } = require('./mailer');
+const { formatZonedRange, formatZonedDateTime } = require('./timezone');
+const { offerFreedSeats } = require('./consultationWaitlist');
+const ConsultationSlot = require('../models/ConsultationSlot');
+const ConsultationBooking = require('../models/ConsultationBooking');
+
+/**
+ * Payments of paid consultation types.
+ *
+ * A booking of a paid type is created pending, with a payment at the configured provider
+ * (see paymentProviders.js). It is confirmed when the provider reports the payment paid, or
+ * when an admin records a payment reference. Bookings still unpaid after
+ * `config.consultation.paymentTimeoutMinutes`, or when their slot starts, are cancelled
+ * and their seat is given back.
+ */
+
+const getBusinessTimeZone = () => config.googleCalendar.timezone || 'Asia/Kolkata';
+
+/**
+ * Amount with its currency, e.g. '₹1,500.00'
+ * @param {Number} amount - Amount in major units
+ * @param {String} currency - ISO 4217 code
+ * @returns {String}
+ */
+const formatAmount = (amount, currency) => {
+    try {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+    } catch (error) {
+        return `${currency} ${Number(amount).toFixed(2)}`;
+    }
+};
+
+/**
+ * When an unpaid booking is cancelled: after the timeout, or when its slot starts if sooner
+ * @param {Object} booking
+ * @param {Object} slot - Booking's slot
+ * @returns {Date}
+ */
+const getPaymentDeadline = (booking, slot) => {
+    const timeout = new Date(new Date(booking.createdAt).getTime() + config.consultation.paymentTimeoutMinutes * 60 * 1000);
+    return slot?.startAt && slot.startAt < timeout ? new Date(slot.startAt) : timeout;
+};
+
+/**
+ * Email a client the payment link of their new booking
+ * @param {Object} booking - Pending booking with populated slotId and its payment
+ * @param {String} manageUrl - Client's manage link
+ */
+const sendPaymentRequestEmail = async (booking, manageUrl) => {
+    const slot = booking.slotId;
+    const bookingId = booking._id.toString();
+    const timezone = booking.timezone || getBusinessTimeZone();
+    const time = formatZonedRange(slot.startAt, slot.endAt, timezone);
+    const deadline = formatZonedDateTime(getPaymentDeadline(booking, slot), timezone);
+    const amount = formatAmount(booking.payment.amount, booking.payment.currency);
+    const consultation = booking.typeName || 'Consultation';
+
+    const text = `
+Dear ${booking.userName},
+
+Thank you for booking a consultation with EuProximaX. Your seat is held until ${deadline}.
+Please pay to confirm the booking: ${booking.payment.checkoutUrl}
+
+- Consultation: ${consultation}
+- Time: ${time}
+- Duration: ${slot.duration} minutes
+- Amount: ${amount}
+
+Unpaid bookings are cancelled after that time.
+To view or cancel the booking, please visit: ${manageUrl}
+This link is personal - please do not share it.
+
+For any questions, please contact us at contact@euproximax.com
+
+Best regards,
+EuProximaX Team
+    `.trim();
+
+    const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Complete Your Consultation Booking</title>
+</head>
+<body style="margin: 0; padding: 0; background-color: #f4f6f9; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;">
+    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f4f6f9;">
+        <tr>
+            <td align="center" style="padding: 40px 20px;">
+                <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="600" style="max-width: 600px; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.07); overflow: hidden;">
+                    <tr>
+                        <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 35px 40px; text-align: center;">
+                            <h1 style="margin: 0; color: #ffffff; font-size: 26px; font-weight: 700; line-height: 1.2;">Complete Your Booking</h1>
+                            <p style="margin: 8px 0 0 0; color: rgba(255, 255, 255, 0.95); font-size: 15px;">EuProximaX Consultation Service</p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 30px 35px;">
+                            <p style="margin: 0 0 15px 0; color: #1a1a1a; font-size: 16px; line-height: 1.5;">Dear <strong style="color: #667eea;">${booking.userName}</strong>,</p>
+                            <p style="margin: 0 0 25px 0; color: #4a5568; font-size: 15px; line-height: 1.6;">Thank you for booking a consultation with EuProximaX. Please pay to confirm your booking.</p>
+                            <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background: linear-gradient(135deg, #f8f9ff 0%, #f0f4ff 100%); border-radius: 8px; border-left: 4px solid #667eea; margin: 0 0 20px 0;">
+                                <tr>
+                                    <td style="padding: 20px 25px;">
+                                        <p style="margin: 0 0 10px 0; color: #718096; font-size: 13px;">Consultation: <strong style="color: #1a1a1a;">${consultation}</strong></p>
+                                        <p style="margin: 0 0 10px 0; color: #718096; font-size: 13px;">Time: <strong style="color: #1a1a1a;">${time}</strong></p>
+                                        <p style="margin: 0 0 10px 0; color: #718096; font-size: 13px;">Duration: <span style="color: #1a1a1a;">${slot.duration} minutes</span></p>
+                                        <p style="margin: 0 0 10px 0; color: #718096; font-size: 13px;">Amount: <strong style="color: #1a1a1a;">${amount}</strong></p>
+                                        <p style="margin: 0; color: #718096; font-size: 13px;">Pay before: <strong style="color: #1a1a1a;">${deadline}</strong></p>
+                                    </td>
+                                </tr>
+                            </table>
+                            <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="margin: 0 0 20px 0;">
+                                <tr>
+                                    <td align="center">
+                                        <a href="${booking.payment.checkoutUrl}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; padding: 12px 24px; border-radius: 8px; font-size: 15px; font-weight: 600;">Pay Now</a>
+                                    </td>
+                                </tr>
+                            </table>
+                            <p style="margin: 0 0 15px 0; color: #4a5568; font-size: 14px; line-height: 1.6;">Unpaid bookings are cancelled after that time.</p>
+                            <p style="margin: 0; color: #4a5568; font-size: 14px; line-height: 1.6;"><a href="${manageUrl}" style="color: #667eea; text-decoration: none; font-weight: 600;">View or cancel your booking</a>. This link is personal - please do not share it.</p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="background-color: #f8f9fa; padding: 25px 35px; text-align: center; border-top: 1px solid #e2e8f0;">
+                            <p style="margin: 0; color: #a0aec0; font-size: 11px; line-height: 1.4;">This is an automated email. Booking ID: ${bookingId.slice(-8)}</p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`;
+
+    await sendMail({ to: booking.userEmail, subject: 'Complete your EuProximaX consultation booking', text, html });
+    logger.info(`Payment request email sent to user: ${booking.userEmail}`);
+};
+
+/**
+ * Tell a client their unpaid booking was cancelled
+ * @param {Object} booking - Cancelled booking with populated slotId
+ */
+const sendPaymentCancelledEmail = async (booking) => {
+    const slot = booking.slotId;
+    const bookingId = booking._id.toString();
+    const time = formatZonedRange(slot.startAt, slot.endAt, booking.timezone || getBusinessTimeZone());
+    const reason = booking.payment.status === 'failed'
+        ? 'your payment did not go through'
+        : 'we did not receive your payment in time';
+    const bookUrl = `${config.website.url}/consultation`;
+
+    const text = `
+Dear ${booking.userName},
+
+Your consultation booking for ${time} has been cancelled because ${reason}.
+You can book a new consultation at: ${bookUrl}
+
+For any questions, please contact us at contact@euproximax.com
+
+Best regards,
+EuProximaX Team
+    `.trim();
+
+    const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Consultation Booking Cancelled</title>
+</head>
+<body style="margin: 0; padding: 0; background-color: #f4f6f9; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;">
+    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f4f6f9;">
+        <tr>
+            <td align="center" style="padding: 40px 20px;">
+                <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="600" style="max-width: 600px; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.07); overflow: hidden;">
+                    <tr>
+                        <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 35px 40px; text-align: center;">
+                            <h1 style="margin: 0; color: #ffffff; font-size: 26px; font-weight: 700; line-height: 1.2;">Booking Cancelled</h1>
+                            <p style="margin: 8px 0 0 0; color: rgba(255, 255, 255, 0.95); font-size: 15px;">EuProximaX Consultation Service</p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 30px 35px;">
+                            <p style="margin: 0 0 15px 0; color: #1a1a1a; font-size: 16px; line-height: 1.5;">Dear <strong style="color: #667eea;">${booking.userName}</strong>,</p>
+                            <p style="margin: 0 0 20px 0; color: #4a5568; font-size: 15px; line-height: 1.6;">Your consultation booking for <strong>${time}</strong> has been cancelled because ${reason}.</p>
+                            <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="margin: 0 0 20px 0;">
+                                <tr>
+                                    <td align="center">
+                                        <a href="${bookUrl}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; padding: 12px 24px; border-radius: 8px; font-size: 15px; font-weight: 600;">Book a New Consultation</a>
+                                    </td>
+                                </tr>
+                            </table>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="background-color: #f8f9fa; padding: 25px 35px; text-align: center; border-top: 1px solid #e2e8f0;">
+                            <p style="margin: 0; color: #a0aec0; font-size: 11px; line-height: 1.4;">This is an automated email. Booking ID: ${bookingId.slice(-8)}</p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`;
+
+    await sendMail({ to: booking.userEmail, subject: 'Your EuProximaX consultation booking was cancelled', text, html });
+};
+
+/**
+ * Cancel a booking whose payment failed or timed out, give its seat back and tell the client
+ * @param {ObjectId} bookingId
+ * @param {String} paymentStatus - 'failed' or 'cancelled'
+ * @returns {Promise<Object|null>} Cancelled booking, or null when it was no longer awaiting payment
+ */
+const cancelUnpaidBooking = async (bookingId, paymentStatus) => {
+    // Conditional update so a late payment and the expiry job cannot both win
+    const cancelled = await ConsultationBooking.findOneAndUpdate(
+        { _id: bookingId, status: 'pending', 'payment.status': 'pending' },
+        {
+            $set: {
+                status: 'cancelled',
+                cancelledAt: new Date(),
+                cancelledBy: 'system',
+                'payment.status': paymentStatus
+            }
+        },
+        { new: true }
+    ).populate('slotId');
+    if (!cancelled) {
+        return null;
+    }
+
+    await ConsultationSlot.releaseSpot(cancelled.slotId._id);
+    offerFreedSeats(cancelled.slotId._id);
+
+    logger.info(`Unpaid booking cancelled: ${bookingId} (payment ${paymentStatus})`);
+
+    sendPaymentCancelledEmail(cancelled).catch((error) => {
+        logger.error('Email sending error (non-blocking)', { error: error.message });
+    });
+    return cancelled;
+};
+
+/**
+ * Cancel the bookings whose payment deadline passed
+ * @returns {Promise<Object>} { cancelled }
+ */
+const expireUnpaidBookings = async () => {
+    const now = new Date();
+    const bookings = await ConsultationBooking.find({ status: 'pending', 'payment.status': 'pending' })
+        .select('createdAt slotId')
+        .populate('slotId', 'startAt')
+        .lean();
+
+    let cancelled = 0;
+    for (const booking of bookings) {
+        if (getPaymentDeadline(booking, booking.slotId) > now) {
+            continue;
+        }
+        if (await cancelUnpaidBooking(booking._id, 'cancelled')) {
+            cancelled += 1;
+        }
+    }
+
+    if (cancelled > 0) {
+        logger.info(`Payment job cancelled ${cancelled} unpaid booking(s)`);
+    }
+    return { cancelled };
+};
+
+module.exports = {
+    formatAmount,
+    sendPaymentRequestEmail,
+    cancelUnpaidBooking,
+    expireUnpaidBookings
+};
@@ -0,0 +1,262 @@
+const config = require('./config');
+const logger = require('./logger');
+const { sendMail } = require('./mailer');
+const { formatZonedRange, formatZonedDateTime } = require('./timezone');
+const { hasBlackout } = require('./availabilityRules');
+const { issueClaimToken } = require('../auth/waitlist-token');
+const ConsultationSlot = require('../models/ConsultationSlot');
+const ConsultationWaitlistEntry = require('../models/ConsultationWaitlistEntry');
+
+/**
+ * Waitlist of full consultation slots.
+ *
+ * When a seat frees up, the first waiting entry for the slot (or for any slot on its date)
+ * is offered it by email with a claim link valid for `config.consultation.waitlistOfferMinutes`.
+ * The offer does not hold the seat: claiming reserves it atomically, so the seat can never
+ * be overbooked, and an offer that lost the seat to another booking goes back to waiting.
+ */
+
+const OFFER_FIELDS_CLEARED = {
+    offerSlotId: null,
+    offeredAt: null,
+    offerExpiresAt: null
+};
+
+const getBusinessTimeZone = () => config.googleCalendar.timezone || 'Asia/Kolkata';
+
+const getClaimUrl = (entryId, token) =>
+    `${config.website.url}/consultation/waitlist/${entryId}?token=${encodeURIComponent(token)}`;
+
+/**
+ * First waiting entry that may take a seat in a slot
+ * @param {Object} slot
+ * @returns {Promise<Object|null>}
+ */
+const findNextEntry = (slot) => ConsultationWaitlistEntry.findOne({
+    status: 'waiting',
+    $or: [
+        { slotId: slot._id },
+        { slotId: null, dateStart: { $lte: slot.startAt }, dateEnd: { $gt: slot.startAt } }
+    ]
+}).sort({ createdAt: 1 }).lean();
+
+/**
+ * Email a waitlisted client the offer of a seat
+ * @param {Object} entry - Waitlist entry
+ * @param {Object} slot - Offered slot
+ * @param {String} token - Raw claim token
+ */
+const sendOfferEmail = async (entry, slot, token) => {
+    const entryId = entry._id.toString();
+    const timezone = entry.timezone || getBusinessTimeZone();
+    const time = formatZonedRange(slot.startAt, slot.endAt, timezone);
+    const expires = formatZonedDateTime(entry.offerExpiresAt, timezone);
+    const claimUrl = getClaimUrl(entryId, token);
+
+    const text = `
+Dear ${entry.userName},
+
+Good news: a seat in a consultation you were waiting for has become available.
+
+- Time: ${time}
+- Duration: ${slot.duration} minutes
+
+Claim it before ${expires}: ${claimUrl}
+After that, the seat is offered to the next person on the waitlist.
+
+For any questions, please contact us at contact@euproximax.com
+
+Best regards,
+EuProximaX Team
+    `.trim();
+
+    const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>A Consultation Seat Is Available</title>
+</head>
+<body style="margin: 0; padding: 0; background-color: #f4f6f9; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;">
+    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f4f6f9;">
+        <tr>
+            <td align="center" style="padding: 40px 20px;">
+                <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="600" style="max-width: 600px; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.07); overflow: hidden;">
+                    <tr>
+                        <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 35px 40px; text-align: center;">
+                            <h1 style="margin: 0; color: #ffffff; font-size: 26px; font-weight: 700; line-height: 1.2;">A Seat Is Available</h1>
+                            <p style="margin: 8px 0 0 0; color: rgba(255, 255, 255, 0.95); font-size: 15px;">EuProximaX Consultation Service</p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 30px 35px;">
+                            <p style="margin: 0 0 15px 0; color: #1a1a1a; font-size: 16px; line-height: 1.5;">Dear <strong style="color: #667eea;">${entry.userName}</strong>,</p>
+                            <p style="margin: 0 0 25px 0; color: #4a5568; font-size: 15px; line-height: 1.6;">A seat in a consultation you were waiting for has become available.</p>
+                            <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background: linear-gradient(135deg, #f8f9ff 0%, #f0f4ff 100%); border-radius: 8px; border-left: 4px solid #667eea; margin: 0 0 20px 0;">
+                                <tr>
+                                    <td style="padding: 20px 25px;">
+                                        <p style="margin: 0 0 10px 0; color: #718096; font-size: 13px;">Time: <strong style="color: #1a1a1a;">${time}</strong></p>
+                                        <p style="margin: 0 0 10px 0; color: #718096; font-size: 13px;">Duration: <span style="color: #1a1a1a;">${slot.duration} minutes</span></p>
+                                        <p style="margin: 0; color: #718096; font-size: 13px;">Claim before: <strong style="color: #1a1a1a;">${expires}</strong></p>
+                                    </td>
+                                </tr>
+                            </table>
+                            <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="margin: 0 0 20px 0;">
+                                <tr>
+                                    <td align="center">
+                                        <a href="${claimUrl}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; padding: 12px 24px; border-radius: 8px; font-size: 15px; font-weight: 600;">Claim Your Seat</a>
+                                    </td>
+                                </tr>
+                            </table>
+                            <p style="margin: 0; color: #4a5568; font-size: 14px; line-height: 1.6;">After that, the seat is offered to the next person on the waitlist. This link is personal - please do not share it.</p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="background-color: #f8f9fa; padding: 25px 35px; text-align: center; border-top: 1px solid #e2e8f0;">
+                            <p style="margin: 0; color: #a0aec0; font-size: 11px; line-height: 1.4;">This is an automated email. Waitlist ID: ${entryId.slice(-8)}</p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`;
+
+    await sendMail({ to: entry.userEmail, subject: 'A consultation seat is available for you', text, html });
+};
+
+/**
+ * Offer the free seats of a slot to the waitlist. Seats with an open offer are not offered again.
+ * Called whenever a booking leaves a slot; errors are logged, not thrown.
+ * @param {ObjectId} slotId
+ * @returns {Promise<number>} Number of offers sent
+ */
+const offerFreedSeats = async (slotId) => {
+    try {
+        const now = new Date();
+        const slot = await ConsultationSlot.findById(slotId).lean();
+        if (!slot || !slot.startAt || slot.status !== 'available' || !slot.isAvailable || slot.startAt <= now) {
+            return 0;
+        }
+        if (await hasBlackout(slot.startAt, slot.endAt, slot.consultantId)) {
+            return 0;
+        }
+
+        const openOffers = await ConsultationWaitlistEntry.countDocuments({
+            status: 'offered',
+            offerSlotId: slot._id,
+            offerExpiresAt: { $gt: now }
+        });
+        let free = slot.maxBookings - (slot.bookedCount || 0) - openOffers;
+        let offered = 0;
+
+        while (free > 0) {
+            const next = await findNextEntry(slot);
+            if (!next) {
+                break;
+            }
+
+            const { token, tokenHash } = issueClaimToken();
+            const offerExpiresAt = new Date(Math.min(
+                now.getTime() + config.consultation.waitlistOfferMinutes * 60 * 1000,
+                slot.startAt.getTime()
+            ));
+            // Conditional, so a concurrent run cannot offer the entry a second seat
+            const entry = await ConsultationWaitlistEntry.findOneAndUpdate(
+                { _id: next._id, status: 'waiting' },
+                { $set: { status: 'offered', offerSlotId: slot._id, claimTokenHash: tokenHash, offeredAt: now, offerExpiresAt } },
+                { new: true }
+            ).lean();
+            if (!entry) {
+                continue;
+            }
+
+            try {
+                await sendOfferEmail(entry, slot, token);
+            } catch (error) {
+                logger.error(`Failed to send waitlist offer for entry ${entry._id}`, { error: error.message });
+                // Back in line; the next run of the waitlist job offers the seat again
+                await ConsultationWaitlistEntry.updateOne(
+                    { _id: entry._id, status: 'offered' },
+                    { $set: { status: 'waiting', ...OFFER_FIELDS_CLEARED }, $unset: { claimTokenHash: 1 } }
+                );
+                break;
+            }
+
+            logger.info(`Waitlist entry ${entry._id} offered a seat in slot ${slot._id}`);
+            offered += 1;
+            free -= 1;
+        }
+        return offered;
+    } catch (error) {
+        logger.error('Failed to offer freed seats to the waitlist', { slotId, error: error.message, stack: error.stack });
+        return 0;
+    }
+};
+
+/**
+ * Put an offered entry back in line, e.g. when the seat was booked before the claim
+ * @param {ObjectId} entryId
+ */
+const returnToWaitlist = (entryId) => ConsultationWaitlistEntry.updateOne(
+    { _id: entryId },
+    { $set: { status: 'waiting', claimedAt: null, ...OFFER_FIELDS_CLEARED }, $unset: { claimTokenHash: 1 } }
+);
+
+/**
+ * Waitlist job: expire unclaimed offers and entries for times that have passed,
+ * then offer free seats of the slots with waiting entries
+ * @returns {Promise<Object>} { expiredOffers, expiredEntries, offered }
+ */
+const processWaitlist = async () => {
+    const now = new Date();
+
+    const lapsed = await ConsultationWaitlistEntry.find({ status: 'offered', offerExpiresAt: { $lte: now } })
+        .select('_id offerSlotId')
+        .lean();
+    if (lapsed.length > 0) {
+        await ConsultationWaitlistEntry.updateMany(
+            { _id: { $in: lapsed.map((entry) => entry._id) }, status: 'offered' },
+            { $set: { status: 'expired' }, $unset: { claimTokenHash: 1 } }
+        );
+    }
+
+    const waitingSlotIds = await ConsultationWaitlistEntry.distinct('slotId', { status: 'waiting', slotId: { $ne: null } });
+    const pastSlotIds = await ConsultationSlot.find({ _id: { $in: waitingSlotIds }, startAt: { $lte: now } }).distinct('_id');
+    const [pastSlotEntries, pastDateEntries] = await Promise.all([
+        ConsultationWaitlistEntry.updateMany(
+            { status: 'waiting', slotId: { $in: pastSlotIds } },
+            { $set: { status: 'expired' } }
+        ),
+        ConsultationWaitlistEntry.updateMany(
+            { status: 'waiting', slotId: null, dateEnd: { $lte: now } },
+            { $set: { status: 'expired' } }
+        )
+    ]);
+
+    // Seats of lapsed offers, plus seats freed without a booking leaving (e.g. maxBookings raised)
+    const slotIds = new Set([
+        ...lapsed.map((entry) => String(entry.offerSlotId)),
+        ...waitingSlotIds.map(String)
+    ]);
+    pastSlotIds.forEach((slotId) => slotIds.delete(String(slotId)));
+
+    let offered = 0;
+    for (const slotId of slotIds) {
+        offered += await offerFreedSeats(slotId);
+    }
+
+    return {
+        expiredOffers: lapsed.length,
+        expiredEntries: pastSlotEntries.modifiedCount + pastDateEntries.modifiedCount,
+        offered
+    };
+};
+
+module.exports = {
+    offerFreedSeats,
+    returnToWaitlist,
+    processWaitlist
+};
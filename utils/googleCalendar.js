@@ -115,6 +115,7 @@ const initializeCalendarClient = async () => {
  * @param {Array<string>} eventData.attendees - Array of attendee email addresses
  * @param {string} eventData.location - Optional location
  * @param {string} eventData.timezone - Timezone (default: 'Asia/Kolkata')
+ * @param {string} eventData.calendarId - Calendar to create the event on; its owner is the organiser (default: GOOGLE_CALENDAR_ID)
  * @returns {Promise<Object>} Created event with Meet link
  */
 const createCalendarEventWithMeet = async (eventData) => {
@@ -129,7 +130,8 @@ const createCalendarEventWithMeet = async (eventData) => {
       description = '',
       attendees = [],
       location = '',
-      timezone = eventData.timezone || googleCalendar.timezone || 'Asia/Kolkata'
+      timezone = eventData.timezone || googleCalendar.timezone || 'Asia/Kolkata',
+      calendarId = googleCalendar.calendarId || 'primary'
     } = eventData;
 
     // Validate required fields
@@ -182,7 +184,7 @@ const createCalendarEventWithMeet = async (eventData) => {
     let response;
     try {
       response = await client.events.insert({
-        calendarId: googleCalendar.calendarId || 'primary',
+        calendarId,
         conferenceDataVersion: 1, // Required to create Meet link
         requestBody: event,
         sendUpdates: 'none' // Don't send email notifications
@@ -201,7 +203,7 @@ const createCalendarEventWithMeet = async (eventData) => {
         }
         
         response = await client.events.insert({
-          calendarId: googleCalendar.calendarId || 'primary',
+          calendarId,
           conferenceDataVersion: 1,
           requestBody: eventWithoutSolutionKey,
           sendUpdates: 'none'
@@ -227,7 +229,7 @@ const createCalendarEventWithMeet = async (eventData) => {
     if (!createdEvent.conferenceData && !createdEvent.hangoutLink) {
       logger.info('Conference data not in initial response, fetching event details...', {
         eventId: createdEvent.id,
-        calendarId: googleCalendar.calendarId || 'primary'
+        calendarId
       });
       
       // Wait a short moment for Google to process the conference data
@@ -235,7 +237,7 @@ const createCalendarEventWithMeet = async (eventData) => {
       
       try {
         const fetchedEvent = await client.events.get({
-          calendarId: googleCalendar.calendarId || 'primary',
+          calendarId,
           eventId: createdEvent.id,
           conferenceDataVersion: 1
         });
@@ -305,7 +307,7 @@ const createCalendarEventWithMeet = async (eventData) => {
       try {
         // Try to update the event with conference data
         const patchResponse = await client.events.patch({
-          calendarId: googleCalendar.calendarId || 'primary',
+          calendarId,
           eventId: createdEvent.id,
           conferenceDataVersion: 1,
           requestBody: {
@@ -350,7 +352,7 @@ const createCalendarEventWithMeet = async (eventData) => {
         
         try {
           const retryResponse = await client.events.get({
-            calendarId: googleCalendar.calendarId || 'primary',
+            calendarId,
             eventId: createdEvent.id,
             conferenceDataVersion: 1
           });
@@ -404,7 +406,7 @@ This is a Google Calendar API limitation for service accounts.`;
         eventId: createdEvent.id,
         hasConferenceData: !!createdEvent.conferenceData,
         hasHangoutLink: !!createdEvent.hangoutLink,
-        calendarId: googleCalendar.calendarId,
+        calendarId,
         serviceAccountEmail: googleCalendar.serviceAccountEmail,
         instructions: shareInstructions
       });
@@ -440,7 +442,7 @@ This is a Google Calendar API limitation for service accounts.`;
       error: error.message,
       errorCode: error.code,
       stack: error.stack,
-      calendarId: calConfig?.calendarId || 'primary'
+      calendarId: eventData.calendarId || calConfig?.calendarId || 'primary'
     });
     
     throw new Error(errorMessage);
@@ -451,15 +453,16 @@ This is a Google Calendar API limitation for service accounts.`;
  * Update an existing calendar event
  * @param {string} eventId - Google Calendar event ID
  * @param {Object} updates - Fields to update
+ * @param {string} calendarId - Calendar holding the event (default: GOOGLE_CALENDAR_ID)
  * @returns {Promise<Object>} Updated event
  */
-const updateCalendarEvent = async (eventId, updates) => {
+const updateCalendarEvent = async (eventId, updates, calendarId) => {
   try {
-    const client = initializeCalendarClient();
+    const client = await initializeCalendarClient();
     const { googleCalendar } = config;
 
     const response = await client.events.patch({
-      calendarId: googleCalendar.calendarId || 'primary',
+      calendarId: calendarId || googleCalendar.calendarId || 'primary',
       eventId,
       requestBody: updates
     });
@@ -478,15 +481,16 @@ const updateCalendarEvent = async (eventId, updates) => {
 /**
  * Delete a calendar event
  * @param {string} eventId - Google Calendar event ID
+ * @param {string} calendarId - Calendar holding the event (default: GOOGLE_CALENDAR_ID)
  * @returns {Promise<void>}
  */
-const deleteCalendarEvent = async (eventId) => {
+const deleteCalendarEvent = async (eventId, calendarId) => {
   try {
     const client = await initializeCalendarClient();
     const { googleCalendar } = config;
 
     await client.events.delete({
-      calendarId: googleCalendar.calendarId || 'primary',
+      calendarId: calendarId || googleCalendar.calendarId || 'primary',
       eventId
     });
 
@@ -500,6 +504,19 @@ const deleteCalendarEvent = async (eventId) => {
   }
 };
 
+/**
+ * Whether events can carry attendees: OAuth2 credentials, or a service account
+ * with domain-wide delegation. Plain service accounts are rejected by Google.
+ * @returns {boolean}
+ */
+const canInviteAttendees = () => {
+  const { googleCalendar } = config;
+  return Boolean(
+    (googleCalendar.clientId && googleCalendar.clientSecret && googleCalendar.refreshToken) ||
+    googleCalendar.delegateUser
+  );
+};
+
 /**
  * Get a calendar event by ID
  * @param {string} eventId - Google Calendar event ID
@@ -583,6 +600,7 @@ module.exports = {
   updateCalendarEvent,
   deleteCalendarEvent,
   getCalendarEvent,
+  canInviteAttendees,
   initializeCalendarClient,
   verifyCalendarAccess
 };
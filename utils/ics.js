@@ -0,0 +1,190 @@
+const config = require('./config');
+
+/**
+ * iCalendar (RFC 5545) documents for calendar attachments and subscribable feeds.
+ * Times are written in UTC, so no VTIMEZONE components are needed.
+ */
+
+const PRODUCT_ID = '-//EuProximaX//Backend//EN';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ */
+const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+
+/**
+ * UTC date-time in the basic format, e.g. 20260105T093000Z
+ */
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line to at most 75 octets per line, without splitting a UTF-8 character
+ */
+const foldLine = (line) => {
+    if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) {
+        return line;
+    }
+
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts towards their length
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+/**
+ * Host name used to make event UIDs globally unique
+ */
+const getUidDomain = () => {
+    try {
+        return new URL(config.website.url).hostname;
+    } catch (error) {
+        return 'euproximax.com';
+    }
+};
+
+/**
+ * Lines of one VEVENT
+ * @param {Object} event
+ * @param {String} event.uid - Stable ID; calendars update the entry with the same UID
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {String} event.summary
+ * @param {String} event.description
+ * @param {String} event.location
+ * @param {String} event.url
+ * @param {String} event.status - TENTATIVE, CONFIRMED or CANCELLED
+ * @param {Number} event.sequence - Revision, raised whenever the time changes
+ * @param {Date} event.updatedAt - Last change, used as DTSTAMP
+ * @returns {Array<String>}
+ */
+const buildEvent = (event) => {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${formatDateTime(event.updatedAt || new Date())}`,
+        `DTSTART:${formatDateTime(event.start)}`,
+        `DTEND:${formatDateTime(event.end)}`,
+        `SEQUENCE:${event.sequence || 0}`,
+        `SUMMARY:${escapeText(event.summary)}`
+    ];
+    if (event.description) {
+        lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.location) {
+        lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    if (event.url) {
+        lines.push(`URL:${event.url}`);
+    }
+    if (event.status) {
+        lines.push(`STATUS:${event.status}`);
+    }
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+/**
+ * Complete iCalendar document
+ * @param {Object} options
+ * @param {String} options.name - Calendar name shown by subscribing clients
+ * @param {Array} options.events - Events as accepted by buildEvent
+ * @returns {String}
+ */
+const buildCalendar = ({ name, events = [] }) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    if (name) {
+        lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    }
+    events.forEach((event) => lines.push(...buildEvent(event)));
+    lines.push('END:VCALENDAR');
+
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+const BOOKING_STATUSES = {
+    pending: 'TENTATIVE',
+    cancelled: 'CANCELLED'
+};
+
+/**
+ * Event of a consultation booking
+ * @param {Object} booking - ConsultationBooking
+ * @param {Object} times - { start, end } of the booking's slot
+ * @param {Object} options
+ * @param {Boolean} options.forAdmin - Describe the client instead of addressing them
+ * @param {String} options.url - Link to the booking, e.g. its manage or admin page
+ * @returns {Object} Event as accepted by buildEvent
+ */
+const buildBookingEvent = (booking, { start, end }, { forAdmin = false, url = null } = {}) => {
+    const description = forAdmin
+        ? [
+            `Client: ${booking.userName} <${booking.userEmail}>`,
+            booking.userPhone ? `Phone: ${booking.userPhone}` : null,
+            booking.message ? `Message: ${booking.message}` : null,
+            booking.meetingLink ? `Meeting link: ${booking.meetingLink}` : null
+        ]
+        : [
+            'Your consultation with EuProximaX.',
+            booking.meetingLink ? `Meeting link: ${booking.meetingLink}` : null,
+            url ? `Reschedule or cancel: ${url}` : null
+        ];
+
+    return {
+        uid: `booking-${booking._id}@${getUidDomain()}`,
+        start,
+        end,
+        summary: forAdmin ? `Consultation: ${booking.userName}` : 'EuProximaX Consultation',
+        description: description.filter(Boolean).join('\n'),
+        location: booking.meetingLink,
+        url,
+        status: BOOKING_STATUSES[booking.status] || 'CONFIRMED',
+        sequence: booking.rescheduleCount,
+        updatedAt: booking.updatedAt
+    };
+};
+
+/**
+ * Nodemailer attachment of a calendar document
+ * @param {String} calendar - Result of buildCalendar
+ * @param {String} filename
+ */
+const toAttachment = (calendar, filename = 'invite.ics') => ({
+    filename,
+    content: calendar,
+    contentType: 'text/calendar; charset=utf-8; method=PUBLISH'
+});
+
+module.exports = {
+    escapeText,
+    formatDateTime,
+    foldLine,
+    getUidDomain,
+    buildEvent,
+    buildCalendar,
+    buildBookingEvent,
+    toAttachment
+};
@@ -0,0 +1,162 @@
+const ConsultationIntakeForm = require('../models/ConsultationIntakeForm');
+const ConsultationAvailabilityRule = require('../models/ConsultationAvailabilityRule');
+const ConsultationSlot = require('../models/ConsultationSlot');
+const ConsultationType = require('../models/ConsultationType');
+const { parseVirtualSlotId } = require('./availabilityRules');
+
+/**
+ * Intake forms of consultation bookings.
+ * A slot asks the form in its `intakeFormId` (copied from its availability rule for rule
+ * slots), else the form of its consultation type, else the default form. Inactive forms are not asked.
+ */
+
+const TEXT_LIMITS = {
+    text: 500,
+    textarea: 5000
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === ''
+    || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Form a client answers when booking a slot
+ * @param {Object} slot - Stored slot or virtual slot
+ * @returns {Promise<Object|null>} Active form, or null when none is asked
+ */
+const resolveIntakeForm = async (slot) => {
+    if (slot.intakeFormId) {
+        return ConsultationIntakeForm.findOne({ _id: slot.intakeFormId, isActive: true }).lean();
+    }
+    const type = slot.typeId ? await ConsultationType.findById(slot.typeId).select('intakeFormId').lean() : null;
+    if (type?.intakeFormId) {
+        return ConsultationIntakeForm.findOne({ _id: type.intakeFormId, isActive: true }).lean();
+    }
+    return ConsultationIntakeForm.findOne({ isDefault: true, isActive: true }).lean();
+};
+
+/**
+ * Form of a slot by ID, without storing virtual slots
+ * @param {String} slotId - Stored or virtual slot ID
+ * @returns {Promise<Object|null|undefined>} Form, null when none is asked, undefined when the slot does not exist
+ */
+const findIntakeFormForSlot = async (slotId) => {
+    const parsed = parseVirtualSlotId(slotId);
+    // A stored occurrence replaces the virtual slot
+    const slot = parsed
+        ? await ConsultationSlot.findOne({ ruleId: parsed.ruleId, startAt: parsed.startAt }).select('intakeFormId typeId').lean()
+            || await ConsultationAvailabilityRule.findById(parsed.ruleId).select('intakeFormId typeId').lean()
+        : await ConsultationSlot.findById(slotId).select('intakeFormId typeId').lean();
+    if (!slot) {
+        return undefined;
+    }
+    return resolveIntakeForm(slot);
+};
+
+/**
+ * Check one answer against its question
+ * @returns {Object} { value } normalised answer, or { error }
+ */
+const checkAnswer = (question, value) => {
+    const { label, type, options = [] } = question;
+
+    switch (type) {
+        case 'text':
+        case 'textarea': {
+            if (typeof value !== 'string') {
+                return { error: `${label} must be text` };
+            }
+            const text = value.trim();
+            if (text.length > TEXT_LIMITS[type]) {
+                return { error: `${label} must not exceed ${TEXT_LIMITS[type]} characters` };
+            }
+            return { value: text };
+        }
+        case 'select':
+            if (!options.includes(value)) {
+                return { error: `${label} must be one of: ${options.join(', ')}` };
+            }
+            return { value };
+        case 'multiselect': {
+            const values = Array.isArray(value) ? [...new Set(value)] : [value];
+            if (values.some((item) => !options.includes(item))) {
+                return { error: `${label} must be chosen from: ${options.join(', ')}` };
+            }
+            return { value: values };
+        }
+        case 'checkbox':
+            if (typeof value !== 'boolean') {
+                return { error: `${label} must be true or false` };
+            }
+            return { value };
+        case 'number': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) {
+                return { error: `${label} must be a number` };
+            }
+            return { value: number };
+        }
+        case 'date':
+            if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+                return { error: `${label} must be a date in YYYY-MM-DD format` };
+            }
+            return { value };
+        default:
+            return { error: `${label} has an unknown question type` };
+    }
+};
+
+/**
+ * Validate the answers of an intake form. Answers to unknown questions are dropped.
+ * A required checkbox has to be ticked, e.g. for a consent question.
+ * @param {Object} form - Intake form
+ * @param {Object} answers - Answers by question key
+ * @returns {Object} { answers: [{ key, label, value }] in question order, errors: [String] }
+ */
+const validateIntakeAnswers = (form, answers) => {
+    const given = answers && typeof answers === 'object' && !Array.isArray(answers) ? answers : {};
+    const result = [];
+    const errors = [];
+
+    for (const question of form.questions) {
+        const raw = given[question.key];
+        if (isEmpty(raw) || (question.type === 'checkbox' && raw === false && question.required)) {
+            if (question.required) {
+                errors.push(`${question.label} is required`);
+            }
+            continue;
+        }
+
+        const { value, error } = checkAnswer(question, raw);
+        if (error) {
+            errors.push(error);
+        } else if (question.required && isEmpty(value)) {
+            errors.push(`${question.label} is required`);
+        } else if (!isEmpty(value)) {
+            result.push({ key: question.key, label: question.label, value });
+        }
+    }
+
+    return { answers: result, errors };
+};
+
+/**
+ * Human readable answer, for emails
+ * @param {*} value
+ * @returns {String}
+ */
+const formatAnswer = (value) => {
+    if (Array.isArray(value)) {
+        return value.join(', ');
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'Yes' : 'No';
+    }
+    return String(value);
+};
+
+module.exports = {
+    resolveIntakeForm,
+    findIntakeFormForSlot,
+    validateIntakeAnswers,
+    formatAnswer
+};
@@ -0,0 +1,101 @@
+const config = require('./config');
+const logger = require('./logger');
+const { getZonedParts } = require('./timezone');
+const InvoiceSequence = require('../models/InvoiceSequence');
+
+/**
+ * Sequential invoice numbers per financial year, e.g. EPX/2026-27/0001.
+ * A number is allocated when a quote is first sent and stays with the project.
+ */
+
+// Attempts at creating the sequence of a new financial year when two allocations race for it
+const MAX_ALLOCATION_ATTEMPTS = 2;
+
+const getBusinessTimeZone = () => config.googleCalendar.timezone || 'Asia/Kolkata';
+
+/**
+ * Financial year of a date, e.g. '2026-27' for 15 May 2026 when the year starts in April
+ * @param {Date} date
+ * @returns {String}
+ */
+const getFinancialYear = (date = new Date()) => {
+    const { year, month } = getZonedParts(date, getBusinessTimeZone());
+    const startYear = month >= config.invoice.financialYearStartMonth ? year : year - 1;
+    if (config.invoice.financialYearStartMonth === 1) {
+        return String(startYear);
+    }
+    return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+const formatInvoiceNumber = (key, number) => `${key}/${String(number).padStart(config.invoice.digits, '0')}`;
+
+/**
+ * Split an invoice number into its sequence key and number
+ * @returns {Object|null} { key, number }, or null for numbers not made here
+ */
+const parseInvoiceNumber = (invoiceNumber) => {
+    const match = /^(.+)\/(\d+)$/.exec(invoiceNumber || '');
+    return match ? { key: match[1], number: parseInt(match[2], 10) } : null;
+};
+
+/**
+ * Allocate the next invoice number of the financial year of `date`. A released
+ * number is reused before the sequence moves on.
+ * @param {Date} date - Issue date
+ * @returns {Promise<String>}
+ */
+const allocateInvoiceNumber = async (date = new Date()) => {
+    const key = `${config.invoice.prefix}/${getFinancialYear(date)}`;
+
+    // Returns the document before the update, so released[0] is the number taken
+    const reused = await InvoiceSequence.findOneAndUpdate(
+        { key, 'released.0': { $exists: true } },
+        { $pop: { released: -1 } },
+        { new: false }
+    ).lean();
+    if (reused) {
+        return formatInvoiceNumber(key, reused.released[0]);
+    }
+
+    for (let attempt = 1; attempt <= MAX_ALLOCATION_ATTEMPTS; attempt++) {
+        try {
+            const sequence = await InvoiceSequence.findOneAndUpdate(
+                { key },
+                { $inc: { lastNumber: 1 } },
+                { new: true, upsert: true }
+            ).lean();
+            return formatInvoiceNumber(key, sequence.lastNumber);
+        } catch (error) {
+            if (error.code !== 11000 || attempt === MAX_ALLOCATION_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Give back a number whose quote could not be sent, so the next allocation reuses it.
+ * Failures are logged; the number is then skipped.
+ * @param {String} invoiceNumber
+ */
+const releaseInvoiceNumber = async (invoiceNumber) => {
+    const parsed = parseInvoiceNumber(invoiceNumber);
+    if (!parsed) {
+        return;
+    }
+    try {
+        await InvoiceSequence.updateOne(
+            { key: parsed.key, lastNumber: { $gte: parsed.number }, released: { $ne: parsed.number } },
+            { $push: { released: { $each: [parsed.number], $sort: 1 } } }
+        );
+    } catch (error) {
+        logger.error('Release invoice number failed', { error: error.message, invoiceNumber });
+    }
+};
+
+module.exports = {
+    getFinancialYear,
+    allocateInvoiceNumber,
+    releaseInvoiceNumber
+};
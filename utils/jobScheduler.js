@@ -0,0 +1,174 @@
+const os = require('os');
+const config = require('./config');
+const logger = require('./logger');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+
+/**
+ * In-process scheduler for recurring background jobs.
+ *
+ * Every instance polls the jobs collection; a due job is claimed with a
+ * conditional update that sets its lock, so only one instance runs it even
+ * when several PM2 instances share the database. Each run is recorded in JobRun.
+ */
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const DEFAULT_LOCK_MS = 10 * 60 * 1000;
+
+const definitions = new Map();
+let timer = null;
+let ticking = false;
+
+/**
+ * Register a job. Call before startScheduler().
+ * @param {String} name - Unique job name
+ * @param {Object} options
+ * @param {Number} options.intervalMs - Time between the starts of two runs
+ * @param {Function} options.handler - Async function; its return value is stored as the run's result.
+ * A thrown error fails the run; an `error.result` is stored as well.
+ * @param {Number} options.lockMs - How long a run may take before another instance may take over
+ */
+const defineJob = (name, { intervalMs, handler, lockMs = DEFAULT_LOCK_MS }) => {
+    definitions.set(name, { intervalMs, handler, lockMs });
+};
+
+/**
+ * Create the job document on first start, keeping the schedule of an existing one
+ */
+const ensureJob = async (name, intervalMs) => {
+    try {
+        await Job.updateOne(
+            { name },
+            { $set: { intervalMs }, $setOnInsert: { nextRunAt: new Date() } },
+            { upsert: true }
+        );
+    } catch (err) {
+        // Another instance created it at the same time
+        if (err.code !== 11000) throw err;
+    }
+};
+
+/**
+ * Take the lock of a due job
+ * @returns {Promise<Object|null>} The job as it was before the claim, or null when not due or locked
+ */
+const claimJob = (name, lockMs) => {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+        {
+            name,
+            nextRunAt: { $lte: now },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        },
+        { $set: { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + lockMs), lastRunAt: now } }
+    ).lean();
+};
+
+const runJob = async (name, definition, previous) => {
+    // The previous run's lock expired: that instance stopped or hung mid-run
+    if (previous.lockedBy) {
+        await JobRun.updateMany(
+            { jobName: name, instanceId: previous.lockedBy, status: 'running' },
+            { $set: { status: 'failed', error: 'Lock expired before the run finished', finishedAt: new Date() } }
+        );
+    }
+
+    const startedAt = new Date();
+    const run = await JobRun.create({
+        jobName: name,
+        instanceId: INSTANCE_ID,
+        startedAt,
+        expiresAt: new Date(startedAt.getTime() + config.jobs.runRetentionDays * 24 * 60 * 60 * 1000)
+    });
+
+    let status = 'succeeded';
+    let result = null;
+    let error = null;
+    try {
+        result = (await definition.handler()) ?? null;
+    } catch (err) {
+        status = 'failed';
+        result = err.result ?? null;
+        error = err.message;
+        logger.error(`Job ${name} failed`, { error: err.message, stack: err.stack });
+    }
+
+    const finishedAt = new Date();
+    await JobRun.updateOne(
+        { _id: run._id },
+        { $set: { status, result, error, finishedAt, durationMs: finishedAt - startedAt } }
+    );
+    await Job.updateOne(
+        { name, lockedBy: INSTANCE_ID },
+        {
+            $set: {
+                lastFinishedAt: finishedAt,
+                lastStatus: status,
+                lastError: error,
+                nextRunAt: new Date(startedAt.getTime() + definition.intervalMs),
+                lockedBy: null,
+                lockedUntil: null
+            }
+        }
+    );
+
+    logger.debug(`Job ${name} ${status} in ${finishedAt - startedAt}ms`);
+};
+
+const tick = async () => {
+    // A slow job must not overlap the next poll of this instance
+    if (ticking) {
+        return;
+    }
+    ticking = true;
+    try {
+        for (const [name, definition] of definitions) {
+            const previous = await claimJob(name, definition.lockMs);
+            if (previous) {
+                await runJob(name, definition, previous);
+            }
+        }
+    } catch (err) {
+        logger.error('Job scheduler error', { error: err.message, stack: err.stack });
+    } finally {
+        ticking = false;
+    }
+};
+
+/**
+ * Start polling for due jobs (no-op when JOBS_ENABLED=false)
+ */
+const startScheduler = async () => {
+    if (!config.jobs.enabled) {
+        logger.info('Background jobs are disabled on this instance');
+        return;
+    }
+    if (timer) {
+        return;
+    }
+
+    for (const [name, definition] of definitions) {
+        await ensureJob(name, definition.intervalMs);
+    }
+
+    timer = setInterval(tick, config.jobs.pollIntervalMs);
+    timer.unref();
+    tick();
+
+    logger.info(`Job scheduler started on ${INSTANCE_ID} with ${definitions.size} job(s)`);
+};
+
+/**
+ * Stop polling; a run in progress finishes on its own
+ */
+const stopScheduler = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    INSTANCE_ID,
+    defineJob,
+    startScheduler,
+    stopScheduler
+};
@@ -34,7 +34,7 @@ setTimeout(() => {
     });
 }, 2000); // Delay verification to allow server to start first
 
-const sendMail = async ({ to, subject, html, text }) => {
+const sendMail = async ({ to, subject, html, text, attachments }) => {
     if (!config.mail.auth.user || !config.mail.auth.pass) {
         logger.warn('Mail credentials missing. Skipping email send.');
         return;
@@ -45,7 +45,8 @@ const sendMail = async ({ to, subject, html, text }) => {
         to,
         subject,
         text,
-        html
+        html,
+        attachments
     };
 
     try {
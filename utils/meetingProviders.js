@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+const {
+    createCalendarEventWithMeet,
+    updateCalendarEvent,
+    deleteCalendarEvent,
+    canInviteAttendees
+} = require('./googleCalendar');
+const User = require('../models/User');
+const ConsultantAvailability = require('../models/ConsultantAvailability');
+
+/**
+ * Meeting providers of consultation bookings, chosen with MEETING_PROVIDER:
+ * - google: Google Calendar event with a Meet link
+ * - static: the consultant's fixed room URL (e.g. their Zoom room), else MEETING_STATIC_URL
+ * - jitsi: a generated, unguessable room on JITSI_BASE_URL
+ * - manual: no link; an admin adds it to the booking later
+ *
+ * Every provider has `create(context)` and `move(context)`, resolving to
+ * { meetingLink, calendarEventId, calendarId, pendingReason }. A null meetingLink comes
+ * with a `pendingReason` for the admins. Providers throw when the meeting could not be made.
+ *
+ * The context is { booking, startAt, endAt, timezone, description }, with the booking's
+ * consultant and time already set.
+ */
+
+const NO_MEETING = { meetingLink: null, calendarEventId: null, calendarId: null, pendingReason: null };
+
+/**
+ * Where a booking's calendar event goes
+ *
+ * A consultant whose availability template names a calendar gets the event on it,
+ * which makes them the organiser. Otherwise the event goes on the shared calendar
+ * and the consultant is invited, when the credentials allow attendees.
+ *
+ * @param {ObjectId} consultantId - Assigned consultant, if any
+ * @returns {Promise<Object>} { calendarId (null for the shared calendar), attendees }
+ */
+const getCalendarTarget = async (consultantId) => {
+    if (!consultantId) {
+        return { calendarId: null, attendees: [] };
+    }
+
+    const [consultant, availability] = await Promise.all([
+        User.findById(consultantId).select('email').lean(),
+        ConsultantAvailability.findOne({ consultantId }).select('calendarId').lean()
+    ]);
+
+    if (availability?.calendarId) {
+        return { calendarId: availability.calendarId, attendees: [] };
+    }
+    return {
+        calendarId: null,
+        attendees: consultant?.email && canInviteAttendees() ? [consultant.email] : []
+    };
+};
+
+const google = {
+    create: async ({ booking, startAt, endAt, timezone, description }, target) => {
+        const { calendarId, attendees } = target || await getCalendarTarget(booking.consultantId);
+
+        const eventResult = await createCalendarEventWithMeet({
+            startDateTime: startAt,
+            endDateTime: endAt,
+            summary: `Consultation: ${booking.userName}`,
+            description,
+            attendees,
+            location: 'Google Meet',
+            timezone,
+            ...(calendarId ? { calendarId } : {})
+        });
+
+        logger.info('Google Calendar event created for booking', {
+            bookingId: booking._id,
+            eventId: eventResult.eventId,
+            calendarId: calendarId || 'default',
+            meetLink: eventResult.meetLink ? 'generated' : 'missing'
+        });
+
+        return {
+            meetingLink: eventResult.meetLink || null,
+            calendarEventId: eventResult.eventId,
+            calendarId,
+            pendingReason: eventResult.meetLink
+                ? null
+                : 'Google Calendar created the event without a Meet link (see WHY_NO_MEET_LINKS.md)'
+        };
+    },
+
+    // The event is recreated when it cannot be patched or now belongs on another consultant's calendar
+    move: async (context) => {
+        const { booking, startAt, endAt, timezone, description } = context;
+        const target = await getCalendarTarget(booking.consultantId);
+
+        if (booking.calendarEventId && (target.calendarId || null) === (booking.calendarId || null)) {
+            try {
+                await updateCalendarEvent(booking.calendarEventId, {
+                    start: { dateTime: startAt.toISOString(), timeZone: timezone },
+                    end: { dateTime: endAt.toISOString(), timeZone: timezone },
+                    attendees: target.attendees.map((email) => ({ email })),
+                    description
+                }, booking.calendarId);
+                return {
+                    meetingLink: booking.meetingLink || null,
+                    calendarEventId: booking.calendarEventId,
+                    calendarId: booking.calendarId || null,
+                    pendingReason: booking.meetingLink ? null : booking.meetingLinkIssue || null
+                };
+            } catch (error) {
+                logger.warn('Failed to move calendar event, creating a new one', {
+                    bookingId: booking._id,
+                    eventId: booking.calendarEventId,
+                    error: error.message
+                });
+            }
+        }
+
+        await google.remove(booking);
+        return google.create(context, target);
+    },
+
+    remove: async (booking) => {
+        if (booking.calendarEventId) {
+            deleteCalendarEvent(booking.calendarEventId, booking.calendarId).catch(() => {});
+        }
+    }
+};
+
+const staticRoom = {
+    create: async ({ booking }) => {
+        const availability = booking.consultantId
+            ? await ConsultantAvailability.findOne({ consultantId: booking.consultantId }).select('meetingUrl').lean()
+            : null;
+        const meetingLink = availability?.meetingUrl || config.meetings.staticUrl;
+        if (!meetingLink) {
+            throw new Error('No meeting room URL is set for the consultant and MEETING_STATIC_URL is empty');
+        }
+        return { ...NO_MEETING, meetingLink };
+    },
+
+    // The room belongs to the consultant, so it follows the booking to a new consultant
+    move: (context) => staticRoom.create(context)
+};
+
+const jitsi = {
+    create: async () => {
+        const { jitsiBaseUrl, jitsiRoomPrefix } = config.meetings;
+        const room = `${jitsiRoomPrefix}-${crypto.randomBytes(12).toString('hex')}`;
+        return { ...NO_MEETING, meetingLink: `${jitsiBaseUrl.replace(/\/+$/, '')}/${room}` };
+    },
+
+    // The room is not tied to a time, so it is kept
+    move: async ({ booking }) => (booking.meetingLink ? { ...NO_MEETING, meetingLink: booking.meetingLink } : jitsi.create())
+};
+
+const manual = {
+    create: async () => ({ ...NO_MEETING, pendingReason: 'Meeting links are added by an admin (MEETING_PROVIDER=manual)' }),
+
+    move: async ({ booking }) => (booking.meetingLink ? { ...NO_MEETING, meetingLink: booking.meetingLink } : manual.create())
+};
+
+const PROVIDERS = {
+    google,
+    static: staticRoom,
+    jitsi,
+    manual
+};
+
+/**
+ * Name of the configured provider
+ * @returns {String}
+ */
+const getProviderName = () => {
+    const name = config.meetings.provider;
+    if (!PROVIDERS[name]) {
+        throw new Error(`Invalid MEETING_PROVIDER: ${name}`);
+    }
+    return name;
+};
+
+/**
+ * Create the meeting of a new booking with the configured provider
+ * @param {Object} context - { booking, startAt, endAt, timezone, description }
+ * @returns {Promise<Object>} { provider, meetingLink, calendarEventId, calendarId, pendingReason }
+ */
+const createMeeting = async (context) => {
+    const provider = getProviderName();
+    const result = await PROVIDERS[provider].create(context);
+    return { provider, ...result };
+};
+
+/**
+ * Move a booking's meeting to its new time or consultant. A meeting made by another
+ * provider than the configured one is replaced.
+ * @param {Object} context - { booking, startAt, endAt, timezone, description }
+ * @returns {Promise<Object>} { provider, meetingLink, calendarEventId, calendarId, pendingReason }
+ */
+const moveMeeting = async (context) => {
+    const provider = getProviderName();
+    const { booking } = context;
+    // Bookings made before providers existed were Google bookings when they have an event
+    const previous = booking.meetingProvider || (booking.calendarEventId ? 'google' : provider);
+
+    if (previous !== provider) {
+        if (PROVIDERS[previous]?.remove) {
+            await PROVIDERS[previous].remove(booking);
+        }
+        const result = await PROVIDERS[provider].create(context);
+        return { provider, ...result };
+    }
+
+    const result = await PROVIDERS[provider].move(context);
+    return { provider, ...result };
+};
+
+module.exports = {
+    getProviderName,
+    createMeeting,
+    moveMeeting
+};
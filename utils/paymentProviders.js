@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const config = require('./config');
+
+/**
+ * Payment providers of paid consultation types, chosen with PAYMENT_PROVIDER:
+ * - mock: records payments locally; its webhook marks a payment paid or failed. Refused in
+ *   production, where its checkout link could never be paid.
+ *
+ * Every provider has `create(context)`, resolving to { reference, checkoutUrl }, and
+ * `parseWebhook(req)`, resolving to { reference, status } with status 'paid' or 'failed'.
+ * Providers throw when the payment could not be created or the webhook is not genuine.
+ *
+ * The context is { booking, amount, currency, description }, with amount in major units.
+ */
+
+const WEBHOOK_STATUSES = ['paid', 'failed'];
+
+const refuseMockInProduction = () => {
+    if (config.server.nodeEnv === 'production') {
+        throw new Error('The mock payment provider is disabled in production');
+    }
+};
+
+const mock = {
+    create: async ({ booking }) => {
+        refuseMockInProduction();
+        const reference = `mock_${crypto.randomBytes(12).toString('hex')}`;
+        return {
+            reference,
+            checkoutUrl: `${config.website.url}/consultation/payment/${booking._id}?reference=${reference}`
+        };
+    },
+
+    // Body: { reference, status }
+    parseWebhook: async (req) => {
+        refuseMockInProduction();
+        const { reference, status } = req.body || {};
+        if (typeof reference !== 'string' || !reference.startsWith('mock_')) {
+            throw new Error('Invalid mock payment reference');
+        }
+        if (!WEBHOOK_STATUSES.includes(status)) {
+            throw new Error(`Invalid mock payment status: ${status}`);
+        }
+        return { reference, status };
+    }
+};
+
+const PROVIDERS = {
+    mock
+};
+
+/**
+ * Name of the configured provider
+ * @returns {String}
+ */
+const getProviderName = () => {
+    const name = config.payments.provider;
+    if (!PROVIDERS[name]) {
+        throw new Error(`Invalid PAYMENT_PROVIDER: ${name}`);
+    }
+    return name;
+};
+
+/**
+ * Create the payment of a booking with the configured provider
+ * @param {Object} context - { booking, amount, currency, description }
+ * @returns {Promise<Object>} { provider, reference, checkoutUrl }
+ */
+const createPayment = async (context) => {
+    const provider = getProviderName();
+    const result = await PROVIDERS[provider].create(context);
+    return { provider, ...result };
+};
+
+/**
+ * Read a provider's payment notification
+ * @param {String} provider - Provider name from the webhook URL
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} { reference, status }, or null for an unknown provider
+ */
+const parseWebhook = async (provider, req) => {
+    if (!Object.prototype.hasOwnProperty.call(PROVIDERS, provider)) {
+        return null;
+    }
+    return PROVIDERS[provider].parseWebhook(req);
+};
+
+module.exports = {
+    getProviderName,
+    createPayment,
+    parseWebhook
+};
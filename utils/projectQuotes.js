@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const { sendMail } = require('./mailer');
+const { renderQuotePdf, getQuoteTotal, formatMoney } = require('./quotePdf');
+const { getProjectUrl } = require('./projectStages');
+const ProjectQuoteVersion = require('../models/ProjectQuoteVersion');
+
+/**
+ * Numbered, immutable versions of the quotes sent to clients. A version is stored each
+ * time a project moves to 'Quote Sent', and its PDF is emailed to the client with a
+ * review link to approve it or request changes (see auth/quote-token.js).
+ */
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+const QUOTES_DIR = path.join(UPLOADS_DIR, 'quotes');
+
+// Attempts at the next version number when two sends race for it
+const MAX_VERSION_ATTEMPTS = 3;
+
+// Client-provided text goes into the HTML email
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Plain copy of the quote fields printed on the PDF
+ */
+const snapshotQuote = (project) => {
+    const quote = project.quote?.toObject ? project.quote.toObject({ depopulate: true }) : { ...project.quote };
+    return {
+        invoiceNumber: quote.invoiceNumber || null,
+        clientName: quote.clientName || null,
+        title: quote.title || null,
+        serviceType: quote.serviceType || null,
+        lineItems: (quote.lineItems || []).map(({ _id, ...item }) => item),
+        subtotal: quote.subtotal ?? null,
+        discountTotal: quote.discountTotal ?? null,
+        taxTotal: quote.taxTotal ?? null,
+        taxSummary: quote.taxSummary || [],
+        amount: quote.amount ?? null,
+        currency: quote.currency || 'INR',
+        exchangeRates: quote.exchangeRates || [],
+        description: quote.description || null
+    };
+};
+
+/**
+ * Absolute path of a stored quote file, refusing paths outside uploads/quotes
+ * @param {Object} quoteVersion
+ * @returns {String|null}
+ */
+const resolveQuoteFile = (quoteVersion) => {
+    const filePath = path.join(UPLOADS_DIR, quoteVersion.filePath.replace(/^\/uploads\//, ''));
+    return filePath.startsWith(QUOTES_DIR + path.sep) ? filePath : null;
+};
+
+/**
+ * File name offered to the client, e.g. Quote-EPX-2026-27-0001-v2.pdf
+ */
+const getQuoteFileName = (quoteVersion) => {
+    const number = quoteVersion.quote.invoiceNumber || quoteVersion.projectId.toString().slice(-6).toUpperCase();
+    return `Quote-${number.replace(/[^a-zA-Z0-9-]+/g, '-')}-v${quoteVersion.version}.pdf`;
+};
+
+/**
+ * Client-facing link to review the quote last sent for a project
+ */
+const getQuoteReviewUrl = (projectId, reviewToken) =>
+    `${config.website.url}/quote/review/${projectId}?token=${encodeURIComponent(reviewToken)}`;
+
+/**
+ * Render the current quote of a project and store it as its next version
+ * @param {Object} project - Project document
+ * @param {Object} user - User sending the quote
+ * @returns {Promise<Object>} ProjectQuoteVersion document
+ */
+const createQuoteVersion = async (project, user) => {
+    const quote = snapshotQuote(project);
+    const projectDir = path.join(QUOTES_DIR, project._id.toString());
+    await fs.promises.mkdir(projectDir, { recursive: true });
+
+    for (let attempt = 1; attempt <= MAX_VERSION_ATTEMPTS; attempt++) {
+        const latest = await ProjectQuoteVersion.findOne({ projectId: project._id }).sort({ version: -1 }).select('version').lean();
+        const version = (latest?.version || 0) + 1;
+        const pdf = await renderQuotePdf({ ...project.toObject({ depopulate: true }), quote }, { version, issuedAt: new Date() });
+
+        const fileName = `quote-v${version}-${crypto.randomBytes(6).toString('hex')}.pdf`;
+        const absolutePath = path.join(projectDir, fileName);
+        await fs.promises.writeFile(absolutePath, pdf, { flag: 'wx' });
+
+        try {
+            const quoteVersion = await ProjectQuoteVersion.create({
+                projectId: project._id,
+                version,
+                quote,
+                total: getQuoteTotal(quote),
+                currency: quote.currency,
+                clientName: quote.clientName || project.clientName,
+                clientEmail: project.clientEmail,
+                filePath: `/uploads/quotes/${project._id}/${fileName}`,
+                fileSize: pdf.length,
+                checksum: crypto.createHash('sha256').update(pdf).digest('hex'),
+                createdBy: user?._id || null
+            });
+            logger.info(`Quote version ${version} stored for project: ${project._id}`);
+            return quoteVersion;
+        } catch (error) {
+            await fs.promises.unlink(absolutePath).catch(() => {});
+            if (error.code !== 11000 || attempt === MAX_VERSION_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Delete a stored version whose project could not be saved, with its file.
+ * Failures are logged; the version then stays as an orphan.
+ * @param {Object} quoteVersion - ProjectQuoteVersion
+ */
+const discardQuoteVersion = async (quoteVersion) => {
+    try {
+        await ProjectQuoteVersion.deleteOne({ _id: quoteVersion._id });
+        const filePath = resolveQuoteFile(quoteVersion);
+        if (filePath) {
+            await fs.promises.unlink(filePath);
+        }
+        logger.info(`Quote version ${quoteVersion.version} discarded for project: ${quoteVersion.projectId}`);
+    } catch (error) {
+        logger.error('Discard quote version failed', {
+            error: error.message,
+            projectId: quoteVersion.projectId,
+            version: quoteVersion.version
+        });
+    }
+};
+
+/**
+ * Email a stored quote version to the client, with its PDF attached
+ * @param {Object} project - Project document
+ * @param {Object} quoteVersion - ProjectQuoteVersion
+ * @param {String} reviewUrl - Link for the client to approve the quote or request changes
+ */
+const sendQuoteEmail = async (project, quoteVersion, reviewUrl) => {
+    const filePath = resolveQuoteFile(quoteVersion);
+    if (!filePath) {
+        throw new Error(`Invalid quote file path: ${quoteVersion.filePath}`);
+    }
+    const content = await fs.promises.readFile(filePath);
+    const clientName = quoteVersion.clientName || 'there';
+    const title = quoteVersion.quote.title || project.projectName;
+    const total = formatMoney(quoteVersion.total, quoteVersion.currency);
+
+    await sendMail({
+        to: project.clientEmail,
+        subject: `Your quotation from EuProximaX: ${title}`,
+        text: `Hi ${clientName},\n\nPlease find attached our quotation for "${title}" (total ${total}).\n\nYou can approve it or request changes at: ${reviewUrl}\n\nReply to this email if you have any questions.\n\nThank you,\nEuProximaX`,
+        html: `
+            <p>Hi <strong>${escapeHtml(clientName)}</strong>,</p>
+            <p>Please find attached our quotation for <strong>${escapeHtml(title)}</strong> (total <strong>${total}</strong>).</p>
+            <p>
+              <a href="${reviewUrl}" style="display:inline-block;padding:10px 16px;border-radius:8px;background-color:#4f46e5;color:#ffffff;text-decoration:none;font-weight:600;">
+                Review Quote →
+              </a>
+            </p>
+            <p>You can approve the quote or request changes from this page. Reply to this email if you have any questions.</p>
+            <p style="margin-top:24px;">Regards,<br/>EuProximaX Team</p>
+          `,
+        attachments: [{
+            filename: getQuoteFileName(quoteVersion),
+            content,
+            contentType: 'application/pdf'
+        }]
+    });
+};
+
+/**
+ * Email the project manager that the client approved the quote or requested changes
+ * @param {Object} project - Project document
+ * @param {Object} manager - { name, email }
+ * @param {Object} response - { approved, version, comments }
+ */
+const notifyClientResponse = async (project, manager, { approved, version, comments }) => {
+    const projectLink = getProjectUrl(project);
+    const clientName = project.quote?.clientName || project.clientName || 'The client';
+    const summary = approved
+        ? `${clientName} approved version ${version} of the quote for the project "${project.projectName}". The project moved to ${project.currentStage}.`
+        : `${clientName} requested changes to version ${version} of the quote for the project "${project.projectName}".`;
+    const htmlSummary = approved
+        ? `${escapeHtml(clientName)} approved version ${version} of the quote for the project <strong>${escapeHtml(project.projectName)}</strong>. The project moved to <strong>${project.currentStage}</strong>.`
+        : `${escapeHtml(clientName)} requested changes to version ${version} of the quote for the project <strong>${escapeHtml(project.projectName)}</strong>.`;
+
+    await sendMail({
+        to: manager.email,
+        subject: approved ? `Quote Approved: ${project.projectName}` : `Quote Changes Requested: ${project.projectName}`,
+        text: `Hi ${manager.name || 'there'},\n\n${summary}${comments ? `\n\nComments:\n${comments}` : ''}\n\nProject details: ${projectLink}\n\nThank you,\nEuProximaX`,
+        html: `
+            <p>Hi <strong>${escapeHtml(manager.name || 'there')}</strong>,</p>
+            <p>${htmlSummary}</p>
+            ${comments ? `<blockquote style="margin:0 0 16px;padding-left:12px;border-left:3px solid #e5e7eb;white-space:pre-line;">${escapeHtml(comments)}</blockquote>` : ''}
+            <p>
+              <a href="${projectLink}" style="display:inline-block;padding:10px 16px;border-radius:8px;background-color:#4f46e5;color:#ffffff;text-decoration:none;font-weight:600;">
+                View Project →
+              </a>
+            </p>
+            <p style="margin-top:24px;">Regards,<br/>EuProximaX Team</p>
+          `
+    });
+};
+
+module.exports = {
+    createQuoteVersion,
+    discardQuoteVersion,
+    sendQuoteEmail,
+    notifyClientResponse,
+    getQuoteReviewUrl,
+    resolveQuoteFile,
+    getQuoteFileName
+};
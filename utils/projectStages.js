@@ -0,0 +1,345 @@
+const config = require('./config');
+const logger = require('./logger');
+const { sendMail } = require('./mailer');
+const User = require('../models/User');
+
+/**
+ * Stage pipeline of a project. A project only moves along the transitions below,
+ * through `POST /project/:id/transition` or `currentStage` in `PUT /project/:id`.
+ *
+ * Guards of a transition, checked in this order:
+ * - requires: [{ path, message }] fields that must be filled in first
+ * - approverOnly: only the quote's assigned approver may make the move
+ * - roles: role names of which the user needs at least one
+ * - paymentStatuses: accepted values of `payment.status`
+ *
+ * Side effects, applied when the move is allowed:
+ * - stamp: { path: 'now' | 'user' } filled in when still empty
+ * - clear: paths reset, e.g. the internal approval when a quote goes back to Draft Quote
+ * - status: project status after the move (defaults to the new stage)
+ * - sendQuote: the quote is stored as a new version (see utils/projectQuotes.js) and,
+ *   once the project is saved, emailed to the client with the PDF attached
+ * - notify: emails sent once the project is saved ('approver', 'projectManager')
+ */
+
+const STAGES = ['Draft Quote', 'Internal Approval', 'Quote Sent', 'Client Approval', 'Payment', 'Onboarding', 'Drafting', 'Filing', 'Grant', 'Close'];
+
+// Stages a quote can be revised from, which voids its approvals
+const QUOTE_STAGES = ['Quote Sent', 'Client Approval'];
+
+const QUOTE_RESET = [
+    'quote.internalApprovalDate', 'quote.internalApprovedBy', 'quote.sentDate', 'quote.sentBy',
+    'quote.clientApproved', 'quote.clientApprovalDate', 'quote.clientApprovedVersion', 'quote.clientApprovalIp', 'quote.clientApprovalUserAgent',
+    'quote.clientApprovalRecordedBy', 'quote.clientApprovalRemarks'
+];
+
+const TRANSITIONS = [
+    {
+        from: ['Draft Quote'],
+        to: 'Internal Approval',
+        requires: [
+            { path: 'quote.amount', message: 'Please enter the quote amount before requesting Internal Approval' },
+            { path: 'quote.assignedApprover', message: 'Please assign a Higher Management approver before requesting Internal Approval' }
+        ],
+        notify: ['approver']
+    },
+    {
+        from: ['Internal Approval'],
+        to: 'Quote Sent',
+        approverOnly: true,
+        roles: ['Higher Management'],
+        stamp: {
+            'quote.internalApprovalDate': 'now',
+            'quote.internalApprovedBy': 'user',
+            'quote.sentDate': 'now',
+            'quote.sentBy': 'user'
+        },
+        sendQuote: true,
+        notify: ['projectManager']
+    },
+    {
+        // Sent back by the approver for changes
+        from: ['Internal Approval'],
+        to: 'Draft Quote',
+        approverOnly: true,
+        roles: ['Higher Management'],
+        clear: ['quote.internalApprovalDate', 'quote.internalApprovedBy'],
+        notify: ['projectManager']
+    },
+    {
+        // Revised after the client asked for changes; it needs a fresh approval
+        from: QUOTE_STAGES,
+        to: 'Draft Quote',
+        clear: QUOTE_RESET
+    },
+    {
+        from: ['Quote Sent'],
+        to: 'Client Approval'
+    },
+    {
+        // Also made by the client approving through the review link (see controllers/projectQuote.controller.js)
+        from: ['Quote Sent', 'Client Approval'],
+        to: 'Payment',
+        requires: [
+            { path: 'quote.clientApproved', message: 'The client has not approved the quote yet' }
+        ]
+    },
+    {
+        from: ['Payment'],
+        to: 'Onboarding',
+        paymentStatuses: ['Partial', 'Completed'],
+        stamp: {
+            'onboarding.startDate': 'now',
+            'onboarding.onboardingBy': 'user'
+        }
+    },
+    {
+        from: ['Onboarding'],
+        to: 'Drafting',
+        stamp: {
+            'onboarding.completedDate': 'now',
+            'drafting.startDate': 'now',
+            'drafting.draftedBy': 'user'
+        }
+    },
+    {
+        from: ['Drafting'],
+        to: 'Filing',
+        stamp: {
+            'drafting.completedDate': 'now',
+            'filing.filingDate': 'now',
+            'filing.filedBy': 'user'
+        }
+    },
+    {
+        from: ['Filing'],
+        to: 'Grant',
+        requires: [
+            { path: 'filing.applicationNumber', message: 'Please enter the application number before moving to Grant' }
+        ],
+        stamp: {
+            'grant.grantDate': 'now',
+            'grant.grantedBy': 'user'
+        }
+    },
+    {
+        from: ['Grant'],
+        to: 'Close',
+        status: 'Completed',
+        stamp: {
+            'close.closedDate': 'now',
+            'close.closedBy': 'user'
+        }
+    },
+    {
+        // Dropped before the grant, e.g. the client walked away
+        from: STAGES.filter((stage) => !['Grant', 'Close'].includes(stage)),
+        to: 'Close',
+        status: 'Cancelled',
+        requires: [
+            { path: 'close.remarks', message: 'Please add close remarks explaining why the project is closed early' }
+        ],
+        stamp: {
+            'close.closedDate': 'now',
+            'close.closedBy': 'user'
+        }
+    }
+];
+
+const isFilled = (value) => value !== null && value !== undefined && value !== '' && value !== false;
+
+/**
+ * Transition from one stage to another, or null when the move is not allowed
+ */
+const getTransition = (from, to) => TRANSITIONS.find((transition) => transition.from.includes(from) && transition.to === to) || null;
+
+/**
+ * Stages a project in `stage` can move to
+ * @param {String} stage
+ * @returns {Array<String>}
+ */
+const getNextStages = (stage) => TRANSITIONS
+    .filter((transition) => transition.from.includes(stage))
+    .map((transition) => transition.to);
+
+/**
+ * Check the guards of moving a project to another stage
+ * @param {Object} project - Project document
+ * @param {String} to - Target stage
+ * @param {Object} actor - { user, roles } with the user's role names
+ * @returns {Object|null} { message, statusCode } when the move is refused, else null
+ */
+const checkTransition = (project, to, { user, roles = [] }) => {
+    const from = project.currentStage;
+    if (!STAGES.includes(to)) {
+        return { message: 'Invalid stage value', statusCode: 400 };
+    }
+    if (from === to) {
+        return { message: `Project is already in ${to}`, statusCode: 400 };
+    }
+
+    const transition = getTransition(from, to);
+    if (!transition) {
+        const next = getNextStages(from);
+        return {
+            message: `A project cannot move from ${from} to ${to}. It can move to: ${next.join(', ')}`,
+            statusCode: 400
+        };
+    }
+
+    const missing = (transition.requires || []).find((field) => !isFilled(project.get(field.path)));
+    if (missing) {
+        return { message: missing.message, statusCode: 400 };
+    }
+
+    if (transition.approverOnly) {
+        const approverId = project.quote?.assignedApprover;
+        if (!approverId) {
+            return { message: 'Higher Management approver not assigned', statusCode: 400 };
+        }
+        if (approverId.toString() !== user._id.toString()) {
+            return { message: 'Only the assigned Higher Management approver can approve or return this quote', statusCode: 403 };
+        }
+    }
+
+    if (transition.roles && !transition.roles.some((role) => roles.includes(role))) {
+        return { message: `Only ${transition.roles.join(' or ')} can move a project to ${to}`, statusCode: 403 };
+    }
+
+    if (transition.paymentStatuses && !transition.paymentStatuses.includes(project.payment?.status)) {
+        return {
+            message: `Payment must be ${transition.paymentStatuses.join(' or ')} before moving to ${to}. It is ${project.payment?.status || 'not recorded'}.`,
+            statusCode: 400
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Move a project to another stage and apply the side effects of the transition.
+ * Call checkTransition first; the project is not saved.
+ * @param {Object} project - Project document
+ * @param {String} to - Target stage
+ * @param {Object} user - User making the move; null when the client made it
+ * @returns {Object} The transition, for sendTransitionNotifications
+ */
+const applyTransition = (project, to, user) => {
+    const transition = getTransition(project.currentStage, to);
+    const now = new Date();
+
+    for (const path of transition.clear || []) {
+        project.set(path, path === 'quote.clientApproved' ? false : null);
+    }
+    for (const [path, value] of Object.entries(transition.stamp || {})) {
+        if (!isFilled(project.get(path))) {
+            project.set(path, value === 'now' ? now : user?._id || null);
+        }
+    }
+
+    project.currentStage = to;
+    project.status = transition.status || to;
+    return transition;
+};
+
+/**
+ * Admin portal link to a project
+ */
+const getProjectUrl = (project) => {
+    const portalBaseUrl = config.adminPortal.url.endsWith('/')
+        ? config.adminPortal.url.slice(0, -1)
+        : config.adminPortal.url;
+    return `${portalBaseUrl}/admin/projects/${project._id}`;
+};
+
+/**
+ * Email the assigned approver that a quote is waiting for their approval
+ * @param {Object} project - Project document
+ * @param {Object} approver - { name, email }
+ */
+const notifyApprover = async (project, approver) => {
+    const approvalLink = getProjectUrl(project);
+    await sendMail({
+        to: approver.email,
+        subject: `Project Approval Needed: ${project.projectName}`,
+        text: `Hi ${approver.name || 'there'},\n\nYou have been assigned to approve the quote for the project "${project.projectName}".\n\nPlease review the project details at: ${approvalLink}\n\nThank you,\nEuProximaX`,
+        html: `
+            <p>Hi <strong>${approver.name || 'there'}</strong>,</p>
+            <p>You have been assigned to approve the quote for the project <strong>${project.projectName}</strong>.</p>
+            <p>
+              <a href="${approvalLink}" style="display:inline-block;padding:10px 16px;border-radius:8px;background-color:#4f46e5;color:#ffffff;text-decoration:none;font-weight:600;">
+                Review Project →
+              </a>
+            </p>
+            <p>Please log in to the admin portal to complete the approval.</p>
+            <p style="margin-top:24px;">Regards,<br/>EuProximaX Team</p>
+          `
+    });
+};
+
+/**
+ * Email the project manager that the project changed stage
+ * @param {Object} project - Project document
+ * @param {Object} manager - { name, email }
+ * @param {String} from - Previous stage
+ * @param {Object} user - User who made the move
+ */
+const notifyProjectManager = async (project, manager, from, user) => {
+    const projectLink = getProjectUrl(project);
+    await sendMail({
+        to: manager.email,
+        subject: `Project ${project.currentStage}: ${project.projectName}`,
+        text: `Hi ${manager.name || 'there'},\n\n${user.name || 'A team member'} moved the project "${project.projectName}" from ${from} to ${project.currentStage}.\n\nProject details: ${projectLink}\n\nThank you,\nEuProximaX`,
+        html: `
+            <p>Hi <strong>${manager.name || 'there'}</strong>,</p>
+            <p>${user.name || 'A team member'} moved the project <strong>${project.projectName}</strong> from ${from} to <strong>${project.currentStage}</strong>.</p>
+            <p>
+              <a href="${projectLink}" style="display:inline-block;padding:10px 16px;border-radius:8px;background-color:#4f46e5;color:#ffffff;text-decoration:none;font-weight:600;">
+                View Project →
+              </a>
+            </p>
+            <p style="margin-top:24px;">Regards,<br/>EuProximaX Team</p>
+          `
+    });
+};
+
+/**
+ * Send the emails of a transition. Failures are logged, as the move is already saved.
+ * @param {Object} project - Saved project document
+ * @param {Object} transition - Result of applyTransition
+ * @param {String} from - Previous stage
+ * @param {Object} user - User who made the move
+ */
+const sendTransitionNotifications = async (project, transition, from, user) => {
+    for (const recipient of transition.notify || []) {
+        const userId = recipient === 'approver' ? project.quote?.assignedApprover : project.projectManager;
+        try {
+            const target = await User.findById(userId?._id || userId).select('name email isDeleted').lean();
+            if (!target || target.isDeleted || !target.email) {
+                continue;
+            }
+            if (recipient === 'approver') {
+                await notifyApprover(project, target);
+            } else if (target._id.toString() !== user._id.toString()) {
+                await notifyProjectManager(project, target, from, user);
+            }
+        } catch (error) {
+            logger.error('Project stage notification failed', {
+                error: error.message,
+                projectId: project._id,
+                recipient
+            });
+        }
+    }
+};
+
+module.exports = {
+    STAGES,
+    QUOTE_STAGES,
+    getNextStages,
+    checkTransition,
+    applyTransition,
+    getProjectUrl,
+    notifyApprover,
+    sendTransitionNotifications
+};
@@ -0,0 +1,270 @@
+const PDFDocument = require('pdfkit');
+const config = require('./config');
+
+/**
+ * Branded PDF of a project's quote, as a quotation or a pro-forma invoice.
+ * Uses the standard PDF fonts, so amounts are written with currency codes (INR 1,500.00)
+ * rather than symbols the fonts do not have.
+ */
+
+const BRAND_NAME = 'EuProximaX';
+const BRAND_COLOR = '#4f46e5';
+const TEXT_COLOR = '#1f2937';
+const MUTED_COLOR = '#6b7280';
+const PAGE_MARGIN = 50;
+
+const DOCUMENT_TITLES = {
+    quote: 'QUOTATION',
+    proforma: 'PRO-FORMA INVOICE'
+};
+
+// Line item table: x position, width and alignment of each column
+const COLUMNS = [
+    { key: 'index', label: '#', x: 50, width: 20, align: 'left' },
+    { key: 'description', label: 'Description', x: 70, width: 155, align: 'left' },
+    { key: 'quantity', label: 'Qty', x: 225, width: 35, align: 'right' },
+    { key: 'unitPrice', label: 'Unit price', x: 260, width: 85, align: 'right' },
+    { key: 'discount', label: 'Discount', x: 345, width: 70, align: 'right' },
+    { key: 'taxes', label: 'Tax', x: 415, width: 45, align: 'right' },
+    { key: 'finalCost', label: 'Amount', x: 460, width: 90, align: 'right' }
+];
+
+const getBusinessTimeZone = () => config.googleCalendar.timezone || 'Asia/Kolkata';
+
+const formatMoney = (amount, currency) => {
+    try {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency, currencyDisplay: 'code' }).format(amount || 0);
+    } catch (error) {
+        return `${currency} ${Number(amount || 0).toFixed(2)}`;
+    }
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+    timeZone: getBusinessTimeZone(),
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+});
+
+const formatDiscount = (item, currency) => {
+    if (!item.discount) {
+        return '-';
+    }
+    return item.discountType === 'percent' ? `${item.discount}%` : formatMoney(item.discountAmount ?? item.discount, currency);
+};
+
+/**
+ * Total of a quote in its currency: the quoted amount, or else the sum of the
+ * line items in the quote currency
+ */
+const getQuoteTotal = (quote) => {
+    if (quote.amount !== null && quote.amount !== undefined) {
+        return quote.amount;
+    }
+    return (quote.lineItems || [])
+        .filter((item) => (item.currency || quote.currency) === quote.currency)
+        .reduce((sum, item) => sum + (item.finalCost || 0), 0);
+};
+
+/**
+ * Document number printed on the PDF
+ */
+const getDocumentNumber = (project, version) => {
+    const number = project.quote?.invoiceNumber || `Q-${project._id.toString().slice(-6).toUpperCase()}`;
+    return version ? `${number} (v${version})` : number;
+};
+
+const drawHeader = (doc, project, { documentType, version, issuedAt }) => {
+    doc.rect(0, 0, doc.page.width, 8).fill(BRAND_COLOR);
+
+    doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(22).text(BRAND_NAME, PAGE_MARGIN, 40);
+    doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(9)
+        .text(config.website.url, PAGE_MARGIN, 68)
+        .text(config.mail.from, PAGE_MARGIN, 80);
+
+    doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(16)
+        .text(DOCUMENT_TITLES[documentType], 300, 40, { width: 245, align: 'right' });
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+        .text(`No. ${getDocumentNumber(project, version)}`, 300, 62, { width: 245, align: 'right' })
+        .text(`Date: ${formatDate(issuedAt)}`, 300, 74, { width: 245, align: 'right' });
+
+    doc.moveTo(PAGE_MARGIN, 105).lineTo(doc.page.width - PAGE_MARGIN, 105).strokeColor('#e5e7eb').stroke();
+};
+
+const drawParties = (doc, project) => {
+    const quote = project.quote || {};
+    doc.fillColor(MUTED_COLOR).font('Helvetica-Bold').fontSize(9).text('BILL TO', PAGE_MARGIN, 120);
+    doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(11).text(quote.clientName || project.clientName, PAGE_MARGIN, 134);
+    doc.font('Helvetica').fontSize(9).text(project.clientEmail, PAGE_MARGIN, 150);
+    if (project.clientPhone) {
+        doc.text(project.clientPhone, PAGE_MARGIN, 162);
+    }
+
+    doc.fillColor(MUTED_COLOR).font('Helvetica-Bold').fontSize(9).text('PROJECT', 300, 120, { width: 245, align: 'right' });
+    doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(11)
+        .text(quote.title || project.projectName, 300, 134, { width: 245, align: 'right' });
+    if (quote.serviceType) {
+        doc.font('Helvetica').fontSize(9).text(quote.serviceType, 300, doc.y + 2, { width: 245, align: 'right' });
+    }
+
+    doc.y = Math.max(doc.y, 180) + 20;
+};
+
+const drawTableHeader = (doc) => {
+    const y = doc.y;
+    doc.rect(PAGE_MARGIN, y - 6, doc.page.width - 2 * PAGE_MARGIN, 22).fill('#f3f4f6');
+    doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(9);
+    for (const column of COLUMNS) {
+        doc.text(column.label, column.x, y, { width: column.width - 5, align: column.align });
+    }
+    doc.y = y + 24;
+};
+
+/**
+ * Totals in the quote currency: subtotal, discount and one row per tax line when the
+ * quote was priced from its line items, then the total
+ */
+const drawTotals = (doc, quote) => {
+    const currency = quote.currency || 'INR';
+    const rows = [];
+    if (quote.subtotal !== null && quote.subtotal !== undefined) {
+        rows.push(['Subtotal', quote.subtotal]);
+        if (quote.discountTotal) {
+            rows.push(['Discount', -quote.discountTotal]);
+        }
+        (quote.taxSummary || []).forEach((tax) => rows.push([`${tax.name} ${tax.rate}%`, tax.amount]));
+    }
+    if (doc.y + rows.length * 16 + 60 > doc.page.height - PAGE_MARGIN - 40) {
+        doc.addPage();
+        doc.y = PAGE_MARGIN;
+    }
+
+    let y = doc.y + 8;
+    doc.fillColor(TEXT_COLOR).font('Helvetica').fontSize(9);
+    rows.forEach(([label, amount]) => {
+        doc.text(label, 300, y, { width: 155, align: 'right' })
+            .text(formatMoney(amount, currency), 460, y, { width: 85, align: 'right' });
+        y += 16;
+    });
+    doc.font('Helvetica-Bold').fontSize(11)
+        .text('Total', 300, y + 4, { width: 155, align: 'right' })
+        .text(formatMoney(getQuoteTotal(quote), currency), 440, y + 4, { width: 105, align: 'right' });
+    y += 28;
+
+    if (quote.exchangeRates?.length) {
+        const rates = quote.exchangeRates.map((entry) => `1 ${entry.currency} = ${entry.rate} ${currency}`).join(', ');
+        doc.fillColor(MUTED_COLOR).font('Helvetica-Oblique').fontSize(8)
+            .text(`Amounts in other currencies converted at ${rates}.`, PAGE_MARGIN, y, { width: doc.page.width - 2 * PAGE_MARGIN });
+        y = doc.y + 8;
+    }
+    doc.y = y + 10;
+};
+
+const drawLineItems = (doc, quote) => {
+    const currency = quote.currency || 'INR';
+    const bottom = doc.page.height - PAGE_MARGIN - 80;
+    drawTableHeader(doc);
+
+    (quote.lineItems || []).forEach((item, index) => {
+        const itemCurrency = item.currency || currency;
+        const cells = {
+            index: String(index + 1),
+            description: item.description || '-',
+            quantity: String(item.quantity ?? 0),
+            unitPrice: formatMoney(item.unitPrice, itemCurrency),
+            discount: formatDiscount(item, itemCurrency),
+            taxes: (item.taxes || []).map((tax) => `${tax.name} ${tax.rate}%`).join('\n') || '-',
+            finalCost: formatMoney(item.finalCost, itemCurrency)
+        };
+        doc.font('Helvetica').fontSize(9);
+        const height = Math.max(
+            ...COLUMNS.map((column) => doc.heightOfString(cells[column.key], { width: column.width - 5 })),
+            12
+        );
+        if (doc.y + height > bottom) {
+            doc.addPage();
+            doc.y = PAGE_MARGIN;
+            drawTableHeader(doc);
+            doc.font('Helvetica').fontSize(9);
+        }
+
+        const y = doc.y;
+        doc.fillColor(TEXT_COLOR);
+        for (const column of COLUMNS) {
+            doc.text(cells[column.key], column.x, y, { width: column.width - 5, align: column.align });
+        }
+        doc.y = y + height + 8;
+        doc.moveTo(PAGE_MARGIN, doc.y - 4).lineTo(doc.page.width - PAGE_MARGIN, doc.y - 4).strokeColor('#e5e7eb').stroke();
+    });
+
+    if (!quote.lineItems || quote.lineItems.length === 0) {
+        doc.fillColor(MUTED_COLOR).font('Helvetica-Oblique').fontSize(9).text('No line items', PAGE_MARGIN, doc.y);
+        doc.moveDown();
+    }
+
+    drawTotals(doc, quote);
+};
+
+const drawDescription = (doc, quote, documentType) => {
+    if (quote.description) {
+        doc.fillColor(MUTED_COLOR).font('Helvetica-Bold').fontSize(9).text('NOTES', PAGE_MARGIN, doc.y);
+        doc.fillColor(TEXT_COLOR).font('Helvetica').fontSize(9)
+            .text(quote.description, PAGE_MARGIN, doc.y + 4, { width: doc.page.width - 2 * PAGE_MARGIN });
+        doc.moveDown();
+    }
+    if (documentType === 'proforma') {
+        doc.fillColor(MUTED_COLOR).font('Helvetica-Oblique').fontSize(8)
+            .text('This pro-forma invoice is issued for payment in advance and is not a tax invoice.', PAGE_MARGIN, doc.y + 6);
+    }
+};
+
+const drawFooters = (doc) => {
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        // Writing inside the bottom margin would otherwise start a new page
+        doc.page.margins.bottom = 0;
+        const y = doc.page.height - PAGE_MARGIN;
+        doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(8)
+            .text(`${BRAND_NAME} | ${config.website.url}`, PAGE_MARGIN, y, { width: 300, lineBreak: false })
+            .text(`Page ${i - range.start + 1} of ${range.count}`, 345, y, { width: 200, align: 'right', lineBreak: false });
+    }
+};
+
+/**
+ * Render the quote of a project
+ * @param {Object} project - Project with its `quote`
+ * @param {Object} options - { documentType: 'quote' | 'proforma', version, issuedAt }
+ * @returns {Promise<Buffer>} PDF file
+ */
+const renderQuotePdf = (project, { documentType = 'quote', version = null, issuedAt = new Date() } = {}) => new Promise((resolve, reject) => {
+    const quote = project.quote || {};
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        bufferPages: true,
+        info: {
+            Title: `${DOCUMENT_TITLES[documentType]} ${getDocumentNumber(project, version)}`,
+            Author: BRAND_NAME,
+            Subject: quote.title || project.projectName
+        }
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    drawHeader(doc, project, { documentType, version, issuedAt });
+    drawParties(doc, project);
+    drawLineItems(doc, quote);
+    drawDescription(doc, quote, documentType);
+    drawFooters(doc);
+    doc.end();
+});
+
+module.exports = {
+    DOCUMENT_TITLES,
+    getQuoteTotal,
+    formatMoney,
+    renderQuotePdf
+};
@@ -0,0 +1,146 @@
+const ExchangeRate = require('../models/ExchangeRate');
+
+/**
+ * Server-side pricing of quotes. Each line item is priced in its own currency
+ * (subtotal, discount, tax lines such as GST or VAT), then the quote totals are
+ * converted to the quote currency with the stored exchange rates.
+ */
+
+// Currency the stored exchange rates are expressed in
+const BASE_CURRENCY = 'INR';
+
+const round = (value, decimals = 2) => {
+    const factor = 10 ** decimals;
+    return Math.round((value + Number.EPSILON) * factor) / factor;
+};
+
+/**
+ * Price a line item in its own currency
+ * @param {Object} item - { description, quantity, unitPrice, currency, discountType, discount, taxes: [{ name, rate }] }
+ * @returns {Object} The item with subtotal, discountAmount, taxes[].amount, taxAmount and finalCost
+ */
+const calculateLineItem = (item) => {
+    const quantity = Number(item.quantity) || 0;
+    const unitPrice = Number(item.unitPrice) || 0;
+    const discount = Math.max(Number(item.discount) || 0, 0);
+    const subtotal = round(quantity * unitPrice);
+    const discountAmount = item.discountType === 'percent'
+        ? round(subtotal * Math.min(discount, 100) / 100)
+        : Math.min(round(discount), subtotal);
+    const taxable = round(subtotal - discountAmount);
+    const taxes = (item.taxes || []).map((tax) => ({
+        name: tax.name,
+        rate: Number(tax.rate) || 0,
+        amount: round(taxable * (Number(tax.rate) || 0) / 100)
+    }));
+    const taxAmount = round(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+
+    return {
+        description: item.description,
+        quantity,
+        unitPrice,
+        currency: item.currency,
+        discountType: item.discountType === 'percent' ? 'percent' : 'amount',
+        discount,
+        taxes,
+        subtotal,
+        discountAmount,
+        taxAmount,
+        finalCost: round(taxable + taxAmount)
+    };
+};
+
+/**
+ * Stored exchange rates, as units of the base currency per unit of each currency
+ * @returns {Promise<Object>} e.g. { INR: 1, USD: 83.1 }
+ */
+const loadExchangeRates = async () => {
+    const rates = { [BASE_CURRENCY]: 1 };
+    const stored = await ExchangeRate.find().select('currency rate').lean();
+    stored.forEach(({ currency, rate }) => {
+        rates[currency] = rate;
+    });
+    return rates;
+};
+
+/**
+ * Totals of a quote in its currency
+ * @param {Object} quote - { currency, lineItems }
+ * @param {Object} rates - Result of loadExchangeRates
+ * @returns {Object} { lineItems, subtotal, discountTotal, taxTotal, taxSummary, amount, exchangeRates },
+ *   or { message, statusCode } when a currency has no stored rate
+ */
+const calculateQuote = (quote, rates) => {
+    const currency = quote.currency || BASE_CURRENCY;
+    const lineItems = (quote.lineItems || []).map((item) => calculateLineItem({ ...item, currency: item.currency || currency }));
+
+    const missing = [...new Set([currency, ...lineItems.map((item) => item.currency)])].find((code) => !rates[code]);
+    if (missing) {
+        return { message: `No exchange rate is stored for ${missing}. Please add it before pricing this quote.`, statusCode: 400 };
+    }
+
+    const exchangeRates = [];
+    const taxSummary = [];
+    let subtotal = 0;
+    let discountTotal = 0;
+    let taxTotal = 0;
+    for (const item of lineItems) {
+        const rate = round(rates[item.currency] / rates[currency], 6);
+        if (item.currency !== currency && !exchangeRates.some((entry) => entry.currency === item.currency)) {
+            exchangeRates.push({ currency: item.currency, rate });
+        }
+        subtotal += round(item.subtotal * rate);
+        discountTotal += round(item.discountAmount * rate);
+        for (const tax of item.taxes) {
+            const amount = round(tax.amount * rate);
+            const line = taxSummary.find((entry) => entry.name === tax.name && entry.rate === tax.rate);
+            if (line) {
+                line.amount = round(line.amount + amount);
+            } else {
+                taxSummary.push({ name: tax.name, rate: tax.rate, amount });
+            }
+            taxTotal += amount;
+        }
+    }
+
+    subtotal = round(subtotal);
+    discountTotal = round(discountTotal);
+    taxTotal = round(taxTotal);
+    return {
+        lineItems,
+        subtotal,
+        discountTotal,
+        taxTotal,
+        taxSummary,
+        amount: round(subtotal - discountTotal + taxTotal),
+        exchangeRates
+    };
+};
+
+/**
+ * Price the line items of a project's quote and set its totals. A quote without
+ * line items keeps the amount entered for it.
+ * @param {Object} project - Project document, not saved
+ * @returns {Promise<Object|null>} { message, statusCode } when the quote cannot be priced, else null
+ */
+const priceQuote = async (project) => {
+    const quote = project.quote;
+    if (!quote.lineItems || quote.lineItems.length === 0) {
+        Object.assign(quote, { subtotal: null, discountTotal: null, taxTotal: null, taxSummary: [], exchangeRates: [] });
+        return null;
+    }
+
+    const result = calculateQuote(project.toObject().quote, await loadExchangeRates());
+    if (result.message) {
+        return result;
+    }
+    Object.assign(quote, result);
+    return null;
+};
+
+module.exports = {
+    BASE_CURRENCY,
+    calculateLineItem,
+    calculateQuote,
+    priceQuote
+};
@@ -0,0 +1,87 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+/**
+ * Rate limit stores
+ * Every store implements `increment(key, windowMs)` and resolves to
+ * `{ count, resetAt }` for the current fixed window of that key.
+ */
+
+/**
+ * Per-process store. Fine for a single instance; counters reset on restart.
+ */
+class MemoryStore {
+    constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+        this.counters = new Map();
+        this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+        this.cleanupTimer.unref();
+    }
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let entry = this.counters.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            this.counters.set(key, entry);
+        }
+        entry.count += 1;
+        return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [key, entry] of this.counters) {
+            if (entry.resetAt <= now) {
+                this.counters.delete(key);
+            }
+        }
+    }
+}
+
+/**
+ * Store shared by all instances through the RateLimitCounter collection
+ */
+class MongoStore {
+    async increment(key, windowMs) {
+        const now = new Date();
+        const windowOpen = { $gt: ['$expiresAt', now] };
+        const update = [
+            {
+                $set: {
+                    count: { $cond: [windowOpen, { $add: [{ $ifNull: ['$count', 0] }, 1] }, 1] },
+                    expiresAt: { $cond: [windowOpen, '$expiresAt', new Date(now.getTime() + windowMs)] }
+                }
+            }
+        ];
+
+        let counter;
+        try {
+            counter = await RateLimitCounter.findOneAndUpdate({ key }, update, { upsert: true, new: true }).lean();
+        } catch (err) {
+            // Two first requests for the same key raced on the unique index
+            if (err.code !== 11000) throw err;
+            counter = await RateLimitCounter.findOneAndUpdate({ key }, update, { new: true }).lean();
+        }
+        return { count: counter.count, resetAt: counter.expiresAt };
+    }
+}
+
+/**
+ * Create a store by name
+ * @param {String} type - 'memory' or 'mongo'
+ */
+const createStore = (type) => {
+    switch (type) {
+        case 'mongo':
+            return new MongoStore();
+        case 'memory':
+            return new MemoryStore();
+        default:
+            throw new Error(`Unknown rate limit store: ${type}`);
+    }
+};
+
+module.exports = {
+    MemoryStore,
+    MongoStore,
+    createStore
+};
@@ -0,0 +1,166 @@
+/**
+ * IANA timezone helpers built on Intl, so wall-clock times can be converted
+ * to absolute instants and back without depending on the server's own timezone.
+ */
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+/**
+ * Check whether a string is a timezone known to Intl (e.g. "Europe/Berlin")
+ * @param {String} timeZone
+ */
+const isValidTimeZone = (timeZone) => {
+    if (!timeZone || typeof timeZone !== 'string') {
+        return false;
+    }
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second, date: 'YYYY-MM-DD', time: 'HH:MM' }
+ */
+const getZonedParts = (date, timeZone) => {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+        if (type !== 'literal') {
+            parts[type] = Number(value);
+        }
+    });
+
+    const pad = (value) => String(value).padStart(2, '0');
+    return {
+        ...parts,
+        date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+        time: `${pad(parts.hour)}:${pad(parts.minute)}`
+    };
+};
+
+/**
+ * Offset of a timezone from UTC at an instant, in minutes
+ */
+const getOffsetMinutes = (date, timeZone) => {
+    const instant = new Date(date);
+    instant.setUTCMilliseconds(0);
+    const parts = getZonedParts(instant, timeZone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return (wallClock - instant.getTime()) / 60000;
+};
+
+/**
+ * Instant of a wall-clock date and time in a timezone
+ * @param {String} dateString - 'YYYY-MM-DD'
+ * @param {String} time - 'HH:MM'
+ * @param {String} timeZone - IANA timezone
+ * @returns {Date}
+ */
+const zonedTimeToUtc = (dateString, time, timeZone) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // The offset at the first guess may differ from the one at the result around DST changes
+    const guess = wallClock - getOffsetMinutes(wallClock, timeZone) * 60000;
+    return new Date(wallClock - getOffsetMinutes(guess, timeZone) * 60000);
+};
+
+/**
+ * Calendar date a given number of days after another
+ * @param {String} dateString - 'YYYY-MM-DD'
+ * @param {Number} days
+ * @returns {String} 'YYYY-MM-DD'
+ */
+const addDays = (dateString, days) => {
+    const date = new Date(`${dateString}T00:00:00.000Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+};
+
+/**
+ * Short name of a timezone at an instant, e.g. "IST" or "CEST".
+ * Falls back to the IANA name where Intl only knows a "GMT+2" style offset.
+ */
+const getTimeZoneLabel = (date, timeZone) => {
+    for (const locale of ['en-US', 'en-IN']) {
+        const name = new Intl.DateTimeFormat(locale, { timeZone, timeZoneName: 'short' })
+            .formatToParts(new Date(date))
+            .find((part) => part.type === 'timeZoneName')?.value;
+        if (name && !/^(GMT|UTC)[+-]/.test(name)) {
+            return name;
+        }
+    }
+    return timeZone;
+};
+
+/**
+ * Human readable date in a timezone, e.g. "Tuesday, October 20, 2026"
+ */
+const formatZonedDate = (date, timeZone) => new Date(date).toLocaleDateString('en-US', {
+    timeZone,
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+});
+
+const formatTime = (date, timeZone) => new Date(date).toLocaleTimeString('en-US', {
+    timeZone,
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true
+});
+
+/**
+ * Human readable time range in a timezone, e.g. "8:00 PM - 8:30 PM IST"
+ */
+const formatZonedTimeRange = (startAt, endAt, timeZone) =>
+    `${formatTime(startAt, timeZone)} - ${formatTime(endAt, timeZone)} ${getTimeZoneLabel(startAt, timeZone)}`;
+
+/**
+ * Human readable date and time range in a timezone,
+ * e.g. "Tuesday, October 20, 2026, 8:00 PM - 8:30 PM IST"
+ */
+const formatZonedRange = (startAt, endAt, timeZone) =>
+    `${formatZonedDate(startAt, timeZone)}, ${formatZonedTimeRange(startAt, endAt, timeZone)}`;
+
+/**
+ * Human readable date and time in a timezone, e.g. "Tuesday, October 20, 2026, 8:00 PM IST"
+ */
+const formatZonedDateTime = (date, timeZone) =>
+    `${formatZonedDate(date, timeZone)}, ${formatTime(date, timeZone)} ${getTimeZoneLabel(date, timeZone)}`;
+
+module.exports = {
+    isValidTimeZone,
+    getZonedParts,
+    getOffsetMinutes,
+    zonedTimeToUtc,
+    addDays,
+    getTimeZoneLabel,
+    formatZonedDate,
+    formatZonedTimeRange,
+    formatZonedRange,
+    formatZonedDateTime
+};
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP (RFC 6238) helpers
+ * HMAC-SHA1, 6 digits, 30 second steps - the defaults every authenticator app supports.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret (160 bits, as recommended by RFC 4226)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * HOTP value (RFC 4226) for a counter
+ * @param {String} secret - Base32 secret
+ * @param {Number} counter - Moving factor
+ */
+const hotp = (secret, counter) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | ((hmac[offset + 1] & 0xff) << 16)
+        | ((hmac[offset + 2] & 0xff) << 8)
+        | (hmac[offset + 3] & 0xff);
+
+    return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+};
+
+/**
+ * Time step for a timestamp
+ * @param {Number} timeMs - Unix time in milliseconds
+ */
+const timeStep = (timeMs = Date.now()) => Math.floor(timeMs / 1000 / STEP_SECONDS);
+
+/**
+ * TOTP code for a timestamp
+ * @param {String} secret - Base32 secret
+ * @param {Number} timeMs - Unix time in milliseconds
+ */
+const generateCode = (secret, timeMs = Date.now()) => hotp(secret, timeStep(timeMs));
+
+/**
+ * Verify a code, allowing `window` steps of clock drift either way
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Object} options - { window, timeMs }
+ * @returns {Number|null} Matched time step, or null when the code is invalid
+ */
+const verifyCode = (secret, code, { window = 1, timeMs = Date.now() } = {}) => {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+        return null;
+    }
+
+    const currentStep = timeStep(timeMs);
+    for (let drift = -window; drift <= window; drift++) {
+        const expected = hotp(secret, currentStep + drift);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return currentStep + drift;
+        }
+    }
+    return null;
+};
+
+/**
+ * otpauth:// URI to be rendered as a QR code by the admin portal
+ * @param {String} secret - Base32 secret
+ * @param {String} accountName - Usually the user's email
+ * @param {String} issuer - Shown in the authenticator app
+ */
+const buildOtpauthUrl = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpauthUrl
+};